@@ -3,20 +3,52 @@ import { BrowserRouter as Router, Routes, Route, Navigate } from 'react-router-d
 import LeagueProvider from './contexts/LeagueContext';
 import Dashboard from './pages/Dashboard';
 import TeamDetails from './pages/TeamDetails';
+import Settings from './pages/Settings';
+import LeagueRedirect from './pages/LeagueRedirect';
+import PowerRankings from './pages/PowerRankings';
+import ScheduleSwap from './pages/ScheduleSwap';
+import Rivalries from './pages/Rivalries';
+import OwnerRivalries from './pages/OwnerRivalries';
+import Playoffs from './pages/Playoffs';
+import Champions from './pages/Champions';
+import RecordBook from './pages/RecordBook';
+import AllTimeStandings from './pages/AllTimeStandings';
+import Drafts from './pages/Drafts';
+import DraftRetrospective from './pages/DraftRetrospective';
+import PickLedger from './pages/PickLedger';
+import Franchise from './pages/Franchise';
+import { LEAGUE_ROUTE } from './utils/routes';
 
 function App() {
   return (
-    <LeagueProvider>
-      <Router>
+    <Router basename={process.env.PUBLIC_URL}>
+      <LeagueProvider>
         <div className="min-h-screen bg-gray-100">
           <Routes>
-            <Route path="/" element={<Dashboard />} />
-            <Route path="/team/:rosterId" element={<TeamDetails />} />
+            <Route path="/" element={<LeagueRedirect />} />
+            <Route path={LEAGUE_ROUTE} element={<Dashboard />} />
+            <Route path={`${LEAGUE_ROUTE}/week/:week`} element={<Dashboard />} />
+            <Route path={`${LEAGUE_ROUTE}/team/:rosterId`} element={<TeamDetails />} />
+            <Route path={`${LEAGUE_ROUTE}/power-rankings`} element={<PowerRankings />} />
+            <Route path={`${LEAGUE_ROUTE}/schedule-swap`} element={<ScheduleSwap />} />
+            <Route path={`${LEAGUE_ROUTE}/rivalries`} element={<Rivalries />} />
+            <Route path={`${LEAGUE_ROUTE}/rivalries/:ownerId`} element={<OwnerRivalries />} />
+            <Route path={`${LEAGUE_ROUTE}/playoffs`} element={<Playoffs />} />
+            <Route path={`${LEAGUE_ROUTE}/champions`} element={<Champions />} />
+            <Route path={`${LEAGUE_ROUTE}/records`} element={<RecordBook />} />
+            <Route path={`${LEAGUE_ROUTE}/all-time`} element={<AllTimeStandings />} />
+            <Route path={`${LEAGUE_ROUTE}/drafts`} element={<Drafts />} />
+            <Route path={`${LEAGUE_ROUTE}/drafts/retrospective`} element={<DraftRetrospective />} />
+            <Route path={`${LEAGUE_ROUTE}/picks`} element={<PickLedger />} />
+            <Route path={`${LEAGUE_ROUTE}/franchise/:rosterId`} element={<Franchise />} />
+            {/* Links shared before league and season were part of the URL */}
+            <Route path="/team/:rosterId" element={<LeagueRedirect />} />
+            <Route path="/settings" element={<Settings />} />
             <Route path="*" element={<Navigate to="/" replace />} />
           </Routes>
         </div>
-      </Router>
-    </LeagueProvider>
+      </LeagueProvider>
+    </Router>
   );
 }
 
@@ -0,0 +1,290 @@
+import React, { useContext, useState, useEffect, useMemo, useCallback } from 'react';
+import { LeagueContext } from '../contexts/LeagueContext';
+import { refetchCacheEntries } from '../services/cacheRefresh';
+import {
+  listCacheEntries, getCacheUsage, invalidateCache, clearCacheForLeague, clearAllCache,
+} from '../utils/cacheUtils';
+import { formatBytes, formatTimeAgo } from '../utils/dataUtils';
+
+const GLOBAL_GROUP = 'global';
+
+const CacheManager = () => {
+  const {
+    leagueId, selectedSeason, seasonLeagueIds, league, nflState, refreshData,
+  } = useContext(LeagueContext);
+  const [entries, setEntries] = useState([]);
+  const [usage, setUsage] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [busy, setBusy] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  const loadEntries = useCallback(async () => {
+    const [cacheEntries, cacheUsage] = await Promise.all([listCacheEntries(), getCacheUsage()]);
+    setEntries(cacheEntries);
+    setUsage(cacheUsage);
+    setLoading(false);
+  }, []);
+
+  useEffect(() => {
+    loadEntries();
+  }, [loadEntries]);
+
+  // Seasons each league ID belongs to in the current league chain
+  const leagueSeasons = useMemo(() => {
+    const map = {};
+    Object.entries(seasonLeagueIds || {}).forEach(([season, id]) => {
+      if (!map[id]) map[id] = [];
+      map[id].push(season);
+    });
+    return map;
+  }, [seasonLeagueIds]);
+
+  // Group entries by league, then season, then data type
+  const groups = useMemo(() => {
+    const byLeague = {};
+
+    entries.forEach(entry => {
+      const leagueKey = entry.league || GLOBAL_GROUP;
+      const seasonKey = entry.season || '';
+      const typeKey = entry.dataType || 'unknown';
+
+      if (!byLeague[leagueKey]) byLeague[leagueKey] = { league: entry.league, size: 0, seasons: {} };
+      const leagueGroup = byLeague[leagueKey];
+      leagueGroup.size += entry.size;
+
+      if (!leagueGroup.seasons[seasonKey]) leagueGroup.seasons[seasonKey] = { season: entry.season, size: 0, types: {} };
+      const seasonGroup = leagueGroup.seasons[seasonKey];
+      seasonGroup.size += entry.size;
+
+      if (!seasonGroup.types[typeKey]) {
+        seasonGroup.types[typeKey] = { dataType: entry.dataType, count: 0, size: 0, oldest: entry.timestamp };
+      }
+      const typeGroup = seasonGroup.types[typeKey];
+      typeGroup.count++;
+      typeGroup.size += entry.size;
+      typeGroup.oldest = Math.min(typeGroup.oldest, entry.timestamp);
+    });
+
+    return Object.values(byLeague).sort((a, b) => {
+      // League-less entries (player database, draft boards) go last
+      if (!a.league) return 1;
+      if (!b.league) return -1;
+      return b.size - a.size;
+    });
+  }, [entries]);
+
+  const totalSize = useMemo(() => entries.reduce((sum, entry) => sum + entry.size, 0), [entries]);
+
+  // Run a cache action, then reload the entry list and, if the data on screen
+  // was affected, the league data as well
+  const runAction = async (description, action, affectsCurrentView) => {
+    setBusy(true);
+    try {
+      const removed = await action();
+      setMessage(`${description}${typeof removed === 'number' ? ` (${removed} entries removed)` : ''}.`);
+      if (affectsCurrentView) refreshData();
+      await loadEntries();
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const isCurrentView = (entryLeague, season) => {
+    if (entryLeague !== leagueId) return false;
+    return !season || season === selectedSeason;
+  };
+
+  // Remove the entries matching a filter, then download their data again
+  const refreshEntries = async (filter) => {
+    const matching = entries.filter(entry =>
+      Object.entries(filter).every(([name, value]) => entry[name] === String(value))
+    );
+    const removed = await invalidateCache(filter);
+    await refetchCacheEntries(matching, nflState);
+    return removed;
+  };
+
+  const handleRefreshType = (entryLeague, season, dataType) => {
+    const filter = { dataType };
+    if (entryLeague) filter.league = entryLeague;
+    if (season) filter.season = season;
+    runAction(
+      `Refreshed ${dataType}${season ? ` for ${season}` : ''}`,
+      () => refreshEntries(filter),
+      isCurrentView(entryLeague, season)
+    );
+  };
+
+  const handleRefreshSeason = (entryLeague, season) => {
+    runAction(
+      `Refreshed all ${season} data`,
+      () => refreshEntries({ league: entryLeague, season }),
+      isCurrentView(entryLeague, season)
+    );
+  };
+
+  const handleClearLeague = (entryLeague) => {
+    runAction(
+      `Cleared cached data for league ${entryLeague}`,
+      () => clearCacheForLeague(entryLeague),
+      entryLeague === leagueId
+    );
+  };
+
+  const handlePurgeAll = () => {
+    if (!window.confirm('Remove all cached data? Everything will be downloaded again from Sleeper.')) return;
+    runAction('Purged all cached data', clearAllCache, true);
+  };
+
+  const getLeagueLabel = (group) => {
+    if (!group.league) return 'Shared data (player database, draft boards)';
+    const seasons = leagueSeasons[group.league];
+    if (group.league === leagueId && league) return `${league.name} (${group.league})`;
+    if (seasons) return `League ${group.league} (${seasons.join(', ')})`;
+    return `League ${group.league} (not in current league history)`;
+  };
+
+  const usagePercentage = usage?.usage && usage?.quota ? (usage.usage / usage.quota) * 100 : null;
+
+  if (loading) {
+    return <div className="p-4 text-center">Loading cache details...</div>;
+  }
+
+  return (
+    <div className="bg-white shadow overflow-hidden sm:rounded-lg">
+      <div className="px-4 py-5 sm:px-6 bg-gray-800 text-white flex flex-wrap justify-between items-center gap-3">
+        <div>
+          <h3 className="text-lg leading-6 font-medium">Cached Data</h3>
+          <p className="mt-1 text-sm text-gray-300">
+            {entries.length} entries, {formatBytes(totalSize)}
+            {usage?.type && ` stored in ${usage.type === 'indexeddb' ? 'IndexedDB' : 'localStorage'}`}
+          </p>
+        </div>
+        <div className="flex gap-2">
+          <button
+            onClick={() => runAction('Reloaded league data', async () => refreshData(), false)}
+            disabled={busy}
+            className="px-3 py-1 rounded-md text-sm font-medium bg-blue-600 hover:bg-blue-700 disabled:bg-gray-500"
+          >
+            Reload Current Season
+          </button>
+          <button
+            onClick={handlePurgeAll}
+            disabled={busy || entries.length === 0}
+            className="px-3 py-1 rounded-md text-sm font-medium bg-red-600 hover:bg-red-700 disabled:bg-gray-500"
+          >
+            Purge Everything
+          </button>
+        </div>
+      </div>
+
+      <div className="px-4 py-5 sm:p-6 space-y-6">
+        {/* Storage quota */}
+        <div>
+          <div className="flex justify-between mb-1 text-sm">
+            <span className="font-medium text-gray-700">Browser Storage</span>
+            <span className="text-gray-600">
+              {usage?.usage !== null && usage?.quota
+                ? `${formatBytes(usage.usage)} of ${formatBytes(usage.quota)} used`
+                : 'Quota information not available in this browser'}
+            </span>
+          </div>
+          {usagePercentage !== null && (
+            <div className="w-full bg-gray-200 rounded-full h-2.5">
+              <div
+                className={`h-2.5 rounded-full ${usagePercentage > 80 ? 'bg-red-500' : 'bg-blue-500'}`}
+                style={{ width: `${Math.max(usagePercentage, 1)}%` }}
+              ></div>
+            </div>
+          )}
+        </div>
+
+        {message && (
+          <div className="bg-green-100 border border-green-400 text-green-700 px-4 py-2 rounded text-sm">
+            {message}
+          </div>
+        )}
+
+        {groups.length === 0 ? (
+          <div className="p-4 text-center text-gray-500">Nothing is cached yet.</div>
+        ) : (
+          groups.map(group => (
+            <div key={group.league || GLOBAL_GROUP} className="border rounded-lg overflow-hidden">
+              <div className="bg-gray-100 px-4 py-2 border-b flex flex-wrap justify-between items-center gap-2">
+                <h4 className="font-semibold text-gray-800">{getLeagueLabel(group)}</h4>
+                <div className="flex items-center gap-3 text-sm">
+                  <span className="text-gray-600">{formatBytes(group.size)}</span>
+                  {group.league && (
+                    <button
+                      onClick={() => handleClearLeague(group.league)}
+                      disabled={busy}
+                      className="text-red-600 hover:underline disabled:text-gray-400"
+                    >
+                      Clear league
+                    </button>
+                  )}
+                </div>
+              </div>
+
+              <table className="min-w-full divide-y divide-gray-200 text-sm">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Season</th>
+                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Data Type</th>
+                    <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Entries</th>
+                    <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Size</th>
+                    <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Cached</th>
+                    <th className="px-4 py-2"></th>
+                  </tr>
+                </thead>
+                <tbody className="bg-white divide-y divide-gray-200">
+                  {Object.values(group.seasons)
+                    .sort((a, b) => (parseInt(b.season) || 0) - (parseInt(a.season) || 0))
+                    .map(seasonGroup => (
+                      <React.Fragment key={seasonGroup.season || 'none'}>
+                        {Object.values(seasonGroup.types).map((typeGroup, index) => (
+                          <tr key={typeGroup.dataType || 'unknown'}>
+                            <td className="px-4 py-2 whitespace-nowrap">
+                              {index === 0 && (
+                                <div className="flex items-center gap-2">
+                                  <span className="font-medium">{seasonGroup.season || '—'}</span>
+                                  {group.league && seasonGroup.season && (
+                                    <button
+                                      onClick={() => handleRefreshSeason(group.league, seasonGroup.season)}
+                                      disabled={busy}
+                                      className="text-xs text-blue-600 hover:underline disabled:text-gray-400"
+                                    >
+                                      Refresh season
+                                    </button>
+                                  )}
+                                </div>
+                              )}
+                            </td>
+                            <td className="px-4 py-2 whitespace-nowrap">{typeGroup.dataType || 'unknown'}</td>
+                            <td className="px-4 py-2 text-right">{typeGroup.count}</td>
+                            <td className="px-4 py-2 text-right">{formatBytes(typeGroup.size)}</td>
+                            <td className="px-4 py-2 text-right text-gray-600">{formatTimeAgo(typeGroup.oldest)}</td>
+                            <td className="px-4 py-2 text-right">
+                              <button
+                                onClick={() => handleRefreshType(group.league, seasonGroup.season, typeGroup.dataType)}
+                                disabled={busy || !typeGroup.dataType}
+                                className="text-blue-600 hover:underline disabled:text-gray-400"
+                              >
+                                Refresh
+                              </button>
+                            </td>
+                          </tr>
+                        ))}
+                      </React.Fragment>
+                    ))}
+                </tbody>
+              </table>
+            </div>
+          ))
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default CacheManager;
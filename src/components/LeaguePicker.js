@@ -0,0 +1,215 @@
+import React, { useState, useContext, useEffect } from 'react';
+import { LeagueContext } from '../contexts/LeagueContext';
+import SleeperApiService from '../services/sleeperApi';
+import { loadPreference, savePreference } from '../utils/preferences';
+
+const MAX_RECENT_LEAGUES = 5;
+
+/**
+ * Add a league to the front of the recent leagues list. Other seasons of the
+ * same league are replaced, so each league appears once.
+ * @param {Array} recentLeagues - Current list of { leagueId, name, season, avatar }
+ * @param {Object} league - League data from the API
+ * @param {Array<string>} chainLeagueIds - League IDs of every season of this league
+ * @returns {Array} - Updated list, most recent first
+ */
+const addRecentLeague = (recentLeagues, league, chainLeagueIds) => [
+  { leagueId: league.league_id, name: league.name, season: league.season, avatar: league.avatar || null },
+  ...recentLeagues.filter(recent =>
+    recent.leagueId !== league.league_id && !chainLeagueIds.includes(recent.leagueId)
+  ),
+].slice(0, MAX_RECENT_LEAGUES);
+
+const LeaguePicker = () => {
+  const { leagueId, league, selectedSeason, nflState, seasonLeagueIds, changeLeagueId } = useContext(LeagueContext);
+  const [mode, setMode] = useState('username');
+  const [username, setUsername] = useState(() => loadPreference('lastUsername', ''));
+  const [idInput, setIdInput] = useState(leagueId);
+  const [userLeagues, setUserLeagues] = useState(null);
+  const [searchedUser, setSearchedUser] = useState(null);
+  const [isSearching, setIsSearching] = useState(false);
+  const [searchError, setSearchError] = useState(null);
+  const [recentLeagues, setRecentLeagues] = useState(() => loadPreference('recentLeagues', []));
+
+  const season = selectedSeason || nflState?.season;
+
+  // Keep the ID input in sync when the league changes through the URL
+  useEffect(() => {
+    setIdInput(leagueId);
+  }, [leagueId]);
+
+  // Remember every league that loads, however it was opened
+  useEffect(() => {
+    if (!league?.league_id) return;
+    // Right after switching leagues the season map still belongs to the previous one
+    const chainLeagueIds = Object.values(seasonLeagueIds || {});
+    const isSameChain = chainLeagueIds.includes(league.league_id);
+    setRecentLeagues(prev => {
+      const updated = addRecentLeague(prev, league, isSameChain ? chainLeagueIds : []);
+      savePreference('recentLeagues', updated);
+      return updated;
+    });
+  }, [league, seasonLeagueIds]);
+
+  const handleUsernameSubmit = async (e) => {
+    e.preventDefault();
+    const name = username.trim();
+    if (!name || !season) return;
+
+    setIsSearching(true);
+    setSearchError(null);
+    setUserLeagues(null);
+    try {
+      const user = await SleeperApiService.getUser(name);
+      if (!user?.user_id) {
+        setSearchError(`No Sleeper user named "${name}".`);
+        return;
+      }
+      savePreference('lastUsername', name);
+      setSearchedUser(user);
+      const leagues = await SleeperApiService.getUserLeagues(user.user_id, season);
+      setUserLeagues(leagues || []);
+    } catch (err) {
+      setSearchError('Could not look up that user. Please try again.');
+    } finally {
+      setIsSearching(false);
+    }
+  };
+
+  const handleIdSubmit = (e) => {
+    e.preventDefault();
+    if (!idInput.trim() || idInput === leagueId) return;
+    changeLeagueId(idInput.trim());
+  };
+
+  const otherRecentLeagues = recentLeagues.filter(recent => recent.leagueId !== leagueId);
+
+  const renderLeagueButton = (id, name, leagueSeason, avatar, detail) => (
+    <button
+      key={id}
+      onClick={() => changeLeagueId(id, leagueSeason)}
+      disabled={id === leagueId}
+      className={`w-full flex items-center text-left px-2 py-1.5 rounded ${
+        id === leagueId ? 'bg-blue-50 cursor-default' : 'hover:bg-gray-100'
+      }`}
+    >
+      {avatar ? (
+        <img
+          src={SleeperApiService.getAvatarUrl(avatar)}
+          alt=""
+          className="w-6 h-6 rounded-full mr-2"
+        />
+      ) : (
+        <div className="w-6 h-6 rounded-full mr-2 bg-gray-200"></div>
+      )}
+      <span className="flex-grow text-sm font-medium truncate">{name}</span>
+      <span className="ml-2 text-xs text-gray-500 whitespace-nowrap">
+        {id === leagueId ? 'Current' : detail}
+      </span>
+    </button>
+  );
+
+  return (
+    <div className="bg-white p-4 rounded-lg shadow-md w-full sm:w-80">
+      <div className="flex justify-between items-center mb-3">
+        <h2 className="text-lg font-semibold">League</h2>
+        <div className="flex text-xs border border-gray-300 rounded-md overflow-hidden">
+          <button
+            onClick={() => setMode('username')}
+            className={`px-2 py-1 ${mode === 'username' ? 'bg-blue-600 text-white' : 'bg-white text-gray-700'}`}
+          >
+            Username
+          </button>
+          <button
+            onClick={() => setMode('id')}
+            className={`px-2 py-1 ${mode === 'id' ? 'bg-blue-600 text-white' : 'bg-white text-gray-700'}`}
+          >
+            League ID
+          </button>
+        </div>
+      </div>
+
+      {mode === 'username' ? (
+        <form onSubmit={handleUsernameSubmit} className="flex gap-2">
+          <input
+            type="text"
+            value={username}
+            onChange={(e) => setUsername(e.target.value)}
+            placeholder="Sleeper username"
+            className="flex-grow min-w-0 px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+            aria-label="Sleeper username"
+          />
+          <button
+            type="submit"
+            disabled={isSearching || !username.trim()}
+            className={`px-3 py-2 rounded-md text-white font-medium ${
+              isSearching || !username.trim() ? 'bg-gray-400 cursor-not-allowed' : 'bg-blue-600 hover:bg-blue-700'
+            }`}
+          >
+            {isSearching ? 'Finding...' : 'Find'}
+          </button>
+        </form>
+      ) : (
+        <form onSubmit={handleIdSubmit} className="flex gap-2">
+          <input
+            type="text"
+            value={idInput}
+            onChange={(e) => setIdInput(e.target.value)}
+            placeholder="Enter Sleeper League ID"
+            className="flex-grow min-w-0 px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+            aria-label="Sleeper League ID"
+          />
+          <button
+            type="submit"
+            disabled={!idInput.trim() || idInput === leagueId}
+            className={`px-3 py-2 rounded-md text-white font-medium ${
+              !idInput.trim() || idInput === leagueId ? 'bg-gray-400 cursor-not-allowed' : 'bg-blue-600 hover:bg-blue-700'
+            }`}
+          >
+            Load
+          </button>
+        </form>
+      )}
+
+      {mode === 'username' && searchError && (
+        <p className="mt-2 text-sm text-red-600">{searchError}</p>
+      )}
+
+      {mode === 'username' && userLeagues && (
+        <div className="mt-3">
+          <h3 className="text-xs font-medium text-gray-500 uppercase tracking-wider mb-1">
+            {searchedUser?.display_name}'s {season} leagues
+          </h3>
+          {userLeagues.length === 0 ? (
+            <p className="text-sm text-gray-600">No NFL leagues found for {season}.</p>
+          ) : (
+            <div className="max-h-48 overflow-y-auto">
+              {userLeagues.map(userLeague => renderLeagueButton(
+                userLeague.league_id,
+                userLeague.name,
+                userLeague.season,
+                userLeague.avatar,
+                `${userLeague.total_rosters} teams`
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+
+      {otherRecentLeagues.length > 0 && (
+        <div className="mt-3">
+          <h3 className="text-xs font-medium text-gray-500 uppercase tracking-wider mb-1">Recent leagues</h3>
+          {otherRecentLeagues.map(recent => renderLeagueButton(
+            recent.leagueId,
+            recent.name,
+            recent.season,
+            recent.avatar,
+            recent.season
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default LeaguePicker;
@@ -0,0 +1,140 @@
+import React, { useState, useContext, useMemo } from 'react';
+import { Link } from 'react-router-dom';
+import { LeagueContext } from '../contexts/LeagueContext';
+import { formatPoints } from '../utils/dataUtils';
+import { filterScoredMatchups } from '../utils/seasonCalendar';
+import { calculateManagerEfficiency } from '../utils/optimalLineup';
+import SleeperApiService from '../services/sleeperApi';
+import { getTeamPath } from '../utils/routes';
+
+// Sortable columns: key -> value getter
+const SORT_VALUES = {
+  teamName: team => team.teamName,
+  efficiency: team => team.efficiency,
+  actualPoints: team => team.actualPoints,
+  optimalPoints: team => team.optimalPoints,
+  pointsLeft: team => team.pointsLeft,
+  benchPoints: team => team.benchPoints,
+  perfectWeeks: team => team.perfectWeeks,
+};
+
+const ManagerEfficiencyLeaderboard = () => {
+  const {
+    rosters, users, players, league, matchups, seasonCalendar, loading, leagueId, selectedSeason,
+  } = useContext(LeagueContext);
+  const [sortField, setSortField] = useState('efficiency');
+  const [sortDirection, setSortDirection] = useState('desc');
+
+  const teams = useMemo(() => {
+    return calculateManagerEfficiency(
+      filterScoredMatchups(matchups, seasonCalendar),
+      league?.roster_positions,
+      players
+    ).map(team => {
+      const roster = rosters?.find(r => r.roster_id === team.rosterId);
+      const user = roster && users?.find(u => u.user_id === roster.owner_id);
+      return {
+        ...team,
+        teamName: user?.display_name || `Team ${team.rosterId}`,
+        avatar: user?.avatar,
+      };
+    });
+  }, [matchups, seasonCalendar, league, players, rosters, users]);
+
+  const handleSort = (field) => {
+    if (sortField === field) {
+      setSortDirection(sortDirection === 'asc' ? 'desc' : 'asc');
+    } else {
+      setSortField(field);
+      setSortDirection(field === 'teamName' ? 'asc' : 'desc');
+    }
+  };
+
+  const sortedTeams = useMemo(() => {
+    const getValue = SORT_VALUES[sortField];
+    return [...teams].sort((a, b) => {
+      const aValue = getValue(a);
+      const bValue = getValue(b);
+      const comparison = typeof aValue === 'string' ? aValue.localeCompare(bValue) : aValue - bValue;
+      return sortDirection === 'asc' ? comparison : -comparison;
+    });
+  }, [teams, sortField, sortDirection]);
+
+  const renderHeader = (field, label, title) => (
+    <th
+      className={`px-4 py-3 ${field === 'teamName' ? 'text-left' : 'text-center'} cursor-pointer hover:bg-gray-700`}
+      onClick={() => handleSort(field)}
+      title={title}
+    >
+      {label}
+      {sortField === field && (
+        <span className="ml-1">{sortDirection === 'asc' ? '↑' : '↓'}</span>
+      )}
+    </th>
+  );
+
+  if (loading) {
+    return <div className="p-4 text-center">Loading lineup efficiency...</div>;
+  }
+
+  if (!players) {
+    return <div className="p-4 text-center">Player data is needed to work out optimal lineups.</div>;
+  }
+
+  if (!teams.length) {
+    return <div className="p-4 text-center">No games played yet.</div>;
+  }
+
+  const benchKing = teams.reduce((best, team) => (team.benchPoints > best.benchPoints ? team : best), teams[0]);
+
+  return (
+    <div className="overflow-x-auto">
+      <table className="min-w-full bg-white rounded-lg overflow-hidden shadow-lg">
+        <thead className="bg-gray-800 text-white">
+          <tr>
+            {renderHeader('teamName', 'Team')}
+            {renderHeader('efficiency', 'Efficiency', 'Points scored as a share of the best possible lineup')}
+            {renderHeader('actualPoints', 'Points', 'Points scored by the starting lineup')}
+            {renderHeader('optimalPoints', 'Max Points', 'Points the best possible lineup would have scored')}
+            {renderHeader('pointsLeft', 'Left on Bench', 'Max points minus points scored')}
+            {renderHeader('benchPoints', 'Bench Pts', 'Everything scored by players not in the lineup')}
+            {renderHeader('perfectWeeks', 'Perfect', 'Weeks where the lineup set was the best possible one')}
+          </tr>
+        </thead>
+        <tbody className="divide-y divide-gray-200">
+          {sortedTeams.map((team, index) => (
+            <tr key={team.rosterId} className={index % 2 === 0 ? 'bg-white' : 'bg-gray-50'}>
+              <td className="px-4 py-3">
+                <Link
+                  to={getTeamPath(leagueId, selectedSeason, team.rosterId)}
+                  className="flex items-center hover:text-blue-600"
+                >
+                  {team.avatar && (
+                    <img
+                      src={SleeperApiService.getAvatarUrl(team.avatar)}
+                      alt={`${team.teamName} avatar`}
+                      className="w-8 h-8 rounded-full mr-3"
+                    />
+                  )}
+                  <span className="font-medium">{team.teamName}</span>
+                </Link>
+              </td>
+              <td className="px-4 py-3 text-center font-semibold">{team.efficiency.toFixed(1)}%</td>
+              <td className="px-4 py-3 text-center">{formatPoints(team.actualPoints)}</td>
+              <td className="px-4 py-3 text-center">{formatPoints(team.optimalPoints)}</td>
+              <td className="px-4 py-3 text-center text-red-600">{formatPoints(team.pointsLeft)}</td>
+              <td className="px-4 py-3 text-center">{formatPoints(team.benchPoints)}</td>
+              <td className="px-4 py-3 text-center">{team.perfectWeeks}/{team.weeks}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <p className="mt-2 text-xs text-gray-500">
+        Best possible lineups respect the league's starting slots, including flex eligibility.
+        Most bench points: {benchKing.teamName} ({formatPoints(benchKing.benchPoints)}).
+      </p>
+    </div>
+  );
+};
+
+export default ManagerEfficiencyLeaderboard;
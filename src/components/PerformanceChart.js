@@ -12,6 +12,7 @@ import {
 } from 'chart.js';
 import { LeagueContext } from '../contexts/LeagueContext';
 import { formatPoints } from '../utils/dataUtils';
+import { filterScoredMatchups } from '../utils/seasonCalendar';
 import SleeperApiService from '../services/sleeperApi';
 
 // Register ChartJS components
@@ -26,10 +27,13 @@ ChartJS.register(
 );
 
 const PerformanceChart = () => {
-  const { matchups, users, rosters, loading } = useContext(LeagueContext);
+  const { matchups: allMatchups, users, rosters, loading, seasonCalendar } = useContext(LeagueContext);
   const [selectedTeams, setSelectedTeams] = useState([]);
   const [showAllTeams, setShowAllTeams] = useState(true);
 
+  // Only chart weeks with final scores
+  const matchups = useMemo(() => filterScoredMatchups(allMatchups, seasonCalendar), [allMatchups, seasonCalendar]);
+
   // Get all available weeks from matchups
   const availableWeeks = useMemo(() => {
     if (!matchups || !matchups.length) return [];
@@ -1,12 +1,15 @@
 import React, { useState, useEffect, useContext, useCallback } from 'react';
 import { LeagueContext } from '../contexts/LeagueContext';
 import SleeperApiService from '../services/sleeperApi';
+import { isAbortError } from '../services/requestScheduler';
+import { loadLeagueDrafts } from '../services/drafts';
+import { loadSeasonTransactions } from '../services/transactions';
 import { loadFromCache, saveToCache } from '../utils/cacheUtils';
 
 const PlayerTradeHistoryModal = ({ player, onClose }) => {
   const [loading, setLoading] = useState(true);
   const [transactions, setTransactions] = useState([]);
-  const { seasonLeagueIds, players: allPlayersData } = useContext(LeagueContext);
+  const { seasonLeagueIds, players: allPlayersData, nflState } = useContext(LeagueContext);
 
   // Helper function to get player's full name
   const getPlayerName = useCallback((player) => {
@@ -32,6 +35,10 @@ const PlayerTradeHistoryModal = ({ player, onClose }) => {
   }, []);
 
   useEffect(() => {
+    // Closing the modal cancels any requests still queued for this player
+    const controller = new AbortController();
+    const { signal } = controller;
+
     // These functions depend on the useCallback helpers and data fetched inside the effect.
     // Defining them here makes them part of the effect's closure and avoids dependency array issues.
     const formatDraftPick = (pick, histRosters, histUsers, allSeasonsDrafts, allSeasonsPicks) => {
@@ -304,33 +311,11 @@ const PlayerTradeHistoryModal = ({ player, onClose }) => {
         for (const season in seasonLeagueIds) {
           if (parseInt(season) < currentYear) {
             const leagueId = seasonLeagueIds[season];
-            let draftsForSeason = loadFromCache('drafts', leagueId, season);
-            if (!draftsForSeason) {
-              try {
-                draftsForSeason = await SleeperApiService.getLeagueDrafts(leagueId);
-                saveToCache('drafts', leagueId, season, draftsForSeason);
-              } catch (error) {
-                console.warn(`Could not fetch drafts for league ${leagueId} season ${season}:`, error);
-                draftsForSeason = [];
-              }
-            }
+            const draftsForSeason = await loadLeagueDrafts({ leagueId, season, signal });
             allSeasonsDrafts[season] = draftsForSeason;
-
-            for (const draft of draftsForSeason) {
-              if (!allSeasonsPicks[draft.draft_id]) { // Avoid re-fetching if already present
-                let picksForDraft = loadFromCache('draft_picks', draft.draft_id);
-                if (!picksForDraft) {
-                  try {
-                    picksForDraft = await SleeperApiService.getDraftPicks(draft.draft_id);
-                    saveToCache('draft_picks', draft.draft_id, null, picksForDraft);
-                  } catch (error) {
-                    console.warn(`Could not fetch picks for draft ${draft.draft_id}:`, error);
-                    picksForDraft = [];
-                  }
-                }
-                allSeasonsPicks[draft.draft_id] = picksForDraft;
-              }
-            }
+            draftsForSeason.forEach(draft => {
+              allSeasonsPicks[draft.draft_id] = draft.picks;
+            });
           }
         }
         
@@ -340,37 +325,30 @@ const PlayerTradeHistoryModal = ({ player, onClose }) => {
           console.log(`  Processing season: ${season}, League ID: ${leagueId}`);
           
           try {
-            // Fetch historical roster and user data for this season
-            let histRosters = loadFromCache('rosters', leagueId, season);
+            // Fetch historical league, roster and user data for this season
+            let histLeague = await loadFromCache('league', { league: leagueId, season });
+            if (!histLeague) {
+              histLeague = await SleeperApiService.getLeague(leagueId, { signal });
+              saveToCache('league', { league: leagueId, season }, histLeague);
+            }
+            
+            let histRosters = await loadFromCache('rosters', { league: leagueId, season });
             if (!histRosters) {
-              histRosters = await SleeperApiService.getLeagueRosters(leagueId);
-              saveToCache('rosters', leagueId, season, histRosters);
+              histRosters = await SleeperApiService.getLeagueRosters(leagueId, { signal });
+              saveToCache('rosters', { league: leagueId, season }, histRosters);
             }
             
-            let histUsers = loadFromCache('users', leagueId, season);
+            let histUsers = await loadFromCache('users', { league: leagueId, season });
             if (!histUsers) {
-              histUsers = await SleeperApiService.getLeagueUsers(leagueId);
-              saveToCache('users', leagueId, season, histUsers);
+              histUsers = await SleeperApiService.getLeagueUsers(leagueId, { signal });
+              saveToCache('users', { league: leagueId, season }, histUsers);
             }
             
             // Fetch all transactions for the league
-            let leagueTransactions = loadFromCache('transactions', leagueId, season);
-            if (!leagueTransactions) {
-              try {
-                console.log(`    Fetching transactions for ${season} (League ${leagueId}) - fetching all weeks in parallel...`);
-                leagueTransactions = await SleeperApiService.getTransactions(leagueId);
-                saveToCache('transactions', leagueId, season, leagueTransactions);
-                console.log(`    Fetched ${leagueTransactions.length} transactions for ${season} (League ${leagueId})`);
-              } catch (error) {
-                console.error(`Error fetching transactions for league ${leagueId}:`, error);
-                // If we get errors, it means transactions aren't available for this league
-                // This is common for older seasons or leagues that don't have transaction data
-                leagueTransactions = [];
-                console.log(`    No transactions found or error for ${season} (League ${leagueId}), setting to empty.`);
-              }
-            } else {
-              console.log(`    Loaded ${leagueTransactions.length} transactions from cache for ${season} (League ${leagueId})`);
-            }
+            const leagueTransactions = await loadSeasonTransactions({
+              leagueId, season, league: histLeague, nflState, signal,
+            });
+            console.log(`    Loaded ${leagueTransactions.length} transactions for ${season} (League ${leagueId})`);
             
             // Filter transactions that involve the player
             const playerTransactions = leagueTransactions.filter(t => 
@@ -422,6 +400,7 @@ const PlayerTradeHistoryModal = ({ player, onClose }) => {
               allTransactions.push(processedTransaction);
             }
           } catch (error) {
+            if (isAbortError(error)) throw error;
             console.error(`Error processing transactions for league ${leagueId}:`, error);
             console.log(`    Skipping season ${season} due to processing error.`);
           }
@@ -433,6 +412,7 @@ const PlayerTradeHistoryModal = ({ player, onClose }) => {
         setTransactions(allTransactions);
         console.log(`Total transactions found for player: ${allTransactions.length}`);
       } catch (error) {
+        if (isAbortError(error)) return;
         console.error('Error fetching player transactions:', error);
       } finally {
         // Set loading to false after a short delay to ensure UI updates
@@ -443,8 +423,10 @@ const PlayerTradeHistoryModal = ({ player, onClose }) => {
     };
     
     fetchTransactions();
+
+    return () => controller.abort();
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [player, seasonLeagueIds, getPlayerName, getPlayerNameById, getManagerName]); // Dependencies are correct now
+  }, [player, seasonLeagueIds, nflState, getPlayerName, getPlayerNameById, getManagerName]); // Dependencies are correct now
 
 
   // Format transaction date
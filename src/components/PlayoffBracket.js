@@ -0,0 +1,66 @@
+import React from 'react';
+import { Link } from 'react-router-dom';
+import { formatPoints } from '../utils/dataUtils';
+import { describeBracketSource, getBracketRounds } from '../utils/playoffBrackets';
+
+// Names of matches by the place they decide
+const PLACE_LABELS = { 1: 'Final', 3: '3rd Place', 5: '5th Place' };
+
+/**
+ * Render one bracket as columns of rounds
+ * @param {Object} props - Component props
+ * @param {Array} props.bracket - Bracket matches from loadPlayoffBrackets
+ * @param {Function} props.getTeamName - Roster ID -> display name
+ * @param {Function} props.getTeamLink - Roster ID -> team page path
+ * @param {Function} props.getPoints - (round, rosterId) -> points scored, or null if unknown
+ */
+const PlayoffBracket = ({ bracket, getTeamName, getTeamLink, getPoints }) => {
+  const rounds = getBracketRounds(bracket);
+
+  if (!rounds.length) {
+    return <div className="p-4 text-center text-gray-600">No bracket for this season.</div>;
+  }
+
+  const renderSlot = (match, rosterId, from) => {
+    const isWinner = match.w !== null && match.w !== undefined && match.w === rosterId;
+    const isLoser = match.l !== null && match.l !== undefined && match.l === rosterId;
+    const points = rosterId ? getPoints(match.r, rosterId) : null;
+
+    return (
+      <div className={`flex justify-between items-center px-3 py-2 ${isWinner ? 'font-semibold' : ''} ${isLoser ? 'text-gray-500' : ''}`}>
+        {rosterId ? (
+          <Link to={getTeamLink(rosterId)} className="truncate hover:text-blue-600">
+            {getTeamName(rosterId)}
+          </Link>
+        ) : (
+          <span className="italic text-gray-400">{describeBracketSource(from)}</span>
+        )}
+        {points !== null && points !== undefined && <span className="ml-3">{formatPoints(points)}</span>}
+      </div>
+    );
+  };
+
+  return (
+    <div className="flex gap-6 overflow-x-auto">
+      {rounds.map(({ round, matches }) => (
+        <div key={round} className="flex flex-col justify-around gap-4 min-w-[14rem]">
+          <h4 className="text-sm font-medium text-gray-500 uppercase tracking-wider text-center">Round {round}</h4>
+          {matches.map(match => (
+            <div key={match.m} className="border border-gray-300 rounded-lg bg-white shadow-sm text-sm">
+              <div className="flex justify-between px-3 py-1 bg-gray-50 text-xs text-gray-500 rounded-t-lg">
+                <span>M{match.m}</span>
+                {match.p && <span>{PLACE_LABELS[match.p] || `${match.p}th Place`}</span>}
+              </div>
+              <div className="divide-y divide-gray-200">
+                {renderSlot(match, match.t1, match.t1_from)}
+                {renderSlot(match, match.t2, match.t2_from)}
+              </div>
+            </div>
+          ))}
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default PlayoffBracket;
@@ -0,0 +1,214 @@
+import React, { useContext, useEffect, useMemo, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { LeagueContext } from '../contexts/LeagueContext';
+import { getStandings, formatPercentage, getWinRateColor } from '../utils/dataUtils';
+import { filterRegularSeasonMatchups } from '../utils/seasonCalendar';
+import { getOpponentsByWeek } from '../utils/strengthOfSchedule';
+import { getTeamPath } from '../utils/routes';
+
+const SIMULATION_COUNTS = [1000, 10000, 50000];
+
+// Fewer weeks than this make the scoring distributions unreliable
+const MIN_WEEKS_FOR_CONFIDENCE = 4;
+
+/**
+ * Format odds, flagging clinched and eliminated teams
+ * @param {number} odds - Odds in percent
+ * @returns {string} - e.g. "63%", ">99%", "<1%"
+ */
+const formatPlayoffOdds = (odds) => {
+  if (odds >= 100) return '100%';
+  if (odds <= 0) return '0%';
+  if (odds > 99) return '>99%';
+  if (odds < 1) return '<1%';
+  return formatPercentage(odds);
+};
+
+const PlayoffOdds = () => {
+  const { rosters, users, matchups, league, seasonCalendar, loading, leagueId, selectedSeason } = useContext(LeagueContext);
+  const [simulations, setSimulations] = useState(SIMULATION_COUNTS[1]);
+  const [runCounter, setRunCounter] = useState(0);
+  const [odds, setOdds] = useState(null);
+  const [isSimulating, setIsSimulating] = useState(false);
+  const [simulationError, setSimulationError] = useState(null);
+
+  const standings = useMemo(() => getStandings(rosters, users), [rosters, users]);
+
+  // Regular season pairings not yet played, once per game
+  const remainingGames = useMemo(() => {
+    if (!seasonCalendar || !matchups) return [];
+    const opponentsByWeek = getOpponentsByWeek(matchups.filter(m =>
+      m.week > seasonCalendar.lastScoredWeek && m.week < seasonCalendar.playoffWeekStart
+    ));
+
+    const games = [];
+    Object.entries(opponentsByWeek).forEach(([week, opponents]) => {
+      Object.entries(opponents).forEach(([rosterId, opponent]) => {
+        if (Number(rosterId) < opponent.roster_id) {
+          games.push({ week: Number(week), home: Number(rosterId), away: opponent.roster_id });
+        }
+      });
+    });
+    return games;
+  }, [matchups, seasonCalendar]);
+
+  const weeklyScores = useMemo(() => {
+    const scores = {};
+    filterRegularSeasonMatchups(matchups, seasonCalendar).forEach(matchup => {
+      if (!scores[matchup.roster_id]) scores[matchup.roster_id] = [];
+      scores[matchup.roster_id].push(matchup.points || 0);
+    });
+    return scores;
+  }, [matchups, seasonCalendar]);
+
+  const weeksPlayed = Math.max(0, ...Object.values(weeklyScores).map(scores => scores.length));
+  const playoffTeams = league?.settings?.playoff_teams;
+
+  // Run the simulation in a worker so the page stays responsive
+  useEffect(() => {
+    if (!standings.length || !remainingGames.length) {
+      setOdds(null);
+      return;
+    }
+
+    const worker = new Worker(new URL('../workers/playoffOdds.worker.js', import.meta.url));
+    setIsSimulating(true);
+    setSimulationError(null);
+
+    worker.onmessage = (event) => {
+      if (event.data.error) {
+        setSimulationError(event.data.error);
+      } else {
+        setOdds(event.data.result);
+      }
+      setIsSimulating(false);
+      worker.terminate();
+    };
+    worker.onerror = (event) => {
+      setSimulationError(event.message || 'Simulation failed');
+      setIsSimulating(false);
+      worker.terminate();
+    };
+
+    worker.postMessage({ standings, remainingGames, weeklyScores, playoffTeams, simulations });
+
+    return () => worker.terminate();
+  }, [standings, remainingGames, weeklyScores, playoffTeams, simulations, runCounter]);
+
+  if (loading) {
+    return <div className="p-4 text-center">Loading playoff odds...</div>;
+  }
+
+  if (!remainingGames.length) {
+    return (
+      <div className="p-4 text-center text-gray-600">
+        No remaining regular season matchups to simulate.
+      </div>
+    );
+  }
+
+  const rows = odds
+    ? standings
+      .filter(team => odds.teams[team.rosterId])
+      .map(team => ({ ...team, ...odds.teams[team.rosterId] }))
+      .sort((a, b) => (b.playoffOdds - a.playoffOdds) || (b.averageWins - a.averageWins))
+    : [];
+
+  return (
+    <div>
+      <div className="flex flex-wrap justify-between items-center gap-3 mb-4 text-sm">
+        <p className="text-gray-600">
+          {remainingGames.length} games left. {odds && `${odds.playoffSpots} playoff spots, ${odds.byeSpots} byes.`}
+        </p>
+        <div className="flex items-center gap-2">
+          <label htmlFor="simulation-count" className="font-medium">Simulations:</label>
+          <select
+            id="simulation-count"
+            value={simulations}
+            onChange={(e) => setSimulations(Number(e.target.value))}
+            className="px-2 py-1 border border-gray-300 rounded-md"
+          >
+            {SIMULATION_COUNTS.map(count => (
+              <option key={count} value={count}>{count.toLocaleString()}</option>
+            ))}
+          </select>
+          <button
+            onClick={() => setRunCounter(count => count + 1)}
+            disabled={isSimulating}
+            className="px-3 py-1 rounded-md text-white font-medium bg-blue-600 hover:bg-blue-700 disabled:bg-gray-400"
+          >
+            {isSimulating ? 'Simulating...' : 'Re-run'}
+          </button>
+        </div>
+      </div>
+
+      {weeksPlayed < MIN_WEEKS_FOR_CONFIDENCE && (
+        <p className="mb-4 text-sm text-yellow-700 bg-yellow-50 border border-yellow-200 rounded px-3 py-2">
+          Only {weeksPlayed} week{weeksPlayed === 1 ? '' : 's'} played so far, so these odds are rough.
+        </p>
+      )}
+
+      {simulationError && (
+        <p className="mb-4 text-sm text-red-600">Could not simulate the season: {simulationError}</p>
+      )}
+
+      {!odds ? (
+        <div className="p-4 text-center">Simulating the rest of the season...</div>
+      ) : (
+        <div className={`overflow-x-auto ${isSimulating ? 'opacity-50' : ''}`}>
+          <table className="min-w-full bg-white rounded-lg overflow-hidden shadow-lg text-sm">
+            <thead className="bg-gray-800 text-white">
+              <tr>
+                <th className="px-3 py-3 text-left">Team</th>
+                <th className="px-3 py-3 text-center">Record</th>
+                <th className="px-3 py-3 text-center">Proj. Wins</th>
+                <th className="px-3 py-3 text-center">Playoffs</th>
+                {odds.byeSpots > 0 && <th className="px-3 py-3 text-center">Bye</th>}
+                {rows.map((_, index) => (
+                  <th key={index} className="px-2 py-3 text-center font-normal text-xs">#{index + 1}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {rows.map((team, index) => (
+                <tr key={team.rosterId} className={index % 2 === 0 ? 'bg-white' : 'bg-gray-50'}>
+                  <td className="px-3 py-2 font-medium whitespace-nowrap">
+                    <Link to={getTeamPath(leagueId, selectedSeason, team.rosterId)} className="hover:text-blue-600">
+                      {team.teamName}
+                    </Link>
+                  </td>
+                  <td className="px-3 py-2 text-center">
+                    {team.wins}-{team.losses}{team.ties ? `-${team.ties}` : ''}
+                  </td>
+                  <td className="px-3 py-2 text-center">{team.averageWins.toFixed(1)}</td>
+                  <td className="px-3 py-2 text-center font-semibold" style={{ color: getWinRateColor(team.playoffOdds) }}>
+                    {formatPlayoffOdds(team.playoffOdds)}
+                  </td>
+                  {odds.byeSpots > 0 && (
+                    <td className="px-3 py-2 text-center">{formatPlayoffOdds(team.byeOdds)}</td>
+                  )}
+                  {team.seedOdds.map((seedOdds, seedIndex) => (
+                    <td
+                      key={seedIndex}
+                      className={`px-2 py-2 text-center text-xs ${seedIndex === odds.playoffSpots - 1 ? 'border-r-2 border-gray-400' : ''}`}
+                      style={{ backgroundColor: seedOdds > 0 ? `rgba(59, 130, 246, ${Math.min(0.9, seedOdds / 100 + 0.05)})` : undefined }}
+                      title={`Seed ${seedIndex + 1}: ${seedOdds.toFixed(1)}%`}
+                    >
+                      {seedOdds >= 0.5 ? Math.round(seedOdds) : ''}
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <p className="mt-2 text-xs text-gray-500">
+            Based on {odds.simulations.toLocaleString()} simulated seasons. Seed columns show the chance of
+            finishing in each position; the line marks the playoff cut.
+          </p>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PlayoffOdds;
@@ -1,18 +1,23 @@
 import React, { useState, useContext, useMemo } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { LeagueContext } from '../contexts/LeagueContext';
-import { getStandings, formatPoints } from '../utils/dataUtils';
+import { getStandings, formatPoints, formatSigned } from '../utils/dataUtils';
+import { filterRegularSeasonMatchups } from '../utils/seasonCalendar';
 import SleeperApiService from '../services/sleeperApi';
+import { getTeamPath } from '../utils/routes';
 
 const StandingsTable = () => {
-  const { rosters, users, loading } = useContext(LeagueContext);
+  const { rosters, users, matchups, seasonCalendar, loading, leagueId, selectedSeason } = useContext(LeagueContext);
   const [sortField, setSortField] = useState('rank');
   const [sortDirection, setSortDirection] = useState('asc');
   const navigate = useNavigate();
 
   const standings = useMemo(() => {
-    return getStandings(rosters, users);
-  }, [rosters, users]);
+    return getStandings(rosters, users, filterRegularSeasonMatchups(matchups, seasonCalendar));
+  }, [rosters, users, matchups, seasonCalendar]);
+
+  // All-play columns need at least one scored regular season week
+  const hasAllPlay = standings.some(team => team.allPlayPercentage !== null);
 
   const handleSort = (field) => {
     if (sortField === field) {
@@ -36,7 +41,7 @@ const StandingsTable = () => {
         const bWinPct = b.wins / (b.wins + b.losses + b.ties || 1);
         comparison = aWinPct - bWinPct;
       } else {
-        comparison = a[sortField] - b[sortField];
+        comparison = (a[sortField] ?? 0) - (b[sortField] ?? 0);
       }
 
       return sortDirection === 'asc' ? comparison : -comparison;
@@ -120,6 +125,40 @@ const StandingsTable = () => {
                 <span className="ml-1">{sortDirection === 'asc' ? '↑' : '↓'}</span>
               )}
             </th>
+            {hasAllPlay && (
+              <>
+                <th 
+                  className="px-4 py-3 text-center cursor-pointer hover:bg-gray-700"
+                  onClick={() => handleSort('allPlayPercentage')}
+                  title="Record if every week's score had been played against every other team"
+                >
+                  All-Play
+                  {sortField === 'allPlayPercentage' && (
+                    <span className="ml-1">{sortDirection === 'asc' ? '↑' : '↓'}</span>
+                  )}
+                </th>
+                <th 
+                  className="px-4 py-3 text-center cursor-pointer hover:bg-gray-700"
+                  onClick={() => handleSort('expectedWins')}
+                  title="Wins expected from the all-play win rate of each week"
+                >
+                  xW
+                  {sortField === 'expectedWins' && (
+                    <span className="ml-1">{sortDirection === 'asc' ? '↑' : '↓'}</span>
+                  )}
+                </th>
+                <th 
+                  className="px-4 py-3 text-center cursor-pointer hover:bg-gray-700"
+                  onClick={() => handleSort('luck')}
+                  title="Actual wins minus expected wins"
+                >
+                  Luck
+                  {sortField === 'luck' && (
+                    <span className="ml-1">{sortDirection === 'asc' ? '↑' : '↓'}</span>
+                  )}
+                </th>
+              </>
+            )}
           </tr>
         </thead>
         <tbody className="divide-y divide-gray-200">
@@ -133,7 +172,7 @@ const StandingsTable = () => {
               <tr 
                 key={team.rosterId} 
                 className={`${index % 2 === 0 ? 'bg-white' : 'bg-gray-50'} cursor-pointer hover:bg-blue-50`}
-                onClick={() => navigate(`/team/${team.rosterId}`)}
+                onClick={() => navigate(getTeamPath(leagueId, selectedSeason, team.rosterId))}
               >
                 <td className="px-4 py-3 text-gray-900">{team.rank || index + 1}</td>
                 <td className="px-4 py-3">
@@ -154,6 +193,23 @@ const StandingsTable = () => {
                 <td className="px-4 py-3 text-center">{winPercentage}</td>
                 <td className="px-4 py-3 text-center">{formatPoints(team.pointsFor)}</td>
                 <td className="px-4 py-3 text-center">{formatPoints(team.pointsAgainst)}</td>
+                {hasAllPlay && (
+                  <>
+                    <td className="px-4 py-3 text-center whitespace-nowrap">
+                      {team.allPlayPercentage !== null
+                        ? `${team.allPlayWins}-${team.allPlayLosses}${team.allPlayTies ? `-${team.allPlayTies}` : ''}`
+                        : '-'}
+                    </td>
+                    <td className="px-4 py-3 text-center">
+                      {team.expectedWins !== null ? team.expectedWins.toFixed(1) : '-'}
+                    </td>
+                    <td className={`px-4 py-3 text-center font-medium ${
+                      team.luck > 0.05 ? 'text-green-600' : team.luck < -0.05 ? 'text-red-600' : 'text-gray-600'
+                    }`}>
+                      {formatSigned(team.luck)}
+                    </td>
+                  </>
+                )}
               </tr>
             );
           })}
@@ -0,0 +1,152 @@
+import React, { useState, useContext, useMemo } from 'react';
+import { Link } from 'react-router-dom';
+import { LeagueContext } from '../contexts/LeagueContext';
+import { formatPoints, formatPercentage } from '../utils/dataUtils';
+import { calculateStrengthOfSchedule } from '../utils/strengthOfSchedule';
+import SleeperApiService from '../services/sleeperApi';
+import { getTeamPath } from '../utils/routes';
+
+// Sortable columns: key -> value getter
+const SORT_VALUES = {
+  teamName: team => team.teamName,
+  pastOpponentPoints: team => team.played.opponentAvgPoints,
+  pastOpponentWinPct: team => team.played.opponentWinPct,
+  pointsAgainst: team => team.played.pointsAgainstAvg,
+  remainingGames: team => team.remaining?.games ?? 0,
+  remainingOpponentPoints: team => team.remaining?.opponentAvgPoints,
+  remainingOpponentWinPct: team => team.remaining?.opponentWinPct,
+};
+
+const StrengthOfScheduleTable = () => {
+  const { rosters, users, matchups, seasonCalendar, loading, leagueId, selectedSeason } = useContext(LeagueContext);
+  const [sortField, setSortField] = useState('pastOpponentPoints');
+  const [sortDirection, setSortDirection] = useState('desc');
+
+  const teams = useMemo(() => {
+    return calculateStrengthOfSchedule(matchups, seasonCalendar).map(team => {
+      const roster = rosters?.find(r => r.roster_id === team.rosterId);
+      const user = roster && users?.find(u => u.user_id === roster.owner_id);
+      return {
+        ...team,
+        teamName: user?.display_name || `Team ${team.rosterId}`,
+        avatar: user?.avatar,
+      };
+    });
+  }, [matchups, seasonCalendar, rosters, users]);
+
+  const hasRemaining = teams.some(team => team.remaining);
+
+  const handleSort = (field) => {
+    if (sortField === field) {
+      setSortDirection(sortDirection === 'asc' ? 'desc' : 'asc');
+    } else {
+      setSortField(field);
+      setSortDirection(field === 'teamName' ? 'asc' : 'desc');
+    }
+  };
+
+  const sortedTeams = useMemo(() => {
+    const getValue = SORT_VALUES[sortField];
+    return [...teams].sort((a, b) => {
+      const aValue = getValue(a);
+      const bValue = getValue(b);
+      const comparison = typeof aValue === 'string'
+        ? aValue.localeCompare(bValue)
+        : (aValue ?? -Infinity) - (bValue ?? -Infinity);
+      return sortDirection === 'asc' ? comparison : -comparison;
+    });
+  }, [teams, sortField, sortDirection]);
+
+  const renderHeader = (field, label, title) => (
+    <th
+      className={`px-4 py-3 ${field === 'teamName' ? 'text-left' : 'text-center'} cursor-pointer hover:bg-gray-700`}
+      onClick={() => handleSort(field)}
+      title={title}
+    >
+      {label}
+      {sortField === field && (
+        <span className="ml-1">{sortDirection === 'asc' ? '↑' : '↓'}</span>
+      )}
+    </th>
+  );
+
+  if (loading) {
+    return <div className="p-4 text-center">Loading strength of schedule...</div>;
+  }
+
+  if (!teams.length || !teams.some(team => team.played.games > 0)) {
+    return <div className="p-4 text-center">No regular season games played yet.</div>;
+  }
+
+  return (
+    <div className="overflow-x-auto">
+      <table className="min-w-full bg-white rounded-lg overflow-hidden shadow-lg">
+        <thead className="bg-gray-800 text-white">
+          <tr>
+            {renderHeader('teamName', 'Team')}
+            {renderHeader('pastOpponentPoints', 'Opp Avg Pts', "Average points per week of the opponents faced")}
+            {renderHeader('pastOpponentWinPct', 'Opp Win %', "Average win percentage of the opponents faced")}
+            {renderHeader('pointsAgainst', 'PA / Game', 'Points actually scored against this team per game')}
+            {hasRemaining && (
+              <>
+                {renderHeader('remainingGames', 'Left', 'Regular season games remaining')}
+                {renderHeader('remainingOpponentPoints', 'Rem. Opp Avg Pts', 'Average points per week of the remaining opponents')}
+                {renderHeader('remainingOpponentWinPct', 'Rem. Opp Win %', 'Average win percentage of the remaining opponents')}
+              </>
+            )}
+          </tr>
+        </thead>
+        <tbody className="divide-y divide-gray-200">
+          {sortedTeams.map((team, index) => (
+            <tr key={team.rosterId} className={index % 2 === 0 ? 'bg-white' : 'bg-gray-50'}>
+              <td className="px-4 py-3">
+                <Link
+                  to={getTeamPath(leagueId, selectedSeason, team.rosterId)}
+                  className="flex items-center hover:text-blue-600"
+                >
+                  {team.avatar && (
+                    <img
+                      src={SleeperApiService.getAvatarUrl(team.avatar)}
+                      alt={`${team.teamName} avatar`}
+                      className="w-8 h-8 rounded-full mr-3"
+                    />
+                  )}
+                  <span className="font-medium">{team.teamName}</span>
+                </Link>
+              </td>
+              <td className="px-4 py-3 text-center">
+                {formatPoints(team.played.opponentAvgPoints)}
+                {team.played.rank && <span className="ml-1 text-xs text-gray-500">(#{team.played.rank})</span>}
+              </td>
+              <td className="px-4 py-3 text-center">{formatPercentage(team.played.opponentWinPct)}</td>
+              <td className="px-4 py-3 text-center">{formatPoints(team.played.pointsAgainstAvg)}</td>
+              {hasRemaining && (
+                <>
+                  <td className="px-4 py-3 text-center">{team.remaining?.games || 0}</td>
+                  <td className="px-4 py-3 text-center">
+                    {team.remaining ? (
+                      <>
+                        {formatPoints(team.remaining.opponentAvgPoints)}
+                        {team.remaining.rank && (
+                          <span className="ml-1 text-xs text-gray-500">(#{team.remaining.rank})</span>
+                        )}
+                      </>
+                    ) : '-'}
+                  </td>
+                  <td className="px-4 py-3 text-center">
+                    {team.remaining ? formatPercentage(team.remaining.opponentWinPct) : '-'}
+                  </td>
+                </>
+              )}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <p className="mt-2 text-xs text-gray-500">
+        Rank #1 is the toughest schedule. Opponent strength is based on regular season weeks played so far.
+      </p>
+    </div>
+  );
+};
+
+export default StrengthOfScheduleTable;
@@ -0,0 +1,92 @@
+import React, { useContext, useMemo } from 'react';
+import { Link } from 'react-router-dom';
+import { LeagueContext } from '../contexts/LeagueContext';
+import useTradedPicks from '../hooks/useTradedPicks';
+import { buildPickLedger } from '../utils/pickLedger';
+import { getPickLedgerPath, getTeamPath } from '../utils/routes';
+
+const TeamDraftPicks = ({ rosterId }) => {
+  const { league, rosters, users, leagueId, selectedSeason } = useContext(LeagueContext);
+  const { tradedPicks, drafts, error } = useTradedPicks();
+
+  const { owned, tradedAway } = useMemo(() => {
+    if (!tradedPicks || !drafts) return { owned: null, tradedAway: [] };
+    const ledger = buildPickLedger({ league, rosters, drafts, tradedPicks });
+    const id = parseInt(rosterId);
+    return {
+      owned: ledger.filter(pick => pick.ownerRosterId === id),
+      tradedAway: ledger.filter(pick => pick.originalRosterId === id && pick.ownerRosterId !== id),
+    };
+  }, [league, rosters, drafts, tradedPicks, rosterId]);
+
+  const getTeamName = (pickRosterId) => {
+    const roster = rosters?.find(r => r.roster_id === pickRosterId);
+    const user = roster && users?.find(u => u.user_id === roster.owner_id);
+    return user?.display_name || `Team ${pickRosterId}`;
+  };
+
+  if (error) {
+    return <div className="p-4 text-center text-red-600">{error}</div>;
+  }
+
+  if (!owned) {
+    return <div className="p-4 text-center">Loading draft picks...</div>;
+  }
+
+  // Nothing to show in leagues without future picks, such as redraft leagues
+  if (!owned.length && !tradedAway.length) {
+    return null;
+  }
+
+  const seasons = [...new Set([...owned, ...tradedAway].map(pick => pick.season))];
+
+  return (
+    <div className="bg-white shadow overflow-hidden sm:rounded-lg">
+      <div className="px-4 py-5 sm:px-6 bg-gray-800 text-white flex justify-between items-center">
+        <h3 className="text-lg leading-6 font-medium">Draft Picks</h3>
+        <Link to={getPickLedgerPath(leagueId, selectedSeason)} className="text-sm text-blue-300 hover:underline">
+          Pick Ledger
+        </Link>
+      </div>
+      <div className="border-t border-gray-200 px-4 py-5 sm:p-6">
+        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4">
+          {seasons.map(season => {
+            const seasonOwned = owned.filter(pick => pick.season === season);
+            const seasonAway = tradedAway.filter(pick => pick.season === season);
+            return (
+              <div key={season} className="bg-gray-50 p-4 rounded-lg">
+                <h4 className="text-lg font-semibold mb-2">{season}</h4>
+                {seasonOwned.length ? (
+                  <ul className="text-sm space-y-1">
+                    {seasonOwned.map(pick => (
+                      <li key={`${pick.round}-${pick.originalRosterId}`}>
+                        <span className="font-medium">Round {pick.round}</span>
+                        {pick.isTraded && (
+                          <span className="ml-1 text-amber-700">
+                            via{' '}
+                            <Link to={getTeamPath(leagueId, selectedSeason, pick.originalRosterId)} className="hover:underline">
+                              {getTeamName(pick.originalRosterId)}
+                            </Link>
+                          </span>
+                        )}
+                      </li>
+                    ))}
+                  </ul>
+                ) : (
+                  <p className="text-sm text-gray-500">No picks.</p>
+                )}
+                {seasonAway.length > 0 && (
+                  <p className="mt-2 text-xs text-gray-500">
+                    Traded away: {seasonAway.map(pick => `R${pick.round} to ${getTeamName(pick.ownerRosterId)}`).join(', ')}
+                  </p>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default TeamDraftPicks;
@@ -1,4 +1,4 @@
-import React, { useContext, useMemo } from 'react';
+import React, { useContext, useMemo, useState } from 'react';
 import { Line } from 'react-chartjs-2';
 import {
   Chart as ChartJS,
@@ -9,9 +9,12 @@ import {
   Title,
   Tooltip,
   Legend,
+  Filler,
 } from 'chart.js';
 import { LeagueContext } from '../contexts/LeagueContext';
 import { formatPoints } from '../utils/dataUtils';
+import { filterScoredMatchups } from '../utils/seasonCalendar';
+import { calculateTeamDistributions } from '../utils/scoringDistribution';
 
 // Register ChartJS components
 ChartJS.register(
@@ -21,19 +24,32 @@ ChartJS.register(
   LineElement,
   Title,
   Tooltip,
-  Legend
+  Legend,
+  Filler
 );
 
+// Lower edges of the distribution bands, drawn only as fill boundaries
+const BAND_EDGE_LABELS = ['Floor (10th pct)', '25th pct'];
+
 const TeamPerformanceChart = ({ rosterId }) => {
-  const { matchups, loading } = useContext(LeagueContext);
+  const { matchups, loading, seasonCalendar } = useContext(LeagueContext);
+  const [showDistribution, setShowDistribution] = useState(false);
+
+  const scoredMatchups = useMemo(() => filterScoredMatchups(matchups, seasonCalendar), [matchups, seasonCalendar]);
 
   const teamMatchups = useMemo(() => {
-    if (!matchups || !matchups.length || !rosterId) return [];
+    if (!scoredMatchups.length || !rosterId) return [];
     
-    return matchups
+    return scoredMatchups
       .filter(m => m.roster_id === parseInt(rosterId))
       .sort((a, b) => a.week - b.week);
-  }, [matchups, rosterId]);
+  }, [scoredMatchups, rosterId]);
+
+  // Spread of this team's weekly scores, and how often it beat the league median
+  const distribution = useMemo(
+    () => (rosterId ? calculateTeamDistributions(scoredMatchups)[parseInt(rosterId)] || null : null),
+    [scoredMatchups, rosterId]
+  );
 
   const chartData = useMemo(() => {
     if (!teamMatchups.length) return null;
@@ -43,6 +59,53 @@ const TeamPerformanceChart = ({ rosterId }) => {
     
     // Calculate average points per week
     const avgPoints = points.reduce((sum, p) => sum + p, 0) / points.length;
+    const flatLine = (value) => Array(weeks.length).fill(value);
+
+    // Shaded 10th-90th and 25th-75th percentile bands, each filled down to its lower edge
+    const distributionDatasets = showDistribution && distribution ? [
+      {
+        label: BAND_EDGE_LABELS[0],
+        data: flatLine(distribution.floor),
+        borderColor: 'rgba(16, 185, 129, 0.4)',
+        borderWidth: 1,
+        pointRadius: 0,
+        fill: false,
+      },
+      {
+        label: 'Ceiling (90th pct)',
+        data: flatLine(distribution.ceiling),
+        borderColor: 'rgba(16, 185, 129, 0.4)',
+        backgroundColor: 'rgba(16, 185, 129, 0.08)',
+        borderWidth: 1,
+        pointRadius: 0,
+        fill: '-1',
+      },
+      {
+        label: BAND_EDGE_LABELS[1],
+        data: flatLine(distribution.lowerQuartile),
+        borderColor: 'rgba(16, 185, 129, 0.6)',
+        borderWidth: 1,
+        pointRadius: 0,
+        fill: false,
+      },
+      {
+        label: '75th pct',
+        data: flatLine(distribution.upperQuartile),
+        borderColor: 'rgba(16, 185, 129, 0.6)',
+        backgroundColor: 'rgba(16, 185, 129, 0.18)',
+        borderWidth: 1,
+        pointRadius: 0,
+        fill: '-1',
+      },
+      {
+        label: 'Median',
+        data: flatLine(distribution.median),
+        borderColor: 'rgb(16, 185, 129)',
+        borderDash: [2, 2],
+        pointRadius: 0,
+        fill: false,
+      },
+    ] : [];
     
     return {
       labels: weeks,
@@ -62,9 +125,10 @@ const TeamPerformanceChart = ({ rosterId }) => {
           borderDash: [5, 5],
           pointRadius: 0,
         },
+        ...distributionDatasets,
       ],
     };
-  }, [teamMatchups]);
+  }, [teamMatchups, showDistribution, distribution]);
 
   const chartOptions = {
     responsive: true,
@@ -72,6 +136,9 @@ const TeamPerformanceChart = ({ rosterId }) => {
     plugins: {
       legend: {
         position: 'top',
+        labels: {
+          filter: (item) => !BAND_EDGE_LABELS.includes(item.text),
+        },
       },
       title: {
         display: true,
@@ -119,6 +186,17 @@ const TeamPerformanceChart = ({ rosterId }) => {
 
   return (
     <div className="bg-white p-4 rounded-lg shadow-md">
+      <div className="flex justify-end mb-2">
+        <label className="flex items-center text-sm text-gray-700">
+          <input
+            type="checkbox"
+            checked={showDistribution}
+            onChange={(e) => setShowDistribution(e.target.checked)}
+            className="mr-2"
+          />
+          Show scoring distribution
+        </label>
+      </div>
       <div className="h-80">
         {chartData && <Line data={chartData} options={chartOptions} />}
       </div>
@@ -147,6 +225,35 @@ const TeamPerformanceChart = ({ rosterId }) => {
           <p className="text-lg font-semibold">{teamMatchups.length}</p>
         </div>
       </div>
+
+      {distribution && (
+        <div className="mt-4 grid grid-cols-2 sm:grid-cols-5 gap-4">
+          <div className="bg-gray-50 p-3 rounded-lg">
+            <p className="text-sm text-gray-500">Median</p>
+            <p className="text-lg font-semibold">{formatPoints(distribution.median)}</p>
+          </div>
+          <div className="bg-gray-50 p-3 rounded-lg">
+            <p className="text-sm text-gray-500">Std Dev</p>
+            <p className="text-lg font-semibold">{formatPoints(distribution.stdDev)}</p>
+          </div>
+          <div className="bg-gray-50 p-3 rounded-lg" title="Standard deviation as a share of the average; lower is more consistent">
+            <p className="text-sm text-gray-500">Variation</p>
+            <p className="text-lg font-semibold">{distribution.coefficientOfVariation.toFixed(1)}%</p>
+          </div>
+          <div className="bg-gray-50 p-3 rounded-lg" title="10th and 90th percentile weekly scores">
+            <p className="text-sm text-gray-500">Floor / Ceiling</p>
+            <p className="text-lg font-semibold">
+              {distribution.floor.toFixed(1)} / {distribution.ceiling.toFixed(1)}
+            </p>
+          </div>
+          <div className="bg-gray-50 p-3 rounded-lg" title="Weeks scoring above the league's median score">
+            <p className="text-sm text-gray-500">Above League Median</p>
+            <p className="text-lg font-semibold">
+              {distribution.weeksAboveMedian} of {distribution.games}
+            </p>
+          </div>
+        </div>
+      )}
     </div>
   );
 };
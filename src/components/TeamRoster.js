@@ -1,6 +1,6 @@
 import React, { useContext, useMemo, useState } from 'react';
 import { LeagueContext } from '../contexts/LeagueContext';
-import { splitRosterByRole } from '../utils/dataUtils';
+import { getPositionColor, splitRosterByRole } from '../utils/dataUtils';
 import SleeperApiService from '../services/sleeperApi';
 import PlayerTradeHistoryModal from './PlayerTradeHistoryModal';
 
@@ -29,22 +29,6 @@ const TeamRoster = ({ rosterId, week }) => {
     return splitRosterByRole(allPlayers, starters, players);
   }, [roster, players, matchup]);
 
-  const getPositionColor = (position) => {
-    const positionColors = {
-      QB: 'bg-red-100 text-red-800',
-      RB: 'bg-blue-100 text-blue-800',
-      WR: 'bg-green-100 text-green-800',
-      TE: 'bg-purple-100 text-purple-800',
-      K: 'bg-yellow-100 text-yellow-800',
-      DEF: 'bg-gray-100 text-gray-800',
-      DL: 'bg-indigo-100 text-indigo-800',
-      LB: 'bg-pink-100 text-pink-800',
-      DB: 'bg-orange-100 text-orange-800',
-    };
-    
-    return positionColors[position] || 'bg-gray-100 text-gray-800';
-  };
-
   const handlePlayerClick = (player) => {
     setSelectedPlayer(player);
     setIsModalOpen(true);
@@ -0,0 +1,123 @@
+import React, { useContext, useMemo } from 'react';
+import { Link } from 'react-router-dom';
+import { LeagueContext } from '../contexts/LeagueContext';
+import { formatPoints, formatPercentage } from '../utils/dataUtils';
+import { calculateStrengthOfSchedule } from '../utils/strengthOfSchedule';
+import { getTeamPath } from '../utils/routes';
+
+const TeamSchedule = ({ rosterId }) => {
+  const { rosters, users, matchups, seasonCalendar, loading, leagueId, selectedSeason } = useContext(LeagueContext);
+
+  const strength = useMemo(() => {
+    const teams = calculateStrengthOfSchedule(matchups, seasonCalendar);
+    const team = teams.find(t => t.rosterId === parseInt(rosterId));
+    return team ? { ...team, teamCount: teams.length } : null;
+  }, [matchups, seasonCalendar, rosterId]);
+
+  const getTeamName = (opponentRosterId) => {
+    const roster = rosters?.find(r => r.roster_id === opponentRosterId);
+    const user = roster && users?.find(u => u.user_id === roster.owner_id);
+    return user?.display_name || `Team ${opponentRosterId}`;
+  };
+
+  if (loading) {
+    return <div className="p-4 text-center">Loading schedule...</div>;
+  }
+
+  if (!strength || (strength.played.games === 0 && !strength.remaining)) {
+    return null;
+  }
+
+  const renderSummary = (title, section) => (
+    <div className="bg-gray-50 p-4 rounded-lg">
+      <h4 className="text-lg font-semibold mb-3">{title}</h4>
+      {section && section.opponentAvgPoints !== null ? (
+        <div className="grid grid-cols-2 gap-4">
+          <div>
+            <p className="text-sm text-gray-500">Opponent Avg Points</p>
+            <p className="text-lg font-semibold">{formatPoints(section.opponentAvgPoints)}</p>
+          </div>
+          <div>
+            <p className="text-sm text-gray-500">Opponent Win %</p>
+            <p className="text-lg font-semibold">{formatPercentage(section.opponentWinPct)}</p>
+          </div>
+          <div>
+            <p className="text-sm text-gray-500">Games</p>
+            <p className="text-lg font-semibold">{section.games}</p>
+          </div>
+          <div>
+            <p className="text-sm text-gray-500">Difficulty</p>
+            <p className="text-lg font-semibold">
+              {section.rank ? `#${section.rank} of ${strength.teamCount}` : '-'}
+            </p>
+          </div>
+        </div>
+      ) : (
+        <p className="text-sm text-gray-500">No games.</p>
+      )}
+    </div>
+  );
+
+  const renderGame = (game, isPlayed) => {
+    const won = game.points > game.opponentPoints;
+    const tied = game.points === game.opponentPoints;
+    return (
+      <tr key={game.week}>
+        <td className="px-4 py-2">{game.week}</td>
+        <td className="px-4 py-2">
+          <Link
+            to={getTeamPath(leagueId, selectedSeason, game.opponentRosterId)}
+            className="text-blue-600 hover:underline"
+          >
+            {getTeamName(game.opponentRosterId)}
+          </Link>
+        </td>
+        <td className="px-4 py-2 text-center">
+          {isPlayed ? (
+            <span className={won ? 'text-green-600' : tied ? 'text-gray-600' : 'text-red-600'}>
+              {won ? 'W' : tied ? 'T' : 'L'} {formatPoints(game.points)}-{formatPoints(game.opponentPoints)}
+            </span>
+          ) : (
+            <span className="text-gray-400">Upcoming</span>
+          )}
+        </td>
+        <td className="px-4 py-2 text-center">{formatPoints(game.avgPoints)}</td>
+        <td className="px-4 py-2 text-center">{formatPercentage(game.winPct)}</td>
+      </tr>
+    );
+  };
+
+  return (
+    <div className="bg-white shadow overflow-hidden sm:rounded-lg">
+      <div className="px-4 py-5 sm:px-6 bg-gray-800 text-white">
+        <h3 className="text-lg leading-6 font-medium">Strength of Schedule</h3>
+      </div>
+      <div className="border-t border-gray-200 px-4 py-5 sm:p-6">
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-6 mb-6">
+          {renderSummary('Played', strength.played)}
+          {renderSummary('Remaining', strength.remaining)}
+        </div>
+
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200 text-sm">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Week</th>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Opponent</th>
+                <th className="px-4 py-2 text-center text-xs font-medium text-gray-500 uppercase tracking-wider">Result</th>
+                <th className="px-4 py-2 text-center text-xs font-medium text-gray-500 uppercase tracking-wider">Opp Avg Pts</th>
+                <th className="px-4 py-2 text-center text-xs font-medium text-gray-500 uppercase tracking-wider">Opp Win %</th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {strength.played.schedule.map(game => renderGame(game, true))}
+              {strength.remaining?.schedule.map(game => renderGame(game, false))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default TeamSchedule;
@@ -1,10 +1,14 @@
 import React, { useContext, useMemo } from 'react';
 import { LeagueContext } from '../contexts/LeagueContext';
-import { calculateAveragePoints, calculateWinRate, formatPoints, formatPercentage, getWinRateColor } from '../utils/dataUtils';
+import {
+  calculateAveragePoints, calculateWinRate, formatPoints, formatPercentage, formatSigned, getWinRateColor, getStandings,
+} from '../utils/dataUtils';
+import { filterScoredMatchups, filterRegularSeasonMatchups } from '../utils/seasonCalendar';
+import { calculateManagerEfficiency } from '../utils/optimalLineup';
 
 
 const TeamStats = ({ rosterId }) => {
-  const { rosters, users, matchups, loading, league } = useContext(LeagueContext);
+  const { rosters, users, players, league, matchups: allMatchups, loading, seasonCalendar } = useContext(LeagueContext);
 
   const roster = useMemo(() => {
     if (!rosters || !rosterId) return null;
@@ -18,10 +22,14 @@ const TeamStats = ({ rosterId }) => {
 
   // Calculate regular season and playoff stats
   const stats = useMemo(() => {
-    if (!matchups.length || !league || !rosterId) return null;
+    if (!seasonCalendar || !rosterId) return null;
+
+    // Only weeks with final scores count towards stats
+    const matchups = filterScoredMatchups(allMatchups, seasonCalendar);
+    if (!matchups.length) return null;
 
     // Determine playoff weeks based on league settings
-    const playoffStartWeek = league.settings?.playoff_week_start || 15;
+    const { playoffWeekStart: playoffStartWeek } = seasonCalendar;
     
     // For win rate, we need all matchups to find opponents
     const allRegularSeasonMatchups = matchups.filter(m => m.week < playoffStartWeek);
@@ -58,7 +66,35 @@ const TeamStats = ({ rosterId }) => {
       regularSeasonGames: teamRegularSeasonMatchups.length,
       playoffGames: teamPlayoffMatchups.length,
     };
-  }, [matchups, league, rosterId]);
+  }, [allMatchups, seasonCalendar, rosterId]);
+
+  // All-play record and luck, ranked against the rest of the league
+  const luckStats = useMemo(() => {
+    if (!seasonCalendar || !rosterId) return null;
+
+    const standings = getStandings(rosters, users, filterRegularSeasonMatchups(allMatchups, seasonCalendar))
+      .filter(team => team.luck !== null)
+      .sort((a, b) => b.luck - a.luck);
+    const index = standings.findIndex(team => team.rosterId === parseInt(rosterId));
+    if (index === -1) return null;
+
+    return { ...standings[index], luckRank: index + 1, teamCount: standings.length };
+  }, [rosters, users, allMatchups, seasonCalendar, rosterId]);
+
+  // Points left on the bench compared with the best possible lineup each week
+  const efficiencyStats = useMemo(() => {
+    if (!seasonCalendar || !rosterId) return null;
+
+    const teams = calculateManagerEfficiency(
+      filterScoredMatchups(allMatchups, seasonCalendar),
+      league?.roster_positions,
+      players
+    );
+    const index = teams.findIndex(team => team.rosterId === parseInt(rosterId));
+    if (index === -1) return null;
+
+    return { ...teams[index], efficiencyRank: index + 1, teamCount: teams.length };
+  }, [allMatchups, seasonCalendar, league, players, rosterId]);
 
   if (loading) {
     return <div className="p-4 text-center">Loading team stats...</div>;
@@ -211,6 +247,89 @@ const TeamStats = ({ rosterId }) => {
               </div>
             </div>
           </div>
+
+          {/* All-Play and Luck */}
+          {luckStats && (
+            <div className="bg-gray-50 p-4 rounded-lg md:col-span-2">
+              <h4 className="text-lg font-semibold mb-1">All-Play &amp; Luck</h4>
+              <p className="text-xs text-gray-500 mb-4">
+                Regular season scores compared against every other team each week
+              </p>
+              <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+                <div>
+                  <p className="text-sm text-gray-500">All-Play Record</p>
+                  <p className="text-lg font-semibold">
+                    {luckStats.allPlayWins}-{luckStats.allPlayLosses}
+                    {luckStats.allPlayTies ? `-${luckStats.allPlayTies}` : ''}
+                  </p>
+                  <p className="text-xs text-gray-500">{formatPercentage(luckStats.allPlayPercentage)}</p>
+                </div>
+                <div>
+                  <p className="text-sm text-gray-500">Expected Wins</p>
+                  <p className="text-lg font-semibold">{luckStats.expectedWins.toFixed(1)}</p>
+                </div>
+                <div>
+                  <p className="text-sm text-gray-500">Actual Wins</p>
+                  <p className="text-lg font-semibold">
+                    {luckStats.wins}{luckStats.ties ? ` (+${luckStats.ties} T)` : ''}
+                  </p>
+                </div>
+                <div>
+                  <p className="text-sm text-gray-500">Luck Index</p>
+                  <p className={`text-lg font-semibold ${
+                    luckStats.luck > 0.05 ? 'text-green-600' : luckStats.luck < -0.05 ? 'text-red-600' : ''
+                  }`}>
+                    {formatSigned(luckStats.luck)}
+                  </p>
+                  <p className="text-xs text-gray-500">
+                    {luckStats.luckRank === 1
+                      ? 'Luckiest team in the league'
+                      : luckStats.luckRank === luckStats.teamCount
+                        ? 'Unluckiest team in the league'
+                        : `#${luckStats.luckRank} of ${luckStats.teamCount} in luck`}
+                  </p>
+                </div>
+              </div>
+            </div>
+          )}
+
+          {/* Lineup Efficiency */}
+          {efficiencyStats && (
+            <div className="bg-gray-50 p-4 rounded-lg md:col-span-2">
+              <h4 className="text-lg font-semibold mb-1">Lineup Efficiency</h4>
+              <p className="text-xs text-gray-500 mb-4">
+                Points scored compared with the best possible lineup from the same roster each week
+              </p>
+              <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+                <div>
+                  <p className="text-sm text-gray-500">Efficiency</p>
+                  <p className="text-lg font-semibold">{efficiencyStats.efficiency.toFixed(1)}%</p>
+                  <p className="text-xs text-gray-500">
+                    #{efficiencyStats.efficiencyRank} of {efficiencyStats.teamCount} in the league
+                  </p>
+                </div>
+                <div>
+                  <p className="text-sm text-gray-500">Points Left on Bench</p>
+                  <p className="text-lg font-semibold">{formatPoints(efficiencyStats.pointsLeft)}</p>
+                  {efficiencyStats.worstWeek && efficiencyStats.worstWeek.pointsLeft > 0 && (
+                    <p className="text-xs text-gray-500">
+                      Most in week {efficiencyStats.worstWeek.week} ({formatPoints(efficiencyStats.worstWeek.pointsLeft)})
+                    </p>
+                  )}
+                </div>
+                <div>
+                  <p className="text-sm text-gray-500">Total Bench Points</p>
+                  <p className="text-lg font-semibold">{formatPoints(efficiencyStats.benchPoints)}</p>
+                </div>
+                <div>
+                  <p className="text-sm text-gray-500">Perfect Lineups</p>
+                  <p className="text-lg font-semibold">
+                    {efficiencyStats.perfectWeeks} of {efficiencyStats.weeks}
+                  </p>
+                </div>
+              </div>
+            </div>
+          )}
         </div>
       </div>
     </div>
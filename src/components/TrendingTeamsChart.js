@@ -2,15 +2,16 @@ import React, { useContext, useState, useMemo } from 'react';
 import { Bar } from 'react-chartjs-2';
 import { Chart as ChartJS, CategoryScale, LinearScale, BarElement, Title, Tooltip, Legend } from 'chart.js';
 import { LeagueContext } from '../contexts/LeagueContext';
-import { getTrendingTeams } from '../utils/dataUtils';
+import { formatSigned, getTrendingTeams } from '../utils/dataUtils';
+import { filterScoredMatchups } from '../utils/seasonCalendar';
 import SleeperApiService from '../services/sleeperApi';
 
 // Register ChartJS components
 ChartJS.register(CategoryScale, LinearScale, BarElement, Title, Tooltip, Legend);
 
 const TrendingTeamsChart = () => {
-  const { matchups, users, rosters, loading } = useContext(LeagueContext);
-  const [weeksToConsider, setWeeksToConsider] = useState(3);
+  const { matchups, users, rosters, loading, seasonCalendar } = useContext(LeagueContext);
+  const [weeksToConsider, setWeeksToConsider] = useState(4);
   const [excludedTeams, setExcludedTeams] = useState([]);
 
   const trendingTeams = useMemo(() => {
@@ -22,14 +23,14 @@ const TrendingTeamsChart = () => {
       });
     }
     
-    // Add owner_id to each matchup
-    const matchupsWithOwners = matchups.map(matchup => ({
+    // Add owner_id to each matchup, skipping weeks without final scores
+    const matchupsWithOwners = filterScoredMatchups(matchups, seasonCalendar).map(matchup => ({
       ...matchup,
       owner_id: rosterOwnerMap[matchup.roster_id]
     }));
     
     return getTrendingTeams(matchupsWithOwners, users, weeksToConsider);
-  }, [matchups, users, weeksToConsider, rosters]);
+  }, [matchups, users, weeksToConsider, rosters, seasonCalendar]);
 
   const handleToggleTeam = (rosterId) => {
     setExcludedTeams(prev => 
@@ -39,20 +40,25 @@ const TrendingTeamsChart = () => {
     );
   };
 
+  const filteredTeams = useMemo(
+    () => trendingTeams.filter(team => !excludedTeams.includes(team.rosterId)),
+    [trendingTeams, excludedTeams]
+  );
+
   const chartData = useMemo(() => {
-    if (!trendingTeams.length) return null;
+    if (!filteredTeams.length) return null;
 
-    const filteredTeams = trendingTeams.filter(team => !excludedTeams.includes(team.rosterId));
-    
     return {
       labels: filteredTeams.map(team => team.teamName),
       datasets: [
         {
           label: 'Point Trend',
           data: filteredTeams.map(team => team.trend),
-          backgroundColor: filteredTeams.map(team => 
-            team.trend >= 0 ? 'rgba(34, 197, 94, 0.7)' : 'rgba(239, 68, 68, 0.7)'
-          ),
+          // Trends within normal week-to-week variation are drawn faded
+          backgroundColor: filteredTeams.map(team => {
+            const opacity = team.isSignificant ? 0.7 : 0.25;
+            return team.trend >= 0 ? `rgba(34, 197, 94, ${opacity})` : `rgba(239, 68, 68, ${opacity})`;
+          }),
           borderColor: filteredTeams.map(team => 
             team.trend >= 0 ? 'rgb(34, 197, 94)' : 'rgb(239, 68, 68)'
           ),
@@ -60,7 +66,7 @@ const TrendingTeamsChart = () => {
         },
       ],
     };
-  }, [trendingTeams, excludedTeams]);
+  }, [filteredTeams]);
 
   const chartOptions = {
     responsive: true,
@@ -80,7 +86,15 @@ const TrendingTeamsChart = () => {
         callbacks: {
           label: (context) => {
             const value = context.raw;
-            return `Trend: ${value > 0 ? '+' : ''}${value.toFixed(2)} points`;
+            return `Trend: ${value > 0 ? '+' : ''}${value.toFixed(2)} points per week`;
+          },
+          afterLabel: (context) => {
+            const team = filteredTeams[context.dataIndex];
+            if (!team) return '';
+            return [
+              `Last ${team.recentPoints.length} weeks avg: ${team.rollingAverage.toFixed(1)} (season ${team.seasonAverage.toFixed(1)})`,
+              `Change: ${formatSigned(team.strength)} std devs${team.isSignificant ? '' : ' (within normal variation)'}`,
+            ];
           },
         },
       },
@@ -89,7 +103,7 @@ const TrendingTeamsChart = () => {
       y: {
         title: {
           display: true,
-          text: 'Point Differential from Average',
+          text: 'Points per Week',
         },
         grid: {
           color: 'rgba(0, 0, 0, 0.1)',
@@ -117,8 +131,8 @@ const TrendingTeamsChart = () => {
         <div>
           <h2 className="text-xl font-semibold">Trending Teams</h2>
           <p className="text-sm text-gray-600 mt-1">
-            Compares each team's most recent week's performance to their average in previous weeks.
-            Positive values indicate improvement, negative values indicate decline.
+            The trend line through each team's scores over the last few weeks, in points gained or lost per week.
+            Faded bars are within the team's normal week-to-week variation.
           </p>
         </div>
         <div className="flex items-center space-x-2">
@@ -131,10 +145,10 @@ const TrendingTeamsChart = () => {
             onChange={(e) => setWeeksToConsider(Number(e.target.value))}
             className="px-2 py-1 border border-gray-300 rounded-md text-sm"
           >
-            <option value={2}>2 Weeks</option>
             <option value={3}>3 Weeks</option>
             <option value={4}>4 Weeks</option>
             <option value={5}>5 Weeks</option>
+            <option value={6}>6 Weeks</option>
           </select>
         </div>
       </div>
@@ -170,8 +184,8 @@ const TrendingTeamsChart = () => {
               </span>
               <span 
                 className="ml-1 text-xs text-gray-500 cursor-help"
-                title={`Most recent week (${team.debug?.mostRecentWeek}): ${team.debug?.mostRecentPoints.toFixed(1)} pts
-Previous weeks avg (${team.debug?.previousWeeks.join(', ')}): ${team.debug?.previousWeeksAvg.toFixed(1)} pts`}
+                title={`Weeks ${team.recentWeeks.join(', ')}: ${team.recentPoints.map(p => p.toFixed(1)).join(', ')} pts
+Volatility (std dev): ${team.volatility.toFixed(1)} pts`}
               >
                 ℹ️
               </span>
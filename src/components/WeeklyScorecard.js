@@ -1,13 +1,42 @@
-import React, { useContext, useMemo, useState } from 'react';
-import { Link } from 'react-router-dom';
+import React, { useContext, useEffect, useMemo, useRef, useState } from 'react';
+import { Link, useNavigate, useParams } from 'react-router-dom';
 import { LeagueContext } from '../contexts/LeagueContext';
 import { formatPoints } from '../utils/dataUtils';
+import { diffMatchupScores, formatPointsDelta } from '../utils/liveScoring';
 import SleeperApiService from '../services/sleeperApi';
+import { isAbortError } from '../services/requestScheduler';
+import { getTeamPath, getWeekPath } from '../utils/routes';
+
+// Polling intervals offered in live mode
+const LIVE_INTERVALS = [
+  { label: '30 sec', value: 30 * 1000 },
+  { label: '1 min', value: 60 * 1000 },
+  { label: '2 min', value: 2 * 60 * 1000 },
+  { label: '5 min', value: 5 * 60 * 1000 },
+];
 
 const WeeklyScorecard = () => {
-  const { matchups, users, rosters, loading, nflState } = useContext(LeagueContext);
+  const { leagueId, selectedSeason, matchups, users, rosters, players, loading, seasonCalendar } = useContext(LeagueContext);
+  const navigate = useNavigate();
+  // A week in the URL (/league/:leagueId/:season/week/:week) overrides the current week
+  const { week: weekParam } = useParams();
+  const urlWeek = weekParam ? Number(weekParam) : null;
   const [selectedWeek, setSelectedWeek] = useState(1);
 
+  // Live mode state
+  const [isLive, setIsLive] = useState(false);
+  const [pollInterval, setPollInterval] = useState(LIVE_INTERVALS[1].value);
+  const [liveMatchups, setLiveMatchups] = useState(null);
+  const [liveChanges, setLiveChanges] = useState({ teams: {}, leadChanges: [] });
+  const [lastUpdated, setLastUpdated] = useState(null);
+  const [isPaused, setIsPaused] = useState(false);
+  const [liveError, setLiveError] = useState(null);
+  // Latest snapshot of the live week, compared against each new poll
+  const snapshotRef = useRef(null);
+
+  // Live mode only makes sense for the week being played right now
+  const liveWeek = seasonCalendar?.currentWeek || null;
+
   // Get all available weeks from matchups
   const availableWeeks = useMemo(() => {
     if (!matchups || !matchups.length) return [];
@@ -16,10 +45,14 @@ const WeeklyScorecard = () => {
     return weeks;
   }, [matchups]);
 
-  // Get current week from NFL state or default to the last available week
+  // Get the live week, else the last scored week, else the last available week
   const currentWeek = useMemo(() => {
-    if (nflState && nflState.week) {
-      return nflState.week;
+    if (seasonCalendar?.currentWeek) {
+      return seasonCalendar.currentWeek;
+    }
+    
+    if (seasonCalendar?.lastScoredWeek) {
+      return seasonCalendar.lastScoredWeek;
     }
     
     if (availableWeeks.length) {
@@ -27,21 +60,109 @@ const WeeklyScorecard = () => {
     }
     
     return 1;
-  }, [nflState, availableWeeks]);
+  }, [seasonCalendar, availableWeeks]);
 
-  // Set selected week to current week when it changes
-  React.useEffect(() => {
-    if (currentWeek) {
+  // Show the week from the URL, else the current week
+  useEffect(() => {
+    if (urlWeek) {
+      setSelectedWeek(urlWeek);
+    } else if (currentWeek) {
       setSelectedWeek(currentWeek);
     }
-  }, [currentWeek]);
+  }, [urlWeek, currentWeek]);
+
+  // Leave live mode when the league or live week changes
+  useEffect(() => {
+    setIsLive(false);
+  }, [leagueId, liveWeek]);
+
+  useEffect(() => {
+    if (!isLive) {
+      setLiveMatchups(null);
+      setLiveChanges({ teams: {}, leadChanges: [] });
+      setLastUpdated(null);
+      setLiveError(null);
+    }
+  }, [isLive]);
+
+  // Poll the live week while live mode is on, pausing while the tab is hidden
+  useEffect(() => {
+    if (!isLive || !leagueId || !liveWeek) return;
+
+    const controller = new AbortController();
+    let timer = null;
+    let polling = false;
+
+    const poll = async () => {
+      clearTimeout(timer);
+      timer = null;
+      if (polling || document.hidden) return;
+
+      polling = true;
+      try {
+        const latest = await SleeperApiService.getMatchups(leagueId, liveWeek, {
+          signal: controller.signal,
+          force: true,
+        });
+        const tagged = (latest || []).map(matchup => ({ ...matchup, week: liveWeek }));
+
+        if (snapshotRef.current) {
+          setLiveChanges(diffMatchupScores(snapshotRef.current, tagged));
+        }
+        snapshotRef.current = tagged;
+        setLiveMatchups(tagged);
+        setLastUpdated(Date.now());
+        setLiveError(null);
+      } catch (err) {
+        if (isAbortError(err)) return;
+        setLiveError('Could not refresh live scores. Trying again shortly.');
+      } finally {
+        polling = false;
+      }
+
+      if (!controller.signal.aborted && !document.hidden) {
+        timer = setTimeout(poll, pollInterval);
+      }
+    };
+
+    const handleVisibilityChange = () => {
+      setIsPaused(document.hidden);
+      if (document.hidden) {
+        clearTimeout(timer);
+        timer = null;
+      } else {
+        poll(); // Catch up as soon as the tab is visible again
+      }
+    };
+
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+    setIsPaused(document.hidden);
+    poll();
+
+    return () => {
+      controller.abort();
+      clearTimeout(timer);
+      document.removeEventListener('visibilitychange', handleVisibilityChange);
+    };
+  }, [isLive, leagueId, liveWeek, pollInterval]);
+
+  const handleToggleLive = () => {
+    if (!isLive) {
+      // Diff the first poll against the scores already on screen
+      snapshotRef.current = (matchups || []).filter(m => m.week === liveWeek);
+    }
+    setIsLive(!isLive);
+  };
+
+  const showingLive = isLive && selectedWeek === liveWeek && liveMatchups !== null;
 
   // Get matchups for the selected week
   const weekMatchups = useMemo(() => {
-    if (!matchups || !matchups.length) return [];
+    const source = showingLive ? liveMatchups : matchups;
+    if (!source || !source.length) return [];
     
     // Filter matchups for the selected week
-    const filteredMatchups = matchups.filter(m => m.week === selectedWeek);
+    const filteredMatchups = source.filter(m => m.week === selectedWeek);
     
     // Group matchups by matchup_id
     const groupedMatchups = filteredMatchups.reduce((acc, matchup) => {
@@ -54,7 +175,7 @@ const WeeklyScorecard = () => {
     
     // Convert to array of matchup pairs
     return Object.values(groupedMatchups);
-  }, [matchups, selectedWeek]);
+  }, [matchups, liveMatchups, showingLive, selectedWeek]);
 
   // Get team info by roster ID
   const getTeamInfo = (rosterId) => {
@@ -72,8 +193,45 @@ const WeeklyScorecard = () => {
     };
   };
 
+  const getPlayerName = (playerId) => {
+    const player = players?.[playerId];
+    if (!player) return playerId;
+    return `${player.first_name || ''} ${player.last_name || ''}`.trim() || playerId;
+  };
+
   const handleWeekChange = (e) => {
-    setSelectedWeek(Number(e.target.value));
+    const week = Number(e.target.value);
+    if (week !== liveWeek) setIsLive(false);
+    navigate(getWeekPath(leagueId, selectedSeason, week));
+  };
+
+  // Point change since the previous poll, shown next to a team's score
+  const renderPointsDelta = (rosterId) => {
+    const change = showingLive && liveChanges.teams[rosterId];
+    if (!change || Math.abs(change.delta) < 0.005) return null;
+    return (
+      <span className={`ml-2 text-xs font-semibold ${change.delta > 0 ? 'text-green-600' : 'text-red-600'}`}>
+        {formatPointsDelta(change.delta)}
+      </span>
+    );
+  };
+
+  // Starters whose points changed since the previous poll
+  const renderStarterDeltas = (rosterId) => {
+    const change = showingLive && liveChanges.teams[rosterId];
+    if (!change || !change.starters.length) return null;
+    return (
+      <div className="flex flex-wrap gap-1 px-2 pb-2 text-xs">
+        {change.starters.map(starter => (
+          <span
+            key={starter.playerId}
+            className={`px-2 py-0.5 rounded-full ${starter.delta > 0 ? 'bg-green-100 text-green-800' : 'bg-red-100 text-red-800'}`}
+          >
+            {getPlayerName(starter.playerId)} {formatPointsDelta(starter.delta)}
+          </span>
+        ))}
+      </div>
+    );
   };
 
   if (loading) {
@@ -131,6 +289,44 @@ const WeeklyScorecard = () => {
         </div>
       </div>
 
+      {liveWeek && selectedWeek === liveWeek && (
+        <div className="flex flex-wrap items-center gap-3 mb-4 text-sm">
+          <button
+            onClick={handleToggleLive}
+            className={`px-3 py-1 rounded-md font-medium ${isLive ? 'bg-red-600 hover:bg-red-700 text-white' : 'bg-blue-600 hover:bg-blue-700 text-white'}`}
+          >
+            {isLive ? 'Stop Live Scoring' : 'Live Scoring'}
+          </button>
+          {isLive && (
+            <>
+              <label htmlFor="live-interval" className="font-medium">
+                Update every:
+              </label>
+              <select
+                id="live-interval"
+                value={pollInterval}
+                onChange={(e) => setPollInterval(Number(e.target.value))}
+                className="px-2 py-1 border border-gray-300 rounded-md"
+              >
+                {LIVE_INTERVALS.map(({ label, value }) => (
+                  <option key={value} value={value}>
+                    {label}
+                  </option>
+                ))}
+              </select>
+              <span className="text-gray-500">
+                {isPaused
+                  ? 'Paused while this tab is hidden'
+                  : lastUpdated
+                    ? `Updated at ${new Date(lastUpdated).toLocaleTimeString()}`
+                    : 'Fetching live scores...'}
+              </span>
+            </>
+          )}
+          {liveError && <span className="text-red-600">{liveError}</span>}
+        </div>
+      )}
+
       <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
         {weekMatchups.map((matchup, index) => {
           if (matchup.length !== 2) return null;
@@ -147,16 +343,22 @@ const WeeklyScorecard = () => {
           const team1Winner = team1Points > team2Points;
           const team2Winner = team2Points > team1Points;
           const isTie = team1Points === team2Points;
+          const isLeadChange = showingLive && liveChanges.leadChanges.includes(team1.matchup_id);
           
           return (
-            <div key={index} className="border rounded-lg overflow-hidden">
-              <div className="bg-gray-100 px-4 py-2 border-b">
+            <div key={index} className={`border rounded-lg overflow-hidden ${isLeadChange ? 'ring-2 ring-yellow-400' : ''}`}>
+              <div className="bg-gray-100 px-4 py-2 border-b flex justify-between items-center">
                 <h3 className="text-sm font-medium text-gray-700">Matchup {index + 1}</h3>
+                {isLeadChange && (
+                  <span className="text-xs font-semibold px-2 py-0.5 rounded-full bg-yellow-100 text-yellow-800">
+                    Lead change
+                  </span>
+                )}
               </div>
               
               <div className="p-4">
                 {/* Team 1 */}
-                <Link to={`/team/${team1.roster_id}`} className="block">
+                <Link to={getTeamPath(leagueId, selectedSeason, team1.roster_id)} className="block">
                   <div className={`flex items-center justify-between mb-3 p-2 rounded ${team1Winner ? 'bg-green-50' : isTie ? 'bg-gray-50' : 'bg-red-50'}`}>
                     <div className="flex items-center">
                       {team1Info.avatar && (
@@ -170,9 +372,11 @@ const WeeklyScorecard = () => {
                     </div>
                     <div className={`text-lg font-bold ${team1Winner ? 'text-green-600' : isTie ? 'text-gray-600' : 'text-red-600'}`}>
                       {formatPoints(team1Points)}
+                      {renderPointsDelta(team1.roster_id)}
                     </div>
                   </div>
                 </Link>
+                {renderStarterDeltas(team1.roster_id)}
                 
                 {/* VS Divider */}
                 <div className="flex items-center justify-center my-2">
@@ -182,7 +386,7 @@ const WeeklyScorecard = () => {
                 </div>
                 
                 {/* Team 2 */}
-                <Link to={`/team/${team2.roster_id}`} className="block">
+                <Link to={getTeamPath(leagueId, selectedSeason, team2.roster_id)} className="block">
                   <div className={`flex items-center justify-between p-2 rounded ${team2Winner ? 'bg-green-50' : isTie ? 'bg-gray-50' : 'bg-red-50'}`}>
                     <div className="flex items-center">
                       {team2Info.avatar && (
@@ -196,9 +400,11 @@ const WeeklyScorecard = () => {
                     </div>
                     <div className={`text-lg font-bold ${team2Winner ? 'text-green-600' : isTie ? 'text-gray-600' : 'text-red-600'}`}>
                       {formatPoints(team2Points)}
+                      {renderPointsDelta(team2.roster_id)}
                     </div>
                   </div>
                 </Link>
+                {renderStarterDeltas(team2.roster_id)}
               </div>
             </div>
           );
@@ -1,7 +1,16 @@
-import React, { createContext, useState, useEffect, useCallback } from 'react';
+import React, { createContext, useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import { matchPath, useLocation, useNavigate } from 'react-router-dom';
 import SleeperApiService from '../services/sleeperApi';
+import { isAbortError } from '../services/requestScheduler';
+import { syncSeasonMatchups } from '../services/matchupSync';
 import { getHistoricalLeagueIds, getSeasonFromLeague } from '../utils/dataUtils';
-import { saveToCache, loadFromCache, shouldUseCache } from '../utils/cacheUtils';
+import { getSeasonCalendar } from '../utils/seasonCalendar';
+import { loadPreference, savePreference } from '../utils/preferences';
+import { LEAGUE_ROUTE, getLeaguePath } from '../utils/routes';
+import {
+  saveToCache, loadFromCache, shouldUseCache,
+  loadPlayersFromCache, savePlayersToCache, trimPlayersData,
+} from '../utils/cacheUtils';
 
 // Create the context
 export const LeagueContext = createContext();
@@ -9,9 +18,18 @@ export const LeagueContext = createContext();
 export const LeagueProvider = ({ children }) => {
   // Default league ID from requirements
   const DEFAULT_LEAGUE_ID = '1180160954902351872';
+
+  // League and season come from the URL (/league/:leagueId/:season/...).
+  // Outside league pages the last-used league stays selected.
+  const location = useLocation();
+  const navigate = useNavigate();
+  const urlMatch = matchPath(`${LEAGUE_ROUTE}/*`, location.pathname);
+  const urlLeagueId = urlMatch?.params.leagueId;
+  const urlSeason = urlMatch?.params.season;
+  const urlSubPath = urlMatch?.params['*'] || '';
   
   // State variables
-  const [leagueId, setLeagueId] = useState(DEFAULT_LEAGUE_ID);
+  const [leagueId, setLeagueId] = useState(() => urlLeagueId || loadPreference('lastLeague')?.leagueId || DEFAULT_LEAGUE_ID);
   const [league, setLeague] = useState(null);
   const [users, setUsers] = useState([]);
   const [rosters, setRosters] = useState([]);
@@ -19,105 +37,158 @@ export const LeagueProvider = ({ children }) => {
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [availableSeasons, setAvailableSeasons] = useState([]);
-  const [selectedSeason, setSelectedSeason] = useState('2025'); // Default to 2025
+  // Null until known; the main effect then picks the latest available season
+  const [selectedSeason, setSelectedSeason] = useState(() => urlSeason || loadPreference('lastLeague')?.season || null);
   const [seasonLeagueIds, setSeasonLeagueIds] = useState({});
+  // When the loaded matchups were last checked against the API
+  const [lastSynced, setLastSynced] = useState(null);
+  // Incremented to force the main effect to reload league data
+  const [refreshCounter, setRefreshCounter] = useState(0);
   
-  // Store historical data for each season
-  const [historicalData, setHistoricalData] = useState({});
+  // Loaded past seasons, keyed by "leagueId:season"
+  const historyCacheRef = useRef({});
   
   // Global, non-league-specific data
   const [allPlayersData, setAllPlayersData] = useState(null);
   const [nflStateData, setNflStateData] = useState(null);
 
+  // Latest URL sub path (e.g. "team/3"), read by navigation helpers without
+  // making them depend on every location change
+  const urlSubPathRef = useRef(urlSubPath);
+  urlSubPathRef.current = urlSubPath;
+  const onLeagueRouteRef = useRef(false);
+  onLeagueRouteRef.current = Boolean(urlMatch);
+  const navigateRef = useRef(navigate);
+  navigateRef.current = navigate;
+
+  // Follow the URL, including back/forward navigation, and remember the league
+  useEffect(() => {
+    if (!urlLeagueId || !urlSeason) return;
+    setLeagueId(urlLeagueId);
+    setSelectedSeason(urlSeason);
+    savePreference('lastLeague', { leagueId: urlLeagueId, season: urlSeason });
+  }, [urlLeagueId, urlSeason]);
+
+  // Point the URL at another league season, keeping the page within it
+  // (team, week) when on a league route
+  const navigateToLeague = useCallback((id, season, { replace = false } = {}) => {
+    const subPath = urlSubPathRef.current;
+    const path = `${getLeaguePath(id, season)}${subPath ? `/${subPath}` : ''}`;
+    navigateRef.current(path, { replace });
+  }, []);
+
   // Fetch NFL state once on mount
-  // eslint-disable-next-line react-hooks/exhaustive-deps
   useEffect(() => {
     SleeperApiService.getNflState()
-      .then(data => {
-        setNflStateData(data);
-        // Initialize selectedSeason based on current NFL season if default '2025' is different
-        // and availableSeasons isn't populated yet.
-        if (data && data.season && data.season !== selectedSeason && availableSeasons.length === 0) {
-          setSelectedSeason(data.season);
-        }
-      })
+      .then(data => setNflStateData(data))
       .catch(err => {
         console.error('Error fetching NFL state:', err);
         setError(prev => prev || 'Failed to fetch NFL state');
       });
-  }, []); // Fetch NFL state only once on mount - intentionally omitting dependencies
+  }, []);
 
-  // Fetch all players data once on mount
+  // Load the player database once on mount. A cached copy is used right away
+  // and refreshed in the background when it is more than a day old.
   useEffect(() => {
-    SleeperApiService.getAllPlayers()
-      .then(setAllPlayersData)
-      .catch(err => {
+    let cancelled = false;
+
+    const loadPlayers = async () => {
+      const cached = await loadPlayersFromCache();
+      if (cancelled) return;
+      if (cached) setAllPlayersData(cached.players);
+      if (cached && !cached.isStale) return;
+
+      try {
+        const freshPlayers = trimPlayersData(await SleeperApiService.getAllPlayers());
+        if (cancelled) return;
+        setAllPlayersData(freshPlayers);
+        savePlayersToCache(freshPlayers);
+      } catch (err) {
         console.error('Error fetching all players data:', err);
-        setError(prev => prev || 'Failed to fetch all players data');
-      });
+        // A stale copy is still usable, so only report the error if there is nothing to show
+        if (!cached) setError(prev => prev || 'Failed to fetch all players data');
+      }
+    };
+
+    loadPlayers();
+    return () => { cancelled = true; };
   }, []);
 
-  // Function to fetch and store historical data for a season
-  const fetchHistoricalData = useCallback(async (season, leagueId) => {
-    if (!season || !leagueId) return null;
-    
-    // Check if we already have this data
-    if (historicalData[season] && historicalData[season].league && historicalData[season].rosters) {
-      return historicalData[season];
-    }
-    
-    try {
-      const shouldUseCacheForSeason = shouldUseCache(season, nflStateData?.season);
-      
-      // Try to load from cache first
-      let leagueData = shouldUseCacheForSeason ? loadFromCache('league', leagueId, season) : null;
-      let rostersData = shouldUseCacheForSeason ? loadFromCache('rosters', leagueId, season) : null;
-      let usersData = shouldUseCacheForSeason ? loadFromCache('users', leagueId, season) : null;
-      
-      // If not in cache, fetch from API
-      if (!leagueData) {
-        leagueData = await SleeperApiService.getLeague(leagueId);
+  // Load one season of the league's history: league, users, rosters and, unless
+  // includeMatchups is false, matchups. Seasons that only fall back to the
+  // current league ID (see the season scan below) are flagged with isFallback
+  // and carry no matchups.
+  const fetchHistoricalData = useCallback(async (season, seasonLeagueId, { signal, includeMatchups = true } = {}) => {
+    if (!season || !seasonLeagueId || !nflStateData) return null;
+
+    const key = `${seasonLeagueId}:${season}`;
+    const scope = { league: seasonLeagueId, season };
+    const shouldUseCacheForSeason = shouldUseCache(season, nflStateData.season);
+
+    const loadData = async (dataType, fetchData) => {
+      let data = shouldUseCacheForSeason ? await loadFromCache(dataType, scope) : null;
+      if (!data) {
+        data = await fetchData();
         if (shouldUseCacheForSeason) {
-          saveToCache('league', leagueId, season, leagueData);
+          saveToCache(dataType, scope, data);
         }
       }
-      
-      if (!rostersData) {
-        rostersData = await SleeperApiService.getLeagueRosters(leagueId);
-        if (shouldUseCacheForSeason) {
-          saveToCache('rosters', leagueId, season, rostersData);
-        }
+      return data;
+    };
+
+    try {
+      let seasonData = historyCacheRef.current[key];
+
+      if (!seasonData) {
+        const leagueData = await loadData('league', () => SleeperApiService.getLeague(seasonLeagueId, { signal }));
+        const usersData = await loadData('users', () => SleeperApiService.getLeagueUsers(seasonLeagueId, { signal }));
+        const rostersData = await loadData('rosters', () => SleeperApiService.getLeagueRosters(seasonLeagueId, { signal }));
+        const isFallback = getSeasonFromLeague(leagueData) !== season;
+
+        seasonData = {
+          season,
+          leagueId: seasonLeagueId,
+          league: leagueData,
+          users: usersData,
+          rosters: rostersData,
+          matchups: isFallback ? [] : null, // Loaded on demand
+          calendar: getSeasonCalendar(leagueData, nflStateData),
+          isFallback,
+        };
+        historyCacheRef.current[key] = seasonData;
       }
-      
-      if (!usersData) {
-        usersData = await SleeperApiService.getLeagueUsers(leagueId);
-        if (shouldUseCacheForSeason) {
-          saveToCache('users', leagueId, season, usersData);
-        }
+
+      if (includeMatchups && !seasonData.matchups) {
+        const { matchups: seasonMatchups } = await syncSeasonMatchups({
+          leagueId: seasonLeagueId, season, calendar: seasonData.calendar, signal,
+        });
+        seasonData = { ...seasonData, matchups: seasonMatchups };
+        historyCacheRef.current[key] = seasonData;
       }
-      
-      const seasonData = {
-        league: leagueData,
-        rosters: rostersData,
-        users: usersData
-      };
-      
-      // Update historical data state
-      setHistoricalData(prev => ({
-        ...prev,
-        [season]: seasonData
-      }));
-      
+
       return seasonData;
     } catch (error) {
+      if (isAbortError(error)) throw error;
       console.error(`Error fetching historical data for season ${season}:`, error);
       return null;
     }
-  }, [historicalData, nflStateData]);
+  }, [nflStateData]);
+
+  // Load every season in the league chain, oldest first
+  const fetchLeagueHistory = useCallback(async ({ signal, includeMatchups = true } = {}) => {
+    const seasons = Object.keys(seasonLeagueIds).sort((a, b) => parseInt(a) - parseInt(b));
+    const history = [];
+    for (const season of seasons) {
+      const seasonData = await fetchHistoricalData(season, seasonLeagueIds[season], { signal, includeMatchups });
+      if (seasonData) history.push(seasonData);
+    }
+    return history;
+  }, [seasonLeagueIds, fetchHistoricalData]);
 
-  // Main data fetching effect: runs when leagueId changes or global data is ready
+  // Main data fetching effect: runs when leagueId changes or the NFL state is ready.
+  // The player database loads independently so it never blocks league data.
   useEffect(() => {
-    if (!allPlayersData || !nflStateData) {
+    if (!nflStateData) {
       setLoading(true); // Waiting for global data
       return;
     }
@@ -135,11 +206,16 @@ export const LeagueProvider = ({ children }) => {
     const isCurrentNflSeason = selectedSeason === nflStateData.season;
     const shouldUseCacheForSeason = shouldUseCache(selectedSeason, nflStateData.season);
 
+    // Cancel outstanding requests when the league or season changes mid-load
+    const controller = new AbortController();
+    const { signal } = controller;
+
     const fetchAllLeagueData = async () => {
       setLoading(true);
       setError(null);
       // Clear previous league-specific data for a cleaner transition
       setLeague(null); setUsers([]); setRosters([]); setMatchups([]);
+      setLastSynced(null);
 
       try {
         // Try to load league data from cache for past seasons
@@ -151,40 +227,39 @@ export const LeagueProvider = ({ children }) => {
         // Check cache for past seasons
         if (shouldUseCacheForSeason) {
           console.log(`Attempting to load ${selectedSeason} data from cache for league ${leagueId}`);
-          currentLeagueData = loadFromCache('league', leagueId, selectedSeason);
-          leagueUsersData = loadFromCache('users', leagueId, selectedSeason);
-          leagueRostersData = loadFromCache('rosters', leagueId, selectedSeason);
-          const cachedMatchups = loadFromCache('matchups', leagueId, selectedSeason);
-          if (cachedMatchups) allMatchupsData = cachedMatchups;
+          currentLeagueData = await loadFromCache('league', { league: leagueId, season: selectedSeason });
+          leagueUsersData = await loadFromCache('users', { league: leagueId, season: selectedSeason });
+          leagueRostersData = await loadFromCache('rosters', { league: leagueId, season: selectedSeason });
         }
+        if (signal.aborted) return;
         
         // If not in cache, fetch from API
         if (!currentLeagueData) {
-          currentLeagueData = await SleeperApiService.getLeague(leagueId);
+          currentLeagueData = await SleeperApiService.getLeague(leagueId, { signal });
           if (shouldUseCacheForSeason) {
-            saveToCache('league', leagueId, selectedSeason, currentLeagueData);
+            saveToCache('league', { league: leagueId, season: selectedSeason }, currentLeagueData);
           }
         }
         setLeague(currentLeagueData);
 
         if (!leagueUsersData) {
-          leagueUsersData = await SleeperApiService.getLeagueUsers(leagueId);
+          leagueUsersData = await SleeperApiService.getLeagueUsers(leagueId, { signal });
           if (shouldUseCacheForSeason) {
-            saveToCache('users', leagueId, selectedSeason, leagueUsersData);
+            saveToCache('users', { league: leagueId, season: selectedSeason }, leagueUsersData);
           }
         }
         setUsers(leagueUsersData);
 
         if (!leagueRostersData) {
-          leagueRostersData = await SleeperApiService.getLeagueRosters(leagueId);
+          leagueRostersData = await SleeperApiService.getLeagueRosters(leagueId, { signal });
           if (shouldUseCacheForSeason) {
-            saveToCache('rosters', leagueId, selectedSeason, leagueRostersData);
+            saveToCache('rosters', { league: leagueId, season: selectedSeason }, leagueRostersData);
           }
         }
         setRosters(leagueRostersData);
 
-        // If matchups not in cache or it's current/future season, fetch them
-        if (allMatchupsData.length === 0 && !isFutureSeason) {
+        // Sync matchups: finished weeks come from cache, the live week and later are fetched
+        if (!isFutureSeason) {
           // For future seasons, we still want to try to fetch matchups (they might exist)
           // For current season during offseason, we might not have matchups yet
           const skipMatchups = isCurrentNflSeason && 
@@ -192,60 +267,14 @@ export const LeagueProvider = ({ children }) => {
                               nflStateData.season_type !== 'post';
           
           if (!skipMatchups) {
-            const maxWeeksToFetch = 17; // League runs weeks 1-17 only
-            
-            // Fetch matchups in batches to avoid overwhelming the API
-            // Fetch first 6 weeks
-            for (let week = 1; week <= 6; week++) {
-              try {
-                const weekMatchups = await SleeperApiService.getMatchups(leagueId, week);
-                if (weekMatchups && weekMatchups.length > 0) {
-                  weekMatchups.forEach(matchup => matchup.week = week);
-                  allMatchupsData.push(...weekMatchups);
-                  // Update matchups incrementally for better UX
-                  if (week === 6) {
-                    setMatchups([...allMatchupsData]);
-                  }
-                }
-              } catch (err) {
-                // console.log(`No matchups for week ${week} in league ${leagueId}`);
-              }
-            }
-            
-            // Fetch second batch (weeks 7-12)
-            for (let week = 7; week <= 12; week++) {
-              try {
-                const weekMatchups = await SleeperApiService.getMatchups(leagueId, week);
-                if (weekMatchups && weekMatchups.length > 0) {
-                  weekMatchups.forEach(matchup => matchup.week = week);
-                  allMatchupsData.push(...weekMatchups);
-                  // Update matchups incrementally for better UX
-                  if (week === 12) {
-                    setMatchups([...allMatchupsData]);
-                  }
-                }
-              } catch (err) {
-                // console.log(`No matchups for week ${week} in league ${leagueId}`);
-              }
-            }
-            
-            // Fetch final batch (weeks 13-18)
-            for (let week = 13; week <= maxWeeksToFetch; week++) {
-              try {
-                const weekMatchups = await SleeperApiService.getMatchups(leagueId, week);
-                if (weekMatchups && weekMatchups.length > 0) {
-                  weekMatchups.forEach(matchup => matchup.week = week);
-                  allMatchupsData.push(...weekMatchups);
-                }
-              } catch (err) {
-                // console.log(`No matchups for week ${week} in league ${leagueId}`);
-              }
-            }
-            
-            // Cache matchups for past seasons
-            if (shouldUseCacheForSeason && allMatchupsData.length > 0) {
-              saveToCache('matchups', leagueId, selectedSeason, allMatchupsData);
-            }
+            const { matchups: seasonMatchups, syncedAt } = await syncSeasonMatchups({
+              leagueId,
+              season: selectedSeason,
+              calendar: getSeasonCalendar(currentLeagueData, nflStateData),
+              signal,
+            });
+            allMatchupsData = seasonMatchups;
+            setLastSynced(syncedAt);
           }
         }
         
@@ -257,7 +286,8 @@ export const LeagueProvider = ({ children }) => {
         }
 
         // Fetch historical league IDs and seasons
-        const historicalIds = await getHistoricalLeagueIds(leagueId, SleeperApiService.getLeague);
+        const historicalIds = await getHistoricalLeagueIds(leagueId, (id) => SleeperApiService.getLeague(id, { signal }));
+        if (signal.aborted) return;
         const seasonsMap = {};
         const currentLeagueSeason = getSeasonFromLeague(currentLeagueData) || nflStateData.season;
         if (currentLeagueSeason) {
@@ -267,12 +297,13 @@ export const LeagueProvider = ({ children }) => {
         for (const id of historicalIds) {
           if (id === leagueId && seasonsMap[currentLeagueSeason] === leagueId) continue; // Already processed
           try {
-            const histLeague = await SleeperApiService.getLeague(id);
+            const histLeague = await SleeperApiService.getLeague(id, { signal });
             const season = getSeasonFromLeague(histLeague);
             if (season && !seasonsMap[season]) { // Add if season not already mapped
               seasonsMap[season] = id;
             }
           } catch (err) {
+            if (isAbortError(err)) throw err;
             console.error(`Error fetching league data for ID ${id} during history scan:`, err);
           }
         }
@@ -292,69 +323,68 @@ export const LeagueProvider = ({ children }) => {
         // This logic ensures selectedSeason is one of the available seasons, defaulting to the latest.
         // It might trigger a re-run of this effect if selectedSeason changes.
         // This is generally safe if it's correcting an invalid state.
+        // On league pages the correction replaces the URL, so back does not return to the invalid season.
         if (nflStateData) { // Ensure nflStateData is available for fallback
+          let correctedSeason = null;
           if (sortedAvailable.length > 0 && !sortedAvailable.includes(selectedSeason)) {
-            const newSelectedSeason = sortedAvailable[0];
-            // Only update if different to prevent potential loops if logic is slightly off
-            if (newSelectedSeason !== selectedSeason) setSelectedSeason(newSelectedSeason);
+            correctedSeason = sortedAvailable[0];
           } else if (sortedAvailable.length === 0) {
-            const fallbackSeason = nflStateData.season || '2025';
-            if (selectedSeason !== fallbackSeason) setSelectedSeason(fallbackSeason);
+            correctedSeason = nflStateData.season || '2025';
+          }
+          // Only update if different to prevent potential loops if logic is slightly off
+          if (correctedSeason && correctedSeason !== selectedSeason) {
+            if (onLeagueRouteRef.current) {
+              navigateToLeague(leagueId, correctedSeason, { replace: true });
+            } else {
+              setSelectedSeason(correctedSeason);
+            }
           }
         }
 
       } catch (err) {
+        if (isAbortError(err)) return; // Superseded by a newer load
         console.error('Error fetching league-specific data:', err);
         setError(`Failed to fetch data for League ID ${leagueId}. Please check the ID and try again.`);
         // Clear data on error
         setLeague(null); setUsers([]); setRosters([]);
         setMatchups([]);
       } finally {
-        setLoading(false);
+        if (!signal.aborted) setLoading(false);
       }
     };
 
     fetchAllLeagueData();
-  }, [leagueId, allPlayersData, nflStateData, selectedSeason]); // Effect dependencies
 
-  // Change league ID
-  const changeLeagueId = useCallback((id) => {
+    return () => controller.abort();
+  }, [leagueId, nflStateData, selectedSeason, refreshCounter, navigateToLeague]); // Effect dependencies
+
+  // Change league ID. A different league starts on its dashboard, in the
+  // given season or else the one currently selected.
+  const changeLeagueId = useCallback((id, season = null) => {
     if (!id || id === leagueId) return; // Only update if the ID is different
-    setLeagueId(id);
-    // The main useEffect will handle fetching data for the new leagueId
-  }, [leagueId]); // Depends on current leagueId to avoid redundant state sets
+    navigateRef.current(getLeaguePath(id, season || selectedSeason || nflStateData?.season));
+    // The main useEffect will handle fetching data once the URL is followed
+  }, [leagueId, selectedSeason, nflStateData]);
 
-  // Change season
+  // Change season. Each season may belong to a different league ID in the
+  // chain, so both are updated through the URL.
   const changeSeason = useCallback((season) => {
     if (!season || !seasonLeagueIds[season] || season === selectedSeason) return;
 
     console.log('Changing season to:', season);
-    const newLeagueIdForSeason = seasonLeagueIds[season];
-    
-    // Set loading true for immediate feedback while data fetches
-    setLoading(true);
-    
-    // Clear data for a clean transition
-    setMatchups([]);
-    setRosters([]);
-    setUsers([]);
-    setLeague(null);
-    
-    // Set the selected season. This will trigger the main useEffect if it's a new season.
-    setSelectedSeason(season);
-    
-    // If the league ID for the new season is different from the current leagueId,
-    // update leagueId. This will also trigger the main useEffect.
-    if (newLeagueIdForSeason !== leagueId) {
-      console.log(`Updating league ID from ${leagueId} to ${newLeagueIdForSeason} for season ${season}`);
-      setLeagueId(newLeagueIdForSeason);
-    }
-    
-    // The main useEffect will handle fetching the new data since selectedSeason changed
-    // If leagueId is the same, the change to selectedSeason will still trigger the main useEffect
-    // to re-evaluate data fetching (e.g., for caching logic or if matchups depend on selectedSeason).
-  }, [seasonLeagueIds, selectedSeason, leagueId, setLoading, setMatchups, setRosters, setUsers, setLeague, setSelectedSeason, setLeagueId]);
+    navigateToLeague(seasonLeagueIds[season], season);
+    // The main useEffect will handle fetching the new data once the URL is followed
+  }, [seasonLeagueIds, selectedSeason, navigateToLeague]);
+
+  // Week ranges for the loaded season
+  const seasonCalendar = useMemo(() => getSeasonCalendar(league, nflStateData), [league, nflStateData]);
 
+  // Reload the current league and season, e.g. after cached data was purged
+  const refreshData = useCallback(() => {
+    SleeperApiService.clearResponseCache();
+    historyCacheRef.current = {};
+    setRefreshCounter(count => count + 1);
+  }, []);
 
   // Context value
   const contextValue = {
@@ -369,11 +399,14 @@ export const LeagueProvider = ({ children }) => {
     availableSeasons,
     selectedSeason,
     nflState: nflStateData, // Provide nflStateData as 'nflState'
+    seasonCalendar,
+    lastSynced,
     changeLeagueId,
     changeSeason,
-    historicalData,
     fetchHistoricalData,
+    fetchLeagueHistory,
     seasonLeagueIds,
+    refreshData,
   };
 
   return (
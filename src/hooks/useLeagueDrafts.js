@@ -0,0 +1,47 @@
+import { useEffect, useState } from 'react';
+import { loadLeagueDrafts } from '../services/drafts';
+import { isAbortError } from '../services/requestScheduler';
+
+/**
+ * Load the drafts of every real season in a league's history
+ * @param {Array} seasons - Season data from useLeagueHistory
+ * @param {boolean} loading - Whether the seasons are still loading
+ * @returns {Object} - { drafts, error } where drafts is null while loading, then
+ * every draft with its picks, oldest first
+ */
+const useLeagueDrafts = (seasons, loading) => {
+  const [drafts, setDrafts] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (loading) return;
+
+    const controller = new AbortController();
+    const realSeasons = seasons.filter(season => !season.isFallback);
+    setDrafts(null);
+    setError(null);
+
+    Promise.all(realSeasons.map(({ season, leagueId }) => (
+      loadLeagueDrafts({ leagueId, season, signal: controller.signal })
+    )))
+      .then(draftsBySeason => {
+        setDrafts(draftsBySeason.flatMap((seasonDrafts, index) => (
+          // Keep the season from the league chain; a draft's own season can be missing
+          [...seasonDrafts]
+            .sort((a, b) => (a.start_time || 0) - (b.start_time || 0))
+            .map(draft => ({ ...draft, season: realSeasons[index].season, leagueId: realSeasons[index].leagueId }))
+        )));
+      })
+      .catch(err => {
+        if (isAbortError(err)) return;
+        console.error('Error loading drafts:', err);
+        setError('Failed to load the league drafts.');
+      });
+
+    return () => controller.abort();
+  }, [seasons, loading]);
+
+  return { drafts, error };
+};
+
+export default useLeagueDrafts;
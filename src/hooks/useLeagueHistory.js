@@ -0,0 +1,43 @@
+import { useContext, useEffect, useState } from 'react';
+import { LeagueContext } from '../contexts/LeagueContext';
+import { isAbortError } from '../services/requestScheduler';
+
+/**
+ * Load every season of the selected league's history
+ * @param {Object} options - Optional { includeMatchups }; pass false when only
+ * league, users and rosters are needed
+ * @returns {Object} - { seasons, loading, error } where seasons is the list
+ * from fetchLeagueHistory, oldest first
+ */
+const useLeagueHistory = ({ includeMatchups = true } = {}) => {
+  const { fetchLeagueHistory, seasonLeagueIds } = useContext(LeagueContext);
+  const [seasons, setSeasons] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    // The season chain is filled in after the selected season loads
+    if (!Object.keys(seasonLeagueIds).length) return;
+
+    const controller = new AbortController();
+    setLoading(true);
+    setError(null);
+
+    fetchLeagueHistory({ signal: controller.signal, includeMatchups })
+      .then(history => setSeasons(history))
+      .catch(err => {
+        if (isAbortError(err)) return;
+        console.error('Error loading league history:', err);
+        setError('Failed to load league history.');
+      })
+      .finally(() => {
+        if (!controller.signal.aborted) setLoading(false);
+      });
+
+    return () => controller.abort();
+  }, [fetchLeagueHistory, seasonLeagueIds, includeMatchups]);
+
+  return { seasons, loading, error };
+};
+
+export default useLeagueHistory;
@@ -0,0 +1,45 @@
+import { useContext, useEffect, useState } from 'react';
+import { LeagueContext } from '../contexts/LeagueContext';
+import { isAbortError } from '../services/requestScheduler';
+import { loadSeasonTransactions } from '../services/transactions';
+
+/**
+ * Load the transactions of every real season in a league's history
+ * @param {Array} seasons - Season data from useLeagueHistory
+ * @param {boolean} loading - Whether the seasons are still loading
+ * @returns {Object} - { transactions, error } where transactions is null while
+ * loading, then every transaction with the season and leagueId it belongs to
+ */
+const useLeagueTransactions = (seasons, loading) => {
+  const { nflState } = useContext(LeagueContext);
+  const [transactions, setTransactions] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (loading || !nflState) return;
+
+    const controller = new AbortController();
+    const realSeasons = seasons.filter(season => !season.isFallback);
+    setTransactions(null);
+    setError(null);
+
+    Promise.all(realSeasons.map(async ({ season, leagueId, league }) => {
+      const seasonTransactions = await loadSeasonTransactions({
+        leagueId, season, league, nflState, signal: controller.signal,
+      });
+      return seasonTransactions.map(transaction => ({ ...transaction, season, leagueId }));
+    }))
+      .then(bySeason => setTransactions(bySeason.flat()))
+      .catch(err => {
+        if (isAbortError(err)) return;
+        console.error('Error loading transactions:', err);
+        setError('Failed to load league transactions.');
+      });
+
+    return () => controller.abort();
+  }, [seasons, loading, nflState]);
+
+  return { transactions, error };
+};
+
+export default useLeagueTransactions;
@@ -0,0 +1,36 @@
+import { useEffect, useState } from 'react';
+import { loadPlayoffBrackets } from '../services/playoffBrackets';
+import { isAbortError } from '../services/requestScheduler';
+import { getSeasonPlacements } from '../utils/playoffBrackets';
+
+/**
+ * Load the playoff placements of every real season in a league's history
+ * @param {Array} seasons - Season data from useLeagueHistory
+ * @param {boolean} loading - Whether the seasons are still loading
+ * @returns {Object|null} - Season -> placements from getSeasonPlacements, or null while loading
+ */
+const usePlayoffPlacements = (seasons, loading) => {
+  const [placementsBySeason, setPlacementsBySeason] = useState(null);
+
+  useEffect(() => {
+    if (loading) return;
+
+    const controller = new AbortController();
+    const realSeasons = seasons.filter(season => !season.isFallback);
+
+    Promise.all(realSeasons.map(async ({ season, leagueId, league }) => {
+      const brackets = await loadPlayoffBrackets({ leagueId, season, signal: controller.signal });
+      return [season, getSeasonPlacements(brackets, league)];
+    }))
+      .then(entries => setPlacementsBySeason(Object.fromEntries(entries)))
+      .catch(err => {
+        if (!isAbortError(err)) console.error('Error loading playoff brackets:', err);
+      });
+
+    return () => controller.abort();
+  }, [seasons, loading]);
+
+  return placementsBySeason;
+};
+
+export default usePlayoffPlacements;
@@ -0,0 +1,38 @@
+import { useContext, useEffect, useState } from 'react';
+import { LeagueContext } from '../contexts/LeagueContext';
+import { loadLeagueDrafts, loadTradedPicks } from '../services/drafts';
+import { isAbortError } from '../services/requestScheduler';
+
+/**
+ * Load the selected league's traded picks and drafts, the inputs of buildPickLedger
+ * @returns {Object} - { tradedPicks, drafts, error } where tradedPicks and drafts
+ * are null while loading
+ */
+const useTradedPicks = () => {
+  const { leagueId, selectedSeason } = useContext(LeagueContext);
+  const [data, setData] = useState({ tradedPicks: null, drafts: null });
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!leagueId || !selectedSeason) return;
+
+    const controller = new AbortController();
+    const params = { leagueId, season: selectedSeason, signal: controller.signal };
+    setData({ tradedPicks: null, drafts: null });
+    setError(null);
+
+    Promise.all([loadTradedPicks(params), loadLeagueDrafts(params)])
+      .then(([tradedPicks, drafts]) => setData({ tradedPicks, drafts }))
+      .catch(err => {
+        if (isAbortError(err)) return;
+        console.error('Error loading traded picks:', err);
+        setError('Failed to load traded draft picks.');
+      });
+
+    return () => controller.abort();
+  }, [leagueId, selectedSeason]);
+
+  return { ...data, error };
+};
+
+export default useTradedPicks;
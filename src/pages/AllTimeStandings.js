@@ -0,0 +1,199 @@
+import React, { useContext, useMemo, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { LeagueContext } from '../contexts/LeagueContext';
+import SeasonSelector from '../components/SeasonSelector';
+import SleeperApiService from '../services/sleeperApi';
+import useLeagueHistory from '../hooks/useLeagueHistory';
+import usePlayoffPlacements from '../hooks/usePlayoffPlacements';
+import { calculateAllTimeStandings } from '../utils/allTimeStandings';
+import { formatPercentage, formatPoints } from '../utils/dataUtils';
+import { hasPlayedGames } from '../utils/franchises';
+import { getLeaguePath, getOwnerRivalriesPath } from '../utils/routes';
+
+// Sortable columns: key -> value getter
+const SORT_VALUES = {
+  displayName: row => row.displayName,
+  seasons: row => row.seasons,
+  winPercentage: row => row.winPercentage,
+  pointsFor: row => row.pointsFor,
+  pointsAgainst: row => row.pointsAgainst,
+  allPlayPercentage: row => row.allPlayPercentage,
+  playoffAppearances: row => row.playoffAppearances,
+  titles: row => row.titles,
+  // Lower finishes are better, so negate to sort best first when descending
+  averageFinish: row => -row.averageFinish,
+};
+
+/**
+ * Format a record for display
+ * @param {number} wins - Wins
+ * @param {number} losses - Losses
+ * @param {number} ties - Ties
+ * @returns {string} - e.g. "9-5" or "8-5-1"
+ */
+const formatRecord = (wins, losses, ties) => `${wins}-${losses}${ties ? `-${ties}` : ''}`;
+
+const AllTimeStandings = () => {
+  const { error, league, leagueId, selectedSeason } = useContext(LeagueContext);
+  const { seasons, loading, error: historyError } = useLeagueHistory();
+  const placementsBySeason = usePlayoffPlacements(seasons, loading);
+  const [sortField, setSortField] = useState('winPercentage');
+  const [sortDirection, setSortDirection] = useState('desc');
+
+  const standings = useMemo(
+    () => calculateAllTimeStandings(seasons, placementsBySeason),
+    [seasons, placementsBySeason]
+  );
+
+  const realSeasonCount = seasons.filter(season => !season.isFallback && hasPlayedGames(season)).length;
+  const skippedSeasons = seasons.filter(season => season.isFallback).map(season => season.season);
+
+  const handleSort = (field) => {
+    if (sortField === field) {
+      setSortDirection(sortDirection === 'asc' ? 'desc' : 'asc');
+    } else {
+      setSortField(field);
+      setSortDirection(field === 'displayName' ? 'asc' : 'desc');
+    }
+  };
+
+  const sortedStandings = useMemo(() => {
+    const getValue = SORT_VALUES[sortField];
+    return [...standings].sort((a, b) => {
+      const aValue = getValue(a);
+      const bValue = getValue(b);
+      const comparison = typeof aValue === 'string'
+        ? aValue.localeCompare(bValue)
+        : (aValue ?? -Infinity) - (bValue ?? -Infinity);
+      return sortDirection === 'asc' ? comparison : -comparison;
+    });
+  }, [standings, sortField, sortDirection]);
+
+  const renderHeader = (field, label, title) => (
+    <th
+      className={`px-4 py-3 ${field === 'displayName' ? 'text-left' : 'text-center'} cursor-pointer hover:bg-gray-700`}
+      onClick={() => handleSort(field)}
+      title={title}
+    >
+      {label}
+      {sortField === field && (
+        <span className="ml-1">{sortDirection === 'asc' ? '↑' : '↓'}</span>
+      )}
+    </th>
+  );
+
+  if (error || historyError) {
+    return (
+      <div className="container mx-auto px-4 py-8">
+        <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded relative mb-6" role="alert">
+          <strong className="font-bold">Error: </strong>
+          <span className="block sm:inline">{error || historyError}</span>
+        </div>
+        <Link to={getLeaguePath(leagueId, selectedSeason)} className="text-blue-600 hover:underline">
+          &larr; Back to Dashboard
+        </Link>
+      </div>
+    );
+  }
+
+  return (
+    <div className="container mx-auto px-4 py-8">
+      <div className="flex justify-between items-center mb-6">
+        <Link to={getLeaguePath(leagueId, selectedSeason)} className="text-blue-600 hover:underline">
+          &larr; Back to Dashboard
+        </Link>
+        <SeasonSelector />
+      </div>
+
+      <div className="mb-6">
+        <h1 className="text-3xl font-bold text-gray-800">All-Time Standings</h1>
+        {league && (
+          <p className="text-gray-600 mt-1">
+            {league.name}
+            {!loading && ` - ${realSeasonCount} season${realSeasonCount === 1 ? '' : 's'}`}
+          </p>
+        )}
+      </div>
+
+      {loading ? (
+        <div className="flex justify-center items-center h-64">
+          <div className="animate-spin rounded-full h-12 w-12 border-t-2 border-b-2 border-blue-500"></div>
+        </div>
+      ) : !standings.length ? (
+        <div className="bg-white p-4 rounded-lg shadow-md text-center">No seasons found.</div>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="min-w-full bg-white rounded-lg overflow-hidden shadow-lg text-sm">
+            <thead className="bg-gray-800 text-white">
+              <tr>
+                <th className="px-4 py-3 text-center">#</th>
+                {renderHeader('displayName', 'Manager')}
+                {renderHeader('seasons', 'Seasons')}
+                {renderHeader('winPercentage', 'Record', 'Regular season record, sorted by win percentage')}
+                {renderHeader('pointsFor', 'PF')}
+                {renderHeader('pointsAgainst', 'PA')}
+                {renderHeader('allPlayPercentage', 'All-Play', 'Record if every team played every other team each week')}
+                {renderHeader('playoffAppearances', 'Playoffs', 'Seasons seeded into the winners bracket')}
+                {renderHeader('titles', 'Titles')}
+                {renderHeader('averageFinish', 'Avg Finish', 'Average regular season finish')}
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {sortedStandings.map((row, index) => (
+                <tr key={row.ownerId} className={index % 2 === 0 ? 'bg-white' : 'bg-gray-50'}>
+                  <td className="px-4 py-3 text-center text-gray-500">{index + 1}</td>
+                  <td className="px-4 py-3">
+                    <Link
+                      to={getOwnerRivalriesPath(leagueId, selectedSeason, row.ownerId)}
+                      className="flex items-center hover:text-blue-600"
+                    >
+                      {row.avatar && (
+                        <img
+                          src={SleeperApiService.getAvatarUrl(row.avatar)}
+                          alt={`${row.displayName} avatar`}
+                          className="w-8 h-8 rounded-full mr-3"
+                        />
+                      )}
+                      <span className="font-medium">{row.displayName}</span>
+                    </Link>
+                  </td>
+                  <td className="px-4 py-3 text-center">{row.seasons}</td>
+                  <td className="px-4 py-3 text-center whitespace-nowrap">
+                    {formatRecord(row.wins, row.losses, row.ties)}
+                    <span className="ml-1 text-xs text-gray-500">({formatPercentage(row.winPercentage)})</span>
+                  </td>
+                  <td className="px-4 py-3 text-center">{formatPoints(row.pointsFor)}</td>
+                  <td className="px-4 py-3 text-center">{formatPoints(row.pointsAgainst)}</td>
+                  <td className="px-4 py-3 text-center whitespace-nowrap">
+                    {row.allPlayPercentage === null ? '-' : (
+                      <>
+                        {formatRecord(row.allPlayWins, row.allPlayLosses, row.allPlayTies)}
+                        <span className="ml-1 text-xs text-gray-500">({formatPercentage(row.allPlayPercentage)})</span>
+                      </>
+                    )}
+                  </td>
+                  <td className="px-4 py-3 text-center">{row.playoffAppearances ?? '…'}</td>
+                  <td className="px-4 py-3 text-center">
+                    {row.titles === null ? '…' : (
+                      <span className={row.titles > 0 ? 'text-yellow-700 font-semibold' : ''}>{row.titles}</span>
+                    )}
+                  </td>
+                  <td className="px-4 py-3 text-center">
+                    {row.averageFinish.toFixed(1)}
+                    <span className="ml-1 text-xs text-gray-500">(best #{row.bestFinish})</span>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <p className="mt-2 text-xs text-gray-500">
+            Regular season totals, credited to each roster's owner.
+            {skippedSeasons.length > 0 && ` Seasons without their own league (${skippedSeasons.join(', ')}) are not counted.`}
+          </p>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AllTimeStandings;
@@ -0,0 +1,165 @@
+import React, { useContext, useMemo } from 'react';
+import { Link } from 'react-router-dom';
+import { LeagueContext } from '../contexts/LeagueContext';
+import SeasonSelector from '../components/SeasonSelector';
+import SleeperApiService from '../services/sleeperApi';
+import useLeagueHistory from '../hooks/useLeagueHistory';
+import usePlayoffPlacements from '../hooks/usePlayoffPlacements';
+import { getLeaguePath, getPlayoffsPath, getTeamPath } from '../utils/routes';
+
+const Champions = () => {
+  const { error, league, leagueId, selectedSeason } = useContext(LeagueContext);
+  const { seasons, loading, error: historyError } = useLeagueHistory({ includeMatchups: false });
+  const placementsBySeason = usePlayoffPlacements(seasons, loading);
+
+  // One row per season, newest first
+  const rows = useMemo(() => {
+    if (!placementsBySeason) return [];
+    return seasons
+      .filter(season => placementsBySeason[season.season])
+      .map(seasonData => {
+        const placements = placementsBySeason[seasonData.season];
+        const getTeam = (rosterId) => {
+          if (rosterId === null) return null;
+          const roster = seasonData.rosters?.find(r => r.roster_id === rosterId);
+          const user = roster && seasonData.users?.find(u => u.user_id === roster.owner_id);
+          return {
+            rosterId,
+            ownerId: roster?.owner_id,
+            name: user?.display_name || `Team ${rosterId}`,
+            avatar: user?.avatar,
+            wins: roster?.settings?.wins || 0,
+            losses: roster?.settings?.losses || 0,
+            ties: roster?.settings?.ties || 0,
+          };
+        };
+        return {
+          season: seasonData.season,
+          leagueId: seasonData.leagueId,
+          champion: getTeam(placements.champion),
+          runnerUp: getTeam(placements.runnerUp),
+          toiletBowlLoser: getTeam(placements.toiletBowlLoser),
+        };
+      })
+      .reverse();
+  }, [seasons, placementsBySeason]);
+
+  // Titles per owner for the trophy wall
+  const titleCounts = useMemo(() => {
+    const counts = {};
+    rows.forEach(row => {
+      if (!row.champion) return;
+      const key = row.champion.ownerId || row.champion.name;
+      counts[key] = { name: row.champion.name, avatar: row.champion.avatar, titles: (counts[key]?.titles || 0) + 1 };
+    });
+    return Object.values(counts).sort((a, b) => b.titles - a.titles);
+  }, [rows]);
+
+  const renderTeam = (row, team) => {
+    if (!team) return <span className="text-gray-400">-</span>;
+    return (
+      <div>
+        <Link to={getTeamPath(row.leagueId, row.season, team.rosterId)} className="font-medium hover:text-blue-600">
+          {team.name}
+        </Link>
+        <span className="ml-2 text-xs text-gray-500">
+          ({team.wins}-{team.losses}{team.ties ? `-${team.ties}` : ''})
+        </span>
+      </div>
+    );
+  };
+
+  if (error || historyError) {
+    return (
+      <div className="container mx-auto px-4 py-8">
+        <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded relative mb-6" role="alert">
+          <strong className="font-bold">Error: </strong>
+          <span className="block sm:inline">{error || historyError}</span>
+        </div>
+        <Link to={getLeaguePath(leagueId, selectedSeason)} className="text-blue-600 hover:underline">
+          &larr; Back to Dashboard
+        </Link>
+      </div>
+    );
+  }
+
+  return (
+    <div className="container mx-auto px-4 py-8">
+      <div className="flex justify-between items-center mb-6">
+        <Link to={getLeaguePath(leagueId, selectedSeason)} className="text-blue-600 hover:underline">
+          &larr; Back to Dashboard
+        </Link>
+        <SeasonSelector />
+      </div>
+
+      <div className="mb-6">
+        <h1 className="text-3xl font-bold text-gray-800">Champions</h1>
+        {league && <p className="text-gray-600 mt-1">{league.name}</p>}
+      </div>
+
+      {loading || !placementsBySeason ? (
+        <div className="flex justify-center items-center h-64">
+          <div className="animate-spin rounded-full h-12 w-12 border-t-2 border-b-2 border-blue-500"></div>
+        </div>
+      ) : !rows.length ? (
+        <div className="bg-white p-4 rounded-lg shadow-md text-center">No seasons found.</div>
+      ) : (
+        <>
+          {titleCounts.length > 0 && (
+            <div className="flex flex-wrap gap-3 mb-6">
+              {titleCounts.map(owner => (
+                <div key={owner.name} className="flex items-center bg-yellow-50 border border-yellow-200 rounded-lg px-3 py-2">
+                  {owner.avatar && (
+                    <img
+                      src={SleeperApiService.getAvatarUrl(owner.avatar)}
+                      alt=""
+                      className="w-8 h-8 rounded-full mr-2"
+                    />
+                  )}
+                  <span className="font-medium">{owner.name}</span>
+                  <span className="ml-2 text-yellow-700 font-semibold">
+                    {owner.titles} title{owner.titles === 1 ? '' : 's'}
+                  </span>
+                </div>
+              ))}
+            </div>
+          )}
+
+          <div className="bg-white p-4 rounded-lg shadow-md overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200 text-sm">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Season</th>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Champion</th>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Runner-Up</th>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Toilet Bowl</th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {rows.map(row => (
+                  <tr key={row.season}>
+                    <td className="px-4 py-2">
+                      <Link to={getPlayoffsPath(row.leagueId, row.season)} className="text-blue-600 hover:underline">
+                        {row.season}
+                      </Link>
+                    </td>
+                    <td className="px-4 py-2">
+                      {row.champion ? renderTeam(row, row.champion) : <span className="text-gray-400">In progress</span>}
+                    </td>
+                    <td className="px-4 py-2">{renderTeam(row, row.runnerUp)}</td>
+                    <td className="px-4 py-2">{renderTeam(row, row.toiletBowlLoser)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            <p className="mt-2 text-xs text-gray-500">
+              Records are regular season. The toilet bowl column shows the team that finished last in the losers bracket.
+            </p>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default Champions;
@@ -1,14 +1,24 @@
 import React, { useContext } from 'react';
+import { Link } from 'react-router-dom';
 import { LeagueContext } from '../contexts/LeagueContext';
 import SeasonSelector from '../components/SeasonSelector';
-import LeagueIdInput from '../components/LeagueIdInput';
+import LeaguePicker from '../components/LeaguePicker';
 import StandingsTable from '../components/StandingsTable';
 import TrendingTeamsChart from '../components/TrendingTeamsChart';
 import WeeklyScorecard from '../components/WeeklyScorecard';
 import PerformanceChart from '../components/PerformanceChart';
+import StrengthOfScheduleTable from '../components/StrengthOfScheduleTable';
+import PlayoffOdds from '../components/PlayoffOdds';
+import ManagerEfficiencyLeaderboard from '../components/ManagerEfficiencyLeaderboard';
+import {
+  getAllTimeStandingsPath, getChampionsPath, getDraftsPath, getPickLedgerPath, getPlayoffsPath, getPowerRankingsPath,
+  getRecordBookPath, getRivalriesPath, getScheduleSwapPath,
+} from '../utils/routes';
 
 const Dashboard = () => {
-  const { league, loading, error, matchups, selectedSeason, nflState } = useContext(LeagueContext);
+  const {
+    league, leagueId, loading, error, matchups, selectedSeason, nflState, seasonCalendar, lastSynced, refreshData,
+  } = useContext(LeagueContext);
   
   // Check if we're viewing a future season with no matchups
   const isFutureSeason = nflState && selectedSeason && parseInt(selectedSeason) > parseInt(nflState.season);
@@ -21,7 +31,7 @@ const Dashboard = () => {
           <strong className="font-bold">Error: </strong>
           <span className="block sm:inline">{error}</span>
         </div>
-        <LeagueIdInput />
+        <LeaguePicker />
       </div>
     );
   }
@@ -36,10 +46,54 @@ const Dashboard = () => {
               {league.name} - {selectedSeason} Season
             </p>
           )}
+          {lastSynced && (
+            <p className="text-sm text-gray-500 mt-1">
+              Last synced at {new Date(lastSynced).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' })}
+              <button
+                onClick={refreshData}
+                disabled={loading}
+                className="ml-2 text-blue-600 hover:underline disabled:text-gray-400"
+              >
+                Sync now
+              </button>
+            </p>
+          )}
+          <div className="flex flex-wrap gap-x-4 mt-1 text-sm">
+            <Link to={getPowerRankingsPath(leagueId, selectedSeason)} className="text-blue-600 hover:underline">
+              Power Rankings
+            </Link>
+            <Link to={getScheduleSwapPath(leagueId, selectedSeason)} className="text-blue-600 hover:underline">
+              Schedule Swap
+            </Link>
+            <Link to={getRivalriesPath(leagueId, selectedSeason)} className="text-blue-600 hover:underline">
+              Rivalries
+            </Link>
+            <Link to={getPlayoffsPath(leagueId, selectedSeason)} className="text-blue-600 hover:underline">
+              Playoffs
+            </Link>
+            <Link to={getChampionsPath(leagueId, selectedSeason)} className="text-blue-600 hover:underline">
+              Champions
+            </Link>
+            <Link to={getRecordBookPath(leagueId, selectedSeason)} className="text-blue-600 hover:underline">
+              Record Book
+            </Link>
+            <Link to={getAllTimeStandingsPath(leagueId, selectedSeason)} className="text-blue-600 hover:underline">
+              All-Time Standings
+            </Link>
+            <Link to={getDraftsPath(leagueId, selectedSeason)} className="text-blue-600 hover:underline">
+              Drafts
+            </Link>
+            <Link to={getPickLedgerPath(leagueId, selectedSeason)} className="text-blue-600 hover:underline">
+              Pick Ledger
+            </Link>
+            <Link to="/settings" className="text-blue-600 hover:underline">
+              Settings &amp; cached data
+            </Link>
+          </div>
         </div>
         <div className="flex flex-col sm:flex-row gap-3">
           <SeasonSelector />
-          <LeagueIdInput />
+          <LeaguePicker />
         </div>
       </div>
 
@@ -66,6 +120,32 @@ const Dashboard = () => {
             </div>
           </div>
 
+          {/* Playoff Odds, while regular season games remain */}
+          {seasonCalendar?.lastScoredWeek < seasonCalendar?.playoffWeekStart - 1 && (
+            <div className="lg:col-span-2">
+              <div className="bg-white p-4 rounded-lg shadow-md">
+                <h2 className="text-xl font-semibold mb-4">Playoff Odds</h2>
+                <PlayoffOdds />
+              </div>
+            </div>
+          )}
+
+          {/* Strength of Schedule */}
+          <div className="lg:col-span-2">
+            <div className="bg-white p-4 rounded-lg shadow-md">
+              <h2 className="text-xl font-semibold mb-4">Strength of Schedule</h2>
+              <StrengthOfScheduleTable />
+            </div>
+          </div>
+
+          {/* Lineup Efficiency */}
+          <div className="lg:col-span-2">
+            <div className="bg-white p-4 rounded-lg shadow-md">
+              <h2 className="text-xl font-semibold mb-4">Lineup Efficiency</h2>
+              <ManagerEfficiencyLeaderboard />
+            </div>
+          </div>
+
           {/* Weekly Matchups */}
           <div className="lg:col-span-2">
             <WeeklyScorecard />
@@ -0,0 +1,234 @@
+import React, { useContext, useMemo } from 'react';
+import { Link } from 'react-router-dom';
+import { LeagueContext } from '../contexts/LeagueContext';
+import SeasonSelector from '../components/SeasonSelector';
+import SleeperApiService from '../services/sleeperApi';
+import useLeagueHistory from '../hooks/useLeagueHistory';
+import useLeagueDrafts from '../hooks/useLeagueDrafts';
+import { formatPercentage, formatPoints, formatSigned, getPositionColor } from '../utils/dataUtils';
+import { calculateDraftRetrospective } from '../utils/draftRetrospective';
+import { DRAFT_KINDS } from '../utils/drafts';
+import { getDraftsPath, getLeaguePath, getOwnerRivalriesPath } from '../utils/routes';
+
+const GRADE_COLORS = {
+  A: 'bg-green-100 text-green-800',
+  B: 'bg-lime-100 text-lime-800',
+  C: 'bg-yellow-100 text-yellow-800',
+  D: 'bg-orange-100 text-orange-800',
+  F: 'bg-red-100 text-red-800',
+};
+
+/**
+ * Describe where a pick was made
+ * @param {Object} pick - Pick from calculateDraftRetrospective
+ * @returns {string} - e.g. "2023 Rookie 1.04"
+ */
+const describePick = (pick) => (
+  `${pick.season} ${DRAFT_KINDS[pick.kind]} ${pick.round}.${String(pick.pickInRound).padStart(2, '0')}`
+);
+
+const DraftRetrospective = () => {
+  const { error, league, leagueId, selectedSeason } = useContext(LeagueContext);
+  const { seasons, loading, error: historyError } = useLeagueHistory();
+  const { drafts, error: draftsError } = useLeagueDrafts(seasons, loading);
+
+  const retrospective = useMemo(
+    () => (drafts ? calculateDraftRetrospective(drafts, seasons) : null),
+    [drafts, seasons]
+  );
+
+  const renderPlayer = (pick) => (
+    <div className="flex items-center gap-2">
+      <span className={`px-2 py-0.5 rounded-full text-xs font-semibold ${getPositionColor(pick.position)}`}>
+        {pick.position || '-'}
+      </span>
+      <span className="font-medium">{pick.playerName}</span>
+    </div>
+  );
+
+  // A card listing the best or worst picks
+  const renderPickList = (title, picks) => (
+    <div className="bg-white p-4 rounded-lg shadow-md">
+      <h2 className="text-lg font-semibold mb-3">{title}</h2>
+      <table className="min-w-full text-sm">
+        <tbody className="divide-y divide-gray-200">
+          {picks.map((pick, index) => (
+            <tr key={`${pick.draftId}-${pick.pickNo}`}>
+              <td className="py-2 pr-2 text-gray-400 w-6">{index + 1}</td>
+              <td className="py-2 px-2">
+                {renderPlayer(pick)}
+                <div className="text-xs text-gray-500 mt-1">{describePick(pick)} by {pick.picker.teamName}</div>
+              </td>
+              <td className="py-2 px-2 text-right whitespace-nowrap">
+                <div className={pick.surplus >= 0 ? 'text-green-700 font-semibold' : 'text-red-600 font-semibold'}>
+                  {formatSigned(pick.surplus)}
+                </div>
+                <div className="text-xs text-gray-500">
+                  {formatPoints(pick.pointsPerWeek)} vs {formatPoints(pick.expectedPerWeek)}
+                </div>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+
+  if (error || historyError || draftsError) {
+    return (
+      <div className="container mx-auto px-4 py-8">
+        <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded relative mb-6" role="alert">
+          <strong className="font-bold">Error: </strong>
+          <span className="block sm:inline">{error || historyError || draftsError}</span>
+        </div>
+        <Link to={getLeaguePath(leagueId, selectedSeason)} className="text-blue-600 hover:underline">
+          &larr; Back to Dashboard
+        </Link>
+      </div>
+    );
+  }
+
+  return (
+    <div className="container mx-auto px-4 py-8">
+      <div className="flex justify-between items-center mb-6">
+        <div className="flex gap-4">
+          <Link to={getLeaguePath(leagueId, selectedSeason)} className="text-blue-600 hover:underline">
+            &larr; Back to Dashboard
+          </Link>
+          <Link to={getDraftsPath(leagueId, selectedSeason)} className="text-blue-600 hover:underline">
+            Draft Boards
+          </Link>
+        </div>
+        <SeasonSelector />
+      </div>
+
+      <div className="mb-6">
+        <h1 className="text-3xl font-bold text-gray-800">Draft Retrospective</h1>
+        {league && <p className="text-gray-600 mt-1">{league.name}</p>}
+      </div>
+
+      {loading || !retrospective ? (
+        <div className="flex justify-center items-center h-64">
+          <div className="animate-spin rounded-full h-12 w-12 border-t-2 border-b-2 border-blue-500"></div>
+        </div>
+      ) : !retrospective.picks.length ? (
+        <div className="bg-white p-4 rounded-lg shadow-md text-center">
+          No completed drafts with games played since.
+        </div>
+      ) : (
+        <>
+          <div className="bg-white shadow overflow-hidden sm:rounded-lg mb-6">
+            <div className="px-4 py-5 sm:px-6 bg-gray-800 text-white">
+              <h3 className="text-lg leading-6 font-medium">Manager Draft Grades</h3>
+              <p className="mt-1 text-sm text-gray-300">
+                Graded on average points per week above what each pick slot usually returns.
+              </p>
+            </div>
+            <div className="border-t border-gray-200 px-4 py-5 sm:p-6 overflow-x-auto">
+              <table className="min-w-full divide-y divide-gray-200 text-sm">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-4 py-2 text-center text-xs font-medium text-gray-500 uppercase tracking-wider">Grade</th>
+                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Manager</th>
+                    <th className="px-4 py-2 text-center text-xs font-medium text-gray-500 uppercase tracking-wider">Picks</th>
+                    <th className="px-4 py-2 text-center text-xs font-medium text-gray-500 uppercase tracking-wider">Hit Rate</th>
+                    <th className="px-4 py-2 text-center text-xs font-medium text-gray-500 uppercase tracking-wider">Avg Surplus</th>
+                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Best Pick</th>
+                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Worst Pick</th>
+                  </tr>
+                </thead>
+                <tbody className="bg-white divide-y divide-gray-200">
+                  {retrospective.managers.map(manager => (
+                    <tr key={manager.ownerId}>
+                      <td className="px-4 py-2 text-center">
+                        <span className={`px-3 py-1 rounded-md font-bold ${GRADE_COLORS[manager.grade]}`}>{manager.grade}</span>
+                      </td>
+                      <td className="px-4 py-2">
+                        <Link
+                          to={getOwnerRivalriesPath(leagueId, selectedSeason, manager.ownerId)}
+                          className="flex items-center hover:text-blue-600"
+                        >
+                          {manager.avatar && (
+                            <img
+                              src={SleeperApiService.getAvatarUrl(manager.avatar)}
+                              alt={`${manager.teamName} avatar`}
+                              className="w-8 h-8 rounded-full mr-3"
+                            />
+                          )}
+                          <span className="font-medium">{manager.teamName}</span>
+                        </Link>
+                      </td>
+                      <td className="px-4 py-2 text-center">{manager.picks}</td>
+                      <td className="px-4 py-2 text-center">{formatPercentage(manager.hitRate)}</td>
+                      <td className={`px-4 py-2 text-center font-medium ${manager.averageSurplus >= 0 ? 'text-green-700' : 'text-red-600'}`}>
+                        {formatSigned(manager.averageSurplus)}
+                      </td>
+                      <td className="px-4 py-2">
+                        {manager.bestPick.playerName}
+                        <span className="ml-1 text-xs text-gray-500">({describePick(manager.bestPick)})</span>
+                      </td>
+                      <td className="px-4 py-2">
+                        {manager.worstPick.playerName}
+                        <span className="ml-1 text-xs text-gray-500">({describePick(manager.worstPick)})</span>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-6 mb-6">
+            {renderPickList('Best Picks', retrospective.bestPicks)}
+            {renderPickList('Worst Picks', retrospective.worstPicks)}
+          </div>
+
+          <div className="bg-white shadow overflow-hidden sm:rounded-lg">
+            <div className="px-4 py-5 sm:px-6 bg-gray-800 text-white">
+              <h3 className="text-lg leading-6 font-medium">Hit Rate by Round</h3>
+            </div>
+            <div className="border-t border-gray-200 px-4 py-5 sm:p-6 overflow-x-auto">
+              <table className="min-w-full divide-y divide-gray-200 text-sm">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Draft</th>
+                    <th className="px-4 py-2 text-center text-xs font-medium text-gray-500 uppercase tracking-wider">Round</th>
+                    <th className="px-4 py-2 text-center text-xs font-medium text-gray-500 uppercase tracking-wider">Picks</th>
+                    <th className="px-4 py-2 text-center text-xs font-medium text-gray-500 uppercase tracking-wider">Hits</th>
+                    <th className="px-4 py-2 text-center text-xs font-medium text-gray-500 uppercase tracking-wider">Hit Rate</th>
+                    <th className="px-4 py-2 text-center text-xs font-medium text-gray-500 uppercase tracking-wider">Avg Pts / Wk</th>
+                  </tr>
+                </thead>
+                <tbody className="bg-white divide-y divide-gray-200">
+                  {retrospective.rounds.map(round => (
+                    <tr key={`${round.kind}-${round.round}`}>
+                      <td className="px-4 py-2">{DRAFT_KINDS[round.kind]}</td>
+                      <td className="px-4 py-2 text-center">{round.round}</td>
+                      <td className="px-4 py-2 text-center">{round.picks}</td>
+                      <td className="px-4 py-2 text-center">{round.hits}</td>
+                      <td className="px-4 py-2 text-center">
+                        <div className="flex items-center justify-center gap-2">
+                          <div className="w-24 bg-gray-200 rounded-full h-2">
+                            <div className="bg-blue-600 h-2 rounded-full" style={{ width: `${round.hitRate}%` }}></div>
+                          </div>
+                          <span>{formatPercentage(round.hitRate)}</span>
+                        </div>
+                      </td>
+                      <td className="px-4 py-2 text-center">{formatPoints(round.averagePointsPerWeek)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              <p className="mt-2 text-xs text-gray-500">
+                Production is fantasy points per regular season week from the draft's season on, counted while the
+                player was on a roster in this league. A hit beats the usual return of its pick slot.
+              </p>
+            </div>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default DraftRetrospective;
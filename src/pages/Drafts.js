@@ -0,0 +1,328 @@
+import React, { useContext, useMemo, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { LeagueContext } from '../contexts/LeagueContext';
+import SeasonSelector from '../components/SeasonSelector';
+import useLeagueHistory from '../hooks/useLeagueHistory';
+import useLeagueDrafts from '../hooks/useLeagueDrafts';
+import { getPositionColor } from '../utils/dataUtils';
+import { DRAFT_KINDS, buildDraftBoard, getDraftKind, getDraftPickDetails } from '../utils/drafts';
+import { getOwnerDirectory } from '../utils/rivalries';
+import { getDraftRetrospectivePath, getLeaguePath, getTeamPath } from '../utils/routes';
+
+/**
+ * Format a pick as round.pick
+ * @param {Object} pick - Pick from getDraftPickDetails
+ * @returns {string} - e.g. "2.05"
+ */
+const formatPickNumber = (pick) => `${pick.round}.${String(pick.pickInRound).padStart(2, '0')}`;
+
+/**
+ * Check a pick against the team and position filters
+ * @param {Object} pick - Pick from getDraftPickDetails
+ * @param {string} ownerId - Owner to match, or '' for any
+ * @param {string} position - Position to match, or '' for any
+ * @returns {boolean} - Whether the pick matches
+ */
+const matchesFilters = (pick, ownerId, position) => (
+  (!ownerId || pick.picker.ownerId === ownerId) && (!position || pick.position === position)
+);
+
+const Drafts = () => {
+  const { error, league, leagueId, selectedSeason } = useContext(LeagueContext);
+  const { seasons, loading, error: historyError } = useLeagueHistory({ includeMatchups: false });
+  const { drafts, error: draftsError } = useLeagueDrafts(seasons, loading);
+  const [kindFilter, setKindFilter] = useState('all');
+  const [selectedDraftId, setSelectedDraftId] = useState(null);
+  const [teamFilter, setTeamFilter] = useState('');
+  const [positionFilter, setPositionFilter] = useState('');
+
+  const seasonData = useMemo(
+    () => Object.fromEntries(seasons.map(season => [season.season, season])),
+    [seasons]
+  );
+  const owners = useMemo(() => getOwnerDirectory(seasons), [seasons]);
+
+  const draftOptions = useMemo(
+    () => (drafts || []).filter(draft => kindFilter === 'all' || getDraftKind(draft) === kindFilter),
+    [drafts, kindFilter]
+  );
+
+  // Default to the selected season's latest draft, or else the latest draft shown
+  const selectedDraft = draftOptions.find(draft => draft.draft_id === selectedDraftId)
+    || [...draftOptions].reverse().find(draft => draft.season === selectedSeason)
+    || draftOptions[draftOptions.length - 1]
+    || null;
+
+  const board = useMemo(() => {
+    if (!selectedDraft) return null;
+    const { rosters, users } = seasonData[selectedDraft.season] || {};
+    return buildDraftBoard(selectedDraft, rosters, users);
+  }, [selectedDraft, seasonData]);
+
+  // Every pick of the drafts shown, for the history filters
+  const allPicks = useMemo(() => draftOptions.flatMap(draft => {
+    const { rosters, users } = seasonData[draft.season] || {};
+    return getDraftPickDetails(draft, rosters, users).map(pick => ({ ...pick, leagueId: draft.leagueId }));
+  }), [draftOptions, seasonData]);
+
+  const positions = useMemo(
+    () => [...new Set(allPicks.map(pick => pick.position).filter(Boolean))].sort(),
+    [allPicks]
+  );
+
+  const isFiltered = teamFilter !== '' || positionFilter !== '';
+  const filteredPicks = useMemo(
+    () => allPicks.filter(pick => matchesFilters(pick, teamFilter, positionFilter)).reverse(),
+    [allPicks, teamFilter, positionFilter]
+  );
+
+  // Positions taken and average round, to show drafting tendencies
+  const positionBreakdown = useMemo(() => {
+    const counts = {};
+    filteredPicks.forEach(pick => {
+      const position = pick.position || '?';
+      if (!counts[position]) counts[position] = { position, picks: 0, roundTotal: 0 };
+      counts[position].picks++;
+      counts[position].roundTotal += pick.round;
+    });
+    return Object.values(counts)
+      .map(({ roundTotal, ...entry }) => ({ ...entry, averageRound: roundTotal / entry.picks }))
+      .sort((a, b) => b.picks - a.picks);
+  }, [filteredPicks]);
+
+  const describeDraft = (draft) => (
+    `${draft.season} ${DRAFT_KINDS[getDraftKind(draft)]}${draft.metadata?.name ? ` - ${draft.metadata.name}` : ''}`
+  );
+
+  const renderCell = (pick, slot) => {
+    if (!pick) {
+      return <div className="h-full min-h-[4rem] rounded border border-dashed border-gray-200 bg-gray-50"></div>;
+    }
+    const dimmed = isFiltered && !matchesFilters(pick, teamFilter, positionFilter);
+    return (
+      <div
+        className={`h-full min-h-[4rem] rounded p-2 text-xs ${getPositionColor(pick.position)} ${dimmed ? 'opacity-25' : ''} ${pick.isTraded ? 'ring-2 ring-amber-400' : ''}`}
+        title={pick.isTraded ? `Slot of ${slot.teamName}, picked by ${pick.picker.teamName}` : pick.picker.teamName}
+      >
+        <div className="flex justify-between opacity-75">
+          <span>{formatPickNumber(pick)}</span>
+          <span>{pick.position || '-'}{pick.nflTeam ? ` ${pick.nflTeam}` : ''}</span>
+        </div>
+        <div className="font-semibold truncate">{pick.playerName}</div>
+        <div className="truncate">
+          {pick.isTraded ? <span className="font-medium">&rarr; {pick.picker.teamName}</span> : pick.picker.teamName}
+          {pick.amount !== null && <span className="ml-1">${pick.amount}</span>}
+          {pick.isKeeper && <span className="ml-1 font-medium">(K)</span>}
+        </div>
+      </div>
+    );
+  };
+
+  if (error || historyError || draftsError) {
+    return (
+      <div className="container mx-auto px-4 py-8">
+        <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded relative mb-6" role="alert">
+          <strong className="font-bold">Error: </strong>
+          <span className="block sm:inline">{error || historyError || draftsError}</span>
+        </div>
+        <Link to={getLeaguePath(leagueId, selectedSeason)} className="text-blue-600 hover:underline">
+          &larr; Back to Dashboard
+        </Link>
+      </div>
+    );
+  }
+
+  return (
+    <div className="container mx-auto px-4 py-8">
+      <div className="flex justify-between items-center mb-6">
+        <div className="flex gap-4">
+          <Link to={getLeaguePath(leagueId, selectedSeason)} className="text-blue-600 hover:underline">
+            &larr; Back to Dashboard
+          </Link>
+          <Link to={getDraftRetrospectivePath(leagueId, selectedSeason)} className="text-blue-600 hover:underline">
+            Draft Retrospective
+          </Link>
+        </div>
+        <SeasonSelector />
+      </div>
+
+      <div className="mb-6">
+        <h1 className="text-3xl font-bold text-gray-800">Drafts</h1>
+        {league && <p className="text-gray-600 mt-1">{league.name}</p>}
+      </div>
+
+      {loading || !drafts ? (
+        <div className="flex justify-center items-center h-64">
+          <div className="animate-spin rounded-full h-12 w-12 border-t-2 border-b-2 border-blue-500"></div>
+        </div>
+      ) : !drafts.length ? (
+        <div className="bg-white p-4 rounded-lg shadow-md text-center">No drafts found.</div>
+      ) : (
+        <>
+          <div className="bg-white p-4 rounded-lg shadow-md mb-6 flex flex-wrap items-center gap-4 text-sm">
+            <div className="flex rounded-md overflow-hidden border border-gray-300">
+              {['all', ...Object.keys(DRAFT_KINDS)].map(kind => (
+                <button
+                  key={kind}
+                  onClick={() => {
+                    setKindFilter(kind);
+                    setSelectedDraftId(null);
+                  }}
+                  className={`px-3 py-1 ${kindFilter === kind ? 'bg-blue-600 text-white' : 'bg-white hover:bg-gray-100'}`}
+                >
+                  {kind === 'all' ? 'All Drafts' : DRAFT_KINDS[kind]}
+                </button>
+              ))}
+            </div>
+            <select
+              value={selectedDraft?.draft_id || ''}
+              onChange={(e) => setSelectedDraftId(e.target.value)}
+              className="px-2 py-1 border border-gray-300 rounded-md"
+              disabled={!draftOptions.length}
+            >
+              {draftOptions.map(draft => (
+                <option key={draft.draft_id} value={draft.draft_id}>{describeDraft(draft)}</option>
+              ))}
+            </select>
+            <select
+              value={teamFilter}
+              onChange={(e) => setTeamFilter(e.target.value)}
+              className="px-2 py-1 border border-gray-300 rounded-md"
+            >
+              <option value="">All teams</option>
+              {Object.values(owners)
+                .sort((a, b) => a.displayName.localeCompare(b.displayName))
+                .map(owner => (
+                  <option key={owner.ownerId} value={owner.ownerId}>{owner.displayName}</option>
+                ))}
+            </select>
+            <select
+              value={positionFilter}
+              onChange={(e) => setPositionFilter(e.target.value)}
+              className="px-2 py-1 border border-gray-300 rounded-md"
+            >
+              <option value="">All positions</option>
+              {positions.map(position => (
+                <option key={position} value={position}>{position}</option>
+              ))}
+            </select>
+          </div>
+
+          {!selectedDraft ? (
+            <div className="bg-white p-4 rounded-lg shadow-md text-center mb-6">
+              No {DRAFT_KINDS[kindFilter]?.toLowerCase()} drafts found.
+            </div>
+          ) : (
+            <div className="bg-white shadow overflow-hidden sm:rounded-lg mb-6">
+              <div className="px-4 py-5 sm:px-6 bg-gray-800 text-white flex justify-between items-center">
+                <h3 className="text-lg leading-6 font-medium">{describeDraft(selectedDraft)}</h3>
+                <span className="text-sm text-gray-300 capitalize">
+                  {selectedDraft.type}{selectedDraft.status !== 'complete' ? ` - ${selectedDraft.status?.replace(/_/g, ' ')}` : ''}
+                </span>
+              </div>
+              <div className="p-4 overflow-x-auto">
+                <table className="table-fixed border-separate border-spacing-1">
+                  <thead>
+                    <tr>
+                      <th className="w-10"></th>
+                      {board.slots.map(slot => (
+                        <th key={slot.slot} className="w-36 px-1 pb-1 text-xs font-medium text-gray-600 text-center truncate">
+                          {slot.rosterId ? (
+                            <Link
+                              to={getTeamPath(selectedDraft.leagueId, selectedDraft.season, slot.rosterId)}
+                              className="hover:text-blue-600"
+                            >
+                              {slot.teamName}
+                            </Link>
+                          ) : `Slot ${slot.slot}`}
+                        </th>
+                      ))}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {board.rounds.map(({ round, picks }) => (
+                      <tr key={round}>
+                        <td className="text-xs font-medium text-gray-500 text-center align-middle">R{round}</td>
+                        {picks.map((pick, index) => (
+                          <td key={index} className="w-36 align-top">{renderCell(pick, board.slots[index])}</td>
+                        ))}
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+                <p className="mt-2 text-xs text-gray-500">
+                  Columns are draft slots. Outlined picks were traded and made by the team after the arrow.
+                </p>
+              </div>
+            </div>
+          )}
+
+          <div className="bg-white shadow overflow-hidden sm:rounded-lg">
+            <div className="px-4 py-5 sm:px-6 bg-gray-800 text-white">
+              <h3 className="text-lg leading-6 font-medium">Draft History</h3>
+              <p className="mt-1 text-sm text-gray-300">Every pick across all seasons matching the filters above.</p>
+            </div>
+            <div className="border-t border-gray-200 px-4 py-5 sm:p-6">
+              {!isFiltered ? (
+                <p className="text-sm text-gray-500 text-center">Choose a team or position to review picks across every draft.</p>
+              ) : !filteredPicks.length ? (
+                <p className="text-sm text-gray-500 text-center">No picks match the filters.</p>
+              ) : (
+                <>
+                  <div className="flex flex-wrap gap-2 mb-4">
+                    {positionBreakdown.map(entry => (
+                      <div key={entry.position} className={`px-3 py-1 rounded-md text-sm ${getPositionColor(entry.position)}`}>
+                        <span className="font-medium">{entry.position}:</span> {entry.picks} pick{entry.picks === 1 ? '' : 's'},
+                        avg round {entry.averageRound.toFixed(1)}
+                      </div>
+                    ))}
+                  </div>
+                  <div className="overflow-x-auto">
+                    <table className="min-w-full divide-y divide-gray-200 text-sm">
+                      <thead className="bg-gray-50">
+                        <tr>
+                          <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Draft</th>
+                          <th className="px-4 py-2 text-center text-xs font-medium text-gray-500 uppercase tracking-wider">Pick</th>
+                          <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Player</th>
+                          <th className="px-4 py-2 text-center text-xs font-medium text-gray-500 uppercase tracking-wider">Pos</th>
+                          <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Team</th>
+                        </tr>
+                      </thead>
+                      <tbody className="bg-white divide-y divide-gray-200">
+                        {filteredPicks.map(pick => (
+                          <tr key={`${pick.draftId}-${pick.pickNo}`}>
+                            <td className="px-4 py-2 whitespace-nowrap">{pick.season} {DRAFT_KINDS[pick.kind]}</td>
+                            <td className="px-4 py-2 text-center">{formatPickNumber(pick)}</td>
+                            <td className="px-4 py-2 font-medium">
+                              {pick.playerName}
+                              {pick.nflTeam && <span className="ml-1 text-xs text-gray-500">{pick.nflTeam}</span>}
+                            </td>
+                            <td className="px-4 py-2 text-center">
+                              <span className={`px-2 py-0.5 rounded-full text-xs font-semibold ${getPositionColor(pick.position)}`}>
+                                {pick.position || '-'}
+                              </span>
+                            </td>
+                            <td className="px-4 py-2">
+                              <Link to={getTeamPath(pick.leagueId, pick.season, pick.picker.rosterId)} className="hover:text-blue-600">
+                                {pick.picker.teamName}
+                              </Link>
+                              {pick.isTraded && (
+                                <span className="ml-1 text-xs text-amber-700">(via {pick.slotOwner.teamName})</span>
+                              )}
+                            </td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                </>
+              )}
+            </div>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default Drafts;
@@ -0,0 +1,215 @@
+import React, { useContext, useMemo } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { LeagueContext } from '../contexts/LeagueContext';
+import SeasonSelector from '../components/SeasonSelector';
+import SleeperApiService from '../services/sleeperApi';
+import useLeagueHistory from '../hooks/useLeagueHistory';
+import usePlayoffPlacements from '../hooks/usePlayoffPlacements';
+import { formatPoints } from '../utils/dataUtils';
+import { buildFranchises, sumFranchiseSeasons } from '../utils/franchises';
+import { getLeaguePath, getOwnerRivalriesPath, getTeamPath } from '../utils/routes';
+
+/**
+ * Format a record for display
+ * @param {Object} record - { wins, losses, ties }
+ * @returns {string} - e.g. "9-5" or "8-5-1"
+ */
+const formatRecord = (record) => `${record.wins}-${record.losses}${record.ties ? `-${record.ties}` : ''}`;
+
+/**
+ * Describe how a franchise's season ended
+ * @param {Object} placements - Placements from getSeasonPlacements
+ * @param {number} rosterId - The franchise's roster ID
+ * @returns {Object|null} - { label, className }, or null for an unremarkable season
+ */
+const getPlayoffResult = (placements, rosterId) => {
+  if (!placements) return null;
+  if (placements.champion === rosterId) return { label: 'Champion', className: 'text-yellow-700 font-semibold' };
+  if (placements.runnerUp === rosterId) return { label: 'Runner-up', className: 'text-gray-700 font-medium' };
+  if (placements.thirdPlace === rosterId) return { label: 'Third place', className: 'text-orange-700' };
+  if (placements.toiletBowlLoser === rosterId) return { label: 'Toilet bowl', className: 'text-red-600' };
+  return null;
+};
+
+const Franchise = () => {
+  const { rosterId } = useParams();
+  const { error, league, leagueId, selectedSeason } = useContext(LeagueContext);
+  const { seasons, loading, error: historyError } = useLeagueHistory({ includeMatchups: false });
+  const placementsBySeason = usePlayoffPlacements(seasons, loading);
+
+  const franchise = useMemo(
+    () => buildFranchises(seasons).find(f => f.franchiseId === parseInt(rosterId)) || null,
+    [seasons, rosterId]
+  );
+
+  const totals = useMemo(() => sumFranchiseSeasons(franchise?.seasons), [franchise]);
+  const titles = franchise && placementsBySeason
+    ? franchise.seasons.filter(entry => placementsBySeason[entry.season]?.champion === entry.rosterId).length
+    : 0;
+
+  if (error || historyError) {
+    return (
+      <div className="container mx-auto px-4 py-8">
+        <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded relative mb-6" role="alert">
+          <strong className="font-bold">Error: </strong>
+          <span className="block sm:inline">{error || historyError}</span>
+        </div>
+        <Link to={getLeaguePath(leagueId, selectedSeason)} className="text-blue-600 hover:underline">
+          &larr; Back to Dashboard
+        </Link>
+      </div>
+    );
+  }
+
+  return (
+    <div className="container mx-auto px-4 py-8">
+      <div className="flex justify-between items-center mb-6">
+        <div className="flex gap-4">
+          <Link to={getLeaguePath(leagueId, selectedSeason)} className="text-blue-600 hover:underline">
+            &larr; Back to Dashboard
+          </Link>
+          <Link to={getTeamPath(leagueId, selectedSeason, rosterId)} className="text-blue-600 hover:underline">
+            {selectedSeason} Team Page
+          </Link>
+        </div>
+        <SeasonSelector />
+      </div>
+
+      {loading ? (
+        <div className="flex justify-center items-center h-64">
+          <div className="animate-spin rounded-full h-12 w-12 border-t-2 border-b-2 border-blue-500"></div>
+        </div>
+      ) : !franchise ? (
+        <div className="bg-white p-4 rounded-lg shadow-md text-center">Franchise not found.</div>
+      ) : (
+        <>
+          <div className="bg-white p-6 rounded-lg shadow-md mb-6">
+            <div className="flex flex-col md:flex-row items-center md:items-start gap-6">
+              {franchise.current.avatar && (
+                <img
+                  src={SleeperApiService.getAvatarUrl(franchise.current.avatar)}
+                  alt={`${franchise.current.managerName} avatar`}
+                  className="w-24 h-24 rounded-full"
+                />
+              )}
+              <div>
+                <h1 className="text-3xl font-bold text-gray-800">{franchise.current.managerName}'s Franchise</h1>
+                {league && (
+                  <p className="text-gray-600 mt-1">
+                    {league.name} - Roster {franchise.franchiseId}, {totals.seasons} season{totals.seasons === 1 ? '' : 's'}
+                  </p>
+                )}
+                <div className="mt-4 flex flex-wrap gap-3">
+                  <div className="bg-blue-100 px-3 py-1 rounded-md text-sm">
+                    <span className="font-medium">Franchise Record:</span> {formatRecord(totals)}
+                  </div>
+                  <div className="bg-gray-100 px-3 py-1 rounded-md text-sm">
+                    <span className="font-medium">Points For:</span> {formatPoints(totals.pointsFor)}
+                  </div>
+                  <div className="bg-gray-100 px-3 py-1 rounded-md text-sm">
+                    <span className="font-medium">Managers:</span> {franchise.tenures.length}
+                  </div>
+                  {titles > 0 && (
+                    <div className="bg-yellow-100 px-3 py-1 rounded-md text-sm">
+                      <span className="font-medium">Titles:</span> {titles}
+                    </div>
+                  )}
+                </div>
+              </div>
+            </div>
+          </div>
+
+          <div className="bg-white shadow overflow-hidden sm:rounded-lg mb-6">
+            <div className="px-4 py-5 sm:px-6 bg-gray-800 text-white">
+              <h3 className="text-lg leading-6 font-medium">Managers</h3>
+            </div>
+            <div className="border-t border-gray-200 px-4 py-5 sm:p-6 overflow-x-auto">
+              <table className="min-w-full divide-y divide-gray-200 text-sm">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Manager</th>
+                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Seasons</th>
+                    <th className="px-4 py-2 text-center text-xs font-medium text-gray-500 uppercase tracking-wider">Record</th>
+                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Co-owners</th>
+                  </tr>
+                </thead>
+                <tbody className="bg-white divide-y divide-gray-200">
+                  {franchise.tenures.map(tenure => (
+                    <tr key={`${tenure.ownerId}-${tenure.fromSeason}`}>
+                      <td className="px-4 py-2 font-medium">
+                        {tenure.ownerId ? (
+                          <Link
+                            to={getOwnerRivalriesPath(leagueId, selectedSeason, tenure.ownerId)}
+                            className="hover:text-blue-600"
+                          >
+                            {tenure.displayName}
+                          </Link>
+                        ) : tenure.displayName}
+                      </td>
+                      <td className="px-4 py-2">
+                        {tenure.fromSeason === tenure.toSeason ? tenure.fromSeason : `${tenure.fromSeason}–${tenure.toSeason}`}
+                      </td>
+                      <td className="px-4 py-2 text-center">{formatRecord(tenure)}</td>
+                      <td className="px-4 py-2 text-gray-600">
+                        {tenure.coOwners.length ? tenure.coOwners.map(c => c.displayName).join(', ') : '-'}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+
+          <div className="bg-white shadow overflow-hidden sm:rounded-lg">
+            <div className="px-4 py-5 sm:px-6 bg-gray-800 text-white">
+              <h3 className="text-lg leading-6 font-medium">Season by Season</h3>
+            </div>
+            <div className="border-t border-gray-200 px-4 py-5 sm:p-6 overflow-x-auto">
+              <table className="min-w-full divide-y divide-gray-200 text-sm">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Season</th>
+                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Manager</th>
+                    <th className="px-4 py-2 text-center text-xs font-medium text-gray-500 uppercase tracking-wider">Record</th>
+                    <th className="px-4 py-2 text-center text-xs font-medium text-gray-500 uppercase tracking-wider">PF</th>
+                    <th className="px-4 py-2 text-center text-xs font-medium text-gray-500 uppercase tracking-wider">PA</th>
+                    <th className="px-4 py-2 text-center text-xs font-medium text-gray-500 uppercase tracking-wider">Finish</th>
+                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Playoffs</th>
+                  </tr>
+                </thead>
+                <tbody className="bg-white divide-y divide-gray-200">
+                  {[...franchise.seasons].reverse().map(entry => {
+                    const result = getPlayoffResult(placementsBySeason?.[entry.season], entry.rosterId);
+                    return (
+                      <tr key={entry.season}>
+                        <td className="px-4 py-2">
+                          <Link to={getTeamPath(entry.leagueId, entry.season, entry.rosterId)} className="text-blue-600 hover:underline">
+                            {entry.season}
+                          </Link>
+                        </td>
+                        <td className="px-4 py-2">
+                          {entry.managerName}
+                          {entry.coOwners.length > 0 && (
+                            <span className="text-gray-500"> &amp; {entry.coOwners.map(c => c.displayName).join(', ')}</span>
+                          )}
+                        </td>
+                        <td className="px-4 py-2 text-center">{formatRecord(entry)}</td>
+                        <td className="px-4 py-2 text-center">{formatPoints(entry.pointsFor)}</td>
+                        <td className="px-4 py-2 text-center">{formatPoints(entry.pointsAgainst)}</td>
+                        <td className="px-4 py-2 text-center">#{entry.finish} of {entry.teamCount}</td>
+                        <td className={`px-4 py-2 ${result?.className || 'text-gray-400'}`}>{result?.label || '-'}</td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+              <p className="mt-2 text-xs text-gray-500">Finish is the regular season standing.</p>
+            </div>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default Franchise;
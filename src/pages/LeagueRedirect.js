@@ -0,0 +1,28 @@
+import React, { useContext } from 'react';
+import { Navigate, useParams } from 'react-router-dom';
+import { LeagueContext } from '../contexts/LeagueContext';
+import { getLeaguePath, getTeamPath } from '../utils/routes';
+
+/**
+ * Sends the root URL and old-style links (/team/:rosterId) to the
+ * equivalent page of the last-used league
+ */
+const LeagueRedirect = () => {
+  const { leagueId, selectedSeason, nflState } = useContext(LeagueContext);
+  const { rosterId } = useParams();
+
+  // Without a remembered season, wait for the NFL state to pick the current one
+  const season = selectedSeason || nflState?.season;
+  if (!season) {
+    return (
+      <div className="flex justify-center items-center h-64">
+        <div className="animate-spin rounded-full h-12 w-12 border-t-2 border-b-2 border-blue-500"></div>
+      </div>
+    );
+  }
+
+  const path = rosterId ? getTeamPath(leagueId, season, rosterId) : getLeaguePath(leagueId, season);
+  return <Navigate to={path} replace />;
+};
+
+export default LeagueRedirect;
@@ -0,0 +1,193 @@
+import React, { useContext, useMemo } from 'react';
+import { Link, useParams, useSearchParams } from 'react-router-dom';
+import { LeagueContext } from '../contexts/LeagueContext';
+import SeasonSelector from '../components/SeasonSelector';
+import SleeperApiService from '../services/sleeperApi';
+import useLeagueHistory from '../hooks/useLeagueHistory';
+import { formatPoints, formatSigned } from '../utils/dataUtils';
+import { getHeadToHeadGames, getOwnerDirectory, getOwnerRivalries } from '../utils/rivalries';
+import { getLeaguePath, getRivalriesPath, getTeamPath, getWeekPath } from '../utils/routes';
+
+/**
+ * Format a streak for display
+ * @param {Object} streak - { result, length } or null
+ * @returns {string} - e.g. "W3"
+ */
+const formatStreak = (streak) => (streak ? `${streak.result}${streak.length}` : '-');
+
+const RESULT_COLORS = { W: 'text-green-600', L: 'text-red-600', T: 'text-gray-600' };
+
+const OwnerRivalries = () => {
+  const { ownerId } = useParams();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const { error, leagueId, selectedSeason } = useContext(LeagueContext);
+  const { seasons, loading, error: historyError } = useLeagueHistory();
+
+  const owners = useMemo(() => getOwnerDirectory(seasons), [seasons]);
+  const rivalries = useMemo(() => getOwnerRivalries(getHeadToHeadGames(seasons), ownerId), [seasons, ownerId]);
+
+  const owner = owners[ownerId];
+  const selectedOpponentId = searchParams.get('vs') || rivalries[0]?.opponentId;
+  const selected = rivalries.find(rivalry => rivalry.opponentId === selectedOpponentId);
+
+  const totals = rivalries.reduce((sum, rivalry) => ({
+    wins: sum.wins + rivalry.wins,
+    losses: sum.losses + rivalry.losses,
+    ties: sum.ties + rivalry.ties,
+  }), { wins: 0, losses: 0, ties: 0 });
+
+  const selectOpponent = (opponentId) => setSearchParams({ vs: opponentId }, { replace: true });
+
+  if (error || historyError) {
+    return (
+      <div className="container mx-auto px-4 py-8">
+        <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded relative mb-6" role="alert">
+          <strong className="font-bold">Error: </strong>
+          <span className="block sm:inline">{error || historyError}</span>
+        </div>
+        <Link to={getLeaguePath(leagueId, selectedSeason)} className="text-blue-600 hover:underline">
+          &larr; Back to Dashboard
+        </Link>
+      </div>
+    );
+  }
+
+  return (
+    <div className="container mx-auto px-4 py-8">
+      <div className="flex justify-between items-center mb-6">
+        <div className="flex gap-4">
+          <Link to={getLeaguePath(leagueId, selectedSeason)} className="text-blue-600 hover:underline">
+            &larr; Back to Dashboard
+          </Link>
+          <Link to={getRivalriesPath(leagueId, selectedSeason)} className="text-blue-600 hover:underline">
+            All Rivalries
+          </Link>
+        </div>
+        <SeasonSelector />
+      </div>
+
+      {loading ? (
+        <div className="flex justify-center items-center h-64">
+          <div className="animate-spin rounded-full h-12 w-12 border-t-2 border-b-2 border-blue-500"></div>
+        </div>
+      ) : !owner ? (
+        <div className="bg-white p-4 rounded-lg shadow-md text-center">
+          This owner has not played in the league.
+        </div>
+      ) : (
+        <>
+          <div className="flex items-center mb-6">
+            {owner.avatar && (
+              <img
+                src={SleeperApiService.getAvatarUrl(owner.avatar)}
+                alt={`${owner.displayName} avatar`}
+                className="w-16 h-16 rounded-full mr-4"
+              />
+            )}
+            <div>
+              <h1 className="text-3xl font-bold text-gray-800">{owner.displayName}'s Rivalries</h1>
+              <p className="text-gray-600 mt-1">
+                {totals.wins}-{totals.losses}{totals.ties ? `-${totals.ties}` : ''} all-time over{' '}
+                {owner.seasons.length} season{owner.seasons.length === 1 ? '' : 's'}
+              </p>
+            </div>
+          </div>
+
+          <div className="bg-white p-4 rounded-lg shadow-md mb-6 overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200 text-sm">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Opponent</th>
+                  <th className="px-4 py-2 text-center text-xs font-medium text-gray-500 uppercase tracking-wider">Record</th>
+                  <th className="px-4 py-2 text-center text-xs font-medium text-gray-500 uppercase tracking-wider">Playoffs</th>
+                  <th className="px-4 py-2 text-center text-xs font-medium text-gray-500 uppercase tracking-wider">PF</th>
+                  <th className="px-4 py-2 text-center text-xs font-medium text-gray-500 uppercase tracking-wider">PA</th>
+                  <th className="px-4 py-2 text-center text-xs font-medium text-gray-500 uppercase tracking-wider">Avg Margin</th>
+                  <th className="px-4 py-2 text-center text-xs font-medium text-gray-500 uppercase tracking-wider">Streak</th>
+                  <th className="px-4 py-2 text-center text-xs font-medium text-gray-500 uppercase tracking-wider">Longest W / L</th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {rivalries.map(rivalry => (
+                  <tr
+                    key={rivalry.opponentId}
+                    onClick={() => selectOpponent(rivalry.opponentId)}
+                    className={`cursor-pointer hover:bg-blue-50 ${rivalry.opponentId === selectedOpponentId ? 'bg-blue-50' : ''}`}
+                  >
+                    <td className="px-4 py-2 font-medium">{owners[rivalry.opponentId]?.displayName}</td>
+                    <td className="px-4 py-2 text-center">
+                      {rivalry.wins}-{rivalry.losses}{rivalry.ties ? `-${rivalry.ties}` : ''}
+                    </td>
+                    <td className="px-4 py-2 text-center">
+                      {rivalry.playoffWins || rivalry.playoffLosses ? `${rivalry.playoffWins}-${rivalry.playoffLosses}` : '-'}
+                    </td>
+                    <td className="px-4 py-2 text-center">{formatPoints(rivalry.pointsFor)}</td>
+                    <td className="px-4 py-2 text-center">{formatPoints(rivalry.pointsAgainst)}</td>
+                    <td className="px-4 py-2 text-center">
+                      {formatSigned((rivalry.pointsFor - rivalry.pointsAgainst) / rivalry.games)}
+                    </td>
+                    <td className={`px-4 py-2 text-center font-medium ${RESULT_COLORS[rivalry.currentStreak?.result] || ''}`}>
+                      {formatStreak(rivalry.currentStreak)}
+                    </td>
+                    <td className="px-4 py-2 text-center">{rivalry.longestWinStreak} / {rivalry.longestLossStreak}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          {selected && (
+            <div className="bg-white shadow overflow-hidden sm:rounded-lg">
+              <div className="px-4 py-5 sm:px-6 bg-gray-800 text-white">
+                <h3 className="text-lg leading-6 font-medium">
+                  Game Log vs {owners[selected.opponentId]?.displayName}
+                </h3>
+              </div>
+              <div className="border-t border-gray-200 px-4 py-5 sm:p-6 overflow-x-auto">
+                <table className="min-w-full divide-y divide-gray-200 text-sm">
+                  <thead className="bg-gray-50">
+                    <tr>
+                      <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Season</th>
+                      <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Week</th>
+                      <th className="px-4 py-2 text-center text-xs font-medium text-gray-500 uppercase tracking-wider">Result</th>
+                      <th className="px-4 py-2 text-center text-xs font-medium text-gray-500 uppercase tracking-wider">Margin</th>
+                      <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Teams</th>
+                    </tr>
+                  </thead>
+                  <tbody className="bg-white divide-y divide-gray-200">
+                    {[...selected.log].reverse().map(game => (
+                      <tr key={`${game.season}-${game.week}`}>
+                        <td className="px-4 py-2">{game.season}</td>
+                        <td className="px-4 py-2">
+                          <Link to={getWeekPath(game.leagueId, game.season, game.week)} className="text-blue-600 hover:underline">
+                            Week {game.week}
+                          </Link>
+                          {game.isPlayoff && <span className="ml-2 text-xs text-purple-600 font-medium">Playoffs</span>}
+                        </td>
+                        <td className={`px-4 py-2 text-center font-medium ${RESULT_COLORS[game.result]}`}>
+                          {game.result} {formatPoints(game.points)}-{formatPoints(game.opponentPoints)}
+                        </td>
+                        <td className="px-4 py-2 text-center">{formatSigned(game.points - game.opponentPoints, 2)}</td>
+                        <td className="px-4 py-2">
+                          <Link to={getTeamPath(game.leagueId, game.season, game.rosterId)} className="text-blue-600 hover:underline">
+                            {owner.displayName}
+                          </Link>
+                          {' vs '}
+                          <Link to={getTeamPath(game.leagueId, game.season, game.opponentRosterId)} className="text-blue-600 hover:underline">
+                            {owners[selected.opponentId]?.displayName}
+                          </Link>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default OwnerRivalries;
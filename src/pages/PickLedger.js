@@ -0,0 +1,257 @@
+import React, { useContext, useMemo, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { LeagueContext } from '../contexts/LeagueContext';
+import SeasonSelector from '../components/SeasonSelector';
+import useLeagueHistory from '../hooks/useLeagueHistory';
+import useLeagueTransactions from '../hooks/useLeagueTransactions';
+import useTradedPicks from '../hooks/useTradedPicks';
+import { buildPickLedger, getPickTrades } from '../utils/pickLedger';
+import { getLeaguePath, getTeamPath } from '../utils/routes';
+
+/**
+ * Format a transaction timestamp as a date
+ * @param {number} timestamp - Milliseconds since the epoch
+ * @returns {string} - Localized date, or '' without a timestamp
+ */
+const formatDate = (timestamp) => (timestamp ? new Date(timestamp).toLocaleDateString() : '');
+
+const PickLedger = () => {
+  const {
+    error, league, leagueId, selectedSeason, rosters, users, players,
+  } = useContext(LeagueContext);
+  const { tradedPicks, drafts, error: picksError } = useTradedPicks();
+  const { seasons, loading: historyLoading, error: historyError } = useLeagueHistory({ includeMatchups: false });
+  const { transactions, error: transactionsError } = useLeagueTransactions(seasons, historyLoading);
+  const [ownerFilter, setOwnerFilter] = useState('');
+
+  // Trades after the selected season did not shape this league's picks
+  const trades = useMemo(
+    () => getPickTrades((transactions || []).filter(t => parseInt(t.season) <= parseInt(selectedSeason))),
+    [transactions, selectedSeason]
+  );
+
+  const ledger = useMemo(() => {
+    if (!tradedPicks || !drafts) return null;
+    return buildPickLedger({ league, rosters, drafts, tradedPicks, trades });
+  }, [league, rosters, drafts, tradedPicks, trades]);
+
+  const getTeamName = (rosterId) => {
+    const roster = rosters?.find(r => r.roster_id === rosterId);
+    const user = roster && users?.find(u => u.user_id === roster.owner_id);
+    return user?.display_name || `Team ${rosterId}`;
+  };
+
+  const getPlayerName = (playerId) => {
+    const player = players?.[playerId];
+    return player ? `${player.first_name || ''} ${player.last_name || ''}`.trim() : `Player ${playerId}`;
+  };
+
+  const ledgerSeasons = useMemo(() => [...new Set((ledger || []).map(pick => pick.season))], [ledger]);
+  const sortedRosterIds = useMemo(
+    () => (rosters || []).map(roster => roster.roster_id).sort((a, b) => a - b),
+    [rosters]
+  );
+
+  const visiblePicks = (ledger || []).filter(pick => !ownerFilter || pick.ownerRosterId === parseInt(ownerFilter));
+
+  const renderTeamLink = (rosterId) => (
+    <Link to={getTeamPath(leagueId, selectedSeason, rosterId)} className="hover:text-blue-600">
+      {getTeamName(rosterId)}
+    </Link>
+  );
+
+  // What each side of a trade received
+  const describeTradeSide = (trade, rosterId) => {
+    const received = [
+      ...Object.entries(trade.adds || {})
+        .filter(([, toRosterId]) => toRosterId === rosterId)
+        .map(([playerId]) => getPlayerName(playerId)),
+      ...(trade.draft_picks || [])
+        .filter(pick => pick.owner_id === rosterId)
+        .map(pick => `${pick.season} Round ${pick.round}${pick.roster_id !== rosterId ? ` (${getTeamName(pick.roster_id)})` : ''}`),
+      ...(trade.waiver_budget || [])
+        .filter(budget => budget.receiver === rosterId)
+        .map(budget => `$${budget.amount} FAAB`),
+    ];
+    return received.length ? received.join(', ') : 'Nothing';
+  };
+
+  if (error || picksError || historyError || transactionsError) {
+    return (
+      <div className="container mx-auto px-4 py-8">
+        <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded relative mb-6" role="alert">
+          <strong className="font-bold">Error: </strong>
+          <span className="block sm:inline">{error || picksError || historyError || transactionsError}</span>
+        </div>
+        <Link to={getLeaguePath(leagueId, selectedSeason)} className="text-blue-600 hover:underline">
+          &larr; Back to Dashboard
+        </Link>
+      </div>
+    );
+  }
+
+  return (
+    <div className="container mx-auto px-4 py-8">
+      <div className="flex justify-between items-center mb-6">
+        <Link to={getLeaguePath(leagueId, selectedSeason)} className="text-blue-600 hover:underline">
+          &larr; Back to Dashboard
+        </Link>
+        <SeasonSelector />
+      </div>
+
+      <div className="mb-6">
+        <h1 className="text-3xl font-bold text-gray-800">Pick Ledger</h1>
+        {league && <p className="text-gray-600 mt-1">{league.name} - future draft picks as of the {selectedSeason} league</p>}
+      </div>
+
+      {!ledger ? (
+        <div className="flex justify-center items-center h-64">
+          <div className="animate-spin rounded-full h-12 w-12 border-t-2 border-b-2 border-blue-500"></div>
+        </div>
+      ) : !ledger.length ? (
+        <div className="bg-white p-4 rounded-lg shadow-md text-center">No future draft picks found.</div>
+      ) : (
+        <>
+          <div className="bg-white shadow overflow-hidden sm:rounded-lg mb-6">
+            <div className="px-4 py-5 sm:px-6 bg-gray-800 text-white">
+              <h3 className="text-lg leading-6 font-medium">Picks Owned</h3>
+            </div>
+            <div className="border-t border-gray-200 px-4 py-5 sm:p-6 overflow-x-auto">
+              <table className="min-w-full divide-y divide-gray-200 text-sm">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Team</th>
+                    {ledgerSeasons.map(season => (
+                      <th key={season} className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                        {season}
+                      </th>
+                    ))}
+                    <th className="px-4 py-2 text-center text-xs font-medium text-gray-500 uppercase tracking-wider">Total</th>
+                  </tr>
+                </thead>
+                <tbody className="bg-white divide-y divide-gray-200">
+                  {sortedRosterIds.map(rosterId => {
+                    const owned = ledger.filter(pick => pick.ownerRosterId === rosterId);
+                    return (
+                      <tr key={rosterId}>
+                        <td className="px-4 py-2 font-medium">{renderTeamLink(rosterId)}</td>
+                        {ledgerSeasons.map(season => {
+                          const seasonPicks = owned.filter(pick => pick.season === season);
+                          return (
+                            <td key={season} className="px-4 py-2">
+                              {seasonPicks.length ? seasonPicks.map((pick, index) => (
+                                <span
+                                  key={`${pick.round}-${pick.originalRosterId}`}
+                                  className={pick.isTraded ? 'text-amber-700 font-medium' : ''}
+                                  title={pick.isTraded ? `From ${getTeamName(pick.originalRosterId)}` : 'Own pick'}
+                                >
+                                  {index > 0 && ', '}R{pick.round}
+                                </span>
+                              )) : <span className="text-gray-400">-</span>}
+                            </td>
+                          );
+                        })}
+                        <td className="px-4 py-2 text-center">{owned.length}</td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+              <p className="mt-2 text-xs text-gray-500">Highlighted picks were acquired from another team.</p>
+            </div>
+          </div>
+
+          <div className="bg-white shadow overflow-hidden sm:rounded-lg mb-6">
+            <div className="px-4 py-5 sm:px-6 bg-gray-800 text-white flex flex-wrap justify-between items-center gap-2">
+              <h3 className="text-lg leading-6 font-medium">Every Pick</h3>
+              <select
+                value={ownerFilter}
+                onChange={(e) => setOwnerFilter(e.target.value)}
+                className="px-2 py-1 rounded-md text-sm text-gray-800"
+              >
+                <option value="">All current owners</option>
+                {sortedRosterIds.map(rosterId => (
+                  <option key={rosterId} value={rosterId}>{getTeamName(rosterId)}</option>
+                ))}
+              </select>
+            </div>
+            <div className="border-t border-gray-200 px-4 py-5 sm:p-6 overflow-x-auto">
+              <table className="min-w-full divide-y divide-gray-200 text-sm">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Pick</th>
+                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Original Owner</th>
+                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Current Owner</th>
+                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Trades</th>
+                  </tr>
+                </thead>
+                <tbody className="bg-white divide-y divide-gray-200">
+                  {visiblePicks.map(pick => (
+                    <tr key={`${pick.season}-${pick.round}-${pick.originalRosterId}`} className={pick.isTraded ? 'bg-amber-50' : ''}>
+                      <td className="px-4 py-2 whitespace-nowrap font-medium">{pick.season} Round {pick.round}</td>
+                      <td className="px-4 py-2">{renderTeamLink(pick.originalRosterId)}</td>
+                      <td className="px-4 py-2 font-medium">{renderTeamLink(pick.ownerRosterId)}</td>
+                      <td className="px-4 py-2">
+                        {!transactions ? (
+                          <span className="text-gray-400">Loading...</span>
+                        ) : !pick.chain.length ? (
+                          <span className="text-gray-400">{pick.isTraded ? 'Trade not found' : '-'}</span>
+                        ) : (
+                          <ol className="space-y-1">
+                            {pick.chain.map(step => (
+                              <li key={step.transactionId}>
+                                <a href={`#trade-${step.transactionId}`} className="text-blue-600 hover:underline">
+                                  {formatDate(step.timestamp) || `${step.season} Week ${step.week}`}
+                                </a>
+                                <span className="ml-1">
+                                  {getTeamName(step.fromRosterId)} &rarr; {getTeamName(step.toRosterId)}
+                                </span>
+                              </li>
+                            ))}
+                          </ol>
+                        )}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+
+          <div className="bg-white shadow overflow-hidden sm:rounded-lg">
+            <div className="px-4 py-5 sm:px-6 bg-gray-800 text-white">
+              <h3 className="text-lg leading-6 font-medium">Trades Involving Picks</h3>
+            </div>
+            <div className="border-t border-gray-200 px-4 py-5 sm:p-6">
+              {!transactions ? (
+                <p className="text-sm text-gray-500 text-center">Loading trades...</p>
+              ) : !trades.length ? (
+                <p className="text-sm text-gray-500 text-center">No trades involving draft picks.</p>
+              ) : (
+                <div className="space-y-4">
+                  {trades.map(trade => (
+                    <div key={trade.transaction_id} id={`trade-${trade.transaction_id}`} className="border rounded-lg p-3 scroll-mt-4">
+                      <div className="text-xs text-gray-500 mb-2">
+                        {formatDate(trade.status_updated || trade.created)} - {trade.season} Week {trade.leg}
+                      </div>
+                      <ul className="text-sm space-y-1">
+                        {(trade.roster_ids || []).map(rosterId => (
+                          <li key={rosterId}>
+                            <span className="font-medium">{getTeamName(rosterId)}</span> receives {describeTradeSide(trade, rosterId)}
+                          </li>
+                        ))}
+                      </ul>
+                    </div>
+                  ))}
+                </div>
+              )}
+              <p className="mt-2 text-xs text-gray-500">Team names are the current managers of each roster.</p>
+            </div>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default PickLedger;
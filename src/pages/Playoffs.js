@@ -0,0 +1,133 @@
+import React, { useContext, useEffect, useMemo, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { LeagueContext } from '../contexts/LeagueContext';
+import SeasonSelector from '../components/SeasonSelector';
+import PlayoffBracket from '../components/PlayoffBracket';
+import { loadPlayoffBrackets } from '../services/playoffBrackets';
+import { isAbortError } from '../services/requestScheduler';
+import { getSeasonPlacements } from '../utils/playoffBrackets';
+import { getChampionsPath, getLeaguePath, getTeamPath } from '../utils/routes';
+
+const Playoffs = () => {
+  const {
+    rosters, users, matchups, loading, error, league, leagueId, selectedSeason, seasonCalendar,
+  } = useContext(LeagueContext);
+  const [brackets, setBrackets] = useState(null);
+  const [bracketError, setBracketError] = useState(null);
+
+  useEffect(() => {
+    if (!leagueId || !selectedSeason) return;
+
+    const controller = new AbortController();
+    setBrackets(null);
+    setBracketError(null);
+
+    loadPlayoffBrackets({ leagueId, season: selectedSeason, signal: controller.signal })
+      .then(setBrackets)
+      .catch(err => {
+        if (isAbortError(err)) return;
+        setBracketError('Failed to load the playoff brackets.');
+      });
+
+    return () => controller.abort();
+  }, [leagueId, selectedSeason]);
+
+  const getTeamName = (rosterId) => {
+    const roster = rosters?.find(r => r.roster_id === rosterId);
+    const user = roster && users?.find(u => u.user_id === roster.owner_id);
+    return user?.display_name || `Team ${rosterId}`;
+  };
+
+  // Points per week, when every playoff round is a single week
+  const pointsByWeek = useMemo(() => {
+    const points = {};
+    (matchups || []).forEach(matchup => {
+      if (matchup.week > (seasonCalendar?.lastScoredWeek ?? 0)) return;
+      points[`${matchup.week}-${matchup.roster_id}`] = matchup.points;
+    });
+    return points;
+  }, [matchups, seasonCalendar]);
+
+  const singleWeekRounds = !league?.settings?.playoff_round_type;
+  const getPoints = (round, rosterId) => {
+    if (!singleWeekRounds || !seasonCalendar) return null;
+    return pointsByWeek[`${seasonCalendar.playoffWeekStart + round - 1}-${rosterId}`] ?? null;
+  };
+
+  const getTeamLink = (rosterId) => getTeamPath(leagueId, selectedSeason, rosterId);
+  const placements = brackets ? getSeasonPlacements(brackets, league) : null;
+
+  if (error || bracketError) {
+    return (
+      <div className="container mx-auto px-4 py-8">
+        <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded relative mb-6" role="alert">
+          <strong className="font-bold">Error: </strong>
+          <span className="block sm:inline">{error || bracketError}</span>
+        </div>
+        <Link to={getLeaguePath(leagueId, selectedSeason)} className="text-blue-600 hover:underline">
+          &larr; Back to Dashboard
+        </Link>
+      </div>
+    );
+  }
+
+  return (
+    <div className="container mx-auto px-4 py-8">
+      <div className="flex justify-between items-center mb-6">
+        <div className="flex gap-4">
+          <Link to={getLeaguePath(leagueId, selectedSeason)} className="text-blue-600 hover:underline">
+            &larr; Back to Dashboard
+          </Link>
+          <Link to={getChampionsPath(leagueId, selectedSeason)} className="text-blue-600 hover:underline">
+            Champions History
+          </Link>
+        </div>
+        <SeasonSelector />
+      </div>
+
+      <div className="mb-6">
+        <h1 className="text-3xl font-bold text-gray-800">Playoffs</h1>
+        {league && (
+          <p className="text-gray-600 mt-1">
+            {league.name} - {selectedSeason} Season
+          </p>
+        )}
+        {placements?.champion && (
+          <p className="text-gray-800 mt-2">
+            <span className="font-semibold">Champion:</span> {getTeamName(placements.champion)}
+            {placements.runnerUp && <span className="text-gray-600"> (def. {getTeamName(placements.runnerUp)})</span>}
+          </p>
+        )}
+      </div>
+
+      {loading || !brackets ? (
+        <div className="flex justify-center items-center h-64">
+          <div className="animate-spin rounded-full h-12 w-12 border-t-2 border-b-2 border-blue-500"></div>
+        </div>
+      ) : (
+        <div className="space-y-6">
+          <div className="bg-white p-4 rounded-lg shadow-md">
+            <h2 className="text-xl font-semibold mb-4">Winners Bracket</h2>
+            <PlayoffBracket
+              bracket={brackets.winners}
+              getTeamName={getTeamName}
+              getTeamLink={getTeamLink}
+              getPoints={getPoints}
+            />
+          </div>
+          <div className="bg-white p-4 rounded-lg shadow-md">
+            <h2 className="text-xl font-semibold mb-4">Losers Bracket</h2>
+            <PlayoffBracket
+              bracket={brackets.losers}
+              getTeamName={getTeamName}
+              getTeamLink={getTeamLink}
+              getPoints={getPoints}
+            />
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default Playoffs;
@@ -0,0 +1,245 @@
+import React, { useContext, useEffect, useMemo, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { LeagueContext } from '../contexts/LeagueContext';
+import SeasonSelector from '../components/SeasonSelector';
+import SleeperApiService from '../services/sleeperApi';
+import { formatPoints, formatPercentage } from '../utils/dataUtils';
+import { filterRegularSeasonMatchups } from '../utils/seasonCalendar';
+import {
+  POWER_COMPONENTS, DEFAULT_POWER_WEIGHTS, calculatePowerRankings, getRankChange,
+} from '../utils/powerRankings';
+import { loadPreference, savePreference } from '../utils/preferences';
+import { getLeaguePath, getTeamPath } from '../utils/routes';
+
+// Ranks shown in the history column
+const HISTORY_WEEKS = 5;
+
+/**
+ * Describe a component's raw value for display under its score
+ * @param {string} key - Component key
+ * @param {Object} raw - Raw component values
+ * @returns {string} - Formatted raw value
+ */
+const formatRawValue = (key, raw) => {
+  switch (key) {
+    case 'allPlay': return formatPercentage(raw.allPlay);
+    case 'consistency': return `±${raw.consistency.toFixed(1)}`;
+    default: return `${formatPoints(raw[key])} pts`;
+  }
+};
+
+const PowerRankings = () => {
+  const {
+    rosters, users, matchups, loading, error, league, leagueId, selectedSeason, seasonCalendar,
+  } = useContext(LeagueContext);
+  const [weights, setWeights] = useState(() => ({
+    ...DEFAULT_POWER_WEIGHTS,
+    ...loadPreference('powerRankingWeights', {}),
+  }));
+  const [selectedWeek, setSelectedWeek] = useState(null);
+
+  const rankings = useMemo(
+    () => calculatePowerRankings(filterRegularSeasonMatchups(matchups, seasonCalendar), weights),
+    [matchups, seasonCalendar, weights]
+  );
+
+  // Default to the latest ranked week
+  useEffect(() => {
+    const latestWeek = rankings.weeks[rankings.weeks.length - 1] || null;
+    setSelectedWeek(prev => (prev && rankings.weeks.includes(prev) ? prev : latestWeek));
+  }, [rankings]);
+
+  const getTeamInfo = (rosterId) => {
+    const roster = rosters?.find(r => r.roster_id === rosterId);
+    const user = roster && users?.find(u => u.user_id === roster.owner_id);
+    return {
+      name: user?.display_name || `Team ${rosterId}`,
+      avatar: user?.avatar,
+    };
+  };
+
+  const handleWeightChange = (key, value) => {
+    const updated = { ...weights, [key]: value };
+    setWeights(updated);
+    savePreference('powerRankingWeights', updated);
+  };
+
+  const handleResetWeights = () => {
+    setWeights(DEFAULT_POWER_WEIGHTS);
+    savePreference('powerRankingWeights', DEFAULT_POWER_WEIGHTS);
+  };
+
+  const totalWeight = POWER_COMPONENTS.reduce((sum, { key }) => sum + weights[key], 0);
+  const ranking = (selectedWeek && rankings.byWeek[selectedWeek]) || [];
+  const historyWeeks = rankings.weeks.filter(week => week <= selectedWeek).slice(-HISTORY_WEEKS);
+
+  const renderRankChange = (rosterId) => {
+    const change = getRankChange(rankings, selectedWeek, rosterId);
+    if (change === null) return <span className="text-gray-400">-</span>;
+    if (change === 0) return <span className="text-gray-500">–</span>;
+    return change > 0
+      ? <span className="text-green-600 font-medium">▲{change}</span>
+      : <span className="text-red-600 font-medium">▼{-change}</span>;
+  };
+
+  if (error) {
+    return (
+      <div className="container mx-auto px-4 py-8">
+        <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded relative mb-6" role="alert">
+          <strong className="font-bold">Error: </strong>
+          <span className="block sm:inline">{error}</span>
+        </div>
+        <Link to={getLeaguePath(leagueId, selectedSeason)} className="text-blue-600 hover:underline">
+          &larr; Back to Dashboard
+        </Link>
+      </div>
+    );
+  }
+
+  return (
+    <div className="container mx-auto px-4 py-8">
+      <div className="flex justify-between items-center mb-6">
+        <Link to={getLeaguePath(leagueId, selectedSeason)} className="text-blue-600 hover:underline">
+          &larr; Back to Dashboard
+        </Link>
+        <SeasonSelector />
+      </div>
+
+      <div className="mb-6">
+        <h1 className="text-3xl font-bold text-gray-800">Power Rankings</h1>
+        {league && (
+          <p className="text-gray-600 mt-1">
+            {league.name} - {selectedSeason} Season
+          </p>
+        )}
+      </div>
+
+      {/* Weights */}
+      <div className="bg-white p-4 rounded-lg shadow-md mb-6">
+        <div className="flex justify-between items-center mb-3">
+          <h2 className="text-xl font-semibold">Weights</h2>
+          <button onClick={handleResetWeights} className="text-sm text-blue-600 hover:underline">
+            Reset to defaults
+          </button>
+        </div>
+        <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-4">
+          {POWER_COMPONENTS.map(({ key, label, description }) => (
+            <div key={key}>
+              <div className="flex justify-between text-sm mb-1">
+                <label htmlFor={`weight-${key}`} className="font-medium text-gray-700">{label}</label>
+                <span className="text-gray-600">
+                  {totalWeight > 0 ? formatPercentage((weights[key] / totalWeight) * 100) : '0%'}
+                </span>
+              </div>
+              <input
+                id={`weight-${key}`}
+                type="range"
+                min="0"
+                max="100"
+                step="5"
+                value={weights[key]}
+                onChange={(e) => handleWeightChange(key, Number(e.target.value))}
+                className="w-full"
+              />
+              <p className="text-xs text-gray-500">{description}</p>
+            </div>
+          ))}
+        </div>
+      </div>
+
+      {loading ? (
+        <div className="flex justify-center items-center h-64">
+          <div className="animate-spin rounded-full h-12 w-12 border-t-2 border-b-2 border-blue-500"></div>
+        </div>
+      ) : !ranking.length ? (
+        <div className="bg-white p-4 rounded-lg shadow-md text-center">
+          No scored weeks yet for the {selectedSeason} season.
+        </div>
+      ) : (
+        <div className="bg-white p-4 rounded-lg shadow-md">
+          <div className="flex justify-between items-center mb-4">
+            <h2 className="text-xl font-semibold">Rankings after Week {selectedWeek}</h2>
+            <div className="flex items-center space-x-2">
+              <label htmlFor="power-week-select" className="text-sm font-medium">
+                Week:
+              </label>
+              <select
+                id="power-week-select"
+                value={selectedWeek || ''}
+                onChange={(e) => setSelectedWeek(Number(e.target.value))}
+                className="px-2 py-1 border border-gray-300 rounded-md text-sm"
+              >
+                {rankings.weeks.map(week => (
+                  <option key={week} value={week}>
+                    {week}
+                  </option>
+                ))}
+              </select>
+            </div>
+          </div>
+
+          <div className="overflow-x-auto">
+            <table className="min-w-full bg-white rounded-lg overflow-hidden shadow-lg">
+              <thead className="bg-gray-800 text-white">
+                <tr>
+                  <th className="px-4 py-3 text-left">Rank</th>
+                  <th className="px-4 py-3 text-center">Change</th>
+                  <th className="px-4 py-3 text-left">Team</th>
+                  <th className="px-4 py-3 text-center">Score</th>
+                  {POWER_COMPONENTS.map(({ key, label }) => (
+                    <th key={key} className="px-4 py-3 text-center">{label}</th>
+                  ))}
+                  <th className="px-4 py-3 text-center">Last {historyWeeks.length} Weeks</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200">
+                {ranking.map((team, index) => {
+                  const teamInfo = getTeamInfo(team.rosterId);
+                  return (
+                    <tr key={team.rosterId} className={index % 2 === 0 ? 'bg-white' : 'bg-gray-50'}>
+                      <td className="px-4 py-3 font-semibold text-gray-900">{team.rank}</td>
+                      <td className="px-4 py-3 text-center">{renderRankChange(team.rosterId)}</td>
+                      <td className="px-4 py-3">
+                        <Link
+                          to={getTeamPath(leagueId, selectedSeason, team.rosterId)}
+                          className="flex items-center hover:text-blue-600"
+                        >
+                          {teamInfo.avatar && (
+                            <img
+                              src={SleeperApiService.getAvatarUrl(teamInfo.avatar)}
+                              alt={`${teamInfo.name} avatar`}
+                              className="w-8 h-8 rounded-full mr-3"
+                            />
+                          )}
+                          <span className="font-medium">{teamInfo.name}</span>
+                        </Link>
+                      </td>
+                      <td className="px-4 py-3 text-center font-semibold">{team.score.toFixed(1)}</td>
+                      {POWER_COMPONENTS.map(({ key }) => (
+                        <td key={key} className="px-4 py-3 text-center">
+                          <div>{Math.round(team.components[key])}</div>
+                          <div className="text-xs text-gray-500">{formatRawValue(key, team.raw)}</div>
+                        </td>
+                      ))}
+                      <td className="px-4 py-3 text-center text-sm text-gray-600 whitespace-nowrap">
+                        {historyWeeks
+                          .map(week => rankings.byWeek[week].find(t => t.rosterId === team.rosterId)?.rank ?? '-')
+                          .join(' → ')}
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+          <p className="mt-3 text-xs text-gray-500">
+            Component scores are scaled from 0 (worst in the league) to 100 (best).
+            The power score is their weighted average.
+          </p>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PowerRankings;
@@ -0,0 +1,163 @@
+import React, { useContext, useMemo } from 'react';
+import { Link } from 'react-router-dom';
+import { LeagueContext } from '../contexts/LeagueContext';
+import SeasonSelector from '../components/SeasonSelector';
+import useLeagueHistory from '../hooks/useLeagueHistory';
+import { formatPercentage, formatPoints } from '../utils/dataUtils';
+import { buildRecordBook } from '../utils/recordBook';
+import { getOwnerDirectory } from '../utils/rivalries';
+import { getLeaguePath, getTeamPath, getWeekPath } from '../utils/routes';
+
+const RecordBook = () => {
+  const { error, league, leagueId, selectedSeason } = useContext(LeagueContext);
+  const { seasons, loading, error: historyError } = useLeagueHistory();
+
+  const owners = useMemo(() => getOwnerDirectory(seasons), [seasons]);
+  const records = useMemo(() => buildRecordBook(seasons), [seasons]);
+
+  const getOwnerName = (ownerId) => owners[ownerId]?.displayName || 'Unknown';
+
+  const renderTeam = (entry) => (
+    <Link to={getTeamPath(entry.leagueId, entry.season, entry.rosterId)} className="font-medium hover:text-blue-600">
+      {getOwnerName(entry.ownerId)}
+    </Link>
+  );
+
+  const renderWeek = (entry) => (
+    <Link to={getWeekPath(entry.leagueId, entry.season, entry.week)} className="text-blue-600 hover:underline whitespace-nowrap">
+      {entry.season} Wk {entry.week}
+      {entry.isPlayoff && <span className="ml-1 text-xs text-purple-600">(P)</span>}
+    </Link>
+  );
+
+  // A card with one ranked list of records
+  const renderSection = (title, entries, columns) => (
+    <div className="bg-white p-4 rounded-lg shadow-md">
+      <h2 className="text-lg font-semibold mb-3">{title}</h2>
+      {!entries.length ? (
+        <p className="text-sm text-gray-500">No games yet.</p>
+      ) : (
+        <table className="min-w-full text-sm">
+          <tbody className="divide-y divide-gray-200">
+            {entries.map((entry, index) => (
+              <tr key={index}>
+                <td className="py-2 pr-2 text-gray-400 w-6">{index + 1}</td>
+                {columns.map((render, columnIndex) => (
+                  <td key={columnIndex} className={`py-2 px-2 ${columnIndex === 0 ? 'text-left' : 'text-right'}`}>
+                    {render(entry)}
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+
+  const gameColumns = (value) => [
+    entry => (
+      <>
+        {renderTeam(entry)}
+        <span className="text-gray-500"> vs {getOwnerName(entry.opponentOwnerId)}</span>
+      </>
+    ),
+    value,
+    renderWeek,
+  ];
+
+  const streakColumns = [
+    streak => (
+      <Link to={getTeamPath(streak.end.leagueId, streak.end.season, streak.end.rosterId)} className="font-medium hover:text-blue-600">
+        {getOwnerName(streak.ownerId)}
+      </Link>
+    ),
+    streak => (
+      <span className="font-semibold">
+        {streak.length}
+        {streak.active && <span className="ml-1 text-xs text-green-600">active</span>}
+      </span>
+    ),
+    streak => (
+      <span className="whitespace-nowrap">
+        {renderWeek(streak.start)} &ndash; {renderWeek(streak.end)}
+      </span>
+    ),
+  ];
+
+  const seasonColumns = (value) => [
+    renderTeam,
+    value,
+    entry => <span className="text-gray-600">{entry.season}</span>,
+  ];
+
+  if (error || historyError) {
+    return (
+      <div className="container mx-auto px-4 py-8">
+        <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded relative mb-6" role="alert">
+          <strong className="font-bold">Error: </strong>
+          <span className="block sm:inline">{error || historyError}</span>
+        </div>
+        <Link to={getLeaguePath(leagueId, selectedSeason)} className="text-blue-600 hover:underline">
+          &larr; Back to Dashboard
+        </Link>
+      </div>
+    );
+  }
+
+  return (
+    <div className="container mx-auto px-4 py-8">
+      <div className="flex justify-between items-center mb-6">
+        <Link to={getLeaguePath(leagueId, selectedSeason)} className="text-blue-600 hover:underline">
+          &larr; Back to Dashboard
+        </Link>
+        <SeasonSelector />
+      </div>
+
+      <div className="mb-6">
+        <h1 className="text-3xl font-bold text-gray-800">Record Book</h1>
+        {league && <p className="text-gray-600 mt-1">{league.name} - all seasons</p>}
+        <p className="text-gray-600 mt-1 text-sm">
+          Weekly records and streaks include playoff games (marked P). Season records cover the regular season.
+        </p>
+      </div>
+
+      {loading ? (
+        <div className="flex justify-center items-center h-64">
+          <div className="animate-spin rounded-full h-12 w-12 border-t-2 border-b-2 border-blue-500"></div>
+        </div>
+      ) : (
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+          {renderSection('Highest Scores', records.highestScores, gameColumns(entry => formatPoints(entry.points)))}
+          {renderSection('Lowest Scores', records.lowestScores, gameColumns(entry => formatPoints(entry.points)))}
+          {renderSection('Biggest Blowouts', records.biggestBlowouts, gameColumns(entry => (
+            <span title={`${formatPoints(entry.points)}-${formatPoints(entry.opponentPoints)}`}>
+              +{formatPoints(entry.margin)}
+            </span>
+          )))}
+          {renderSection('Narrowest Wins', records.narrowestWins, gameColumns(entry => (
+            <span title={`${formatPoints(entry.points)}-${formatPoints(entry.opponentPoints)}`}>
+              +{formatPoints(entry.margin)}
+            </span>
+          )))}
+          {renderSection('Longest Win Streaks', records.longestWinStreaks, streakColumns)}
+          {renderSection('Longest Losing Streaks', records.longestLossStreaks, streakColumns)}
+          {renderSection('Most Points in a Season', records.mostSeasonPoints, seasonColumns(entry => formatPoints(entry.points)))}
+          {renderSection('Fewest Points in a Season', records.fewestSeasonPoints, seasonColumns(entry => formatPoints(entry.points)))}
+          {renderSection('Best All-Play Seasons', records.bestAllPlaySeasons, seasonColumns(entry => (
+            <span title={`${entry.allPlay.wins}-${entry.allPlay.losses}${entry.allPlay.ties ? `-${entry.allPlay.ties}` : ''}`}>
+              {formatPercentage(entry.allPlay.percentage)}
+            </span>
+          )))}
+          {renderSection('Worst All-Play Seasons', records.worstAllPlaySeasons, seasonColumns(entry => (
+            <span title={`${entry.allPlay.wins}-${entry.allPlay.losses}${entry.allPlay.ties ? `-${entry.allPlay.ties}` : ''}`}>
+              {formatPercentage(entry.allPlay.percentage)}
+            </span>
+          )))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RecordBook;
@@ -0,0 +1,147 @@
+import React, { useContext, useMemo } from 'react';
+import { Link } from 'react-router-dom';
+import { LeagueContext } from '../contexts/LeagueContext';
+import SeasonSelector from '../components/SeasonSelector';
+import SleeperApiService from '../services/sleeperApi';
+import useLeagueHistory from '../hooks/useLeagueHistory';
+import { getWinRateColor } from '../utils/dataUtils';
+import { calculateRivalryMatrix, getHeadToHeadGames, getOwnerDirectory } from '../utils/rivalries';
+import { getLeaguePath, getOwnerRivalriesPath } from '../utils/routes';
+
+/**
+ * Format a record for display
+ * @param {Object} record - { wins, losses, ties }
+ * @returns {string} - e.g. "9-5" or "8-5-1"
+ */
+const formatRecord = (record) => `${record.wins}-${record.losses}${record.ties ? `-${record.ties}` : ''}`;
+
+const Rivalries = () => {
+  const { error, league, leagueId, selectedSeason } = useContext(LeagueContext);
+  const { seasons, loading, error: historyError } = useLeagueHistory();
+
+  const owners = useMemo(() => getOwnerDirectory(seasons), [seasons]);
+  const games = useMemo(() => getHeadToHeadGames(seasons), [seasons]);
+  const matrix = useMemo(() => calculateRivalryMatrix(games), [games]);
+
+  // Owners in order of all-time head-to-head win rate
+  const ownerIds = useMemo(() => {
+    const winPct = (ownerId) => {
+      const totals = Object.values(matrix.records[ownerId]).filter(Boolean).reduce(
+        (sum, record) => ({ wins: sum.wins + record.wins + record.ties * 0.5, games: sum.games + record.games }),
+        { wins: 0, games: 0 }
+      );
+      return totals.games ? totals.wins / totals.games : 0;
+    };
+    return [...matrix.ownerIds].sort((a, b) => winPct(b) - winPct(a));
+  }, [matrix]);
+
+  const seasonCount = seasons.filter(season => !season.isFallback).length;
+
+  if (error || historyError) {
+    return (
+      <div className="container mx-auto px-4 py-8">
+        <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded relative mb-6" role="alert">
+          <strong className="font-bold">Error: </strong>
+          <span className="block sm:inline">{error || historyError}</span>
+        </div>
+        <Link to={getLeaguePath(leagueId, selectedSeason)} className="text-blue-600 hover:underline">
+          &larr; Back to Dashboard
+        </Link>
+      </div>
+    );
+  }
+
+  return (
+    <div className="container mx-auto px-4 py-8">
+      <div className="flex justify-between items-center mb-6">
+        <Link to={getLeaguePath(leagueId, selectedSeason)} className="text-blue-600 hover:underline">
+          &larr; Back to Dashboard
+        </Link>
+        <SeasonSelector />
+      </div>
+
+      <div className="mb-6">
+        <h1 className="text-3xl font-bold text-gray-800">Head-to-Head Rivalries</h1>
+        {league && (
+          <p className="text-gray-600 mt-1">
+            {league.name} - {seasonCount} season{seasonCount === 1 ? '' : 's'}, {games.length} games
+          </p>
+        )}
+        <p className="text-gray-600 mt-1 text-sm">
+          Each cell is the row owner's all-time record against the column owner, regular season and playoffs.
+          Records follow the owner, not the roster slot. Click an owner to see their rivalries.
+        </p>
+      </div>
+
+      {loading ? (
+        <div className="flex justify-center items-center h-64">
+          <div className="animate-spin rounded-full h-12 w-12 border-t-2 border-b-2 border-blue-500"></div>
+        </div>
+      ) : !games.length ? (
+        <div className="bg-white p-4 rounded-lg shadow-md text-center">
+          No completed head-to-head games yet.
+        </div>
+      ) : (
+        <div className="bg-white p-4 rounded-lg shadow-md overflow-x-auto">
+          <table className="min-w-full text-sm border-collapse">
+            <thead>
+              <tr>
+                <th className="px-2 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  Owner \ Opponent
+                </th>
+                {ownerIds.map(opponentId => (
+                  <th key={opponentId} className="px-2 py-2 text-center font-medium text-gray-700" title={owners[opponentId]?.displayName}>
+                    <div className="flex flex-col items-center">
+                      {owners[opponentId]?.avatar && (
+                        <img
+                          src={SleeperApiService.getAvatarUrl(owners[opponentId].avatar)}
+                          alt=""
+                          className="w-6 h-6 rounded-full mb-1"
+                        />
+                      )}
+                      <span className="max-w-[6rem] truncate">{owners[opponentId]?.displayName}</span>
+                    </div>
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {ownerIds.map(ownerId => (
+                <tr key={ownerId}>
+                  <th className="px-2 py-2 text-left font-medium whitespace-nowrap">
+                    <Link to={getOwnerRivalriesPath(leagueId, selectedSeason, ownerId)} className="hover:text-blue-600">
+                      {owners[ownerId]?.displayName}
+                    </Link>
+                  </th>
+                  {ownerIds.map(opponentId => {
+                    const record = matrix.records[ownerId][opponentId];
+                    if (ownerId === opponentId || !record) {
+                      return <td key={opponentId} className="px-2 py-2 text-center text-gray-300 border border-white bg-gray-50">-</td>;
+                    }
+                    return (
+                      <td
+                        key={opponentId}
+                        className="p-0 text-center text-white font-medium border border-white"
+                        style={{ backgroundColor: getWinRateColor(record.winPct) }}
+                        title={`${owners[ownerId]?.displayName} vs ${owners[opponentId]?.displayName}: ${formatRecord(record)}`}
+                      >
+                        <Link
+                          to={getOwnerRivalriesPath(leagueId, selectedSeason, ownerId, opponentId)}
+                          className="block px-2 py-2 hover:underline"
+                        >
+                          {formatRecord(record)}
+                        </Link>
+                      </td>
+                    );
+                  })}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default Rivalries;
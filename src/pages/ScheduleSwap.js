@@ -0,0 +1,185 @@
+import React, { useContext, useMemo } from 'react';
+import { Link } from 'react-router-dom';
+import { LeagueContext } from '../contexts/LeagueContext';
+import SeasonSelector from '../components/SeasonSelector';
+import SleeperApiService from '../services/sleeperApi';
+import { formatPercentage, getWinRateColor } from '../utils/dataUtils';
+import { filterRegularSeasonMatchups } from '../utils/seasonCalendar';
+import { calculateScheduleSwapMatrix } from '../utils/scheduleSwap';
+import { getLeaguePath, getTeamPath } from '../utils/routes';
+
+/**
+ * Format a record for display
+ * @param {Object} record - { wins, losses, ties }
+ * @returns {string} - e.g. "9-5" or "8-5-1"
+ */
+const formatRecord = (record) => `${record.wins}-${record.losses}${record.ties ? `-${record.ties}` : ''}`;
+
+const ScheduleSwap = () => {
+  const {
+    rosters, users, matchups, loading, error, league, leagueId, selectedSeason, seasonCalendar,
+  } = useContext(LeagueContext);
+
+  const matrix = useMemo(
+    () => calculateScheduleSwapMatrix(filterRegularSeasonMatchups(matchups, seasonCalendar)),
+    [matchups, seasonCalendar]
+  );
+
+  // Average win rate of each team across all schedules, and of each schedule across all teams
+  const averages = useMemo(() => {
+    const byTeam = {};
+    const bySchedule = {};
+    matrix.rosterIds.forEach(teamId => {
+      const rates = matrix.rosterIds.map(scheduleId => matrix.records[teamId][scheduleId].winPct);
+      byTeam[teamId] = rates.reduce((sum, rate) => sum + rate, 0) / rates.length;
+    });
+    matrix.rosterIds.forEach(scheduleId => {
+      const rates = matrix.rosterIds.map(teamId => matrix.records[teamId][scheduleId].winPct);
+      bySchedule[scheduleId] = rates.reduce((sum, rate) => sum + rate, 0) / rates.length;
+    });
+    return { byTeam, bySchedule };
+  }, [matrix]);
+
+  const getTeamInfo = (rosterId) => {
+    const roster = rosters?.find(r => r.roster_id === rosterId);
+    const user = roster && users?.find(u => u.user_id === roster.owner_id);
+    return {
+      name: user?.display_name || `Team ${rosterId}`,
+      avatar: user?.avatar,
+    };
+  };
+
+  if (error) {
+    return (
+      <div className="container mx-auto px-4 py-8">
+        <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded relative mb-6" role="alert">
+          <strong className="font-bold">Error: </strong>
+          <span className="block sm:inline">{error}</span>
+        </div>
+        <Link to={getLeaguePath(leagueId, selectedSeason)} className="text-blue-600 hover:underline">
+          &larr; Back to Dashboard
+        </Link>
+      </div>
+    );
+  }
+
+  return (
+    <div className="container mx-auto px-4 py-8">
+      <div className="flex justify-between items-center mb-6">
+        <Link to={getLeaguePath(leagueId, selectedSeason)} className="text-blue-600 hover:underline">
+          &larr; Back to Dashboard
+        </Link>
+        <SeasonSelector />
+      </div>
+
+      <div className="mb-6">
+        <h1 className="text-3xl font-bold text-gray-800">Schedule Swap</h1>
+        {league && (
+          <p className="text-gray-600 mt-1">
+            {league.name} - {selectedSeason} Season
+          </p>
+        )}
+        <p className="text-gray-600 mt-1 text-sm">
+          Each row is a team; each column is the schedule it plays. A cell shows the row team's regular
+          season record had it played the column team's schedule. The diagonal is the actual record.
+        </p>
+      </div>
+
+      {loading ? (
+        <div className="flex justify-center items-center h-64">
+          <div className="animate-spin rounded-full h-12 w-12 border-t-2 border-b-2 border-blue-500"></div>
+        </div>
+      ) : !matrix.rosterIds.length ? (
+        <div className="bg-white p-4 rounded-lg shadow-md text-center">
+          No regular season games played yet in the {selectedSeason} season.
+        </div>
+      ) : (
+        <div className="bg-white p-4 rounded-lg shadow-md overflow-x-auto">
+          <table className="min-w-full text-sm border-collapse">
+            <thead>
+              <tr>
+                <th className="px-2 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  Team \ Schedule
+                </th>
+                {matrix.rosterIds.map(scheduleId => {
+                  const info = getTeamInfo(scheduleId);
+                  return (
+                    <th key={scheduleId} className="px-2 py-2 text-center font-medium text-gray-700" title={info.name}>
+                      <div className="flex flex-col items-center">
+                        {info.avatar && (
+                          <img
+                            src={SleeperApiService.getAvatarUrl(info.avatar)}
+                            alt=""
+                            className="w-6 h-6 rounded-full mb-1"
+                          />
+                        )}
+                        <span className="max-w-[6rem] truncate">{info.name}</span>
+                      </div>
+                    </th>
+                  );
+                })}
+                <th className="px-2 py-2 text-center text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  Avg
+                </th>
+              </tr>
+            </thead>
+            <tbody>
+              {matrix.rosterIds.map(teamId => {
+                const info = getTeamInfo(teamId);
+                return (
+                  <tr key={teamId}>
+                    <th className="px-2 py-2 text-left font-medium whitespace-nowrap">
+                      <Link to={getTeamPath(leagueId, selectedSeason, teamId)} className="hover:text-blue-600">
+                        {info.name}
+                      </Link>
+                    </th>
+                    {matrix.rosterIds.map(scheduleId => {
+                      const record = matrix.records[teamId][scheduleId];
+                      const isActual = teamId === scheduleId;
+                      return (
+                        <td
+                          key={scheduleId}
+                          className={`px-2 py-2 text-center text-white font-medium border border-white ${
+                            isActual ? 'ring-2 ring-inset ring-gray-800' : ''
+                          }`}
+                          style={{ backgroundColor: getWinRateColor(record.winPct) }}
+                          title={`${info.name} on ${getTeamInfo(scheduleId).name}'s schedule: ${formatRecord(record)}`}
+                        >
+                          {formatRecord(record)}
+                        </td>
+                      );
+                    })}
+                    <td className="px-2 py-2 text-center font-medium" style={{ color: getWinRateColor(averages.byTeam[teamId]) }}>
+                      {formatPercentage(averages.byTeam[teamId])}
+                    </td>
+                  </tr>
+                );
+              })}
+              <tr>
+                <th className="px-2 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  Avg
+                </th>
+                {matrix.rosterIds.map(scheduleId => (
+                  <td
+                    key={scheduleId}
+                    className="px-2 py-2 text-center font-medium"
+                    style={{ color: getWinRateColor(averages.bySchedule[scheduleId]) }}
+                  >
+                    {formatPercentage(averages.bySchedule[scheduleId])}
+                  </td>
+                ))}
+                <td></td>
+              </tr>
+            </tbody>
+          </table>
+          <p className="mt-3 text-xs text-gray-500">
+            The Avg column shows how each team would fare on a typical schedule; the Avg row shows how easy
+            each schedule was for the league as a whole.
+          </p>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ScheduleSwap;
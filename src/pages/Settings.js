@@ -0,0 +1,32 @@
+import React from 'react';
+import { Link } from 'react-router-dom';
+import CacheManager from '../components/CacheManager';
+
+const Settings = () => {
+  return (
+    <div className="container mx-auto px-4 py-8">
+      <div className="flex justify-between items-center mb-6">
+        <Link to="/" className="text-blue-600 hover:underline">
+          &larr; Back to Dashboard
+        </Link>
+      </div>
+
+      <div className="mb-6">
+        <h1 className="text-3xl font-bold text-gray-800">Settings</h1>
+        <p className="text-gray-600 mt-1">
+          League data is cached in your browser to keep the app fast. If something looks out of date,
+          refresh that season or data type below.
+        </p>
+      </div>
+
+      <CacheManager />
+
+      <footer className="mt-12 text-center text-gray-500 text-sm">
+        <p>Data provided by Sleeper API</p>
+        <p className="mt-1">© {new Date().getFullYear()} Dynasty Analysis</p>
+      </footer>
+    </div>
+  );
+};
+
+export default Settings;
@@ -1,21 +1,25 @@
-import React, { useContext, useMemo, useState, useEffect } from 'react';
+import React, { useContext, useMemo, useState } from 'react';
 import { useParams, Link } from 'react-router-dom';
 import { LeagueContext } from '../contexts/LeagueContext';
 import SeasonSelector from '../components/SeasonSelector';
 import TeamRoster from '../components/TeamRoster';
 import TeamStats from '../components/TeamStats';
 import TeamPerformanceChart from '../components/TeamPerformanceChart';
+import TeamSchedule from '../components/TeamSchedule';
+import TeamDraftPicks from '../components/TeamDraftPicks';
 import SleeperApiService from '../services/sleeperApi';
-import { loadFromCache, saveToCache } from '../utils/cacheUtils';
+import useLeagueHistory from '../hooks/useLeagueHistory';
+import { buildFranchises, getManagerSeasons, sumFranchiseSeasons } from '../utils/franchises';
+import { getFranchisePath, getLeaguePath, getOwnerRivalriesPath } from '../utils/routes';
 
 const TeamDetails = () => {
   const { rosterId } = useParams();
   const { 
-    rosters, users, matchups, loading, error, league, 
+    rosters, users, matchups, loading, error, league, leagueId,
     selectedSeason, nflState, seasonLeagueIds 
   } = useContext(LeagueContext);
   const [selectedWeek, setSelectedWeek] = useState(1);
-  const [allTimeRecord, setAllTimeRecord] = useState(null);
+  const { seasons: history } = useLeagueHistory({ includeMatchups: false });
   
   // Check if we're viewing a future season with no matchups
   const isFutureSeason = nflState && selectedSeason && parseInt(selectedSeason) > parseInt(nflState.season);
@@ -37,44 +41,23 @@ const TeamDetails = () => {
     };
   }, [rosters, users, rosterId]);
 
-  // Fetch all-time record
-  useEffect(() => {
-    const fetchAllTimeRecord = async () => {
-      if (!seasonLeagueIds || !rosterData || Object.keys(seasonLeagueIds).length <= 1) {
-        setAllTimeRecord(null);
-        return;
-      }
-
-      let totalWins = 0;
-      let totalLosses = 0;
-      let totalTies = 0;
-
-      const ownerId = rosterData.roster.owner_id;
-
-      for (const season in seasonLeagueIds) {
-        const histLeagueId = seasonLeagueIds[season];
-        try {
-          let histRosters = loadFromCache('rosters', histLeagueId, season);
-          if (!histRosters) {
-            histRosters = await SleeperApiService.getLeagueRosters(histLeagueId);
-            saveToCache('rosters', histLeagueId, season, histRosters);
-          }
-          
-          const teamRoster = histRosters.find(r => r.owner_id === ownerId);
-          if (teamRoster && teamRoster.settings) {
-            totalWins += teamRoster.settings.wins || 0;
-            totalLosses += teamRoster.settings.losses || 0;
-            totalTies += teamRoster.settings.ties || 0;
-          }
-        } catch (e) {
-          console.error(`Could not fetch rosters for league ${histLeagueId}`, e);
-        }
-      }
-      setAllTimeRecord({ wins: totalWins, losses: totalLosses, ties: totalTies });
-    };
+  // All-time records: the franchise (this roster slot in every season) and
+  // its current manager (every season they ran, on any franchise)
+  const allTimeRecords = useMemo(() => {
+    if (!rosterData || Object.keys(seasonLeagueIds || {}).length <= 1) return null;
+
+    const franchises = buildFranchises(history);
+    const franchise = franchises.find(f => f.franchiseId === rosterData.roster.roster_id);
+    if (!franchise) return null;
 
-    fetchAllTimeRecord();
-  }, [seasonLeagueIds, rosterData]);
+    const managerSeasons = getManagerSeasons(franchises, rosterData.roster.owner_id);
+    return {
+      franchise: sumFranchiseSeasons(franchise.seasons),
+      manager: sumFranchiseSeasons(managerSeasons),
+      // Only worth showing separately when someone else also ran this franchise, or this manager ran another
+      managerDiffers: managerSeasons.length !== franchise.seasons.length || franchise.tenures.length > 1,
+    };
+  }, [history, seasonLeagueIds, rosterData]);
 
   // Get all available weeks from matchups
   const availableWeeks = useMemo(() => {
@@ -96,7 +79,7 @@ const TeamDetails = () => {
           <strong className="font-bold">Error: </strong>
           <span className="block sm:inline">{error}</span>
         </div>
-        <Link to="/" className="text-blue-600 hover:underline">
+        <Link to={getLeaguePath(leagueId, selectedSeason)} className="text-blue-600 hover:underline">
           &larr; Back to Dashboard
         </Link>
       </div>
@@ -106,7 +89,7 @@ const TeamDetails = () => {
   if (loading || !rosterData) {
     return (
       <div className="container mx-auto px-4 py-8">
-        <Link to="/" className="text-blue-600 hover:underline mb-6 inline-block">
+        <Link to={getLeaguePath(leagueId, selectedSeason)} className="text-blue-600 hover:underline mb-6 inline-block">
           &larr; Back to Dashboard
         </Link>
         <div className="flex justify-center items-center h-64">
@@ -121,7 +104,7 @@ const TeamDetails = () => {
   return (
     <div className="container mx-auto px-4 py-8">
       <div className="flex justify-between items-center mb-6">
-        <Link to="/" className="text-blue-600 hover:underline">
+        <Link to={getLeaguePath(leagueId, selectedSeason)} className="text-blue-600 hover:underline">
           &larr; Back to Dashboard
         </Link>
         <SeasonSelector />
@@ -170,11 +153,28 @@ const TeamDetails = () => {
                   </div>
                 </>
               )}
-              {allTimeRecord && (
+              {allTimeRecords && (
                 <div className="bg-blue-100 px-3 py-1 rounded-md text-sm">
-                  <span className="font-medium">All-Time Record:</span> {allTimeRecord.wins}-{allTimeRecord.losses}{allTimeRecord.ties > 0 ? `-${allTimeRecord.ties}` : ''}
+                  <span className="font-medium">Franchise Record:</span> {allTimeRecords.franchise.wins}-{allTimeRecords.franchise.losses}{allTimeRecords.franchise.ties > 0 ? `-${allTimeRecords.franchise.ties}` : ''}
+                </div>
+              )}
+              {allTimeRecords?.managerDiffers && (
+                <div className="bg-blue-50 px-3 py-1 rounded-md text-sm">
+                  <span className="font-medium">Manager Record:</span> {allTimeRecords.manager.wins}-{allTimeRecords.manager.losses}{allTimeRecords.manager.ties > 0 ? `-${allTimeRecords.manager.ties}` : ''}
                 </div>
               )}
+              <Link
+                to={getFranchisePath(leagueId, selectedSeason, roster.roster_id)}
+                className="bg-gray-100 px-3 py-1 rounded-md text-sm text-blue-600 hover:underline"
+              >
+                Franchise History
+              </Link>
+              <Link
+                to={getOwnerRivalriesPath(leagueId, selectedSeason, roster.owner_id)}
+                className="bg-gray-100 px-3 py-1 rounded-md text-sm text-blue-600 hover:underline"
+              >
+                Head-to-Head Rivalries
+              </Link>
             </div>
           </div>
         </div>
@@ -190,6 +190,16 @@ const TeamDetails = () => {
         <div className="lg:col-span-2">
           <TeamPerformanceChart rosterId={rosterId} />
         </div>
+
+        {/* Strength of Schedule */}
+        <div className="lg:col-span-2">
+          <TeamSchedule rosterId={rosterId} />
+        </div>
+
+        {/* Future Draft Picks */}
+        <div className="lg:col-span-2">
+          <TeamDraftPicks rosterId={rosterId} />
+        </div>
       </div>
 
       {/* Team Roster */}
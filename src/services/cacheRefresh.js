@@ -0,0 +1,101 @@
+import SleeperApiService from './sleeperApi';
+import { loadLeagueDrafts, loadTradedPicks } from './drafts';
+import { syncSeasonMatchups } from './matchupSync';
+import { loadPlayoffBrackets } from './playoffBrackets';
+import { loadSeasonTransactions } from './transactions';
+import {
+  loadFromCache, saveToCache, savePlayersToCache, shouldUseCache, trimPlayersData,
+} from '../utils/cacheUtils';
+import { getSeasonCalendar } from '../utils/seasonCalendar';
+
+// League data fetched directly from the API, by data type
+const LEAGUE_FETCHERS = {
+  league: SleeperApiService.getLeague,
+  users: SleeperApiService.getLeagueUsers,
+  rosters: SleeperApiService.getLeagueRosters,
+};
+
+/**
+ * Download one kind of data again and store it in the cache. Each loader
+ * writes to the cache the same way it does when the data is first needed,
+ * so only data that is normally cached comes back.
+ * @param {Object} target - { dataType, league, season, draft } of removed entries
+ * @param {Object} nflState - Current NFL state
+ * @returns {Promise} - Promise that resolves once the data is cached again
+ */
+const refetchTarget = async ({ dataType, league: leagueId, season, draft }, nflState) => {
+  const scope = { league: leagueId, season };
+
+  // League data of the season, for its schedule
+  const getLeague = async () => (
+    await loadFromCache('league', scope) || await SleeperApiService.getLeague(leagueId)
+  );
+
+  switch (dataType) {
+    case 'league':
+    case 'users':
+    case 'rosters': {
+      const data = await LEAGUE_FETCHERS[dataType](leagueId);
+      if (shouldUseCache(season, nflState?.season)) await saveToCache(dataType, scope, data);
+      return;
+    }
+    case 'matchups':
+      await syncSeasonMatchups({ leagueId, season, calendar: getSeasonCalendar(await getLeague(), nflState) });
+      return;
+    case 'transactions':
+      await loadSeasonTransactions({ leagueId, season, league: await getLeague(), nflState });
+      return;
+    case 'drafts':
+      await loadLeagueDrafts({ leagueId, season });
+      return;
+    case 'traded_picks':
+      await loadTradedPicks({ leagueId, season });
+      return;
+    case 'winners_bracket':
+    case 'losers_bracket':
+      await loadPlayoffBrackets({ leagueId, season });
+      return;
+    case 'draft_picks':
+      await saveToCache('draft_picks', { draft }, await SleeperApiService.getDraftPicks(draft));
+      return;
+    case 'players':
+      await savePlayersToCache(trimPlayersData(await SleeperApiService.getAllPlayers()));
+      return;
+    default:
+      console.warn(`Don't know how to refetch ${dataType} data`);
+  }
+};
+
+/**
+ * Download the data behind cache entries that were just removed, so a refresh
+ * leaves fresh copies behind instead of an empty cache.
+ *
+ * Entries are grouped by what loads them (per-week matchups are synced as one
+ * season, for example), and the scheduler's response memo is cleared first so
+ * nothing is served from before the refresh.
+ *
+ * @param {Array} entries - Removed entries from listCacheEntries
+ * @param {Object} nflState - Current NFL state
+ * @returns {Promise} - Promise that resolves once every data set was tried;
+ * failures are logged and leave that data to load when it is next needed
+ */
+export const refetchCacheEntries = async (entries, nflState) => {
+  const targets = {};
+  (entries || []).forEach(({ dataType, league, season, draft }) => {
+    if (!dataType) return;
+    // Both brackets load together
+    const loader = dataType === 'losers_bracket' ? 'winners_bracket' : dataType;
+    targets[[loader, league, season, draft].join(':')] = { dataType: loader, league, season, draft };
+  });
+
+  SleeperApiService.clearResponseCache();
+
+  // Run one after another; the request scheduler paces the requests within each
+  for (const target of Object.values(targets)) {
+    try {
+      await refetchTarget(target, nflState);
+    } catch (err) {
+      console.error(`Error refetching ${target.dataType} data:`, err);
+    }
+  }
+};
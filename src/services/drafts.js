@@ -0,0 +1,75 @@
+import SleeperApiService from './sleeperApi';
+import { isAbortError } from './requestScheduler';
+import { loadFromCache, saveToCache } from '../utils/cacheUtils';
+
+/**
+ * Load a season's drafts together with their picks.
+ *
+ * Draft lists are cached per league and season; a draft's picks are only
+ * cached once the draft is complete, since boards still in progress change.
+ * A draft or pick list that fails to load is treated as empty.
+ *
+ * @param {Object} params - Load parameters
+ * @param {string} params.leagueId - The Sleeper league ID
+ * @param {string} params.season - Season year
+ * @param {AbortSignal} params.signal - Optional abort signal
+ * @returns {Promise<Array>} - Drafts from getLeagueDrafts, each with a picks array
+ */
+export const loadLeagueDrafts = async ({ leagueId, season, signal }) => {
+  if (!leagueId || !season) {
+    return [];
+  }
+
+  let drafts = await loadFromCache('drafts', { league: leagueId, season });
+  if (!drafts) {
+    try {
+      drafts = await SleeperApiService.getLeagueDrafts(leagueId, { signal });
+      saveToCache('drafts', { league: leagueId, season }, drafts);
+    } catch (err) {
+      if (isAbortError(err)) throw err;
+      console.warn(`Could not fetch drafts for league ${leagueId} season ${season}:`, err);
+      drafts = [];
+    }
+  }
+
+  return Promise.all((drafts || []).map(async draft => {
+    let picks = await loadFromCache('draft_picks', { draft: draft.draft_id });
+    if (!picks) {
+      try {
+        picks = await SleeperApiService.getDraftPicks(draft.draft_id, { signal });
+        if (draft.status === 'complete') {
+          saveToCache('draft_picks', { draft: draft.draft_id }, picks);
+        }
+      } catch (err) {
+        if (isAbortError(err)) throw err;
+        console.warn(`Could not fetch picks for draft ${draft.draft_id}:`, err);
+        picks = [];
+      }
+    }
+    return { ...draft, picks: picks || [] };
+  }));
+};
+
+/**
+ * Load the future draft picks of a league that have changed hands.
+ *
+ * Cached for a few hours like transactions, since any trade can move a pick.
+ *
+ * @param {Object} params - Load parameters
+ * @param {string} params.leagueId - The Sleeper league ID
+ * @param {string} params.season - Season year
+ * @param {AbortSignal} params.signal - Optional abort signal
+ * @returns {Promise<Array>} - Traded picks from getTradedPicks
+ */
+export const loadTradedPicks = async ({ leagueId, season, signal }) => {
+  if (!leagueId || !season) {
+    return [];
+  }
+
+  let tradedPicks = await loadFromCache('traded_picks', { league: leagueId, season });
+  if (!tradedPicks) {
+    tradedPicks = await SleeperApiService.getTradedPicks(leagueId, { signal });
+    saveToCache('traded_picks', { league: leagueId, season }, tradedPicks);
+  }
+  return tradedPicks || [];
+};
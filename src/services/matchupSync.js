@@ -0,0 +1,105 @@
+import SleeperApiService from './sleeperApi';
+import { isAbortError } from './requestScheduler';
+import { loadFromCache, removeFromCache, saveToCache } from '../utils/cacheUtils';
+
+/**
+ * Get the last week whose scores are settled for good. Sleeper applies stat
+ * corrections to a week after it is scored, so the latest scored week stays
+ * open until the next one is scored, unless the season is over.
+ * @param {Object} calendar - Calendar from getSeasonCalendar
+ * @returns {number} - Last settled week, 0 if none
+ */
+const getLastSettledWeek = (calendar) => {
+  if (calendar.lastScoredWeek >= calendar.finalWeek) return calendar.finalWeek;
+  return Math.max(0, calendar.lastScoredWeek - 1);
+};
+
+/**
+ * Split a season-level matchups entry, as cached before weeks were cached
+ * separately, into per-week entries and remove it. Those entries were only
+ * written for finished seasons, so every week in them is settled.
+ * @param {string} leagueId - The Sleeper league ID
+ * @param {string} season - Season year
+ * @param {number} lastSettledWeek - Last settled week of the season
+ * @returns {Promise<Object>} - Week -> matchups recovered from the entry
+ */
+const migrateSeasonEntry = async (leagueId, season, lastSettledWeek) => {
+  const seasonScope = { league: leagueId, season };
+  const seasonMatchups = await loadFromCache('matchups', seasonScope);
+  if (!seasonMatchups) return {};
+
+  const byWeek = {};
+  (Array.isArray(seasonMatchups) ? seasonMatchups : []).forEach(({ week, ...matchup }) => {
+    if (!week || week > lastSettledWeek) return;
+    if (!byWeek[week]) byWeek[week] = [];
+    byWeek[week].push(matchup);
+  });
+
+  await Promise.all(Object.entries(byWeek).map(([week, weekMatchups]) =>
+    saveToCache('matchups', { ...seasonScope, week: parseInt(week) }, weekMatchups)
+  ));
+  await removeFromCache('matchups', seasonScope);
+  return byWeek;
+};
+
+/**
+ * Load every week of a season's matchups.
+ *
+ * Settled weeks (see getLastSettledWeek) never change, so they are cached
+ * permanently, even during the current season. The latest scored week, the
+ * live week and the weeks after them are requested from the API.
+ *
+ * @param {Object} params - Sync parameters
+ * @param {string} params.leagueId - The Sleeper league ID
+ * @param {string} params.season - Season year
+ * @param {Object} params.calendar - Calendar from getSeasonCalendar
+ * @param {AbortSignal} params.signal - Optional abort signal
+ * @returns {Promise<Object>} - { matchups, syncedAt, fetchedWeeks }
+ */
+export const syncSeasonMatchups = async ({ leagueId, season, calendar, signal }) => {
+  if (!leagueId || !season || !calendar) {
+    return { matchups: [], syncedAt: null, fetchedWeeks: [] };
+  }
+
+  const fetchedWeeks = [];
+  const lastSettledWeek = getLastSettledWeek(calendar);
+  const migratedWeeks = await migrateSeasonEntry(leagueId, season, lastSettledWeek);
+
+  const loadWeek = async (week) => {
+    const scope = { league: leagueId, season, week };
+    const isSettled = week <= lastSettledWeek;
+
+    let weekMatchups = isSettled
+      ? migratedWeeks[week] || await loadFromCache('matchups', scope)
+      : null;
+    if (!weekMatchups) {
+      try {
+        weekMatchups = await SleeperApiService.getMatchups(leagueId, week, { signal });
+        fetchedWeeks.push(week);
+        if (isSettled && weekMatchups) {
+          saveToCache('matchups', scope, weekMatchups);
+        }
+      } catch (err) {
+        if (isAbortError(err)) throw err;
+        console.error(`Error syncing matchups for league ${leagueId}, week ${week}:`, err);
+        weekMatchups = [];
+      }
+    }
+
+    // Tag each matchup with its week without mutating shared response objects
+    return (weekMatchups || []).map(matchup => ({ ...matchup, week }));
+  };
+
+  // The request scheduler rate limits these, so all weeks can be requested at once
+  const weeks = await Promise.all(calendar.allWeeks.map(loadWeek));
+
+  if (fetchedWeeks.length > 0) {
+    console.log(`Synced weeks ${fetchedWeeks.sort((a, b) => a - b).join(', ')} for league ${leagueId}, season ${season}`);
+  }
+
+  return {
+    matchups: weeks.flat(),
+    syncedAt: Date.now(),
+    fetchedWeeks,
+  };
+};
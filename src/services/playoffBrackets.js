@@ -0,0 +1,48 @@
+import SleeperApiService from './sleeperApi';
+import { isAbortError } from './requestScheduler';
+import { loadFromCache, saveToCache } from '../utils/cacheUtils';
+import { isBracketComplete } from '../utils/playoffBrackets';
+
+/**
+ * Load a season's winners and losers brackets.
+ *
+ * A bracket whose matches all have a winner never changes again, so it is
+ * cached permanently; brackets still in progress are always requested.
+ *
+ * @param {Object} params - Load parameters
+ * @param {string} params.leagueId - The Sleeper league ID
+ * @param {string} params.season - Season year
+ * @param {AbortSignal} params.signal - Optional abort signal
+ * @returns {Promise<Object>} - { winners, losers }, each an array of bracket matches
+ */
+export const loadPlayoffBrackets = async ({ leagueId, season, signal }) => {
+  if (!leagueId || !season) {
+    return { winners: [], losers: [] };
+  }
+
+  const scope = { league: leagueId, season };
+
+  const loadBracket = async (dataType, fetchBracket) => {
+    let bracket = await loadFromCache(dataType, scope);
+    if (!bracket) {
+      try {
+        bracket = await fetchBracket(leagueId, { signal });
+        if (isBracketComplete(bracket)) {
+          saveToCache(dataType, scope, bracket);
+        }
+      } catch (err) {
+        if (isAbortError(err)) throw err;
+        console.error(`Error loading ${dataType} for league ${leagueId}:`, err);
+        bracket = [];
+      }
+    }
+    return bracket || [];
+  };
+
+  const [winners, losers] = await Promise.all([
+    loadBracket('winners_bracket', SleeperApiService.getWinnersBracket),
+    loadBracket('losers_bracket', SleeperApiService.getLosersBracket),
+  ]);
+
+  return { winners, losers };
+};
@@ -0,0 +1,264 @@
+import axios from 'axios';
+
+/**
+ * Request pipeline shared by every Sleeper API call.
+ *
+ * - Token bucket rate limiting, so bursts (e.g. 18 weekly transaction calls)
+ *   are spread out instead of hitting the API at once
+ * - In-flight deduplication of identical URLs, plus a short-lived, size-capped
+ *   memo of settled responses so back-to-back lookups of the same league are free
+ * - Retries for 429/5xx and network failures with exponential backoff and jitter
+ * - Cancellation through AbortController signals
+ */
+
+const DEFAULT_OPTIONS = {
+  tokensPerSecond: 8, // Sleeper asks clients to stay well under 1000 calls per minute
+  bucketSize: 8,
+  maxRetries: 4,
+  baseRetryDelay: 500,
+  maxRetryDelay: 10000,
+  responseTtl: 30 * 1000, // Keep settled responses around for 30 seconds
+  maxMemoEntries: 100, // Oldest responses are dropped beyond this
+};
+
+/**
+ * Create the error used when a request is cancelled through its signal
+ * @returns {Error} - Error with name 'AbortError'
+ */
+const createAbortError = () => {
+  const error = new Error('Request aborted');
+  error.name = 'AbortError';
+  return error;
+};
+
+/**
+ * Check whether an error came from a cancelled request
+ * @param {any} error - Error thrown by a request
+ * @returns {boolean} - Whether the request was aborted
+ */
+export const isAbortError = (error) => {
+  if (!error) return false;
+  return error.name === 'AbortError' || axios.isCancel(error);
+};
+
+/**
+ * Wait for a number of milliseconds, rejecting early if the signal aborts
+ * @param {number} ms - Milliseconds to wait
+ * @param {AbortSignal} signal - Optional abort signal
+ * @returns {Promise} - Promise that resolves after the delay
+ */
+const wait = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal?.aborted) {
+    reject(createAbortError());
+    return;
+  }
+
+  const onAbort = () => {
+    clearTimeout(timer);
+    reject(createAbortError());
+  };
+
+  const timer = setTimeout(() => {
+    signal?.removeEventListener('abort', onAbort);
+    resolve();
+  }, ms);
+
+  signal?.addEventListener('abort', onAbort, { once: true });
+});
+
+/**
+ * Check whether a failed request is worth retrying
+ * @param {any} error - Error thrown by axios
+ * @returns {boolean} - True for network errors, 429 and 5xx responses
+ */
+const isRetryable = (error) => {
+  if (isAbortError(error)) return false;
+  if (!error.response) return true; // Network error or timeout
+  const { status } = error.response;
+  return status === 429 || status >= 500;
+};
+
+/**
+ * Create a request scheduler
+ * @param {Object} options - Overrides for DEFAULT_OPTIONS
+ * @returns {Object} - Scheduler with get() and clear()
+ */
+export const createRequestScheduler = (options = {}) => {
+  const config = { ...DEFAULT_OPTIONS, ...options };
+
+  let tokens = config.bucketSize;
+  let lastRefill = Date.now();
+  let drainTimer = null;
+  const waiting = []; // FIFO queue of callers waiting for a token
+
+  const inFlight = new Map(); // url -> { promise, controller, subscribers }
+  const recent = new Map(); // url -> { data, expiresAt }, in insertion order
+
+  // Drop expired responses, then the oldest ones while over the cap
+  const remember = (url, data) => {
+    const now = Date.now();
+    recent.forEach((memo, memoUrl) => {
+      if (memo.expiresAt <= now) recent.delete(memoUrl);
+    });
+    recent.delete(url);
+    recent.set(url, { data, expiresAt: now + config.responseTtl });
+    while (recent.size > config.maxMemoEntries) {
+      recent.delete(recent.keys().next().value);
+    }
+  };
+
+  const refill = () => {
+    const now = Date.now();
+    const elapsed = (now - lastRefill) / 1000;
+    tokens = Math.min(config.bucketSize, tokens + elapsed * config.tokensPerSecond);
+    lastRefill = now;
+  };
+
+  // Hand out tokens to waiting callers in order, scheduling a wake-up for the rest
+  const drain = () => {
+    drainTimer = null;
+    refill();
+
+    while (waiting.length > 0 && tokens >= 1) {
+      const next = waiting.shift();
+      tokens -= 1;
+      next.resolve();
+    }
+
+    if (waiting.length > 0) {
+      const msUntilToken = Math.ceil(((1 - tokens) / config.tokensPerSecond) * 1000);
+      drainTimer = setTimeout(drain, msUntilToken);
+    }
+  };
+
+  const acquireToken = (signal) => new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(createAbortError());
+      return;
+    }
+
+    const entry = {
+      resolve: () => {
+        signal?.removeEventListener('abort', entry.onAbort);
+        resolve();
+      },
+      onAbort: () => {
+        const index = waiting.indexOf(entry);
+        if (index !== -1) waiting.splice(index, 1);
+        reject(createAbortError());
+      },
+    };
+
+    signal?.addEventListener('abort', entry.onAbort, { once: true });
+    waiting.push(entry);
+    if (!drainTimer) drain();
+  });
+
+  const getRetryDelay = (attempt, error) => {
+    // Honour Retry-After (seconds) when the API sends one
+    const retryAfter = Number(error.response?.headers?.['retry-after']);
+    if (retryAfter > 0) return retryAfter * 1000;
+
+    const backoff = Math.min(config.maxRetryDelay, config.baseRetryDelay * 2 ** attempt);
+    // Equal jitter: half fixed, half random so parallel retries spread out
+    return backoff / 2 + Math.random() * (backoff / 2);
+  };
+
+  const execute = async (url, signal) => {
+    for (let attempt = 0; ; attempt++) {
+      await acquireToken(signal);
+      try {
+        const response = await axios.get(url, { signal });
+        return response.data;
+      } catch (error) {
+        if (attempt >= config.maxRetries || !isRetryable(error)) throw error;
+
+        const retryDelay = getRetryDelay(attempt, error);
+        console.warn(`Request to ${url} failed (${error.response?.status || error.message}), retrying in ${Math.round(retryDelay)}ms`);
+        await wait(retryDelay, signal);
+      }
+    }
+  };
+
+  /**
+   * Fetch a URL through the scheduler
+   * @param {string} url - Absolute URL to GET
+   * @param {Object} requestOptions - { signal, force, memo }; force skips the response
+   * memo, and memo: false keeps the response out of it (for large payloads that are
+   * cached elsewhere)
+   * @returns {Promise} - Promise with the response data
+   */
+  const get = (url, { signal, force = false, memo: memoize = true } = {}) => {
+    if (signal?.aborted) return Promise.reject(createAbortError());
+
+    if (!force) {
+      const memo = recent.get(url);
+      if (memo && memo.expiresAt > Date.now()) return Promise.resolve(memo.data);
+      recent.delete(url);
+    }
+
+    let request = inFlight.get(url);
+    if (!request) {
+      const controller = new AbortController();
+      request = { controller, subscribers: 0 };
+      request.promise = execute(url, controller.signal)
+        .then(data => {
+          if (memoize && config.responseTtl > 0) remember(url, data);
+          return data;
+        })
+        .finally(() => {
+          if (inFlight.get(url) === request) inFlight.delete(url);
+        });
+      inFlight.set(url, request);
+    }
+
+    request.subscribers++;
+
+    // Each caller can abort independently; the shared request is only
+    // cancelled once every caller waiting on it has gone away.
+    return new Promise((resolve, reject) => {
+      let settled = false;
+
+      const onAbort = () => {
+        if (settled) return;
+        settled = true;
+        request.subscribers--;
+        if (request.subscribers === 0) {
+          request.controller.abort();
+          if (inFlight.get(url) === request) inFlight.delete(url);
+        }
+        reject(createAbortError());
+      };
+
+      signal?.addEventListener('abort', onAbort, { once: true });
+
+      request.promise.then(
+        data => {
+          if (settled) return;
+          settled = true;
+          signal?.removeEventListener('abort', onAbort);
+          resolve(data);
+        },
+        error => {
+          if (settled) return;
+          settled = true;
+          signal?.removeEventListener('abort', onAbort);
+          reject(error);
+        }
+      );
+    });
+  };
+
+  /**
+   * Forget memoized responses so the next request hits the API
+   */
+  const clear = () => {
+    recent.clear();
+  };
+
+  return { get, clear };
+};
+
+const requestScheduler = createRequestScheduler();
+
+export default requestScheduler;
@@ -1,13 +1,23 @@
-import axios from 'axios';
+import requestScheduler, { isAbortError } from './requestScheduler';
 
 const BASE_URL = 'https://api.sleeper.app/v1';
 
 /**
- * Helper function to add delay between API calls
- * @param {number} ms - Milliseconds to delay
- * @returns {Promise} - Promise that resolves after the delay
+ * Fetch a Sleeper API path through the shared request scheduler
+ * @param {string} path - API path, starting with '/'
+ * @param {Object} options - { signal, force, memo } passed to the scheduler
+ * @returns {Promise} - Promise with the response data
  */
-const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+const fetchFromApi = (path, options) => requestScheduler.get(`${BASE_URL}${path}`, options);
+
+/**
+ * Log an API error unless the request was deliberately cancelled
+ * @param {string} message - Message to log
+ * @param {any} error - The error thrown
+ */
+const logError = (message, error) => {
+  if (!isAbortError(error)) console.error(message, error);
+};
 
 /**
  * Service for interacting with the Sleeper API
@@ -16,15 +26,14 @@ const SleeperApiService = {
   /**
    * Get league information by league ID
    * @param {string} leagueId - The Sleeper league ID
+   * @param {Object} options - Optional { signal } to cancel the request
    * @returns {Promise} - Promise with league data
    */
-  getLeague: async (leagueId) => {
+  getLeague: async (leagueId, { signal } = {}) => {
     try {
-      await delay(300); // Add delay to prevent rate limiting
-      const response = await axios.get(`${BASE_URL}/league/${leagueId}`);
-      return response.data;
+      return await fetchFromApi(`/league/${leagueId}`, { signal });
     } catch (error) {
-      console.error('Error fetching league:', error);
+      logError('Error fetching league:', error);
       throw error;
     }
   },
@@ -32,15 +41,14 @@ const SleeperApiService = {
   /**
    * Get users in a league
    * @param {string} leagueId - The Sleeper league ID
+   * @param {Object} options - Optional { signal } to cancel the request
    * @returns {Promise} - Promise with league users data
    */
-  getLeagueUsers: async (leagueId) => {
+  getLeagueUsers: async (leagueId, { signal } = {}) => {
     try {
-      await delay(300); // Add delay to prevent rate limiting
-      const response = await axios.get(`${BASE_URL}/league/${leagueId}/users`);
-      return response.data;
+      return await fetchFromApi(`/league/${leagueId}/users`, { signal });
     } catch (error) {
-      console.error('Error fetching league users:', error);
+      logError('Error fetching league users:', error);
       throw error;
     }
   },
@@ -48,15 +56,14 @@ const SleeperApiService = {
   /**
    * Get rosters in a league
    * @param {string} leagueId - The Sleeper league ID
+   * @param {Object} options - Optional { signal } to cancel the request
    * @returns {Promise} - Promise with league rosters data
    */
-  getLeagueRosters: async (leagueId) => {
+  getLeagueRosters: async (leagueId, { signal } = {}) => {
     try {
-      await delay(300); // Add delay to prevent rate limiting
-      const response = await axios.get(`${BASE_URL}/league/${leagueId}/rosters`);
-      return response.data;
+      return await fetchFromApi(`/league/${leagueId}/rosters`, { signal });
     } catch (error) {
-      console.error('Error fetching league rosters:', error);
+      logError('Error fetching league rosters:', error);
       throw error;
     }
   },
@@ -65,45 +72,44 @@ const SleeperApiService = {
    * Get matchups for a specific week
    * @param {string} leagueId - The Sleeper league ID
    * @param {number} week - The week number
+   * @param {Object} options - Optional { signal, force }; force skips the
+   * short-lived response memo, for polling live scores
    * @returns {Promise} - Promise with matchups data
    */
-  getMatchups: async (leagueId, week) => {
+  getMatchups: async (leagueId, week, { signal, force = false } = {}) => {
     try {
-      await delay(300); // Add delay to prevent rate limiting
-      const response = await axios.get(`${BASE_URL}/league/${leagueId}/matchups/${week}`);
-      return response.data;
+      return await fetchFromApi(`/league/${leagueId}/matchups/${week}`, { signal, force });
     } catch (error) {
-      console.error(`Error fetching matchups for week ${week}:`, error);
+      logError(`Error fetching matchups for week ${week}:`, error);
       throw error;
     }
   },
 
   /**
    * Get all players data
+   * @param {Object} options - Optional { signal } to cancel the request
    * @returns {Promise} - Promise with all players data
    */
-  getAllPlayers: async () => {
+  getAllPlayers: async ({ signal } = {}) => {
     try {
-      await delay(300); // Add delay to prevent rate limiting
-      const response = await axios.get(`${BASE_URL}/players/nfl`);
-      return response.data;
+      // Several MB, and kept in IndexedDB, so not worth holding in the response memo
+      return await fetchFromApi(`/players/nfl`, { signal, memo: false });
     } catch (error) {
-      console.error('Error fetching all players:', error);
+      logError('Error fetching all players:', error);
       throw error;
     }
   },
 
   /**
    * Get NFL state (current week, season, etc.)
+   * @param {Object} options - Optional { signal } to cancel the request
    * @returns {Promise} - Promise with NFL state data
    */
-  getNflState: async () => {
+  getNflState: async ({ signal } = {}) => {
     try {
-      await delay(300); // Add delay to prevent rate limiting
-      const response = await axios.get(`${BASE_URL}/state/nfl`);
-      return response.data;
+      return await fetchFromApi(`/state/nfl`, { signal });
     } catch (error) {
-      console.error('Error fetching NFL state:', error);
+      logError('Error fetching NFL state:', error);
       throw error;
     }
   },
@@ -111,14 +117,15 @@ const SleeperApiService = {
   /**
    * Get previous league ID for historical data
    * @param {string} leagueId - The current Sleeper league ID
+   * @param {Object} options - Optional { signal } to cancel the request
    * @returns {Promise} - Promise with previous league ID
    */
-  getPreviousLeagueId: async (leagueId) => {
+  getPreviousLeagueId: async (leagueId, { signal } = {}) => {
     try {
-      const league = await SleeperApiService.getLeague(leagueId);
+      const league = await SleeperApiService.getLeague(leagueId, { signal });
       return league.previous_league_id;
     } catch (error) {
-      console.error('Error fetching previous league ID:', error);
+      logError('Error fetching previous league ID:', error);
       throw error;
     }
   },
@@ -127,78 +134,87 @@ const SleeperApiService = {
    * Get league transactions for a specific week
    * @param {string} leagueId - The Sleeper league ID
    * @param {number} week - The week number
+   * @param {Object} options - Optional { signal } to cancel the request
    * @returns {Promise} - Promise with transactions data for the specified week
    */
-  getTransactionsForWeek: async (leagueId, week) => {
+  getTransactionsForWeek: async (leagueId, week, { signal } = {}) => {
     try {
-      await delay(300); // Add delay to prevent rate limiting
-      const url = `${BASE_URL}/league/${leagueId}/transactions/${week}`;
-      const response = await axios.get(url);
-      return response.data;
+      // Saved to IndexedDB by the callers, so kept out of the response memo
+      return await fetchFromApi(`/league/${leagueId}/transactions/${week}`, { signal, memo: false });
     } catch (error) {
-      console.error(`Error fetching transactions for week ${week}:`, error);
+      logError(`Error fetching transactions for week ${week}:`, error);
       throw error;
     }
   },
 
   /**
-   * Get all league transactions for all weeks (1-18)
+   * Get all league transactions for every week of a season
    * @param {string} leagueId - The Sleeper league ID
    * @param {number} week - The week number (optional)
+   * @param {Object} options - Optional { signal, weeks }; weeks defaults to 1-18,
+   * pass the season calendar's allWeeks to match the league's schedule
    * @returns {Promise} - Promise with all transactions data
    */
-  getTransactions: async (leagueId, week = null) => {
+  getTransactions: async (leagueId, week = null, { signal, weeks } = {}) => {
     // If a specific week is requested, use the weekly endpoint
     if (week) {
-      return SleeperApiService.getTransactionsForWeek(leagueId, week);
+      return SleeperApiService.getTransactionsForWeek(leagueId, week, { signal });
     }
 
+    // Sleeper has no bulk transactions endpoint, so request every week at once.
+    // The request scheduler spreads these out to stay within the rate limit.
+    const weeksToFetch = weeks && weeks.length ? weeks : Array.from({ length: 18 }, (_, i) => i + 1);
+    const weekPromises = weeksToFetch.map(weekNumber =>
+      SleeperApiService.getTransactionsForWeek(leagueId, weekNumber, { signal }).catch(e => {
+        if (isAbortError(e)) throw e;
+        // If a single week fails (e.g., 404), return an empty array to not fail the whole batch
+        if (e.response && e.response.status === 404) return [];
+        console.error(`Error fetching transactions for league ${leagueId}, week ${weekNumber}:`, e.message);
+        return [];
+      })
+    );
+    const weeklyTransactionsArrays = await Promise.all(weekPromises);
+    return weeklyTransactionsArrays.flat();
+  },
+
+  /**
+   * Get user information by user ID or username
+   * @param {string} userId - The Sleeper user ID or username
+   * @param {Object} options - Optional { signal } to cancel the request
+   * @returns {Promise} - Promise with user data, or null if no such user exists
+   */
+  getUser: async (userId, { signal } = {}) => {
     try {
-      // The bulk endpoint does not exist, but this is how you would ideally try it first.
-      // Since we know it 404s, we'll go straight to the fallback for this implementation.
-      // In a real-world scenario with a working bulk endpoint, you'd do:
-      // const response = await axios.get(`${BASE_URL}/league/${leagueId}/transactions`);
-      // return response.data;
-      // For now, we simulate the failure to trigger the fallback.
-      throw { response: { status: 404 } };
+      return await fetchFromApi(`/user/${encodeURIComponent(userId)}`, { signal });
     } catch (error) {
-      if (error.response && error.response.status === 404) {
-        // Fallback to fetching all weeks in parallel
-        console.log(`Bulk transaction fetch for league ${leagueId} failed. Falling back to parallel weekly fetch.`);
-        const maxWeeks = 18;
-        const weekPromises = Array.from({ length: maxWeeks }, (_, i) =>
-          SleeperApiService.getTransactionsForWeek(leagueId, i + 1).catch(e => {
-            // If a single week fails (e.g., 404), return an empty array to not fail the whole batch
-            if (e.response && e.response.status === 404) return [];
-            console.error(`Error fetching transactions for league ${leagueId}, week ${i + 1}:`, e.message);
-            return [];
-          })
-        );
-        const weeklyTransactionsArrays = await Promise.all(weekPromises);
-        return weeklyTransactionsArrays.flat();
-      } else {
-        console.error('Error fetching all transactions:', error);
-        throw error;
-      }
+      logError('Error fetching user:', error);
+      throw error;
     }
   },
 
   /**
-   * Get user information by user ID
+   * Get a user's NFL leagues for a season
    * @param {string} userId - The Sleeper user ID
-   * @returns {Promise} - Promise with user data
+   * @param {string} season - Season year
+   * @param {Object} options - Optional { signal } to cancel the request
+   * @returns {Promise} - Promise with leagues data
    */
-  getUser: async (userId) => {
+  getUserLeagues: async (userId, season, { signal } = {}) => {
     try {
-      await delay(300); // Add delay to prevent rate limiting
-      const response = await axios.get(`${BASE_URL}/user/${userId}`);
-      return response.data;
+      return await fetchFromApi(`/user/${userId}/leagues/nfl/${season}`, { signal });
     } catch (error) {
-      console.error('Error fetching user:', error);
+      logError(`Error fetching leagues for user ${userId}:`, error);
       throw error;
     }
   },
 
+  /**
+   * Forget recently memoized API responses so the next calls hit the API
+   */
+  clearResponseCache: () => {
+    requestScheduler.clear();
+  },
+
   /**
    * Get avatar URL for a user
    * @param {string} avatarId - The avatar ID
@@ -229,18 +245,47 @@ const SleeperApiService = {
     return `https://sleepercdn.com/content/nfl/players/thumb/${playerId}.jpg`;
   },
 
+  /**
+   * Get the winners (championship) bracket of a league
+   * @param {string} leagueId - The Sleeper league ID
+   * @param {Object} options - Optional { signal } to cancel the request
+   * @returns {Promise} - Promise with bracket matches: { r, m, t1, t2, w, l, t1_from, t2_from, p }
+   */
+  getWinnersBracket: async (leagueId, { signal } = {}) => {
+    try {
+      return await fetchFromApi(`/league/${leagueId}/winners_bracket`, { signal });
+    } catch (error) {
+      logError('Error fetching winners bracket:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get the losers (consolation or toilet bowl) bracket of a league
+   * @param {string} leagueId - The Sleeper league ID
+   * @param {Object} options - Optional { signal } to cancel the request
+   * @returns {Promise} - Promise with bracket matches in the same format as the winners bracket
+   */
+  getLosersBracket: async (leagueId, { signal } = {}) => {
+    try {
+      return await fetchFromApi(`/league/${leagueId}/losers_bracket`, { signal });
+    } catch (error) {
+      logError('Error fetching losers bracket:', error);
+      throw error;
+    }
+  },
+
   /**
    * Get drafts for a league
    * @param {string} leagueId - The Sleeper league ID
+   * @param {Object} options - Optional { signal } to cancel the request
    * @returns {Promise} - Promise with league drafts data
    */
-  getLeagueDrafts: async (leagueId) => {
+  getLeagueDrafts: async (leagueId, { signal } = {}) => {
     try {
-      await delay(300); // Add delay to prevent rate limiting
-      const response = await axios.get(`${BASE_URL}/league/${leagueId}/drafts`);
-      return response.data;
+      return await fetchFromApi(`/league/${leagueId}/drafts`, { signal });
     } catch (error) {
-      console.error('Error fetching league drafts:', error);
+      logError('Error fetching league drafts:', error);
       throw error;
     }
   },
@@ -248,15 +293,30 @@ const SleeperApiService = {
   /**
    * Get picks for a draft
    * @param {string} draftId - The Sleeper draft ID
+   * @param {Object} options - Optional { signal } to cancel the request
    * @returns {Promise} - Promise with draft picks data
    */
-  getDraftPicks: async (draftId) => {
+  getDraftPicks: async (draftId, { signal } = {}) => {
+    try {
+      return await fetchFromApi(`/draft/${draftId}/picks`, { signal });
+    } catch (error) {
+      logError('Error fetching draft picks:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get the future draft picks of a league that have changed hands
+   * @param {string} leagueId - The Sleeper league ID
+   * @param {Object} options - Optional { signal } to cancel the request
+   * @returns {Promise} - Promise with traded picks: { season, round, roster_id (original owner),
+   * previous_owner_id, owner_id (current owner) }, all roster IDs
+   */
+  getTradedPicks: async (leagueId, { signal } = {}) => {
     try {
-      await delay(300); // Add delay to prevent rate limiting
-      const response = await axios.get(`${BASE_URL}/draft/${draftId}/picks`);
-      return response.data;
+      return await fetchFromApi(`/league/${leagueId}/traded_picks`, { signal });
     } catch (error) {
-      console.error('Error fetching draft picks:', error);
+      logError('Error fetching traded picks:', error);
       throw error;
     }
   }
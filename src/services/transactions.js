@@ -0,0 +1,39 @@
+import SleeperApiService from './sleeperApi';
+import { isAbortError } from './requestScheduler';
+import { loadFromCache, saveToCache } from '../utils/cacheUtils';
+import { getSeasonCalendar } from '../utils/seasonCalendar';
+
+/**
+ * Load every transaction of a season.
+ *
+ * Transactions are requested week by week over the league's schedule and
+ * cached per league and season. Leagues without transaction data (common for
+ * older seasons) yield an empty list rather than an error.
+ *
+ * @param {Object} params - Load parameters
+ * @param {string} params.leagueId - The Sleeper league ID
+ * @param {string} params.season - Season year
+ * @param {Object} params.league - League data of that season, for its schedule
+ * @param {Object} params.nflState - Current NFL state
+ * @param {AbortSignal} params.signal - Optional abort signal
+ * @returns {Promise<Array>} - Transactions of the season
+ */
+export const loadSeasonTransactions = async ({ leagueId, season, league, nflState, signal }) => {
+  if (!leagueId || !season) {
+    return [];
+  }
+
+  let transactions = await loadFromCache('transactions', { league: leagueId, season });
+  if (!transactions) {
+    try {
+      const { allWeeks } = getSeasonCalendar(league, nflState);
+      transactions = await SleeperApiService.getTransactions(leagueId, null, { signal, weeks: allWeeks });
+      saveToCache('transactions', { league: leagueId, season }, transactions);
+    } catch (err) {
+      if (isAbortError(err)) throw err;
+      console.error(`Error fetching transactions for league ${leagueId}:`, err);
+      transactions = [];
+    }
+  }
+  return transactions || [];
+};
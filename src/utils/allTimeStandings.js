@@ -0,0 +1,106 @@
+/**
+ * All-time standings
+ *
+ * Regular season totals for every manager across all real seasons of a
+ * league. Seasons come from fetchLeagueHistory; fallback-mapped seasons
+ * (missing years pointed at another season's league) are skipped so nothing
+ * is counted twice, and so are renewed seasons without scored games yet.
+ * Each season is credited to the roster's owner, not its co-owners.
+ */
+
+import { calculateAllPlayRecords } from './dataUtils';
+import { buildFranchises, hasPlayedGames } from './franchises';
+import { getOwnerDirectory } from './rivalries';
+import { filterRegularSeasonMatchups } from './seasonCalendar';
+
+/**
+ * Win percentage with ties counted as half a win
+ * @param {number} wins - Wins
+ * @param {number} losses - Losses
+ * @param {number} ties - Ties
+ * @returns {number} - Percentage from 0 to 100
+ */
+const getWinPercentage = (wins, losses, ties) => {
+  const games = wins + losses + ties;
+  return games > 0 ? ((wins + ties * 0.5) / games) * 100 : 0;
+};
+
+/**
+ * Calculate all-time standings by manager
+ * @param {Array} seasons - Season data from fetchLeagueHistory, oldest first
+ * @param {Object|null} placementsBySeason - Season -> placements from usePlayoffPlacements;
+ * playoff appearances and titles are null until it is given
+ * @returns {Array} - { ownerId, displayName, avatar, seasons, wins, losses, ties, winPercentage,
+ * pointsFor, pointsAgainst, allPlayWins, allPlayLosses, allPlayTies, allPlayPercentage,
+ * playoffAppearances, titles, averageFinish, bestFinish }, ordered by win percentage;
+ * allPlayPercentage is null without scored games
+ */
+export const calculateAllTimeStandings = (seasons, placementsBySeason = null) => {
+  const playedSeasons = (seasons || []).filter(season => !season.isFallback && hasPlayedGames(season));
+  const owners = getOwnerDirectory(playedSeasons);
+
+  // All-play records per season, keyed by roster ID
+  const allPlayBySeason = {};
+  playedSeasons.forEach(({ season, matchups, calendar }) => {
+    allPlayBySeason[season] = calculateAllPlayRecords(filterRegularSeasonMatchups(matchups, calendar));
+  });
+
+  const standings = {};
+  buildFranchises(playedSeasons)
+    .flatMap(franchise => franchise.seasons)
+    .forEach(entry => {
+      if (!entry.ownerId) return;
+      const row = standings[entry.ownerId] || {
+        ownerId: entry.ownerId,
+        displayName: owners[entry.ownerId]?.displayName || entry.managerName,
+        avatar: owners[entry.ownerId]?.avatar || null,
+        seasons: 0,
+        wins: 0,
+        losses: 0,
+        ties: 0,
+        pointsFor: 0,
+        pointsAgainst: 0,
+        allPlayWins: 0,
+        allPlayLosses: 0,
+        allPlayTies: 0,
+        playoffAppearances: placementsBySeason ? 0 : null,
+        titles: placementsBySeason ? 0 : null,
+        finishTotal: 0,
+        bestFinish: null,
+      };
+      standings[entry.ownerId] = row;
+
+      row.seasons++;
+      row.wins += entry.wins;
+      row.losses += entry.losses;
+      row.ties += entry.ties;
+      row.pointsFor += entry.pointsFor;
+      row.pointsAgainst += entry.pointsAgainst;
+      row.finishTotal += entry.finish;
+      row.bestFinish = row.bestFinish === null ? entry.finish : Math.min(row.bestFinish, entry.finish);
+
+      const allPlay = allPlayBySeason[entry.season]?.[entry.rosterId];
+      if (allPlay) {
+        row.allPlayWins += allPlay.wins;
+        row.allPlayLosses += allPlay.losses;
+        row.allPlayTies += allPlay.ties;
+      }
+
+      const placements = placementsBySeason?.[entry.season];
+      if (placements) {
+        if (placements.playoffTeams.includes(entry.rosterId)) row.playoffAppearances++;
+        if (placements.champion === entry.rosterId) row.titles++;
+      }
+    });
+
+  return Object.values(standings)
+    .map(({ finishTotal, ...row }) => ({
+      ...row,
+      winPercentage: getWinPercentage(row.wins, row.losses, row.ties),
+      allPlayPercentage: row.allPlayWins + row.allPlayLosses + row.allPlayTies > 0
+        ? getWinPercentage(row.allPlayWins, row.allPlayLosses, row.allPlayTies)
+        : null,
+      averageFinish: finishTotal / row.seasons,
+    }))
+    .sort((a, b) => b.winPercentage - a.winPercentage || b.pointsFor - a.pointsFor);
+};
@@ -0,0 +1,331 @@
+/**
+ * Persistent storage backend for cached API data
+ *
+ * IndexedDB is the primary store. localStorage is only used when IndexedDB
+ * is unavailable (e.g. some private browsing modes). Every entry records its
+ * size and when it was last read, so the least recently used entries can be
+ * evicted when the browser reports that the storage quota is exceeded.
+ */
+
+const DB_NAME = 'dynasty_analysis';
+const DB_VERSION = 2;
+const DATA_STORE = 'entries'; // key -> cached data
+const META_STORE = 'meta'; // key -> { key, size, timestamp, lastAccessed, attributes }
+const CACHE_PREFIX = 'dynasty_analysis_';
+const MAX_EVICTION_ROUNDS = 5;
+
+/**
+ * Estimate the size of a value in bytes
+ * @param {any} data - Value to measure
+ * @returns {number} - Approximate size in bytes of its JSON representation
+ */
+export const measureSize = (data) => {
+  try {
+    return new Blob([JSON.stringify(data)]).size;
+  } catch (error) {
+    return 0;
+  }
+};
+
+/**
+ * Check whether an error means the storage quota was exceeded
+ * @param {any} error - Error thrown by a storage write
+ * @returns {boolean} - Whether the write failed for lack of space
+ */
+const isQuotaError = (error) => {
+  if (!error) return false;
+  return error.name === 'QuotaExceededError' ||
+    error.name === 'NS_ERROR_DOM_QUOTA_REACHED' ||
+    error.code === 22;
+};
+
+const requestToPromise = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const transactionDone = (transaction) => new Promise((resolve, reject) => {
+  transaction.oncomplete = () => resolve();
+  transaction.onerror = () => reject(transaction.error);
+  transaction.onabort = () => reject(transaction.error || new Error('IndexedDB transaction aborted'));
+});
+
+const openDatabase = () => new Promise((resolve, reject) => {
+  const request = indexedDB.open(DB_NAME, DB_VERSION);
+  request.onupgradeneeded = (event) => {
+    const db = request.result;
+    if (!db.objectStoreNames.contains(DATA_STORE)) db.createObjectStore(DATA_STORE);
+    if (!db.objectStoreNames.contains(META_STORE)) db.createObjectStore(META_STORE, { keyPath: 'key' });
+
+    // Version 1 entries were written without attributes and cannot be
+    // invalidated by scope, so start from an empty cache
+    if (event.oldVersion === 1) {
+      request.transaction.objectStore(DATA_STORE).clear();
+      request.transaction.objectStore(META_STORE).clear();
+    }
+  };
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+/**
+ * IndexedDB backend. Data and metadata live in separate object stores so
+ * listing entries never has to load the cached payloads.
+ * @param {IDBDatabase} db - Open database
+ * @returns {Object} - Backend implementation
+ */
+const createIndexedDbBackend = (db) => ({
+  type: 'indexeddb',
+
+  get: async (key) => {
+    const transaction = db.transaction([DATA_STORE, META_STORE], 'readonly');
+    const [data, meta] = await Promise.all([
+      requestToPromise(transaction.objectStore(DATA_STORE).get(key)),
+      requestToPromise(transaction.objectStore(META_STORE).get(key)),
+    ]);
+    if (data === undefined || !meta) return null;
+    return { ...meta, data };
+  },
+
+  put: async (meta, data) => {
+    const transaction = db.transaction([DATA_STORE, META_STORE], 'readwrite');
+    transaction.objectStore(DATA_STORE).put(data, meta.key);
+    transaction.objectStore(META_STORE).put(meta);
+    await transactionDone(transaction);
+  },
+
+  touch: async (meta) => {
+    const transaction = db.transaction(META_STORE, 'readwrite');
+    transaction.objectStore(META_STORE).put(meta);
+    await transactionDone(transaction);
+  },
+
+  remove: async (keys) => {
+    const transaction = db.transaction([DATA_STORE, META_STORE], 'readwrite');
+    keys.forEach(key => {
+      transaction.objectStore(DATA_STORE).delete(key);
+      transaction.objectStore(META_STORE).delete(key);
+    });
+    await transactionDone(transaction);
+  },
+
+  list: async () => {
+    const transaction = db.transaction(META_STORE, 'readonly');
+    return requestToPromise(transaction.objectStore(META_STORE).getAll());
+  },
+});
+
+/**
+ * localStorage fallback backend. Entries are stored as a single JSON blob, so
+ * reads do not refresh lastAccessed (that would rewrite the whole payload);
+ * eviction falls back to least recently written.
+ */
+const localStorageBackend = {
+  type: 'localStorage',
+
+  get: async (key) => {
+    const item = localStorage.getItem(key);
+    if (!item) return null;
+    const entry = JSON.parse(item);
+    return { key, size: item.length, lastAccessed: entry.timestamp, ...entry };
+  },
+
+  put: async (meta, data) => {
+    localStorage.setItem(meta.key, JSON.stringify({ ...meta, data }));
+  },
+
+  touch: async () => {},
+
+  remove: async (keys) => {
+    keys.forEach(key => localStorage.removeItem(key));
+  },
+
+  list: async () => {
+    return Object.keys(localStorage)
+      .filter(key => key.startsWith(CACHE_PREFIX))
+      .map(key => {
+        const item = localStorage.getItem(key);
+        try {
+          const { data, ...meta } = JSON.parse(item);
+          return { key, size: item.length, lastAccessed: meta.timestamp, ...meta };
+        } catch (error) {
+          return null;
+        }
+      })
+      .filter(Boolean);
+  },
+};
+
+let backendPromise = null;
+
+/**
+ * Open the storage backend once
+ * @returns {Promise<Object>} - Promise with the active backend
+ */
+const getBackend = () => {
+  if (!backendPromise) {
+    backendPromise = (async () => {
+      if (typeof indexedDB === 'undefined') return localStorageBackend;
+      try {
+        return createIndexedDbBackend(await openDatabase());
+      } catch (error) {
+        console.warn('IndexedDB unavailable, falling back to localStorage for caching:', error);
+        return localStorageBackend;
+      }
+    })();
+  }
+  return backendPromise;
+};
+
+/**
+ * Evict least recently used entries until enough space has been freed
+ * @param {Object} backend - Active backend
+ * @param {number} bytesNeeded - Bytes to free
+ * @param {string} keepKey - Key that must not be evicted
+ * @returns {Promise<number>} - Number of bytes freed
+ */
+const evictLeastRecentlyUsed = async (backend, bytesNeeded, keepKey) => {
+  const entries = (await backend.list())
+    .filter(entry => entry.key !== keepKey)
+    .sort((a, b) => (a.lastAccessed || 0) - (b.lastAccessed || 0));
+
+  const toEvict = [];
+  let freed = 0;
+  for (const entry of entries) {
+    if (freed >= bytesNeeded) break;
+    toEvict.push(entry.key);
+    freed += entry.size || 0;
+  }
+
+  if (toEvict.length > 0) {
+    await backend.remove(toEvict);
+    console.log(`Evicted ${toEvict.length} least recently used cache entries (${freed} bytes)`);
+  }
+  return freed;
+};
+
+/**
+ * Read an entry and mark it as recently used
+ * @param {string} key - Entry key
+ * @returns {Promise<Object|null>} - { key, data, size, timestamp, lastAccessed, attributes } or null
+ */
+export const getEntry = async (key) => {
+  const backend = await getBackend();
+  const entry = await backend.get(key);
+  if (!entry) return null;
+
+  const { data, ...meta } = entry;
+  backend.touch({ ...meta, lastAccessed: Date.now() }).catch(() => {});
+  return entry;
+};
+
+/**
+ * Write an entry, evicting least recently used entries if the quota is exceeded
+ * @param {string} key - Entry key
+ * @param {any} data - Data to store
+ * @param {Object} attributes - Searchable metadata stored alongside the entry
+ * @returns {Promise<boolean>} - Whether the entry was stored
+ */
+export const putEntry = async (key, data, attributes = {}) => {
+  const backend = await getBackend();
+  const now = Date.now();
+  const meta = { key, size: measureSize(data), timestamp: now, lastAccessed: now, attributes };
+
+  for (let round = 0; round <= MAX_EVICTION_ROUNDS; round++) {
+    try {
+      await backend.put(meta, data);
+      return true;
+    } catch (error) {
+      if (!isQuotaError(error) || round === MAX_EVICTION_ROUNDS) throw error;
+      // Free at least the size of the new entry, doubling each round
+      const freed = await evictLeastRecentlyUsed(backend, meta.size * 2 ** round, key);
+      if (freed === 0) throw error; // Nothing left to evict
+    }
+  }
+  return false;
+};
+
+/**
+ * Delete entries by key
+ * @param {Array<string>} keys - Keys to delete
+ */
+export const deleteEntries = async (keys) => {
+  if (!keys || !keys.length) return;
+  const backend = await getBackend();
+  await backend.remove(keys);
+};
+
+/**
+ * List metadata for every stored entry without loading the data
+ * @returns {Promise<Array>} - Array of { key, size, timestamp, lastAccessed, attributes }
+ */
+export const listEntries = async () => {
+  const backend = await getBackend();
+  return backend.list();
+};
+
+/**
+ * Report which backend is active and how much of the storage quota is used
+ * @returns {Promise<Object>} - { type, usage, quota }; usage/quota are null when
+ * the browser does not support the StorageManager API
+ */
+export const getStorageEstimate = async () => {
+  const backend = await getBackend();
+  let usage = null;
+  let quota = null;
+
+  try {
+    if (typeof navigator !== 'undefined' && navigator.storage?.estimate) {
+      ({ usage = null, quota = null } = await navigator.storage.estimate());
+    }
+  } catch (error) {
+    console.warn('Could not estimate storage usage:', error);
+  }
+
+  return { type: backend.type, usage, quota };
+};
+
+/**
+ * Move entries written by the original localStorage cache into the active
+ * store, keeping their timestamps so expiry still applies.
+ * @param {Function} translateKey - Maps a legacy key to { key, attributes },
+ * or returns null for keys that are not legacy entries
+ * @returns {Promise<number>} - Number of entries migrated
+ */
+export const migrateLegacyEntries = async (translateKey) => {
+  const backend = await getBackend();
+
+  let legacyKeys = [];
+  try {
+    legacyKeys = Object.keys(localStorage).filter(key => key.startsWith(CACHE_PREFIX));
+  } catch (error) {
+    return 0; // localStorage not accessible
+  }
+
+  let migrated = 0;
+  for (const legacyKey of legacyKeys) {
+    const translated = translateKey(legacyKey);
+    if (!translated) continue;
+
+    try {
+      const { data, timestamp } = JSON.parse(localStorage.getItem(legacyKey));
+      const writtenAt = timestamp || Date.now();
+      await backend.put({
+        key: translated.key,
+        size: measureSize(data),
+        timestamp: writtenAt,
+        lastAccessed: writtenAt,
+        attributes: translated.attributes || {},
+      }, data);
+      localStorage.removeItem(legacyKey);
+      migrated++;
+    } catch (error) {
+      console.error(`Error migrating legacy cache entry ${legacyKey}:`, error);
+    }
+  }
+
+  if (migrated > 0) {
+    console.log(`Migrated ${migrated} legacy cache entries to ${backend.type}`);
+  }
+  return migrated;
+};
@@ -1,72 +1,170 @@
 /**
- * Utility functions for caching data in localStorage
+ * Utility functions for caching API data
+ *
+ * Entries are persisted through cacheStore (IndexedDB, with localStorage as a
+ * fallback), so every read and write here is asynchronous.
  */
+import {
+  getEntry, putEntry, deleteEntries, listEntries, migrateLegacyEntries, getStorageEstimate,
+} from './cacheStore';
 
 // Cache keys
 const CACHE_PREFIX = 'dynasty_analysis_';
-const CACHE_EXPIRY = 7 * 24 * 60 * 60 * 1000; // 7 days in milliseconds
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
 
 /**
- * Generate a cache key for a specific data type, league ID, and season
- * @param {string} dataType - Type of data (league, users, rosters, matchups)
- * @param {string} leagueId - League ID
- * @param {string} season - Season year
- * @returns {string} - Cache key
+ * Scopes an entry can be keyed by, in the order they appear in cache keys
+ */
+export const CACHE_SCOPES = ['league', 'season', 'draft', 'week'];
+
+/**
+ * How long each type of data stays valid in the cache
+ */
+export const CACHE_POLICIES = {
+  league: { ttl: 7 * DAY },
+  users: { ttl: DAY },
+  rosters: { ttl: DAY },
+  matchups: { ttl: Infinity }, // Only settled weeks are cached
+  transactions: { ttl: 6 * HOUR },
+  drafts: { ttl: DAY },
+  draft_picks: { ttl: 30 * DAY }, // Completed draft boards do not change
+  traded_picks: { ttl: 6 * HOUR }, // Changes with every trade, like transactions
+  winners_bracket: { ttl: Infinity }, // Only finished brackets are cached
+  losers_bracket: { ttl: Infinity },
+  players: { ttl: DAY }, // Refresh interval; stale copies are still served
+};
+const DEFAULT_TTL = 7 * DAY;
+
+// NFL player database
+const PLAYERS_CACHE_VERSION = 2; // Bump when PLAYER_FIELDS changes
+const PLAYER_FIELDS = [
+  'first_name',
+  'last_name',
+  'position',
+  'fantasy_positions',
+  'team',
+  'age',
+  'years_exp',
+  'injury_status',
+];
+
+/**
+ * Check that a scope only uses known scope names with non-empty values
+ * @param {Object} scope - Scope object, e.g. { league, season }
+ * @returns {boolean} - Whether the scope can be used to build a key
+ */
+const isValidScope = (scope) => {
+  return Object.entries(scope).every(([name, value]) =>
+    CACHE_SCOPES.includes(name) && value !== undefined && value !== null && value !== ''
+  );
+};
+
+/**
+ * Generate a cache key for a data type and scope
+ * @param {string} dataType - Type of data (league, users, rosters, matchups, ...)
+ * @param {Object} scope - Optional { league, season, draft, week }
+ * @returns {string} - Cache key, e.g. dynasty_analysis_rosters:league=123:season=2024
+ */
+export const getCacheKey = (dataType, scope = {}) => {
+  const segments = CACHE_SCOPES
+    .filter(name => scope[name] !== undefined)
+    .map(name => `${name}=${scope[name]}`);
+  return [`${CACHE_PREFIX}${dataType}`, ...segments].join(':');
+};
+
+/**
+ * Translate a key written by the original localStorage cache
+ * (dynasty_analysis_{dataType}_{leagueId}_{season}) to the scoped format
+ * @param {string} legacyKey - Legacy cache key
+ * @returns {Object|null} - { key, attributes } or null if not a legacy key
+ */
+const translateLegacyKey = (legacyKey) => {
+  const match = legacyKey.match(/^dynasty_analysis_([a-z_]+)_(\d+)_(\d{4})$/);
+  if (!match) return null;
+
+  const [, dataType, league, season] = match;
+  const scope = { league, season };
+  return { key: getCacheKey(dataType, scope), attributes: { dataType, ...scope } };
+};
+
+let migration = null;
+
+/**
+ * Migrate legacy localStorage entries once before the cache is first used
+ * @returns {Promise} - Promise that resolves when migration has finished
+ */
+const ensureMigrated = () => {
+  if (!migration) {
+    migration = migrateLegacyEntries(translateLegacyKey).catch(error => {
+      console.error('Error migrating legacy cache entries:', error);
+    });
+  }
+  return migration;
+};
+
+/**
+ * Describe a scope for log messages
+ * @param {Object} scope - Scope object
+ * @returns {string} - e.g. "league 123, season 2024"
  */
-const getCacheKey = (dataType, leagueId, season) => {
-  return `${CACHE_PREFIX}${dataType}_${leagueId}_${season}`;
+const describeScope = (scope) => {
+  const parts = CACHE_SCOPES.filter(name => scope[name] !== undefined).map(name => `${name} ${scope[name]}`);
+  return parts.length ? parts.join(', ') : 'global';
 };
 
 /**
  * Save data to cache
- * @param {string} dataType - Type of data (league, users, rosters, matchups)
- * @param {string} leagueId - League ID
- * @param {string} season - Season year
+ * @param {string} dataType - Type of data (league, users, rosters, matchups, ...)
+ * @param {Object} scope - { league, season, draft, week }; omit scopes that do not apply
  * @param {any} data - Data to cache
+ * @returns {Promise} - Promise that resolves once the data is stored
  */
-export const saveToCache = (dataType, leagueId, season, data) => {
-  if (!data || !leagueId || !season) return;
+export const saveToCache = async (dataType, scope, data) => {
+  if (!data || !scope || !isValidScope(scope)) return;
   
   try {
-    const cacheKey = getCacheKey(dataType, leagueId, season);
-    const cacheData = {
-      data,
-      timestamp: Date.now(),
-    };
-    
-    localStorage.setItem(cacheKey, JSON.stringify(cacheData));
-    console.log(`Cached ${dataType} data for league ${leagueId}, season ${season}`);
+    await ensureMigrated();
+    const cacheKey = getCacheKey(dataType, scope);
+    const attributes = { dataType };
+    CACHE_SCOPES.forEach(name => {
+      if (scope[name] !== undefined) attributes[name] = String(scope[name]);
+    });
+
+    await putEntry(cacheKey, data, attributes);
+    console.log(`Cached ${dataType} data for ${describeScope(scope)}`);
   } catch (error) {
     console.error(`Error caching ${dataType} data:`, error);
   }
 };
 
 /**
- * Load data from cache
- * @param {string} dataType - Type of data (league, users, rosters, matchups)
- * @param {string} leagueId - League ID
- * @param {string} season - Season year
- * @returns {any|null} - Cached data or null if not found or expired
+ * Load data from cache, honouring the data type's TTL policy
+ * @param {string} dataType - Type of data (league, users, rosters, matchups, ...)
+ * @param {Object} scope - { league, season, draft, week }; omit scopes that do not apply
+ * @returns {Promise<any|null>} - Cached data or null if not found or expired
  */
-export const loadFromCache = (dataType, leagueId, season) => {
-  if (!leagueId || !season) return null;
+export const loadFromCache = async (dataType, scope) => {
+  if (!scope || !isValidScope(scope)) return null;
   
   try {
-    const cacheKey = getCacheKey(dataType, leagueId, season);
-    const cachedItem = localStorage.getItem(cacheKey);
+    await ensureMigrated();
+    const cacheKey = getCacheKey(dataType, scope);
+    const cachedItem = await getEntry(cacheKey);
     
     if (!cachedItem) return null;
     
-    const { data, timestamp } = JSON.parse(cachedItem);
-    const now = Date.now();
+    const { data, timestamp } = cachedItem;
+    const { ttl = DEFAULT_TTL } = CACHE_POLICIES[dataType] || {};
     
     // Check if cache is expired
-    if (now - timestamp > CACHE_EXPIRY) {
-      localStorage.removeItem(cacheKey);
+    if (Date.now() - timestamp > ttl) {
+      await deleteEntries([cacheKey]);
       return null;
     }
     
-    console.log(`Loaded ${dataType} data from cache for league ${leagueId}, season ${season}`);
+    console.log(`Loaded ${dataType} data from cache for ${describeScope(scope)}`);
     return data;
   } catch (error) {
     console.error(`Error loading ${dataType} data from cache:`, error);
@@ -74,6 +172,52 @@ export const loadFromCache = (dataType, leagueId, season) => {
   }
 };
 
+/**
+ * Remove the single entry stored for a data type and scope. Unlike
+ * invalidateCache, entries with narrower scopes (e.g. per-week entries under
+ * a season) are kept.
+ * @param {string} dataType - Type of data (league, users, rosters, matchups, ...)
+ * @param {Object} scope - { league, season, draft, week }; omit scopes that do not apply
+ * @returns {Promise} - Promise that resolves once the entry is removed
+ */
+export const removeFromCache = async (dataType, scope) => {
+  if (!scope || !isValidScope(scope)) return;
+
+  try {
+    await ensureMigrated();
+    await deleteEntries([getCacheKey(dataType, scope)]);
+  } catch (error) {
+    console.error(`Error removing ${dataType} data from cache:`, error);
+  }
+};
+
+/**
+ * Remove every cached entry matching a filter. Matching compares the scope
+ * values stored with each entry, so league 12 never matches league 123.
+ * @param {Object} filter - Any of { dataType, league, season, draft, week }
+ * @returns {Promise<number>} - Number of entries removed
+ */
+export const invalidateCache = async (filter = {}) => {
+  try {
+    await ensureMigrated();
+    const conditions = Object.entries(filter)
+      .filter(([, value]) => value !== undefined && value !== null)
+      .map(([name, value]) => [name, String(value)]);
+
+    const entries = await listEntries();
+    const keys = entries
+      .filter(entry => entry.key.startsWith(CACHE_PREFIX))
+      .filter(entry => conditions.every(([name, value]) => entry.attributes?.[name] === value))
+      .map(entry => entry.key);
+
+    await deleteEntries(keys);
+    return keys.length;
+  } catch (error) {
+    console.error('Error invalidating cache:', error);
+    return 0;
+  }
+};
+
 /**
  * Check if data should be loaded from cache based on season
  * @param {string} season - Season year
@@ -87,21 +231,118 @@ export const shouldUseCache = (season, currentNflSeason) => {
   return parseInt(season) < parseInt(currentNflSeason);
 };
 
+/**
+ * List every cached entry with its data type, scope, size and age
+ * @returns {Promise<Array>} - Array of { key, dataType, league, season, draft, week, size, timestamp }
+ */
+export const listCacheEntries = async () => {
+  try {
+    await ensureMigrated();
+    const entries = await listEntries();
+    return entries
+      .filter(entry => entry.key.startsWith(CACHE_PREFIX))
+      .map(({ key, size, timestamp, attributes = {} }) => ({
+        key,
+        size: size || 0,
+        timestamp,
+        ...attributes,
+      }));
+  } catch (error) {
+    console.error('Error listing cache entries:', error);
+    return [];
+  }
+};
+
+/**
+ * Get storage backend and quota usage for the cache
+ * @returns {Promise<Object>} - { type, usage, quota }
+ */
+export const getCacheUsage = async () => {
+  try {
+    return await getStorageEstimate();
+  } catch (error) {
+    console.error('Error reading cache usage:', error);
+    return { type: null, usage: null, quota: null };
+  }
+};
+
+/**
+ * Remove every cached entry, including the player database
+ * @returns {Promise<number>} - Number of entries removed
+ */
+export const clearAllCache = async () => {
+  const removed = await invalidateCache();
+  console.log(`Cleared ${removed} cached entries`);
+  return removed;
+};
+
 /**
  * Clear all cached data for a specific league ID
  * @param {string} leagueId - League ID
+ * @returns {Promise} - Promise that resolves once the entries are removed
  */
-export const clearCacheForLeague = (leagueId) => {
+export const clearCacheForLeague = async (leagueId) => {
   if (!leagueId) return;
   
-  try {
-    Object.keys(localStorage).forEach(key => {
-      if (key.startsWith(CACHE_PREFIX) && key.includes(leagueId)) {
-        localStorage.removeItem(key);
+  const removed = await invalidateCache({ league: leagueId });
+  console.log(`Cleared ${removed} cached entries for league ${leagueId}`);
+};
+
+/**
+ * Trim the Sleeper player database down to the fields the app uses
+ * @param {Object} players - Players keyed by player ID, as returned by /players/nfl
+ * @returns {Object} - Players keyed by player ID with only PLAYER_FIELDS
+ */
+export const trimPlayersData = (players) => {
+  if (!players) return {};
+
+  return Object.entries(players).reduce((acc, [playerId, player]) => {
+    const trimmed = {};
+    PLAYER_FIELDS.forEach(field => {
+      if (player[field] !== undefined && player[field] !== null) {
+        trimmed[field] = player[field];
       }
     });
-    console.log(`Cleared cache for league ${leagueId}`);
+    acc[playerId] = trimmed;
+    return acc;
+  }, {});
+};
+
+/**
+ * Save the (already trimmed) player database to cache
+ * @param {Object} players - Players keyed by player ID
+ * @returns {Promise} - Promise that resolves once the data is stored
+ */
+export const savePlayersToCache = async (players) => {
+  if (!players) return;
+
+  try {
+    await putEntry(getCacheKey('players'), { version: PLAYERS_CACHE_VERSION, players }, { dataType: 'players' });
+    console.log(`Cached player database (${Object.keys(players).length} players)`);
+  } catch (error) {
+    console.error('Error caching player database:', error);
+  }
+};
+
+/**
+ * Load the player database from cache. Stale copies are still returned so the
+ * app can render from them while a refresh runs in the background.
+ * @returns {Promise<Object|null>} - { players, timestamp, isStale } or null if
+ * missing or written with an older PLAYERS_CACHE_VERSION
+ */
+export const loadPlayersFromCache = async () => {
+  try {
+    const cachedItem = await getEntry(getCacheKey('players'));
+    if (!cachedItem || cachedItem.data?.version !== PLAYERS_CACHE_VERSION) return null;
+
+    const { data, timestamp } = cachedItem;
+    return {
+      players: data.players,
+      timestamp,
+      isStale: Date.now() - timestamp > CACHE_POLICIES.players.ttl,
+    };
   } catch (error) {
-    console.error('Error clearing cache:', error);
+    console.error('Error loading player database from cache:', error);
+    return null;
   }
 };
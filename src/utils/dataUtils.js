@@ -2,6 +2,8 @@
  * Utility functions for data processing and analysis
  */
 
+import { calculateScoringDistribution, calculateTrendSlope } from './scoringDistribution';
+
 /**
  * Calculate average points per week for a team
  * @param {Array} matchups - Array of matchup data for all weeks
@@ -65,28 +67,91 @@ export const calculateWinRate = (matchups, rosterId) => {
   return totalGames > 0 ? (wins / totalGames) * 100 : 0;
 };
 
+/**
+ * Calculate each team's all-play record, comparing its weekly score against
+ * every other team's score that week
+ * @param {Array} matchups - Array of matchup data, usually scored regular season weeks
+ * @returns {Object} - Map of roster ID to { wins, losses, ties, percentage, expectedWins, weeks }
+ */
+export const calculateAllPlayRecords = (matchups) => {
+  if (!matchups || !matchups.length) return {};
+
+  const scoresByWeek = matchups.reduce((acc, matchup) => {
+    if (!acc[matchup.week]) acc[matchup.week] = [];
+    acc[matchup.week].push({ rosterId: matchup.roster_id, points: matchup.points || 0 });
+    return acc;
+  }, {});
+
+  const records = {};
+  Object.values(scoresByWeek).forEach(scores => {
+    const opponents = scores.length - 1;
+    if (opponents < 1) return;
+
+    scores.forEach(team => {
+      let weekWins = 0;
+      let weekTies = 0;
+      scores.forEach(other => {
+        if (other === team) return;
+        if (team.points > other.points) weekWins++;
+        else if (team.points === other.points) weekTies++;
+      });
+
+      if (!records[team.rosterId]) {
+        records[team.rosterId] = { wins: 0, losses: 0, ties: 0, percentage: 0, expectedWins: 0, weeks: 0 };
+      }
+      const record = records[team.rosterId];
+      record.wins += weekWins;
+      record.ties += weekTies;
+      record.losses += opponents - weekWins - weekTies;
+      // Chance of winning that week against a random opponent
+      record.expectedWins += (weekWins + weekTies * 0.5) / opponents;
+      record.weeks++;
+    });
+  });
+
+  Object.values(records).forEach(record => {
+    const games = record.wins + record.losses + record.ties;
+    record.percentage = games > 0 ? ((record.wins + record.ties * 0.5) / games) * 100 : 0;
+  });
+
+  return records;
+};
+
 /**
  * Get standings data sorted by wins, points for as tiebreaker
  * @param {Array} rosters - Array of roster data
  * @param {Array} users - Array of user data
+ * @param {Array} matchups - Optional scored regular season matchups; when
+ * given, adds all-play record, expected wins and luck (actual minus expected wins)
  * @returns {Array} - Sorted standings data
  */
-export const getStandings = (rosters, users) => {
+export const getStandings = (rosters, users, matchups = null) => {
   if (!rosters || !users) return [];
+
+  const allPlayRecords = calculateAllPlayRecords(matchups);
   
   return rosters
     .map(roster => {
       const user = users.find(u => u.user_id === roster.owner_id);
+      const wins = roster.settings?.wins || 0;
+      const ties = roster.settings?.ties || 0;
+      const allPlay = allPlayRecords[roster.roster_id];
       return {
         rosterId: roster.roster_id,
         teamName: user?.display_name || `Team ${roster.roster_id}`,
         avatar: user?.avatar,
-        wins: roster.settings?.wins || 0,
+        wins,
         losses: roster.settings?.losses || 0,
-        ties: roster.settings?.ties || 0,
+        ties,
         pointsFor: roster.settings?.fpts || 0,
         pointsAgainst: roster.settings?.fpts_against || 0,
         rank: roster.settings?.rank || 0,
+        allPlayWins: allPlay ? allPlay.wins : null,
+        allPlayLosses: allPlay ? allPlay.losses : null,
+        allPlayTies: allPlay ? allPlay.ties : null,
+        allPlayPercentage: allPlay ? allPlay.percentage : null,
+        expectedWins: allPlay ? allPlay.expectedWins : null,
+        luck: allPlay ? wins + ties * 0.5 - allPlay.expectedWins : null,
       };
     })
     .sort((a, b) => {
@@ -97,101 +162,62 @@ export const getStandings = (rosters, users) => {
     });
 };
 
-  /**
-   * Get trending teams based on recent performance
-   * @param {Array} matchups - Array of matchup data for all weeks
-   * @param {Array} users - Array of user data
-   * @param {number} weeksToConsider - Number of recent weeks to consider
-   * @returns {Array} - Trending teams data
-   */
-  export const getTrendingTeams = (matchups, users, weeksToConsider = 3) => {
-    if (!matchups || !matchups.length || !users) return [];
-    
-    // Group matchups by week
-    const matchupsByWeek = matchups.reduce((acc, matchup) => {
-      if (!acc[matchup.week]) {
-        acc[matchup.week] = [];
-      }
-      acc[matchup.week].push(matchup);
-      return acc;
-    }, {});
-    
-    // Get all available weeks
-    const allWeeks = Object.keys(matchupsByWeek).map(Number);
-    
-    // If no weeks available, return empty array
-    if (allWeeks.length === 0) return [];
-    
-    // Get the weeks in descending order (most recent first)
-    // Make sure we only consider the number of weeks specified by weeksToConsider
-    // and that we have at least that many weeks of data
-    const sortedWeeks = allWeeks.sort((a, b) => b - a);
-    const weeksToUse = sortedWeeks.slice(0, Math.min(weeksToConsider, sortedWeeks.length));
-    
-    // If we don't have at least 2 weeks of data, we can't calculate a trend
-    if (weeksToUse.length < 2) {
-      return [];
+/**
+ * Get trending teams based on recent performance.
+ *
+ * The trend is the regression slope of a team's scores over its most recent
+ * weeks, in points per week. Because weekly scores swing a lot, each trend is
+ * also expressed against the team's own volatility: strength is the change
+ * across the window in standard deviations, and trends under one standard
+ * deviation are flagged as within normal variation.
+ * @param {Array} matchups - Array of scored matchup data for all weeks, with owner_id
+ * @param {Array} users - Array of user data
+ * @param {number} weeksToConsider - Number of recent weeks to fit the trend over
+ * @returns {Array} - Teams sorted by trend: { rosterId, teamName, avatar, trend, strength,
+ * isSignificant, rollingAverage, seasonAverage, volatility, recentWeeks, recentPoints }
+ */
+export const getTrendingTeams = (matchups, users, weeksToConsider = 4) => {
+  if (!matchups || !matchups.length || !users) return [];
+
+  // Weekly scores per team, in week order
+  const teams = {};
+  [...matchups].sort((a, b) => a.week - b.week).forEach(matchup => {
+    if (!teams[matchup.roster_id]) {
+      // Find the user who owns this roster by matching user_id with owner_id
+      const user = users.find(u => u.user_id === matchup.owner_id);
+      teams[matchup.roster_id] = {
+        rosterId: matchup.roster_id,
+        teamName: user?.display_name || `Team ${matchup.roster_id}`,
+        avatar: user?.avatar,
+        weeks: [],
+        points: [],
+      };
     }
-    
-    // Calculate recent performance for each team
-    const teamPerformance = {};
-    
-    // First, initialize team data for all teams that have matchups in any of the weeks we're considering
-    weeksToUse.forEach(week => {
-      matchupsByWeek[week].forEach(matchup => {
-        if (!teamPerformance[matchup.roster_id]) {
-          // Find the user who owns this roster by matching user_id with owner_id
-          const user = users.find(u => u.user_id === matchup.owner_id);
-          
-          teamPerformance[matchup.roster_id] = {
-            rosterId: matchup.roster_id,
-            teamName: user?.display_name || `Team ${matchup.roster_id}`,
-            avatar: user?.avatar,
-            weeklyPoints: {}, // Store points by week for more detailed analysis
-            trend: 0,
-          };
-        }
-        
-        // Store points by week
-        teamPerformance[matchup.roster_id].weeklyPoints[week] = matchup.points || 0;
-      });
-    });
-    
-    // Calculate trend (positive or negative) for each team
-    Object.values(teamPerformance).forEach(team => {
-      // Get the most recent week's points
-      const mostRecentWeek = weeksToUse[0];
-      const mostRecentPoints = team.weeklyPoints[mostRecentWeek] || 0;
-      
-      // Calculate average of previous weeks
-      let previousWeeksSum = 0;
-      let previousWeeksCount = 0;
-      
-      for (let i = 1; i < weeksToUse.length; i++) {
-        const week = weeksToUse[i];
-        if (team.weeklyPoints[week] !== undefined) {
-          previousWeeksSum += team.weeklyPoints[week];
-          previousWeeksCount++;
-        }
-      }
-      
-      const previousWeeksAvg = previousWeeksCount > 0 ? previousWeeksSum / previousWeeksCount : 0;
-      
-      // Calculate trend
-      team.trend = mostRecentPoints - previousWeeksAvg;
-      
-      // Add debug info
-      team.debug = {
-        mostRecentWeek,
-        mostRecentPoints,
-        previousWeeks: weeksToUse.slice(1),
-        previousWeeksPoints: weeksToUse.slice(1).map(w => team.weeklyPoints[w]),
-        previousWeeksAvg,
+    teams[matchup.roster_id].weeks.push(matchup.week);
+    teams[matchup.roster_id].points.push(matchup.points || 0);
+  });
+
+  return Object.values(teams)
+    // At least two weeks are needed for a trend
+    .filter(team => team.points.length >= 2)
+    .map(({ weeks, points, ...team }) => {
+      const recentPoints = points.slice(-weeksToConsider);
+      const trend = calculateTrendSlope(recentPoints);
+      const { mean: seasonAverage, stdDev: volatility } = calculateScoringDistribution(points);
+      const strength = volatility > 0 ? (trend * (recentPoints.length - 1)) / volatility : 0;
+
+      return {
+        ...team,
+        trend,
+        strength,
+        isSignificant: Math.abs(strength) >= 1,
+        rollingAverage: recentPoints.reduce((sum, p) => sum + p, 0) / recentPoints.length,
+        seasonAverage,
+        volatility,
+        recentWeeks: weeks.slice(-weeksToConsider),
+        recentPoints,
       };
-    });
-  
-  // Return teams sorted by trend (highest first)
-  return Object.values(teamPerformance)
+    })
     .sort((a, b) => b.trend - a.trend);
 };
 
@@ -225,13 +251,6 @@ export const splitRosterByRole = (roster, starters, players) => {
   };
 };
 
-/**
- * Helper function to add delay between API calls
- * @param {number} ms - Milliseconds to delay
- * @returns {Promise} - Promise that resolves after the delay
- */
-const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
-
 /**
  * Get historical league IDs by traversing previous_league_id
  * @param {string} currentLeagueId - The current league ID
@@ -246,13 +265,9 @@ export const getHistoricalLeagueIds = async (currentLeagueId, getLeagueFunc) =>
     let attempts = 0;
     const maxAttempts = 5; // Limit the number of attempts to prevent infinite loops
     
+    // Rate limiting and retries are handled by the API request scheduler
     while (attempts < maxAttempts) {
       try {
-        // Add delay between requests to prevent rate limiting
-        if (attempts > 0) {
-          await delay(500);
-        }
-        
         const league = await getLeagueFunc(leagueId);
         if (!league || !league.previous_league_id) break;
         
@@ -261,8 +276,6 @@ export const getHistoricalLeagueIds = async (currentLeagueId, getLeagueFunc) =>
         attempts++;
       } catch (error) {
         console.error(`Error fetching historical league ID (attempt ${attempts + 1}):`, error);
-        // Wait longer after an error
-        await delay(1000);
         attempts++;
         
         // If we've had multiple errors, break the loop
@@ -307,6 +320,48 @@ export const formatPercentage = (percentage) => {
   return `${Math.round(percentage)}%`;
 };
 
+/**
+ * Format a value with an explicit sign for display
+ * @param {number} value - Value that may be positive or negative
+ * @param {number} digits - Decimal places
+ * @returns {string} - Signed value, e.g. "+1.4" or "-0.8"
+ */
+export const formatSigned = (value, digits = 1) => {
+  if (value === undefined || value === null) return '-';
+  const rounded = value.toFixed(digits);
+  return value > 0 && Number(rounded) !== 0 ? `+${rounded}` : rounded;
+};
+
+/**
+ * Format a size in bytes for display
+ * @param {number} bytes - Size in bytes
+ * @returns {string} - Formatted size, e.g. "1.4 MB"
+ */
+export const formatBytes = (bytes) => {
+  if (!bytes) return '0 B';
+  const units = ['B', 'KB', 'MB', 'GB'];
+  const exponent = Math.min(Math.floor(Math.log(bytes) / Math.log(1024)), units.length - 1);
+  const value = bytes / 1024 ** exponent;
+  return `${exponent === 0 ? value : value.toFixed(1)} ${units[exponent]}`;
+};
+
+/**
+ * Format how long ago a timestamp was for display
+ * @param {number} timestamp - Time in milliseconds
+ * @returns {string} - Relative time, e.g. "5 min ago"
+ */
+export const formatTimeAgo = (timestamp) => {
+  if (!timestamp) return 'never';
+  const seconds = Math.max(0, Math.round((Date.now() - timestamp) / 1000));
+  if (seconds < 60) return 'just now';
+  const minutes = Math.round(seconds / 60);
+  if (minutes < 60) return `${minutes} min ago`;
+  const hours = Math.round(minutes / 60);
+  if (hours < 24) return `${hours} hr ago`;
+  const days = Math.round(hours / 24);
+  return `${days} day${days === 1 ? '' : 's'} ago`;
+};
+
 /**
  * Get color for win rate percentage
  * @param {number} percentage - Win rate percentage (0-100)
@@ -326,39 +381,22 @@ export const getWinRateColor = (percentage) => {
 };
 
 /**
- * Calculate all-time record for a team across seasons
- * @param {Object} seasonData - Object containing data for each season
- * @param {string} rosterId - The roster ID to calculate for
- * @returns {Object} - Object with wins, losses, ties, and win percentage
+ * Get badge classes for a player position
+ * @param {string} position - Position, e.g. "QB"
+ * @returns {string} - Tailwind background and text color classes
  */
-export const calculateAllTimeRecord = (seasonData, rosterId) => {
-  if (!seasonData || !rosterId) {
-    return { wins: 0, losses: 0, ties: 0, winPercentage: 0 };
-  }
-  
-  let totalWins = 0;
-  let totalLosses = 0;
-  let totalTies = 0;
-  
-  // Iterate through each season's data
-  Object.values(seasonData).forEach(season => {
-    if (!season.rosters) return;
-    
-    const roster = season.rosters.find(r => r.roster_id === parseInt(rosterId));
-    if (!roster || !roster.settings) return;
-    
-    totalWins += roster.settings.wins || 0;
-    totalLosses += roster.settings.losses || 0;
-    totalTies += roster.settings.ties || 0;
-  });
-  
-  const totalGames = totalWins + totalLosses + totalTies;
-  const winPercentage = totalGames > 0 ? (totalWins / totalGames) * 100 : 0;
-  
-  return {
-    wins: totalWins,
-    losses: totalLosses,
-    ties: totalTies,
-    winPercentage
+export const getPositionColor = (position) => {
+  const positionColors = {
+    QB: 'bg-red-100 text-red-800',
+    RB: 'bg-blue-100 text-blue-800',
+    WR: 'bg-green-100 text-green-800',
+    TE: 'bg-purple-100 text-purple-800',
+    K: 'bg-yellow-100 text-yellow-800',
+    DEF: 'bg-gray-100 text-gray-800',
+    DL: 'bg-indigo-100 text-indigo-800',
+    LB: 'bg-pink-100 text-pink-800',
+    DB: 'bg-orange-100 text-orange-800',
   };
+
+  return positionColors[position] || 'bg-gray-100 text-gray-800';
 };
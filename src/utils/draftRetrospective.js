@@ -0,0 +1,202 @@
+/**
+ * Draft retrospective
+ *
+ * Scores every completed draft pick by the production of the drafted player:
+ * fantasy points from matchups' players_points, in regular season weeks with
+ * final scores from the draft's season on. Points only count while the player
+ * sat on a roster in this league. Production is compared per week, so picks
+ * from older drafts are not favoured for having had more time.
+ *
+ * The expected value of a pick is a least-squares fit of points per week
+ * against ln(pick number), one curve per draft kind (startup or rookie). A
+ * pick that beats its curve is a hit; the surplus is by how much.
+ */
+
+import { getDraftPickDetails } from './drafts';
+import { filterRegularSeasonMatchups } from './seasonCalendar';
+
+const DEFAULT_LIMIT = 5;
+
+// Managers graded by their average surplus, in standard deviations from the league
+const GRADE_THRESHOLDS = [
+  { grade: 'A', minZ: 1 },
+  { grade: 'B', minZ: 0.33 },
+  { grade: 'C', minZ: -0.33 },
+  { grade: 'D', minZ: -1 },
+];
+// Points per week; managers whose surpluses spread less than this all get a C
+const MIN_GRADE_SPREAD = 0.01;
+
+/**
+ * Total each player's points per season and count the scored weeks per season
+ * @param {Array} seasons - Season data from fetchLeagueHistory
+ * @returns {Object} - { points, weeks } where points is player ID -> season -> points
+ * and weeks is season -> number of scored regular season weeks
+ */
+const getSeasonProduction = (seasons) => {
+  const points = {};
+  const weeks = {};
+
+  seasons.forEach(({ season, matchups, calendar }) => {
+    const scored = filterRegularSeasonMatchups(matchups, calendar);
+    weeks[season] = new Set(scored.map(matchup => matchup.week)).size;
+    scored.forEach(matchup => {
+      Object.entries(matchup.players_points || {}).forEach(([playerId, playerPoints]) => {
+        if (!points[playerId]) points[playerId] = {};
+        points[playerId][season] = (points[playerId][season] || 0) + (playerPoints || 0);
+      });
+    });
+  });
+
+  return { points, weeks };
+};
+
+/**
+ * Fit y = intercept + slope * ln(x) by least squares
+ * @param {Array} samples - { x, y } pairs with x >= 1
+ * @returns {Object} - { intercept, slope }
+ */
+const fitLogCurve = (samples) => {
+  const n = samples.length;
+  if (!n) return { intercept: 0, slope: 0 };
+
+  const meanX = samples.reduce((sum, s) => sum + Math.log(s.x), 0) / n;
+  const meanY = samples.reduce((sum, s) => sum + s.y, 0) / n;
+  let numerator = 0;
+  let denominator = 0;
+  samples.forEach(s => {
+    numerator += (Math.log(s.x) - meanX) * (s.y - meanY);
+    denominator += (Math.log(s.x) - meanX) ** 2;
+  });
+  const slope = denominator > 0 ? numerator / denominator : 0;
+  return { intercept: meanY - slope * meanX, slope };
+};
+
+/**
+ * Letter grade for a z-score
+ * @param {number} z - Standard deviations from the league average
+ * @returns {string} - 'A' to 'F'
+ */
+const getGrade = (z) => GRADE_THRESHOLDS.find(threshold => z >= threshold.minZ)?.grade || 'F';
+
+/**
+ * Score every pick of a league's completed drafts
+ * @param {Array} drafts - Drafts from useLeagueDrafts
+ * @param {Array} seasons - Season data from fetchLeagueHistory, with matchups
+ * @param {Object} options - Optional { limit } for the best and worst pick lists, which never
+ * share a pick
+ * @returns {Object} - { picks, managers, rounds, bestPicks, worstPicks, curves } where
+ * picks adds { points, weeks, pointsPerWeek, expectedPerWeek, surplus, isHit } to
+ * getDraftPickDetails entries (picks from drafts with no scored weeks since are left out),
+ * managers lists { ownerId, teamName, avatar, picks, hits, hitRate, averageSurplus, grade,
+ * bestPick, worstPick } best first, rounds lists { kind, round, picks, hits, hitRate,
+ * averagePointsPerWeek }, and curves maps draft kind -> { intercept, slope }
+ */
+export const calculateDraftRetrospective = (drafts, seasons, { limit = DEFAULT_LIMIT } = {}) => {
+  const realSeasons = (seasons || []).filter(season => !season.isFallback);
+  const seasonData = Object.fromEntries(realSeasons.map(season => [season.season, season]));
+  const { points, weeks } = getSeasonProduction(realSeasons);
+
+  const scoredPicks = (drafts || [])
+    .filter(draft => draft.status === 'complete' && seasonData[draft.season])
+    .flatMap(draft => {
+      const { rosters, users } = seasonData[draft.season];
+      // Seasons from the draft on
+      const laterSeasons = realSeasons.filter(season => parseInt(season.season) >= parseInt(draft.season));
+      const weeksSince = laterSeasons.reduce((sum, season) => sum + weeks[season.season], 0);
+      if (!weeksSince) return [];
+
+      return getDraftPickDetails(draft, rosters, users)
+        .filter(pick => pick.playerId)
+        .map(pick => {
+          const total = laterSeasons.reduce((sum, season) => sum + (points[pick.playerId]?.[season.season] || 0), 0);
+          return {
+            ...pick,
+            leagueId: draft.leagueId,
+            points: total,
+            weeks: weeksSince,
+            pointsPerWeek: total / weeksSince,
+          };
+        });
+    });
+
+  const curves = {};
+  [...new Set(scoredPicks.map(pick => pick.kind))].forEach(kind => {
+    curves[kind] = fitLogCurve(
+      scoredPicks.filter(pick => pick.kind === kind).map(pick => ({ x: pick.pickNo, y: pick.pointsPerWeek }))
+    );
+  });
+
+  const picks = scoredPicks.map(pick => {
+    const curve = curves[pick.kind];
+    const expectedPerWeek = Math.max(0, curve.intercept + curve.slope * Math.log(pick.pickNo));
+    const surplus = pick.pointsPerWeek - expectedPerWeek;
+    return { ...pick, expectedPerWeek, surplus, isHit: surplus >= 0 };
+  });
+
+  // Hit rate by draft kind and round
+  const roundGroups = {};
+  picks.forEach(pick => {
+    const key = `${pick.kind}-${pick.round}`;
+    if (!roundGroups[key]) roundGroups[key] = { kind: pick.kind, round: pick.round, picks: 0, hits: 0, pointsPerWeekTotal: 0 };
+    roundGroups[key].picks++;
+    if (pick.isHit) roundGroups[key].hits++;
+    roundGroups[key].pointsPerWeekTotal += pick.pointsPerWeek;
+  });
+  const rounds = Object.values(roundGroups)
+    .map(({ pointsPerWeekTotal, ...group }) => ({
+      ...group,
+      hitRate: (group.hits / group.picks) * 100,
+      averagePointsPerWeek: pointsPerWeekTotal / group.picks,
+    }))
+    .sort((a, b) => a.kind.localeCompare(b.kind) || a.round - b.round);
+
+  // Per-manager summaries, credited to whoever made the pick
+  const managerGroups = {};
+  picks.forEach(pick => {
+    const ownerId = pick.picker.ownerId;
+    if (!ownerId) return;
+    if (!managerGroups[ownerId]) {
+      managerGroups[ownerId] = { ownerId, teamName: pick.picker.teamName, avatar: pick.picker.avatar, picks: [] };
+    }
+    // Picks come oldest first, so the latest name wins
+    managerGroups[ownerId].teamName = pick.picker.teamName;
+    managerGroups[ownerId].avatar = pick.picker.avatar || managerGroups[ownerId].avatar;
+    managerGroups[ownerId].picks.push(pick);
+  });
+
+  const managerSummaries = Object.values(managerGroups).map(({ picks: managerPicks, ...manager }) => {
+    const bySurplus = [...managerPicks].sort((a, b) => b.surplus - a.surplus);
+    const hits = managerPicks.filter(pick => pick.isHit).length;
+    return {
+      ...manager,
+      picks: managerPicks.length,
+      hits,
+      hitRate: (hits / managerPicks.length) * 100,
+      averageSurplus: managerPicks.reduce((sum, pick) => sum + pick.surplus, 0) / managerPicks.length,
+      bestPick: bySurplus[0],
+      worstPick: bySurplus[bySurplus.length - 1],
+    };
+  });
+
+  const mean = managerSummaries.reduce((sum, m) => sum + m.averageSurplus, 0) / (managerSummaries.length || 1);
+  const stdDev = Math.sqrt(
+    managerSummaries.reduce((sum, m) => sum + (m.averageSurplus - mean) ** 2, 0) / (managerSummaries.length || 1)
+  );
+  const managers = managerSummaries
+    .map(manager => ({ ...manager, grade: getGrade(stdDev >= MIN_GRADE_SPREAD ? (manager.averageSurplus - mean) / stdDev : 0) }))
+    .sort((a, b) => b.averageSurplus - a.averageSurplus);
+
+  // With fewer than two lists' worth of picks, split them so none is listed twice
+  const bySurplus = [...picks].sort((a, b) => b.surplus - a.surplus);
+  const bestCount = Math.min(limit, Math.ceil(bySurplus.length / 2));
+
+  return {
+    picks,
+    managers,
+    rounds,
+    bestPicks: bySurplus.slice(0, bestCount),
+    worstPicks: bySurplus.slice(bestCount).slice(-limit).reverse(),
+    curves,
+  };
+};
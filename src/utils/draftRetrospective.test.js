@@ -0,0 +1,170 @@
+import { calculateDraftRetrospective } from './draftRetrospective';
+
+const rosters = [1, 2, 3, 4].map(id => ({ roster_id: id, owner_id: `u${id}` }));
+const users = [1, 2, 3, 4].map(id => ({ user_id: `u${id}`, display_name: `Manager ${id}` }));
+
+// Expected points per week on the fitted curve
+const curvePoints = (pickNo) => 20 - 5 * Math.log(pickNo);
+
+/**
+ * Build a four-team, two-round snake draft and a season in which each drafted
+ * player scores the given points in a single scored week
+ */
+const buildLeague = (pointsByPick, { season = '2023', status = 'complete', pickOverrides = {} } = {}) => {
+  // Snake order: slots 1-4, then 4-1
+  const slots = [1, 2, 3, 4, 4, 3, 2, 1];
+  const picks = slots.map((slot, index) => ({
+    pick_no: index + 1,
+    round: index < 4 ? 1 : 2,
+    draft_slot: slot,
+    roster_id: slot,
+    picked_by: `u${slot}`,
+    player_id: `p${index + 1}`,
+    metadata: { first_name: 'Player', last_name: `${index + 1}`, position: 'WR' },
+    ...pickOverrides[index + 1],
+  }));
+
+  const draft = {
+    draft_id: `d${season}`,
+    season,
+    status,
+    leagueId: 'league',
+    settings: { teams: 4, rounds: 2 },
+    slot_to_roster_id: { 1: 1, 2: 2, 3: 3, 4: 4 },
+    picks,
+  };
+
+  const playersPoints = {};
+  picks.forEach(pick => {
+    playersPoints[pick.player_id] = pointsByPick(pick.pick_no);
+  });
+
+  const seasonData = {
+    season,
+    rosters,
+    users,
+    matchups: [{ week: 1, roster_id: 1, matchup_id: 1, players_points: playersPoints }],
+    calendar: { lastScoredWeek: 1, playoffWeekStart: 15 },
+  };
+
+  return { draft, seasonData };
+};
+
+// Manager 1 (picks 1 and 8) beats the curve, manager 4 (picks 4 and 5) falls short
+const RESIDUALS_BY_ROSTER = { 1: 6, 2: 0, 3: 0, 4: -6 };
+const SNAKE_ROSTERS = [1, 2, 3, 4, 4, 3, 2, 1];
+const gradedLeague = () => buildLeague(pickNo => curvePoints(pickNo) + RESIDUALS_BY_ROSTER[SNAKE_ROSTERS[pickNo - 1]]);
+
+describe('calculateDraftRetrospective', () => {
+  it('fits points per week against the log of the pick number', () => {
+    const { draft, seasonData } = buildLeague(curvePoints);
+    const { curves, picks } = calculateDraftRetrospective([draft], [seasonData]);
+
+    expect(curves.startup.intercept).toBeCloseTo(20);
+    expect(curves.startup.slope).toBeCloseTo(-5);
+    picks.forEach(pick => {
+      expect(pick.expectedPerWeek).toBeCloseTo(curvePoints(pick.pickNo));
+      expect(pick.surplus).toBeCloseTo(0);
+    });
+  });
+
+  it('spreads production over every scored week since the draft', () => {
+    const { draft, seasonData } = buildLeague(() => 30);
+    const nextSeason = {
+      ...seasonData,
+      season: '2024',
+      matchups: [
+        { week: 1, roster_id: 1, matchup_id: 1, players_points: { p1: 10 } },
+        { week: 2, roster_id: 1, matchup_id: 1, players_points: { p1: 20 } },
+        // Playoff weeks do not count
+        { week: 15, roster_id: 1, matchup_id: 1, players_points: { p1: 100 } },
+      ],
+      calendar: { lastScoredWeek: 15, playoffWeekStart: 15 },
+    };
+
+    const { picks } = calculateDraftRetrospective([draft], [seasonData, nextSeason]);
+    const first = picks.find(pick => pick.pickNo === 1);
+    expect(first.weeks).toBe(3);
+    expect(first.points).toBe(60);
+    expect(first.pointsPerWeek).toBe(20);
+  });
+
+  it('grades managers by how far their average surplus is from the league', () => {
+    const { draft, seasonData } = gradedLeague();
+    const { managers } = calculateDraftRetrospective([draft], [seasonData]);
+
+    const grades = Object.fromEntries(managers.map(manager => [manager.ownerId, manager.grade]));
+    expect(grades).toEqual({ u1: 'A', u2: 'C', u3: 'C', u4: 'F' });
+    expect(managers[0].ownerId).toBe('u1');
+    expect(managers[3].ownerId).toBe('u4');
+    expect(managers[0].hits).toBe(2);
+    expect([1, 8]).toContain(managers[0].bestPick.pickNo);
+    expect(managers[0].bestPick.surplus).toBeGreaterThanOrEqual(managers[0].worstPick.surplus);
+    expect(managers[3].hitRate).toBe(0);
+  });
+
+  it('grades everyone C when all managers drafted alike', () => {
+    const { draft, seasonData } = buildLeague(curvePoints);
+    const { managers } = calculateDraftRetrospective([draft], [seasonData]);
+    expect(managers.map(manager => manager.grade)).toEqual(['C', 'C', 'C', 'C']);
+  });
+
+  it('credits a pick the commissioner made to the roster that owned it', () => {
+    const { draft, seasonData } = buildLeague(curvePoints, { pickOverrides: { 2: { picked_by: 'u1' } } });
+    const { picks, managers } = calculateDraftRetrospective([draft], [seasonData]);
+
+    const second = picks.find(pick => pick.pickNo === 2);
+    expect(second.picker.ownerId).toBe('u2');
+    expect(second.isTraded).toBe(false);
+    expect(managers.find(manager => manager.ownerId === 'u1').picks).toBe(2);
+    expect(managers.find(manager => manager.ownerId === 'u2').picks).toBe(2);
+  });
+
+  it('summarizes hit rates by round', () => {
+    const { draft, seasonData } = gradedLeague();
+    const { rounds } = calculateDraftRetrospective([draft], [seasonData]);
+
+    expect(rounds.map(round => [round.kind, round.round, round.picks])).toEqual([
+      ['startup', 1, 4],
+      ['startup', 2, 4],
+    ]);
+  });
+
+  it('lists the best and worst picks by surplus', () => {
+    const { draft, seasonData } = gradedLeague();
+    const { bestPicks, worstPicks } = calculateDraftRetrospective([draft], [seasonData], { limit: 2 });
+
+    expect(bestPicks.map(pick => pick.pickNo).sort()).toEqual([1, 8]);
+    expect(worstPicks.map(pick => pick.pickNo).sort()).toEqual([4, 5]);
+    expect(bestPicks[0].surplus).toBeGreaterThanOrEqual(bestPicks[1].surplus);
+    expect(worstPicks[0].surplus).toBeLessThanOrEqual(worstPicks[1].surplus);
+  });
+
+  it('never lists a pick as both best and worst', () => {
+    const { draft, seasonData } = gradedLeague();
+    const { bestPicks, worstPicks } = calculateDraftRetrospective([draft], [seasonData], { limit: 5 });
+
+    expect(bestPicks).toHaveLength(4);
+    expect(worstPicks).toHaveLength(4);
+    const bestIds = bestPicks.map(pick => pick.pickNo);
+    worstPicks.forEach(pick => expect(bestIds).not.toContain(pick.pickNo));
+  });
+
+  it('gives the odd pick out to the best list', () => {
+    const { draft, seasonData } = gradedLeague();
+    draft.picks = draft.picks.slice(0, 3);
+    const { bestPicks, worstPicks } = calculateDraftRetrospective([draft], [seasonData]);
+
+    expect(bestPicks).toHaveLength(2);
+    expect(worstPicks).toHaveLength(1);
+  });
+
+  it('skips unfinished drafts and drafts without scored weeks since', () => {
+    const pending = buildLeague(curvePoints, { status: 'drafting' });
+    const unplayed = buildLeague(curvePoints);
+    unplayed.seasonData.calendar = { lastScoredWeek: 0, playoffWeekStart: 15 };
+
+    expect(calculateDraftRetrospective([pending.draft], [pending.seasonData]).picks).toEqual([]);
+    expect(calculateDraftRetrospective([unplayed.draft], [unplayed.seasonData]).picks).toEqual([]);
+  });
+});
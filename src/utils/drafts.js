@@ -0,0 +1,130 @@
+/**
+ * Draft boards
+ *
+ * Sleeper drafts list their columns in slot_to_roster_id (draft slot -> roster
+ * that owns the slot) and each pick records the round, draft_slot and the
+ * roster that used it (roster_id). A pick used by a roster other than the
+ * slot's owner was traded. Player details come from the pick's metadata, so
+ * boards render without the full player list.
+ */
+
+export const DRAFT_KINDS = {
+  startup: 'Startup',
+  rookie: 'Rookie',
+};
+
+/**
+ * Tell a rookie draft from a startup (all players) draft
+ * @param {Object} draft - Draft from getLeagueDrafts
+ * @returns {string} - 'rookie' or 'startup'
+ */
+export const getDraftKind = (draft) => {
+  // player_type 1 limits the pool to rookies
+  if (draft?.settings?.player_type === 1) return 'rookie';
+  if (/rookie/i.test(draft?.metadata?.name || '')) return 'rookie';
+  return 'startup';
+};
+
+/**
+ * Find the roster a user managed in a season, as owner or co-owner
+ * @param {Array} rosters - Rosters of the draft's season
+ * @param {string} userId - Sleeper user ID
+ * @returns {Object|undefined} - The roster
+ */
+const findUserRoster = (rosters, userId) => {
+  if (!userId) return undefined;
+  return (rosters || []).find(r => r.owner_id === userId || (r.co_owners || []).includes(userId));
+};
+
+/**
+ * Describe a roster for display
+ * @param {Array} rosters - Rosters of the draft's season
+ * @param {Array} users - Users of the draft's season
+ * @param {number} rosterId - Roster ID
+ * @returns {Object} - { rosterId, ownerId, teamName, avatar }
+ */
+const describeRoster = (rosters, users, rosterId) => {
+  const roster = (rosters || []).find(r => r.roster_id === rosterId);
+  const user = roster && (users || []).find(u => u.user_id === roster.owner_id);
+  return {
+    rosterId: rosterId ?? null,
+    ownerId: roster?.owner_id || null,
+    teamName: user?.display_name || (rosterId ? `Team ${rosterId}` : 'Unknown'),
+    avatar: user?.avatar || null,
+  };
+};
+
+/**
+ * Normalize a draft's picks for display
+ * @param {Object} draft - Draft from loadLeagueDrafts, with picks
+ * @param {Array} rosters - Rosters of the draft's season
+ * @param {Array} users - Users of the draft's season
+ * @returns {Array} - Picks in pick order: { draftId, season, kind, pickNo, round, slot, pickInRound,
+ * playerId, playerName, position, nflTeam, amount, isKeeper, picker, slotOwner, isTraded }
+ * where picker and slotOwner are { rosterId, ownerId, teamName, avatar }
+ */
+export const getDraftPickDetails = (draft, rosters, users) => {
+  const slotToRoster = draft?.slot_to_roster_id || {};
+  const kind = getDraftKind(draft);
+
+  return [...(draft?.picks || [])]
+    .sort((a, b) => a.pick_no - b.pick_no)
+    .map(pick => {
+      const slotRosterId = slotToRoster[pick.draft_slot] ?? null;
+      // roster_id is the roster that owned and used the pick. picked_by is the
+      // user who clicked, which is the commissioner when they pick for someone
+      // else, so it is only a fallback for picks without a roster_id
+      const pickerRosterId = pick.roster_id ?? findUserRoster(rosters, pick.picked_by)?.roster_id ?? slotRosterId;
+      const metadata = pick.metadata || {};
+
+      return {
+        draftId: draft.draft_id,
+        season: draft.season,
+        kind,
+        pickNo: pick.pick_no,
+        round: pick.round,
+        slot: pick.draft_slot,
+        pickInRound: pick.pick_no - (pick.round - 1) * (draft.settings?.teams || 0),
+        playerId: pick.player_id || null,
+        playerName: `${metadata.first_name || ''} ${metadata.last_name || ''}`.trim() || 'Unknown Player',
+        position: metadata.position || null,
+        nflTeam: metadata.team || null,
+        amount: metadata.amount ? Number(metadata.amount) : null,
+        isKeeper: !!pick.is_keeper,
+        picker: describeRoster(rosters, users, pickerRosterId),
+        slotOwner: describeRoster(rosters, users, slotRosterId),
+        isTraded: slotRosterId !== null && pickerRosterId !== slotRosterId,
+      };
+    });
+};
+
+/**
+ * Lay a draft out as a rounds x slots grid
+ * @param {Object} draft - Draft from loadLeagueDrafts, with picks
+ * @param {Array} rosters - Rosters of the draft's season
+ * @param {Array} users - Users of the draft's season
+ * @returns {Object} - { slots, rounds } where slots lists each column's owner
+ * ({ slot, rosterId, ownerId, teamName, avatar }) and rounds lists
+ * { round, picks }, picks holding one entry per slot (null if not yet made)
+ */
+export const buildDraftBoard = (draft, rosters, users) => {
+  const picks = getDraftPickDetails(draft, rosters, users);
+  const slotCount = Math.max(draft?.settings?.teams || 0, ...picks.map(pick => pick.slot));
+  const roundCount = Math.max(draft?.settings?.rounds || 0, ...picks.map(pick => pick.round));
+  const slotToRoster = draft?.slot_to_roster_id || {};
+
+  const slots = Array.from({ length: slotCount }, (_, index) => ({
+    slot: index + 1,
+    ...describeRoster(rosters, users, slotToRoster[index + 1] ?? null),
+  }));
+
+  const rounds = Array.from({ length: roundCount }, (_, index) => {
+    const round = index + 1;
+    return {
+      round,
+      picks: slots.map(({ slot }) => picks.find(pick => pick.round === round && pick.slot === slot) || null),
+    };
+  });
+
+  return { slots, rounds };
+};
@@ -0,0 +1,146 @@
+/**
+ * Franchise identity
+ *
+ * A franchise is a roster slot that carries over from season to season:
+ * Sleeper keeps roster_id when a league renews, and an orphaned team taken
+ * over by a new manager keeps its roster_id too. Each franchise records the
+ * tenures of the managers who ran it, including co-owners (roster.co_owners),
+ * so records can be told per franchise or per manager without mixing the two.
+ */
+
+import { getStandings } from './dataUtils';
+
+/**
+ * Display name of a user in a season
+ * @param {Array} users - League users of that season
+ * @param {string} userId - Sleeper user ID
+ * @returns {string} - Display name
+ */
+const getUserName = (users, userId) => users?.find(u => u.user_id === userId)?.display_name || 'Unknown';
+
+/**
+ * Check whether any games of a season have been played. A renewed league
+ * exists months before kickoff with every roster at 0-0.
+ * @param {Object} seasonData - Season data from fetchLeagueHistory
+ * @returns {boolean} - Whether the season has scored games
+ */
+export const hasPlayedGames = ({ calendar, rosters }) => {
+  if (calendar) return calendar.lastScoredWeek > 0;
+  return (rosters || []).some(roster => {
+    const settings = roster.settings || {};
+    return (settings.wins || 0) + (settings.losses || 0) + (settings.ties || 0) > 0;
+  });
+};
+
+/**
+ * Build every franchise from a league's history
+ * @param {Array} seasons - Season data from fetchLeagueHistory, oldest first;
+ * fallback-mapped seasons and seasons not yet played are skipped
+ * @returns {Array} - Franchises ordered by roster ID:
+ * { franchiseId, seasons, tenures, current } where seasons lists
+ * { season, leagueId, rosterId, ownerId, coOwners, managerName, avatar, wins, losses, ties,
+ *   pointsFor, pointsAgainst, finish, teamCount }, tenures lists
+ * { ownerId, displayName, coOwners, fromSeason, toSeason, seasons, wins, losses, ties },
+ * and current is the latest season entry
+ */
+export const buildFranchises = (seasons) => {
+  const franchises = {};
+
+  const playedSeasons = (seasons || []).filter(season => !season.isFallback && hasPlayedGames(season));
+  playedSeasons.forEach(({ season, leagueId, rosters, users }) => {
+    // Regular season finish, ordered as the standings table is
+    const standings = getStandings(rosters, users);
+
+    standings.forEach((team, index) => {
+      const roster = rosters.find(r => r.roster_id === team.rosterId);
+      if (!franchises[team.rosterId]) {
+        franchises[team.rosterId] = { franchiseId: team.rosterId, seasons: [], tenures: [] };
+      }
+      const user = users?.find(u => u.user_id === roster.owner_id);
+      franchises[team.rosterId].seasons.push({
+        season,
+        leagueId,
+        rosterId: team.rosterId,
+        ownerId: roster.owner_id || null,
+        coOwners: (roster.co_owners || []).map(id => ({ ownerId: id, displayName: getUserName(users, id) })),
+        managerName: roster.owner_id ? getUserName(users, roster.owner_id) : 'Orphaned',
+        avatar: user?.avatar || null,
+        wins: team.wins,
+        losses: team.losses,
+        ties: team.ties,
+        pointsFor: team.pointsFor,
+        pointsAgainst: team.pointsAgainst,
+        finish: index + 1,
+        teamCount: standings.length,
+      });
+    });
+  });
+
+  return Object.values(franchises)
+    .sort((a, b) => a.franchiseId - b.franchiseId)
+    .map(franchise => {
+      // Consecutive seasons under the same owner form one tenure
+      const tenures = [];
+      franchise.seasons.forEach(entry => {
+        const last = tenures[tenures.length - 1];
+        if (last && last.ownerId === entry.ownerId) {
+          last.toSeason = entry.season;
+          last.seasons++;
+          last.wins += entry.wins;
+          last.losses += entry.losses;
+          last.ties += entry.ties;
+          last.displayName = entry.managerName;
+          entry.coOwners.forEach(coOwner => {
+            if (!last.coOwners.some(c => c.ownerId === coOwner.ownerId)) last.coOwners.push(coOwner);
+          });
+        } else {
+          tenures.push({
+            ownerId: entry.ownerId,
+            displayName: entry.managerName,
+            coOwners: [...entry.coOwners],
+            fromSeason: entry.season,
+            toSeason: entry.season,
+            seasons: 1,
+            wins: entry.wins,
+            losses: entry.losses,
+            ties: entry.ties,
+          });
+        }
+      });
+
+      return {
+        ...franchise,
+        tenures,
+        current: franchise.seasons[franchise.seasons.length - 1],
+      };
+    });
+};
+
+/**
+ * Total regular season record of a list of franchise seasons
+ * @param {Array} entries - Season entries from buildFranchises
+ * @returns {Object} - { wins, losses, ties, pointsFor, pointsAgainst, seasons }
+ */
+export const sumFranchiseSeasons = (entries) => {
+  return (entries || []).reduce((total, entry) => ({
+    wins: total.wins + entry.wins,
+    losses: total.losses + entry.losses,
+    ties: total.ties + entry.ties,
+    pointsFor: total.pointsFor + entry.pointsFor,
+    pointsAgainst: total.pointsAgainst + entry.pointsAgainst,
+    seasons: total.seasons + 1,
+  }), { wins: 0, losses: 0, ties: 0, pointsFor: 0, pointsAgainst: 0, seasons: 0 });
+};
+
+/**
+ * Every season a manager ran, as owner or co-owner, across all franchises
+ * @param {Array} franchises - Franchises from buildFranchises
+ * @param {string} ownerId - Sleeper user ID
+ * @returns {Array} - Season entries from buildFranchises, oldest first
+ */
+export const getManagerSeasons = (franchises, ownerId) => {
+  return franchises
+    .flatMap(franchise => franchise.seasons)
+    .filter(entry => entry.ownerId === ownerId || entry.coOwners.some(coOwner => coOwner.ownerId === ownerId))
+    .sort((a, b) => parseInt(a.season) - parseInt(b.season));
+};
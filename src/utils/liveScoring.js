@@ -0,0 +1,85 @@
+/**
+ * Helpers for comparing successive snapshots of a live week's matchups
+ */
+
+// Ignore floating point noise when comparing point totals
+const EPSILON = 0.005;
+
+/**
+ * Find the roster leading a matchup
+ * @param {Array} teams - The (usually two) matchup entries sharing a matchup_id
+ * @returns {number|null} - Leading roster ID, or null when tied or scoreless
+ */
+const getLeader = (teams) => {
+  if (!teams || teams.length !== 2) return null;
+  const [a, b] = teams;
+  const diff = (a.points || 0) - (b.points || 0);
+  if (Math.abs(diff) < EPSILON) return null;
+  return diff > 0 ? a.roster_id : b.roster_id;
+};
+
+/**
+ * Group matchup entries by matchup_id
+ * @param {Array} matchups - Matchup entries for one week
+ * @returns {Object} - matchup_id -> array of entries
+ */
+const groupByMatchupId = (matchups) => (matchups || []).reduce((acc, matchup) => {
+  if (matchup.matchup_id === null || matchup.matchup_id === undefined) return acc;
+  if (!acc[matchup.matchup_id]) acc[matchup.matchup_id] = [];
+  acc[matchup.matchup_id].push(matchup);
+  return acc;
+}, {});
+
+/**
+ * Compare two snapshots of the same week's matchups
+ * @param {Array} previous - Earlier snapshot
+ * @param {Array} next - Latest snapshot
+ * @returns {Object} - {
+ *   teams: { [rosterId]: { delta, starters: [{ playerId, delta }] } },
+ *   leadChanges: Array of matchup IDs whose leader changed
+ * }
+ */
+export const diffMatchupScores = (previous, next) => {
+  const previousByRoster = {};
+  (previous || []).forEach(matchup => {
+    previousByRoster[matchup.roster_id] = matchup;
+  });
+
+  const teams = {};
+  (next || []).forEach(matchup => {
+    const before = previousByRoster[matchup.roster_id];
+    if (!before) return;
+
+    const starters = (matchup.starters || [])
+      .filter(playerId => playerId && playerId !== '0')
+      .map(playerId => ({
+        playerId,
+        delta: (matchup.players_points?.[playerId] || 0) - (before.players_points?.[playerId] || 0),
+      }))
+      .filter(starter => Math.abs(starter.delta) >= EPSILON)
+      .sort((a, b) => Math.abs(b.delta) - Math.abs(a.delta));
+
+    const delta = (matchup.points || 0) - (before.points || 0);
+    if (Math.abs(delta) >= EPSILON || starters.length > 0) {
+      teams[matchup.roster_id] = { delta, starters };
+    }
+  });
+
+  const previousGroups = groupByMatchupId(previous);
+  const leadChanges = Object.entries(groupByMatchupId(next))
+    .filter(([matchupId, group]) => {
+      const previousLeader = getLeader(previousGroups[matchupId]);
+      const leader = getLeader(group);
+      return previousLeader !== null && leader !== null && previousLeader !== leader;
+    })
+    .map(([matchupId]) => Number(matchupId));
+
+  return { teams, leadChanges };
+};
+
+/**
+ * Format a point change for display
+ * @param {number} delta - Point change
+ * @returns {string} - Signed value, e.g. "+6.20"
+ */
+export const formatPointsDelta = (delta) => `${delta > 0 ? '+' : ''}${delta.toFixed(2)}`;
@@ -0,0 +1,215 @@
+/**
+ * Optimal lineups and manager efficiency
+ *
+ * For a week's matchup entry, the best possible lineup is the assignment of
+ * rostered players to the league's starting slots (league.roster_positions)
+ * that maximizes points. Flex slots accept several positions and players can
+ * be eligible at more than one position, so this is solved as an assignment
+ * problem rather than greedily.
+ */
+
+// Slots that are not part of the starting lineup
+const NON_STARTING_SLOTS = ['BN', 'IR', 'TAXI'];
+
+// Positions accepted by flex slots; any other slot only accepts its own position
+const FLEX_ELIGIBILITY = {
+  FLEX: ['RB', 'WR', 'TE'],
+  WRRB_FLEX: ['RB', 'WR'],
+  REC_FLEX: ['WR', 'TE'],
+  SUPER_FLEX: ['QB', 'RB', 'WR', 'TE'],
+  IDP_FLEX: ['DL', 'LB', 'DB'],
+};
+
+/**
+ * Get the starting slots of a league
+ * @param {Array<string>} rosterPositions - league.roster_positions
+ * @returns {Array<string>} - Starting slots in order
+ */
+export const getStartingSlots = (rosterPositions) => {
+  return (rosterPositions || []).filter(slot => !NON_STARTING_SLOTS.includes(slot));
+};
+
+/**
+ * Check whether a player with the given positions can fill a slot
+ * @param {string} slot - Roster slot, e.g. 'WR' or 'SUPER_FLEX'
+ * @param {Array<string>} positions - The player's fantasy positions
+ * @returns {boolean} - Whether the player is eligible
+ */
+const isEligible = (slot, positions) => {
+  const accepted = FLEX_ELIGIBILITY[slot] || [slot];
+  return positions.some(position => accepted.includes(position));
+};
+
+/**
+ * Solve a rectangular assignment problem minimizing total cost (Hungarian algorithm)
+ * @param {Array<Array<number>>} cost - cost[row][column], with rows <= columns
+ * @returns {Array<number>} - Column assigned to each row
+ */
+export const solveAssignment = (cost) => {
+  const rows = cost.length;
+  const columns = cost[0].length;
+  const u = new Array(rows + 1).fill(0);
+  const v = new Array(columns + 1).fill(0);
+  const match = new Array(columns + 1).fill(0); // column -> row (1-based, 0 = free)
+  const way = new Array(columns + 1).fill(0);
+
+  for (let row = 1; row <= rows; row++) {
+    match[0] = row;
+    let column = 0;
+    const minValues = new Array(columns + 1).fill(Infinity);
+    const used = new Array(columns + 1).fill(false);
+
+    do {
+      used[column] = true;
+      const currentRow = match[column];
+      let delta = Infinity;
+      let nextColumn = 0;
+
+      for (let j = 1; j <= columns; j++) {
+        if (used[j]) continue;
+        const reduced = cost[currentRow - 1][j - 1] - u[currentRow] - v[j];
+        if (reduced < minValues[j]) {
+          minValues[j] = reduced;
+          way[j] = column;
+        }
+        if (minValues[j] < delta) {
+          delta = minValues[j];
+          nextColumn = j;
+        }
+      }
+
+      for (let j = 0; j <= columns; j++) {
+        if (used[j]) {
+          u[match[j]] += delta;
+          v[j] -= delta;
+        } else {
+          minValues[j] -= delta;
+        }
+      }
+      column = nextColumn;
+    } while (match[column] !== 0);
+
+    do {
+      const previous = way[column];
+      match[column] = match[previous];
+      column = previous;
+    } while (column);
+  }
+
+  const assignment = new Array(rows).fill(-1);
+  for (let j = 1; j <= columns; j++) {
+    if (match[j]) assignment[match[j] - 1] = j - 1;
+  }
+  return assignment;
+};
+
+/**
+ * Compute the best possible lineup for one team's week
+ * @param {Object} matchup - Matchup entry with players, starters and players_points
+ * @param {Array<string>} rosterPositions - league.roster_positions
+ * @param {Object} players - Player database keyed by player ID
+ * @returns {Object|null} - { actualPoints, optimalPoints, pointsLeft, benchPoints, efficiency, lineup }
+ * where lineup lists { slot, playerId, points } (playerId null for an empty slot),
+ * or null without the data to solve it
+ */
+export const calculateOptimalLineup = (matchup, rosterPositions, players) => {
+  const slots = getStartingSlots(rosterPositions);
+  if (!matchup || !slots.length || !players) return null;
+
+  const playersPoints = matchup.players_points || {};
+  const starters = (matchup.starters || []).filter(id => id && id !== '0');
+  const candidates = (matchup.players || []).filter(id => id && id !== '0');
+  if (!candidates.length) return null;
+
+  const positionsById = {};
+  candidates.forEach(id => {
+    const player = players[id];
+    positionsById[id] = player?.fantasy_positions?.length
+      ? player.fantasy_positions
+      : [player?.position].filter(Boolean);
+  });
+
+  // Cost of putting a player in a slot is minus their points; an ineligible
+  // pairing counts as leaving the slot empty. Dummy columns keep rows <= columns.
+  const columnCount = Math.max(candidates.length, slots.length);
+  const cost = slots.map(slot => Array.from({ length: columnCount }, (_, column) => {
+    const id = candidates[column];
+    if (!id || !isEligible(slot, positionsById[id])) return 0;
+    return -Math.max(0, playersPoints[id] || 0);
+  }));
+
+  const assignment = solveAssignment(cost);
+  const lineup = slots.map((slot, row) => {
+    const id = candidates[assignment[row]];
+    const filled = id && cost[row][assignment[row]] < 0;
+    return { slot, playerId: filled ? id : null, points: filled ? playersPoints[id] || 0 : 0 };
+  });
+
+  const actualPoints = matchup.points ?? starters.reduce((sum, id) => sum + (playersPoints[id] || 0), 0);
+  // The lineup can come out short of what was scored (e.g. a player who has
+  // since changed positions), so never report a maximum below the actual score
+  const optimalPoints = Math.max(lineup.reduce((sum, entry) => sum + entry.points, 0), actualPoints);
+  const benchPoints = candidates
+    .filter(id => !starters.includes(id))
+    .reduce((sum, id) => sum + (playersPoints[id] || 0), 0);
+
+  return {
+    actualPoints,
+    optimalPoints,
+    pointsLeft: optimalPoints - actualPoints,
+    benchPoints,
+    efficiency: optimalPoints > 0 ? (actualPoints / optimalPoints) * 100 : 100,
+    lineup,
+  };
+};
+
+/**
+ * Summarize lineup decisions over a season for every team
+ * @param {Array} matchups - Scored matchups; entries without an opponent
+ * (matchup_id null, e.g. eliminated teams in the playoffs) are skipped
+ * @param {Array<string>} rosterPositions - league.roster_positions
+ * @param {Object} players - Player database keyed by player ID
+ * @returns {Array} - Per team: { rosterId, weeks, actualPoints, optimalPoints,
+ * benchPoints, pointsLeft, efficiency, perfectWeeks, worstWeek: { week, pointsLeft } },
+ * most efficient first
+ */
+export const calculateManagerEfficiency = (matchups, rosterPositions, players) => {
+  if (!matchups || !matchups.length || !players) return [];
+
+  const teams = {};
+  matchups.forEach(matchup => {
+    if (matchup.matchup_id === null || matchup.matchup_id === undefined) return;
+    const result = calculateOptimalLineup(matchup, rosterPositions, players);
+    if (!result) return;
+
+    if (!teams[matchup.roster_id]) {
+      teams[matchup.roster_id] = {
+        rosterId: matchup.roster_id,
+        weeks: 0,
+        actualPoints: 0,
+        optimalPoints: 0,
+        benchPoints: 0,
+        perfectWeeks: 0,
+        worstWeek: null,
+      };
+    }
+    const team = teams[matchup.roster_id];
+    team.weeks++;
+    team.actualPoints += result.actualPoints;
+    team.optimalPoints += result.optimalPoints;
+    team.benchPoints += result.benchPoints;
+    if (result.pointsLeft < 0.01) team.perfectWeeks++;
+
+    if (!team.worstWeek || result.pointsLeft > team.worstWeek.pointsLeft) {
+      team.worstWeek = { week: matchup.week, pointsLeft: result.pointsLeft };
+    }
+  });
+
+  return Object.values(teams)
+    .map(team => ({
+      ...team,
+      pointsLeft: team.optimalPoints - team.actualPoints,
+      efficiency: team.optimalPoints > 0 ? (team.actualPoints / team.optimalPoints) * 100 : 100,
+    }))
+    .sort((a, b) => b.efficiency - a.efficiency);
+};
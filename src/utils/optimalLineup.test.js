@@ -0,0 +1,200 @@
+import {
+  calculateManagerEfficiency,
+  calculateOptimalLineup,
+  getStartingSlots,
+  solveAssignment,
+} from './optimalLineup';
+
+const players = {
+  qb1: { fantasy_positions: ['QB'] },
+  rb1: { fantasy_positions: ['RB'] },
+  rb2: { fantasy_positions: ['RB'] },
+  wr1: { fantasy_positions: ['WR'] },
+  wr2: { fantasy_positions: ['WR'] },
+  te1: { fantasy_positions: ['TE'] },
+  k1: { position: 'K' },
+  flexy: { fantasy_positions: ['RB', 'WR'] },
+};
+
+const matchup = (overrides) => ({
+  roster_id: 1,
+  matchup_id: 1,
+  week: 1,
+  ...overrides,
+});
+
+describe('solveAssignment', () => {
+  it('finds the cheapest assignment where a greedy pick would not', () => {
+    // Greedy takes row 0 -> column 0 (cost 1) and is left paying 100 for row 1
+    const cost = [
+      [1, 2],
+      [2, 100],
+    ];
+    expect(solveAssignment(cost)).toEqual([1, 0]);
+  });
+
+  it('solves a square problem', () => {
+    const cost = [
+      [4, 1, 3],
+      [2, 0, 5],
+      [3, 2, 2],
+    ];
+    const assignment = solveAssignment(cost);
+    const total = assignment.reduce((sum, column, row) => sum + cost[row][column], 0);
+    expect(total).toBe(5);
+    expect(new Set(assignment).size).toBe(3);
+  });
+
+  it('leaves extra columns unassigned when there are fewer rows', () => {
+    const cost = [
+      [-5, -9, -1, 0],
+      [-8, -7, -2, 0],
+    ];
+    expect(solveAssignment(cost)).toEqual([1, 0]);
+  });
+});
+
+describe('getStartingSlots', () => {
+  it('drops bench, IR and taxi slots', () => {
+    expect(getStartingSlots(['QB', 'RB', 'FLEX', 'BN', 'BN', 'IR', 'TAXI'])).toEqual(['QB', 'RB', 'FLEX']);
+  });
+});
+
+describe('calculateOptimalLineup', () => {
+  it('fills a FLEX with the best remaining RB, WR or TE', () => {
+    const result = calculateOptimalLineup(matchup({
+      players: ['rb1', 'rb2', 'wr1', 'te1', 'qb1'],
+      starters: ['rb1', 'wr1', 'te1'],
+      players_points: { rb1: 10, rb2: 15, wr1: 8, te1: 12, qb1: 30 },
+      points: 30,
+    }), ['RB', 'WR', 'FLEX', 'BN', 'BN'], players);
+
+    // The QB outscores everyone but cannot play FLEX
+    expect(result.lineup).toEqual([
+      { slot: 'RB', playerId: 'rb2', points: 15 },
+      { slot: 'WR', playerId: 'wr1', points: 8 },
+      { slot: 'FLEX', playerId: 'te1', points: 12 },
+    ]);
+    expect(result.optimalPoints).toBe(35);
+  });
+
+  it('only lets a SUPER_FLEX take a quarterback', () => {
+    const result = calculateOptimalLineup(matchup({
+      players: ['qb1', 'rb1'],
+      starters: ['rb1'],
+      players_points: { qb1: 25, rb1: 10 },
+      points: 10,
+    }), ['FLEX', 'SUPER_FLEX'], players);
+
+    expect(result.lineup).toEqual([
+      { slot: 'FLEX', playerId: 'rb1', points: 10 },
+      { slot: 'SUPER_FLEX', playerId: 'qb1', points: 25 },
+    ]);
+  });
+
+  it('moves a dual-position player to free up a better one', () => {
+    const result = calculateOptimalLineup(matchup({
+      players: ['flexy', 'rb1', 'wr1'],
+      starters: ['flexy', 'wr1'],
+      players_points: { flexy: 20, rb1: 18, wr1: 5 },
+      points: 25,
+    }), ['RB', 'WR'], players);
+
+    expect(result.lineup).toEqual([
+      { slot: 'RB', playerId: 'rb1', points: 18 },
+      { slot: 'WR', playerId: 'flexy', points: 20 },
+    ]);
+    expect(result.pointsLeft).toBe(13);
+  });
+
+  it('uses position when a player has no fantasy positions', () => {
+    const result = calculateOptimalLineup(matchup({
+      players: ['k1'],
+      starters: ['k1'],
+      players_points: { k1: 9 },
+      points: 9,
+    }), ['K'], players);
+
+    expect(result.lineup).toEqual([{ slot: 'K', playerId: 'k1', points: 9 }]);
+    expect(result.efficiency).toBe(100);
+  });
+
+  it('leaves a slot empty when nobody eligible scored', () => {
+    const result = calculateOptimalLineup(matchup({
+      players: ['rb1', 'wr1'],
+      starters: ['rb1'],
+      players_points: { rb1: 10, wr1: 0 },
+      points: 10,
+    }), ['RB', 'WR', 'TE'], players);
+
+    expect(result.lineup.map(entry => entry.playerId)).toEqual(['rb1', null, null]);
+  });
+
+  it('reports bench points and efficiency from the same optimal total', () => {
+    const result = calculateOptimalLineup(matchup({
+      players: ['rb1', 'rb2'],
+      starters: ['rb1'],
+      players_points: { rb1: 10, rb2: 30 },
+      points: 10,
+    }), ['RB'], players);
+
+    expect(result.optimalPoints).toBe(30);
+    expect(result.pointsLeft).toBe(20);
+    expect(result.benchPoints).toBe(30);
+    expect(result.efficiency).toBeCloseTo(100 / 3);
+  });
+
+  it('never reports a maximum below the actual score', () => {
+    // A starter the player database no longer lists at RB
+    const result = calculateOptimalLineup(matchup({
+      players: ['wr1'],
+      starters: ['wr1'],
+      players_points: { wr1: 12 },
+      points: 12,
+    }), ['RB'], players);
+
+    expect(result.optimalPoints).toBe(12);
+    expect(result.pointsLeft).toBe(0);
+    expect(result.efficiency).toBe(100);
+  });
+
+  it('returns null without players or slots', () => {
+    expect(calculateOptimalLineup(matchup({ players: [] }), ['RB'], players)).toBeNull();
+    expect(calculateOptimalLineup(matchup({ players: ['rb1'] }), ['BN'], players)).toBeNull();
+    expect(calculateOptimalLineup(matchup({ players: ['rb1'] }), ['RB'], null)).toBeNull();
+  });
+});
+
+describe('calculateManagerEfficiency', () => {
+  it('adds up clamped weeks so the season matches its weeks', () => {
+    const teams = calculateManagerEfficiency([
+      // Perfect week
+      matchup({ week: 1, players: ['rb1', 'rb2'], starters: ['rb1'], players_points: { rb1: 20, rb2: 5 }, points: 20 }),
+      // Ten points left on the bench
+      matchup({ week: 2, players: ['rb1', 'rb2'], starters: ['rb1'], players_points: { rb1: 10, rb2: 20 }, points: 10 }),
+      // Scored more than the solver could find, clamped to the actual score
+      matchup({ week: 3, players: ['wr1'], starters: ['wr1'], players_points: { wr1: 10 }, points: 10 }),
+      // No opponent, skipped
+      matchup({ week: 4, matchup_id: null, players: ['rb1'], starters: ['rb1'], players_points: { rb1: 50 }, points: 50 }),
+    ], ['RB'], players);
+
+    expect(teams).toHaveLength(1);
+    const [team] = teams;
+    expect(team.weeks).toBe(3);
+    expect(team.actualPoints).toBe(40);
+    expect(team.optimalPoints).toBe(50);
+    expect(team.pointsLeft).toBe(10);
+    expect(team.efficiency).toBe(80);
+    expect(team.perfectWeeks).toBe(2);
+    expect(team.worstWeek).toEqual({ week: 2, pointsLeft: 10 });
+  });
+
+  it('orders teams by efficiency', () => {
+    const teams = calculateManagerEfficiency([
+      matchup({ roster_id: 1, players: ['rb1', 'rb2'], starters: ['rb1'], players_points: { rb1: 10, rb2: 20 }, points: 10 }),
+      matchup({ roster_id: 2, players: ['rb1', 'rb2'], starters: ['rb2'], players_points: { rb1: 10, rb2: 20 }, points: 20 }),
+    ], ['RB'], players);
+
+    expect(teams.map(team => team.rosterId)).toEqual([2, 1]);
+  });
+});
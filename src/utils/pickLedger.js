@@ -0,0 +1,122 @@
+/**
+ * Future draft pick ledger
+ *
+ * Sleeper's traded_picks only lists picks that changed hands, as
+ * { season, round, roster_id, previous_owner_id, owner_id } where roster_id
+ * is the original owner and owner_id the current one. Every other future pick
+ * still belongs to its original roster, so the ledger fills those in from the
+ * league's rosters and draft rounds. Trades carry the same entries in their
+ * draft_picks, which gives each pick its chain of owners.
+ */
+
+// Sleeper lets dynasty leagues trade picks up to three seasons ahead
+const FUTURE_SEASONS = 3;
+const DEFAULT_ROUNDS = 4;
+
+/**
+ * Key a pick by season, round and original roster
+ * @param {string|number} season - Draft season
+ * @param {number} round - Round
+ * @param {number} rosterId - Original owner's roster ID
+ * @returns {string} - Key
+ */
+const getPickKey = (season, round, rosterId) => `${season}-${round}-${rosterId}`;
+
+/**
+ * List the seasons whose drafts have not happened yet
+ * @param {Object} league - League data
+ * @param {Array} drafts - The league's drafts from loadLeagueDrafts
+ * @param {Array} tradedPicks - Traded picks from loadTradedPicks
+ * @returns {Array<string>} - Seasons in order
+ */
+export const getFutureDraftSeasons = (league, drafts, tradedPicks) => {
+  const leagueSeason = parseInt(league?.season);
+  if (!leagueSeason) return [];
+
+  // The league's own draft counts until it is complete
+  const ownDraftDone = (drafts || []).length > 0 && drafts.every(draft => draft.status === 'complete');
+  const firstSeason = ownDraftDone ? leagueSeason + 1 : leagueSeason;
+
+  const seasons = new Set();
+  for (let season = firstSeason; season <= leagueSeason + FUTURE_SEASONS; season++) {
+    seasons.add(season);
+  }
+  (tradedPicks || []).forEach(pick => {
+    if (parseInt(pick.season) >= firstSeason) seasons.add(parseInt(pick.season));
+  });
+
+  return [...seasons].sort((a, b) => a - b).map(String);
+};
+
+/**
+ * List completed trades that moved draft picks
+ * @param {Array} transactions - Transactions with the season they were loaded for:
+ * { ...transaction, season, leagueId }
+ * @returns {Array} - Trades, newest first
+ */
+export const getPickTrades = (transactions) => {
+  return (transactions || [])
+    .filter(transaction => transaction.type === 'trade' && transaction.status === 'complete')
+    .filter(transaction => (transaction.draft_picks || []).length > 0)
+    .sort((a, b) => (b.status_updated || b.created || 0) - (a.status_updated || a.created || 0));
+};
+
+/**
+ * Build the ownership ledger of every future draft pick
+ * @param {Object} params - Ledger inputs
+ * @param {Object} params.league - League data; settings.draft_rounds gives the rounds
+ * @param {Array} params.rosters - The league's rosters
+ * @param {Array} params.drafts - The league's drafts from loadLeagueDrafts
+ * @param {Array} params.tradedPicks - Traded picks from loadTradedPicks
+ * @param {Array} params.trades - Optional trades from getPickTrades, for the chains
+ * @returns {Array} - Picks ordered by season, round and original roster:
+ * { season, round, originalRosterId, ownerRosterId, isTraded, chain } where chain
+ * lists { transactionId, leagueId, season, week, timestamp, fromRosterId, toRosterId }, oldest first
+ */
+export const buildPickLedger = ({ league, rosters, drafts, tradedPicks, trades = [] }) => {
+  const seasons = getFutureDraftSeasons(league, drafts, tradedPicks);
+  const rounds = league?.settings?.draft_rounds
+    || Math.max(0, ...(tradedPicks || []).map(pick => pick.round))
+    || DEFAULT_ROUNDS;
+
+  const owners = {};
+  (tradedPicks || []).forEach(pick => {
+    owners[getPickKey(pick.season, pick.round, pick.roster_id)] = pick.owner_id;
+  });
+
+  const chains = {};
+  [...trades].reverse().forEach(trade => {
+    trade.draft_picks.forEach(pick => {
+      const key = getPickKey(pick.season, pick.round, pick.roster_id);
+      if (!chains[key]) chains[key] = [];
+      chains[key].push({
+        transactionId: trade.transaction_id,
+        leagueId: trade.leagueId,
+        season: trade.season,
+        week: trade.leg,
+        timestamp: trade.status_updated || trade.created,
+        fromRosterId: pick.previous_owner_id,
+        toRosterId: pick.owner_id,
+      });
+    });
+  });
+
+  const rosterIds = (rosters || []).map(roster => roster.roster_id).sort((a, b) => a - b);
+
+  return seasons.flatMap(season => (
+    Array.from({ length: rounds }, (_, index) => index + 1).flatMap(round => (
+      rosterIds.map(rosterId => {
+        const key = getPickKey(season, round, rosterId);
+        const ownerRosterId = owners[key] ?? rosterId;
+        return {
+          season,
+          round,
+          originalRosterId: rosterId,
+          ownerRosterId,
+          isTraded: ownerRosterId !== rosterId,
+          chain: chains[key] || [],
+        };
+      })
+    ))
+  ));
+};
@@ -0,0 +1,146 @@
+import { buildPickLedger, getFutureDraftSeasons, getPickTrades } from './pickLedger';
+
+const league = { season: '2024', settings: { draft_rounds: 2 } };
+const rosters = [{ roster_id: 2 }, { roster_id: 1 }, { roster_id: 3 }];
+const completeDraft = [{ draft_id: 'd1', season: '2024', status: 'complete' }];
+const pendingDraft = [{ draft_id: 'd1', season: '2024', status: 'pre_draft' }];
+
+/**
+ * Build a completed trade moving the given picks
+ */
+const trade = (transactionId, timestamp, draftPicks, extra = {}) => ({
+  transaction_id: transactionId,
+  type: 'trade',
+  status: 'complete',
+  status_updated: timestamp,
+  season: '2024',
+  leagueId: 'league',
+  leg: 1,
+  draft_picks: draftPicks,
+  ...extra,
+});
+
+describe('getFutureDraftSeasons', () => {
+  it('starts after the league season once its draft is complete', () => {
+    expect(getFutureDraftSeasons(league, completeDraft, [])).toEqual(['2025', '2026', '2027']);
+  });
+
+  it('includes the league season while its draft is pending', () => {
+    expect(getFutureDraftSeasons(league, pendingDraft, [])).toEqual(['2024', '2025', '2026', '2027']);
+  });
+
+  it('treats a league without drafts as not drafted yet', () => {
+    expect(getFutureDraftSeasons(league, [], [])).toEqual(['2024', '2025', '2026', '2027']);
+  });
+
+  it('adds later seasons that have traded picks', () => {
+    const tradedPicks = [
+      { season: '2028', round: 1, roster_id: 1, owner_id: 2 },
+      // Already drafted
+      { season: '2024', round: 1, roster_id: 1, owner_id: 2 },
+    ];
+    expect(getFutureDraftSeasons(league, completeDraft, tradedPicks)).toEqual(['2025', '2026', '2027', '2028']);
+  });
+
+  it('returns nothing without a league season', () => {
+    expect(getFutureDraftSeasons(null, completeDraft, [])).toEqual([]);
+  });
+});
+
+describe('getPickTrades', () => {
+  it('keeps completed trades with picks, newest first', () => {
+    const pick = { season: '2025', round: 1, roster_id: 1, previous_owner_id: 1, owner_id: 2 };
+    const older = trade('older', 100, [pick]);
+    const newer = trade('newer', 200, [pick]);
+    const transactions = [
+      older,
+      newer,
+      trade('failed', 300, [pick], { status: 'failed' }),
+      trade('players-only', 400, []),
+      trade('waiver', 500, [pick], { type: 'waiver' }),
+    ];
+
+    expect(getPickTrades(transactions)).toEqual([newer, older]);
+  });
+});
+
+describe('buildPickLedger', () => {
+  it('fills in untraded picks for every roster, season and round', () => {
+    const ledger = buildPickLedger({ league, rosters, drafts: completeDraft, tradedPicks: [] });
+
+    expect(ledger).toHaveLength(3 * 2 * 3);
+    expect(ledger.slice(0, 3).map(pick => pick.originalRosterId)).toEqual([1, 2, 3]);
+    ledger.forEach(pick => {
+      expect(pick.ownerRosterId).toBe(pick.originalRosterId);
+      expect(pick.isTraded).toBe(false);
+      expect(pick.chain).toEqual([]);
+    });
+  });
+
+  it('orders picks by season, round and original roster', () => {
+    const ledger = buildPickLedger({ league, rosters, drafts: completeDraft, tradedPicks: [] });
+    expect(ledger.slice(0, 7).map(pick => `${pick.season}-${pick.round}-${pick.originalRosterId}`)).toEqual([
+      '2025-1-1', '2025-1-2', '2025-1-3', '2025-2-1', '2025-2-2', '2025-2-3', '2026-1-1',
+    ]);
+  });
+
+  it('moves traded picks to their current owner', () => {
+    const tradedPicks = [
+      { season: '2025', round: 1, roster_id: 1, previous_owner_id: 1, owner_id: 3 },
+      // Traded away and back again
+      { season: '2026', round: 2, roster_id: 2, previous_owner_id: 3, owner_id: 2 },
+    ];
+    const ledger = buildPickLedger({ league, rosters, drafts: completeDraft, tradedPicks });
+    const find = (season, round, rosterId) => ledger.find(pick =>
+      pick.season === season && pick.round === round && pick.originalRosterId === rosterId);
+
+    expect(find('2025', 1, 1)).toMatchObject({ ownerRosterId: 3, isTraded: true });
+    expect(find('2026', 2, 2)).toMatchObject({ ownerRosterId: 2, isTraded: false });
+    expect(ledger.filter(pick => pick.isTraded)).toHaveLength(1);
+  });
+
+  it('falls back to the traded rounds and then four rounds without draft_rounds', () => {
+    const noRounds = { season: '2024', settings: {} };
+    const tradedPicks = [{ season: '2025', round: 5, roster_id: 1, previous_owner_id: 1, owner_id: 2 }];
+
+    const withTrades = buildPickLedger({ league: noRounds, rosters, drafts: completeDraft, tradedPicks });
+    const withoutTrades = buildPickLedger({ league: noRounds, rosters, drafts: completeDraft, tradedPicks: [] });
+    expect(Math.max(...withTrades.map(pick => pick.round))).toBe(5);
+    expect(Math.max(...withoutTrades.map(pick => pick.round))).toBe(4);
+  });
+
+  it('lists a pick traded several times oldest first', () => {
+    const hop = (from, to) => ({ season: '2025', round: 1, roster_id: 1, previous_owner_id: from, owner_id: to });
+    const trades = getPickTrades([
+      trade('second', 200, [hop(2, 3)], { leg: 5 }),
+      trade('third', 300, [hop(3, 1)], { season: '2025' }),
+      trade('first', 100, [hop(1, 2)], { leg: 2 }),
+    ]);
+    const tradedPicks = [{ season: '2025', round: 1, roster_id: 1, previous_owner_id: 3, owner_id: 1 }];
+
+    const league2025 = { season: '2025', settings: { draft_rounds: 1 } };
+    const pending = [{ draft_id: 'd2', season: '2025', status: 'pre_draft' }];
+    const ledger = buildPickLedger({ league: league2025, rosters, drafts: pending, tradedPicks, trades });
+    const pick = ledger.find(entry => entry.season === '2025' && entry.originalRosterId === 1);
+
+    expect(pick.chain.map(step => step.transactionId)).toEqual(['first', 'second', 'third']);
+    expect(pick.chain.map(step => [step.fromRosterId, step.toRosterId])).toEqual([[1, 2], [2, 3], [3, 1]]);
+    expect(pick.chain[0]).toMatchObject({ leagueId: 'league', season: '2024', week: 2, timestamp: 100 });
+    // Back with its original owner
+    expect(pick.isTraded).toBe(false);
+  });
+
+  it('keeps each pick of a multi-pick trade on its own chain', () => {
+    const trades = [trade('swap', 100, [
+      { season: '2025', round: 1, roster_id: 1, previous_owner_id: 1, owner_id: 2 },
+      { season: '2025', round: 2, roster_id: 2, previous_owner_id: 2, owner_id: 1 },
+    ])];
+    const ledger = buildPickLedger({ league, rosters, drafts: completeDraft, tradedPicks: [], trades });
+    const chainOf = (round, rosterId) => ledger.find(pick =>
+      pick.season === '2025' && pick.round === round && pick.originalRosterId === rosterId).chain;
+
+    expect(chainOf(1, 1).map(step => step.toRosterId)).toEqual([2]);
+    expect(chainOf(2, 2).map(step => step.toRosterId)).toEqual([1]);
+    expect(chainOf(1, 2)).toEqual([]);
+  });
+});
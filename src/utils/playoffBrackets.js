@@ -0,0 +1,94 @@
+/**
+ * Playoff brackets
+ *
+ * Sleeper returns each bracket as a flat list of matches:
+ * { r: round, m: match ID, t1, t2: roster IDs (null until decided),
+ *   t1_from, t2_from: { w: match } or { l: match } feeding the slot,
+ *   w, l: winner and loser roster IDs, p: place decided by the match }
+ */
+
+/**
+ * Check whether every match in a bracket has been decided
+ * @param {Array} bracket - Bracket matches
+ * @returns {boolean} - Whether the bracket is finished
+ */
+export const isBracketComplete = (bracket) => {
+  return Array.isArray(bracket) && bracket.length > 0 && bracket.every(match => match.w !== null && match.w !== undefined);
+};
+
+/**
+ * Group bracket matches by round
+ * @param {Array} bracket - Bracket matches
+ * @returns {Array} - [{ round, matches }] in round order, matches ordered by match ID
+ */
+export const getBracketRounds = (bracket) => {
+  const rounds = {};
+  (bracket || []).forEach(match => {
+    if (!rounds[match.r]) rounds[match.r] = [];
+    rounds[match.r].push(match);
+  });
+  return Object.keys(rounds)
+    .map(Number)
+    .sort((a, b) => a - b)
+    .map(round => ({ round, matches: rounds[round].sort((a, b) => a.m - b.m) }));
+};
+
+/**
+ * Describe where an undecided bracket slot comes from
+ * @param {Object} from - t1_from or t2_from of a match
+ * @returns {string} - e.g. "Winner of M3", or "TBD"
+ */
+export const describeBracketSource = (from) => {
+  if (from?.w) return `Winner of M${from.w}`;
+  if (from?.l) return `Loser of M${from.l}`;
+  return 'TBD';
+};
+
+// settings.loser_bracket_type: losers advance in a toilet bowl, winners in a consolation bracket
+const TOILET_BOWL_BRACKET = 1;
+
+/**
+ * Find the losers bracket match that settles last place. In a toilet bowl the
+ * match for place 1 of the bracket is the one losers advance to; in a
+ * consolation bracket that match is for the best non-playoff place, and last
+ * place is settled by the match for the highest place number.
+ * @param {Array} bracket - Losers bracket matches
+ * @param {number} loserBracketType - settings.loser_bracket_type of the league
+ * @returns {Object|null} - The match, or null
+ */
+const getLastPlaceMatch = (bracket, loserBracketType) => {
+  const placed = (bracket || []).filter(match => match.p);
+  if (!placed.length) return null;
+  const lowestPlace = placed.reduce((last, match) => (match.p > last.p ? match : last));
+  if (loserBracketType !== TOILET_BOWL_BRACKET) return lowestPlace;
+  return placed.find(match => match.p === 1) || lowestPlace;
+};
+
+/**
+ * Work out a season's champion, runner-up, third place and last place
+ * @param {Object} brackets - { winners, losers } from loadPlayoffBrackets
+ * @param {Object} league - Optional league data of the season; its
+ * settings.loser_bracket_type tells how to read the losers bracket
+ * @returns {Object} - { champion, runnerUp, thirdPlace, toiletBowlLoser } as roster IDs,
+ * each null until decided, and playoffTeams, the roster IDs seeded into the winners bracket
+ */
+export const getSeasonPlacements = ({ winners, losers }, league = null) => {
+  const final = (winners || []).find(match => match.p === 1);
+  const thirdPlaceGame = (winners || []).find(match => match.p === 3);
+  const lastPlaceGame = getLastPlaceMatch(losers, league?.settings?.loser_bracket_type);
+  // Teams with a bye first appear in round 2
+  const playoffTeams = new Set();
+  (winners || []).forEach(match => {
+    [match.t1, match.t2].forEach(rosterId => {
+      if (rosterId !== null && rosterId !== undefined) playoffTeams.add(rosterId);
+    });
+  });
+
+  return {
+    champion: final?.w ?? null,
+    runnerUp: final?.l ?? null,
+    thirdPlace: thirdPlaceGame?.w ?? null,
+    toiletBowlLoser: lastPlaceGame?.l ?? null,
+    playoffTeams: [...playoffTeams],
+  };
+};
@@ -0,0 +1,143 @@
+/**
+ * Monte Carlo playoff odds
+ *
+ * The rest of the regular season is played out many times. Each simulated
+ * score is drawn from a normal distribution fitted to the team's past weekly
+ * scores. Teams are seeded by wins (ties count half) with points for as the
+ * tiebreaker, as Sleeper does by default.
+ */
+
+const DEFAULT_SIMULATIONS = 10000;
+
+/**
+ * Number of first-round byes for a playoff field, filling the bracket up to
+ * the next power of two (6 teams -> 2 byes, 4 or 8 teams -> none)
+ * @param {number} playoffTeams - Teams that make the playoffs
+ * @returns {number} - Number of byes
+ */
+export const getPlayoffByeCount = (playoffTeams) => {
+  if (!playoffTeams || playoffTeams < 2) return 0;
+  return 2 ** Math.ceil(Math.log2(playoffTeams)) - playoffTeams;
+};
+
+/**
+ * Mean and standard deviation of weekly scores
+ * @param {Array<number>} scores - Weekly scores
+ * @returns {Object} - { mean, stdDev }
+ */
+const fitDistribution = (scores) => {
+  if (!scores.length) return { mean: 0, stdDev: 0 };
+  const mean = scores.reduce((sum, score) => sum + score, 0) / scores.length;
+  const variance = scores.reduce((sum, score) => sum + (score - mean) ** 2, 0) / scores.length;
+  return { mean, stdDev: Math.sqrt(variance) };
+};
+
+/**
+ * Draw from a normal distribution (Box-Muller transform)
+ * @param {number} mean - Mean
+ * @param {number} stdDev - Standard deviation
+ * @param {Function} random - Uniform random number generator
+ * @returns {number} - Sample, never below zero
+ */
+const sampleScore = (mean, stdDev, random) => {
+  const u = 1 - random(); // Avoid log(0)
+  const v = random();
+  const z = Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+  return Math.max(0, mean + z * stdDev);
+};
+
+/**
+ * Simulate the remaining regular season
+ * @param {Object} params - Simulation inputs
+ * @param {Array} params.standings - Current standings from getStandings
+ * @param {Array} params.remainingGames - Pairings still to play: [{ week, home, away }] of roster IDs
+ * @param {Object} params.weeklyScores - Roster ID -> array of past weekly scores
+ * @param {number} params.playoffTeams - Teams that make the playoffs (league.settings.playoff_teams)
+ * @param {number} params.simulations - Number of seasons to simulate
+ * @param {Function} params.random - Optional random number generator, for reproducible runs
+ * @returns {Object} - { simulations, playoffSpots, byeSpots, teams } where teams maps
+ * roster ID to { playoffOdds, byeOdds, averageWins, seedOdds } (odds in percent;
+ * seedOdds[i] is seed i + 1)
+ */
+export const simulatePlayoffOdds = ({
+  standings,
+  remainingGames,
+  weeklyScores,
+  playoffTeams,
+  simulations = DEFAULT_SIMULATIONS,
+  random = Math.random,
+}) => {
+  if (!standings || !standings.length) return { simulations: 0, playoffSpots: 0, byeSpots: 0, teams: {} };
+
+  const teamCount = standings.length;
+  const playoffSpots = Math.min(playoffTeams || teamCount, teamCount);
+  const byeSpots = getPlayoffByeCount(playoffSpots);
+
+  // Teams without enough history borrow the league-wide spread
+  const leagueSpread = fitDistribution(Object.values(weeklyScores || {}).flat()).stdDev;
+  const distributions = {};
+  standings.forEach(team => {
+    const scores = weeklyScores?.[team.rosterId] || [];
+    const fitted = fitDistribution(scores);
+    distributions[team.rosterId] = {
+      mean: scores.length ? fitted.mean : (team.pointsFor / Math.max(1, team.wins + team.losses + team.ties)),
+      stdDev: scores.length >= 3 ? fitted.stdDev : leagueSpread,
+    };
+  });
+
+  const tallies = {};
+  standings.forEach(team => {
+    tallies[team.rosterId] = { playoffs: 0, byes: 0, wins: 0, seeds: new Array(teamCount).fill(0) };
+  });
+
+  for (let run = 0; run < simulations; run++) {
+    const season = {};
+    standings.forEach(team => {
+      season[team.rosterId] = {
+        rosterId: team.rosterId,
+        wins: team.wins + team.ties * 0.5,
+        pointsFor: team.pointsFor,
+      };
+    });
+
+    remainingGames.forEach(({ home, away }) => {
+      const homeTeam = season[home];
+      const awayTeam = season[away];
+      if (!homeTeam || !awayTeam) return;
+
+      const homeScore = sampleScore(distributions[home].mean, distributions[home].stdDev, random);
+      const awayScore = sampleScore(distributions[away].mean, distributions[away].stdDev, random);
+      homeTeam.pointsFor += homeScore;
+      awayTeam.pointsFor += awayScore;
+
+      if (homeScore > awayScore) homeTeam.wins++;
+      else if (awayScore > homeScore) awayTeam.wins++;
+      else {
+        homeTeam.wins += 0.5;
+        awayTeam.wins += 0.5;
+      }
+    });
+
+    Object.values(season)
+      .sort((a, b) => (b.wins - a.wins) || (b.pointsFor - a.pointsFor))
+      .forEach((team, index) => {
+        const tally = tallies[team.rosterId];
+        tally.seeds[index]++;
+        tally.wins += team.wins;
+        if (index < playoffSpots) tally.playoffs++;
+        if (index < byeSpots) tally.byes++;
+      });
+  }
+
+  const teams = {};
+  Object.entries(tallies).forEach(([rosterId, tally]) => {
+    teams[rosterId] = {
+      playoffOdds: (tally.playoffs / simulations) * 100,
+      byeOdds: (tally.byes / simulations) * 100,
+      averageWins: tally.wins / simulations,
+      seedOdds: tally.seeds.map(count => (count / simulations) * 100),
+    };
+  });
+
+  return { simulations, playoffSpots, byeSpots, teams };
+};
@@ -0,0 +1,130 @@
+import { getPlayoffByeCount, simulatePlayoffOdds } from './playoffOdds';
+
+// Small seeded generator (mulberry32) so every run draws the same scores
+const seededRandom = (seed) => {
+  let state = seed;
+  return () => {
+    state = (state + 0x6d2b79f5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+const team = (rosterId, wins, losses, pointsFor) => ({ rosterId, wins, losses, ties: 0, pointsFor });
+
+// Six teams, two weeks left, three playoff spots
+const standings = [
+  team(1, 10, 0, 1300),
+  team(2, 7, 3, 1200),
+  team(3, 6, 4, 1150),
+  team(4, 5, 5, 1100),
+  team(5, 4, 6, 1050),
+  team(6, 0, 10, 900),
+];
+
+const remainingGames = [
+  { week: 11, home: 1, away: 2 },
+  { week: 11, home: 3, away: 4 },
+  { week: 11, home: 5, away: 6 },
+  { week: 12, home: 1, away: 6 },
+  { week: 12, home: 2, away: 3 },
+  { week: 12, home: 4, away: 5 },
+];
+
+const weeklyScores = {
+  1: [130, 125, 140, 120, 135],
+  2: [120, 115, 125, 110, 130],
+  3: [115, 110, 120, 105, 125],
+  4: [110, 105, 115, 100, 120],
+  5: [105, 100, 110, 95, 115],
+  6: [90, 85, 95, 80, 100],
+};
+
+const simulate = (overrides = {}) => simulatePlayoffOdds({
+  standings,
+  remainingGames,
+  weeklyScores,
+  playoffTeams: 3,
+  simulations: 500,
+  random: seededRandom(42),
+  ...overrides,
+});
+
+describe('getPlayoffByeCount', () => {
+  it('fills the bracket up to the next power of two', () => {
+    expect(getPlayoffByeCount(6)).toBe(2);
+    expect(getPlayoffByeCount(7)).toBe(1);
+    expect(getPlayoffByeCount(12)).toBe(4);
+  });
+
+  it('gives no byes to full brackets', () => {
+    expect(getPlayoffByeCount(4)).toBe(0);
+    expect(getPlayoffByeCount(8)).toBe(0);
+  });
+
+  it('gives no byes without a playoff field', () => {
+    expect(getPlayoffByeCount(0)).toBe(0);
+    expect(getPlayoffByeCount(1)).toBe(0);
+    expect(getPlayoffByeCount(undefined)).toBe(0);
+  });
+});
+
+describe('simulatePlayoffOdds', () => {
+  it('returns nothing without standings', () => {
+    expect(simulatePlayoffOdds({ standings: [], remainingGames: [], weeklyScores: {} }))
+      .toEqual({ simulations: 0, playoffSpots: 0, byeSpots: 0, teams: {} });
+  });
+
+  it('gives a clinched team certain odds', () => {
+    // Ten wins cannot be caught by anyone with two games left
+    const { teams } = simulate();
+    expect(teams[1].playoffOdds).toBe(100);
+    expect(teams[1].seedOdds[0]).toBe(100);
+  });
+
+  it('gives an eliminated team no odds', () => {
+    // Two more wins still leaves the 0-10 team behind three teams
+    const { teams } = simulate();
+    expect(teams[6].playoffOdds).toBe(0);
+    expect(teams[6].seedOdds[5]).toBe(100);
+  });
+
+  it('splits the remaining spots among the contenders', () => {
+    const { teams } = simulate();
+    const totalOdds = Object.values(teams).reduce((sum, odds) => sum + odds.playoffOdds, 0);
+    expect(totalOdds).toBeCloseTo(300);
+    Object.values(teams).forEach(odds => {
+      expect(odds.seedOdds.reduce((sum, seedOdds) => sum + seedOdds, 0)).toBeCloseTo(100);
+    });
+  });
+
+  it('hands byes to the top seeds of a six-team field', () => {
+    const { playoffSpots, byeSpots, teams } = simulate({ playoffTeams: 6 });
+    expect(playoffSpots).toBe(6);
+    expect(byeSpots).toBe(2);
+    Object.values(teams).forEach(odds => {
+      expect(odds.playoffOdds).toBe(100);
+      expect(odds.byeOdds).toBeCloseTo(odds.seedOdds[0] + odds.seedOdds[1]);
+    });
+    expect(teams[1].byeOdds).toBe(100);
+    expect(teams[6].byeOdds).toBe(0);
+  });
+
+  it('caps the playoff field at the league size', () => {
+    const { playoffSpots, byeSpots } = simulate({ playoffTeams: 10 });
+    expect(playoffSpots).toBe(6);
+    expect(byeSpots).toBe(2);
+  });
+
+  it('repeats the same results for the same seed', () => {
+    expect(simulate()).toEqual(simulate());
+  });
+
+  it('follows the current standings when no games remain', () => {
+    const { teams } = simulate({ remainingGames: [] });
+    expect(teams[3].playoffOdds).toBe(100);
+    expect(teams[4].playoffOdds).toBe(0);
+    expect(teams[2].averageWins).toBe(7);
+  });
+});
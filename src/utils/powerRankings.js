@@ -0,0 +1,167 @@
+/**
+ * Power rankings
+ *
+ * Each team gets four component scores, scaled 0-100 across the league:
+ * - pointsFor: average points per week
+ * - recentForm: average points over the last few weeks
+ * - allPlay: all-play win percentage
+ * - consistency: how little the weekly score varies
+ * The power score is their weighted average. Rankings are computed as of
+ * every scored regular season week so movement can be tracked.
+ */
+
+import { calculateAllPlayRecords } from './dataUtils';
+
+export const POWER_COMPONENTS = [
+  { key: 'pointsFor', label: 'Points For', description: 'Average points per week' },
+  { key: 'recentForm', label: 'Recent Form', description: 'Average points over the last few weeks' },
+  { key: 'allPlay', label: 'All-Play', description: 'Win rate against every team, every week' },
+  { key: 'consistency', label: 'Consistency', description: 'Low week-to-week variation in scoring' },
+];
+
+export const DEFAULT_POWER_WEIGHTS = {
+  pointsFor: 35,
+  recentForm: 25,
+  allPlay: 30,
+  consistency: 10,
+};
+
+const DEFAULT_RECENT_WEEKS = 3;
+
+/**
+ * Average of an array of numbers
+ * @param {Array<number>} values - Values
+ * @returns {number} - Mean, or 0 for an empty array
+ */
+const mean = (values) => (values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : 0);
+
+/**
+ * Population standard deviation of an array of numbers
+ * @param {Array<number>} values - Values
+ * @returns {number} - Standard deviation, or 0 for fewer than two values
+ */
+const standardDeviation = (values) => {
+  if (values.length < 2) return 0;
+  const avg = mean(values);
+  return Math.sqrt(mean(values.map(value => (value - avg) ** 2)));
+};
+
+/**
+ * Scale values to 0-100 across teams
+ * @param {Object} valuesByRoster - Roster ID -> raw value
+ * @param {boolean} lowerIsBetter - Whether smaller raw values should score higher
+ * @returns {Object} - Roster ID -> scaled score; 50 for everyone when all values are equal
+ */
+const scaleScores = (valuesByRoster, lowerIsBetter = false) => {
+  const values = Object.values(valuesByRoster);
+  const min = Math.min(...values);
+  const max = Math.max(...values);
+
+  const scaled = {};
+  Object.entries(valuesByRoster).forEach(([rosterId, value]) => {
+    if (max === min) {
+      scaled[rosterId] = 50;
+      return;
+    }
+    const position = (value - min) / (max - min);
+    scaled[rosterId] = (lowerIsBetter ? 1 - position : position) * 100;
+  });
+  return scaled;
+};
+
+/**
+ * Rank teams using the weeks up to and including a given week
+ * @param {Array} matchups - Scored matchups for those weeks
+ * @param {Object} weights - Component key -> weight
+ * @param {number} recentWeeks - Weeks counted as recent form
+ * @returns {Array} - Ranked teams: { rosterId, rank, score, components, raw }
+ */
+const rankTeams = (matchups, weights, recentWeeks) => {
+  const pointsByRoster = {};
+  matchups.forEach(matchup => {
+    if (!pointsByRoster[matchup.roster_id]) pointsByRoster[matchup.roster_id] = [];
+    pointsByRoster[matchup.roster_id].push({ week: matchup.week, points: matchup.points || 0 });
+  });
+
+  const allPlayRecords = calculateAllPlayRecords(matchups);
+
+  const raw = {};
+  Object.entries(pointsByRoster).forEach(([rosterId, weeks]) => {
+    const points = weeks.sort((a, b) => a.week - b.week).map(w => w.points);
+    raw[rosterId] = {
+      pointsFor: mean(points),
+      recentForm: mean(points.slice(-recentWeeks)),
+      allPlay: allPlayRecords[rosterId]?.percentage || 0,
+      consistency: standardDeviation(points),
+    };
+  });
+
+  const rosterIds = Object.keys(raw);
+  const scaled = {};
+  POWER_COMPONENTS.forEach(({ key }) => {
+    const values = {};
+    rosterIds.forEach(rosterId => { values[rosterId] = raw[rosterId][key]; });
+    scaled[key] = scaleScores(values, key === 'consistency');
+  });
+
+  const totalWeight = POWER_COMPONENTS.reduce((sum, { key }) => sum + (weights[key] || 0), 0);
+
+  return rosterIds
+    .map(rosterId => {
+      const components = {};
+      let weightedSum = 0;
+      POWER_COMPONENTS.forEach(({ key }) => {
+        components[key] = scaled[key][rosterId];
+        weightedSum += components[key] * (weights[key] || 0);
+      });
+
+      return {
+        rosterId: Number(rosterId),
+        score: totalWeight > 0 ? weightedSum / totalWeight : 0,
+        components,
+        raw: raw[rosterId],
+      };
+    })
+    .sort((a, b) => {
+      if (b.score !== a.score) return b.score - a.score;
+      return b.raw.pointsFor - a.raw.pointsFor;
+    })
+    .map((team, index) => ({ ...team, rank: index + 1 }));
+};
+
+/**
+ * Compute power rankings as of every week in the matchups
+ * @param {Array} matchups - Matchups from weeks with final scores
+ * @param {Object} weights - Component key -> weight; defaults to DEFAULT_POWER_WEIGHTS
+ * @param {Object} options - Optional { recentWeeks } for the recent form window
+ * @returns {Object} - { weeks, byWeek } where byWeek maps a week to its ranked teams
+ */
+export const calculatePowerRankings = (matchups, weights = DEFAULT_POWER_WEIGHTS, { recentWeeks = DEFAULT_RECENT_WEEKS } = {}) => {
+  if (!matchups || !matchups.length) return { weeks: [], byWeek: {} };
+
+  const weeks = [...new Set(matchups.map(m => m.week))].sort((a, b) => a - b);
+  const byWeek = {};
+  weeks.forEach(week => {
+    byWeek[week] = rankTeams(matchups.filter(m => m.week <= week), weights, recentWeeks);
+  });
+
+  return { weeks, byWeek };
+};
+
+/**
+ * Get how many places a team moved since the previous week's rankings
+ * @param {Object} rankings - Result of calculatePowerRankings
+ * @param {number} week - Week to compare
+ * @param {number} rosterId - Roster ID
+ * @returns {number|null} - Places gained (positive) or lost (negative), or null without a previous week
+ */
+export const getRankChange = (rankings, week, rosterId) => {
+  const weekIndex = rankings.weeks.indexOf(week);
+  if (weekIndex < 1) return null;
+
+  const current = rankings.byWeek[week].find(team => team.rosterId === rosterId);
+  const previous = rankings.byWeek[rankings.weeks[weekIndex - 1]].find(team => team.rosterId === rosterId);
+  if (!current || !previous) return null;
+
+  return previous.rank - current.rank;
+};
@@ -0,0 +1,36 @@
+/**
+ * Small user preferences kept in localStorage
+ *
+ * Keys use a different prefix from cached API data ('dynasty_analysis_'), so
+ * clearing or migrating the cache never touches them.
+ */
+
+const PREFERENCE_PREFIX = 'dynasty_analysis.';
+
+/**
+ * Read a preference
+ * @param {string} name - Preference name
+ * @param {any} fallback - Value returned when the preference is not set
+ * @returns {any} - Stored value or the fallback
+ */
+export const loadPreference = (name, fallback = null) => {
+  try {
+    const item = localStorage.getItem(`${PREFERENCE_PREFIX}${name}`);
+    return item === null ? fallback : JSON.parse(item);
+  } catch (error) {
+    return fallback;
+  }
+};
+
+/**
+ * Store a preference
+ * @param {string} name - Preference name
+ * @param {any} value - JSON-serializable value
+ */
+export const savePreference = (name, value) => {
+  try {
+    localStorage.setItem(`${PREFERENCE_PREFIX}${name}`, JSON.stringify(value));
+  } catch (error) {
+    console.warn(`Could not save preference ${name}:`, error);
+  }
+};
@@ -0,0 +1,129 @@
+/**
+ * League record book
+ *
+ * All-time records across every season of a league: weekly scores, margins,
+ * streaks and season totals. Seasons come from fetchLeagueHistory and games
+ * from getHeadToHeadGames, so streaks follow the owner across seasons.
+ */
+
+import { calculateAllPlayRecords } from './dataUtils';
+import { filterRegularSeasonMatchups } from './seasonCalendar';
+import { getHeadToHeadGames } from './rivalries';
+
+const DEFAULT_LIMIT = 5;
+
+/**
+ * Split games into one entry per team
+ * @param {Array} games - Games from getHeadToHeadGames
+ * @returns {Array} - { season, leagueId, week, isPlayoff, ownerId, rosterId, points,
+ * opponentOwnerId, opponentRosterId, opponentPoints, margin }
+ */
+const getTeamGames = (games) => {
+  return games.flatMap(game => game.teams.map((team, index) => {
+    const opponent = game.teams[1 - index];
+    return {
+      season: game.season,
+      leagueId: game.leagueId,
+      week: game.week,
+      isPlayoff: game.isPlayoff,
+      ownerId: team.ownerId,
+      rosterId: team.rosterId,
+      points: team.points,
+      opponentOwnerId: opponent.ownerId,
+      opponentRosterId: opponent.rosterId,
+      opponentPoints: opponent.points,
+      margin: team.points - opponent.points,
+    };
+  }));
+};
+
+/**
+ * Find every maximal run of wins or losses for each owner
+ * @param {Array} teamGames - Entries from getTeamGames, in chronological order
+ * @param {string} result - 'W' or 'L'
+ * @returns {Array} - { ownerId, length, start, end, active } where start and end are team
+ * games and active marks a streak still running, longest first
+ */
+const getStreaks = (teamGames, result) => {
+  const byOwner = {};
+  teamGames.forEach(game => {
+    if (!byOwner[game.ownerId]) byOwner[game.ownerId] = [];
+    byOwner[game.ownerId].push(game);
+  });
+
+  const streaks = [];
+  Object.entries(byOwner).forEach(([ownerId, ownerGames]) => {
+    let current = null;
+    ownerGames.forEach(game => {
+      const gameResult = game.margin > 0 ? 'W' : game.margin < 0 ? 'L' : 'T';
+      if (gameResult === result) {
+        current = current ? { ...current, length: current.length + 1, end: game } : { ownerId, length: 1, start: game, end: game };
+      } else if (current) {
+        streaks.push(current);
+        current = null;
+      }
+    });
+    if (current) streaks.push({ ...current, active: true });
+  });
+
+  return streaks.sort((a, b) => b.length - a.length);
+};
+
+/**
+ * Regular season totals and all-play records of every team in every season
+ * @param {Array} seasons - Season data from fetchLeagueHistory
+ * @returns {Array} - { season, leagueId, ownerId, rosterId, points, games, allPlay }
+ */
+const getTeamSeasons = (seasons) => {
+  return seasons
+    .filter(season => !season.isFallback && season.calendar)
+    .flatMap(({ season, leagueId, rosters, matchups, calendar }) => {
+      const regularSeason = filterRegularSeasonMatchups(matchups, calendar)
+        .filter(matchup => matchup.matchup_id !== null && matchup.matchup_id !== undefined);
+      const allPlay = calculateAllPlayRecords(regularSeason);
+
+      return (rosters || [])
+        .filter(roster => allPlay[roster.roster_id])
+        .map(roster => {
+          const teamMatchups = regularSeason.filter(m => m.roster_id === roster.roster_id);
+          return {
+            season,
+            leagueId,
+            ownerId: roster.owner_id,
+            rosterId: roster.roster_id,
+            points: teamMatchups.reduce((sum, m) => sum + (m.points || 0), 0),
+            games: teamMatchups.length,
+            allPlay: allPlay[roster.roster_id],
+          };
+        });
+    });
+};
+
+/**
+ * Build the league record book
+ * @param {Array} seasons - Season data from fetchLeagueHistory, oldest first
+ * @param {Object} options - Optional { limit } entries per record (default 5)
+ * @returns {Object} - Record lists, best first:
+ * highestScores, lowestScores, biggestBlowouts, narrowestWins (team games from the winner's side),
+ * longestWinStreaks, longestLossStreaks ({ ownerId, length, start, end, active }),
+ * mostSeasonPoints, fewestSeasonPoints, bestAllPlaySeasons, worstAllPlaySeasons (team seasons)
+ */
+export const buildRecordBook = (seasons, { limit = DEFAULT_LIMIT } = {}) => {
+  const teamGames = getTeamGames(getHeadToHeadGames(seasons));
+  const wins = teamGames.filter(game => game.margin > 0);
+  const teamSeasons = getTeamSeasons(seasons || []);
+  const top = (list, compare) => [...list].sort(compare).slice(0, limit);
+
+  return {
+    highestScores: top(teamGames, (a, b) => b.points - a.points),
+    lowestScores: top(teamGames, (a, b) => a.points - b.points),
+    biggestBlowouts: top(wins, (a, b) => b.margin - a.margin),
+    narrowestWins: top(wins, (a, b) => a.margin - b.margin),
+    longestWinStreaks: getStreaks(teamGames, 'W').slice(0, limit),
+    longestLossStreaks: getStreaks(teamGames, 'L').slice(0, limit),
+    mostSeasonPoints: top(teamSeasons, (a, b) => b.points - a.points),
+    fewestSeasonPoints: top(teamSeasons, (a, b) => a.points - b.points),
+    bestAllPlaySeasons: top(teamSeasons, (a, b) => b.allPlay.percentage - a.allPlay.percentage),
+    worstAllPlaySeasons: top(teamSeasons, (a, b) => a.allPlay.percentage - b.allPlay.percentage),
+  };
+};
@@ -0,0 +1,204 @@
+/**
+ * Head-to-head rivalries across every season of a league
+ *
+ * Rosters are mapped to their owner (roster.owner_id) each season, so a
+ * rivalry follows the people involved even when roster slots change hands.
+ * Seasons come from fetchLeagueHistory; fallback-mapped seasons are skipped.
+ */
+
+/**
+ * Map each owner to their latest display name and avatar
+ * @param {Array} seasons - Season data from fetchLeagueHistory, oldest first
+ * @returns {Object} - Owner ID -> { ownerId, displayName, avatar, seasons }
+ */
+export const getOwnerDirectory = (seasons) => {
+  const owners = {};
+  (seasons || []).forEach(({ season, users, rosters, isFallback }) => {
+    if (isFallback) return;
+    (rosters || []).forEach(roster => {
+      if (!roster.owner_id) return;
+      const user = users?.find(u => u.user_id === roster.owner_id);
+      const owner = owners[roster.owner_id] || { ownerId: roster.owner_id, seasons: [] };
+      // Later seasons overwrite earlier names, so the latest one wins
+      owners[roster.owner_id] = {
+        ...owner,
+        displayName: user?.display_name || owner.displayName || `Owner ${roster.owner_id}`,
+        avatar: user?.avatar || owner.avatar || null,
+        seasons: [...owner.seasons, season],
+      };
+    });
+  });
+  return owners;
+};
+
+/**
+ * List every completed head-to-head game, pairing teams by matchup_id
+ * @param {Array} seasons - Season data from fetchLeagueHistory, oldest first
+ * @returns {Array} - Games in order: { season, leagueId, week, isPlayoff, teams } where
+ * teams holds two { ownerId, rosterId, points } entries
+ */
+export const getHeadToHeadGames = (seasons) => {
+  const games = [];
+
+  (seasons || []).forEach(({ season, leagueId, rosters, matchups, calendar, isFallback }) => {
+    if (isFallback || !calendar) return;
+
+    const owners = {};
+    (rosters || []).forEach(roster => {
+      owners[roster.roster_id] = roster.owner_id;
+    });
+
+    const pairs = {};
+    (matchups || []).forEach(matchup => {
+      if (matchup.week > calendar.lastScoredWeek) return;
+      if (matchup.matchup_id === null || matchup.matchup_id === undefined) return;
+      const key = `${matchup.week}-${matchup.matchup_id}`;
+      if (!pairs[key]) pairs[key] = [];
+      pairs[key].push(matchup);
+    });
+
+    Object.values(pairs)
+      .filter(pair => pair.length === 2 && pair.every(m => owners[m.roster_id]))
+      .sort((a, b) => a[0].week - b[0].week)
+      .forEach(pair => {
+        games.push({
+          season,
+          leagueId,
+          week: pair[0].week,
+          isPlayoff: pair[0].week >= calendar.playoffWeekStart,
+          teams: pair.map(m => ({ ownerId: owners[m.roster_id], rosterId: m.roster_id, points: m.points || 0 })),
+        });
+      });
+  });
+
+  return games;
+};
+
+/**
+ * Games between two owners, seen from the first owner's side
+ * @param {Array} games - Games from getHeadToHeadGames
+ * @param {string} ownerId - Owner whose side the results are told from
+ * @param {string} opponentId - Opposing owner
+ * @returns {Array} - { season, leagueId, week, isPlayoff, rosterId, opponentRosterId,
+ * points, opponentPoints, result: 'W' | 'L' | 'T' }
+ */
+const getGameLog = (games, ownerId, opponentId) => {
+  return games
+    .map(game => {
+      const own = game.teams.find(team => team.ownerId === ownerId);
+      const opponent = game.teams.find(team => team.ownerId === opponentId);
+      if (!own || !opponent || own === opponent) return null;
+      return {
+        season: game.season,
+        leagueId: game.leagueId,
+        week: game.week,
+        isPlayoff: game.isPlayoff,
+        rosterId: own.rosterId,
+        opponentRosterId: opponent.rosterId,
+        points: own.points,
+        opponentPoints: opponent.points,
+        result: own.points > opponent.points ? 'W' : own.points < opponent.points ? 'L' : 'T',
+      };
+    })
+    .filter(Boolean);
+};
+
+/**
+ * Summarize a rivalry between two owners
+ * @param {Array} games - Games from getHeadToHeadGames
+ * @param {string} ownerId - Owner whose side the summary is told from
+ * @param {string} opponentId - Opposing owner
+ * @returns {Object} - { opponentId, games, wins, losses, ties, pointsFor, pointsAgainst,
+ * playoffWins, playoffLosses, currentStreak, longestWinStreak, longestLossStreak, log }
+ * where streaks are { result, length } and log is oldest first
+ */
+export const getRivalry = (games, ownerId, opponentId) => {
+  const log = getGameLog(games, ownerId, opponentId);
+  const summary = {
+    opponentId,
+    games: log.length,
+    wins: 0,
+    losses: 0,
+    ties: 0,
+    pointsFor: 0,
+    pointsAgainst: 0,
+    playoffWins: 0,
+    playoffLosses: 0,
+    currentStreak: null,
+    longestWinStreak: 0,
+    longestLossStreak: 0,
+    log,
+  };
+
+  log.forEach(game => {
+    summary.pointsFor += game.points;
+    summary.pointsAgainst += game.opponentPoints;
+    if (game.result === 'W') summary.wins++;
+    else if (game.result === 'L') summary.losses++;
+    else summary.ties++;
+    if (game.isPlayoff && game.result === 'W') summary.playoffWins++;
+    if (game.isPlayoff && game.result === 'L') summary.playoffLosses++;
+
+    const streak = summary.currentStreak;
+    summary.currentStreak = streak && streak.result === game.result
+      ? { result: game.result, length: streak.length + 1 }
+      : { result: game.result, length: 1 };
+    if (game.result === 'W') summary.longestWinStreak = Math.max(summary.longestWinStreak, summary.currentStreak.length);
+    if (game.result === 'L') summary.longestLossStreak = Math.max(summary.longestLossStreak, summary.currentStreak.length);
+  });
+
+  return summary;
+};
+
+/**
+ * Every rivalry of one owner, most played first
+ * @param {Array} games - Games from getHeadToHeadGames
+ * @param {string} ownerId - Owner ID
+ * @returns {Array} - Rivalry summaries from getRivalry
+ */
+export const getOwnerRivalries = (games, ownerId) => {
+  const opponents = new Set();
+  games.forEach(game => {
+    if (!game.teams.some(team => team.ownerId === ownerId)) return;
+    game.teams.forEach(team => {
+      if (team.ownerId !== ownerId) opponents.add(team.ownerId);
+    });
+  });
+
+  return [...opponents]
+    .map(opponentId => getRivalry(games, ownerId, opponentId))
+    .sort((a, b) => (b.games - a.games) || (b.wins - a.wins));
+};
+
+/**
+ * All-time head-to-head records between every pair of owners
+ * @param {Array} games - Games from getHeadToHeadGames
+ * @returns {Object} - { ownerIds, records } where records[a][b] is a's record
+ * against b: { wins, losses, ties, games, winPct } (null if they never met)
+ */
+export const calculateRivalryMatrix = (games) => {
+  const ownerIds = [...new Set(games.flatMap(game => game.teams.map(team => team.ownerId)))];
+  const records = {};
+  ownerIds.forEach(a => {
+    records[a] = {};
+    ownerIds.forEach(b => {
+      records[a][b] = null;
+    });
+  });
+
+  games.forEach(game => {
+    const [first, second] = game.teams;
+    if (first.ownerId === second.ownerId) return;
+    [[first, second], [second, first]].forEach(([own, opponent]) => {
+      const record = records[own.ownerId][opponent.ownerId] || { wins: 0, losses: 0, ties: 0, games: 0, winPct: 0 };
+      record.games++;
+      if (own.points > opponent.points) record.wins++;
+      else if (own.points < opponent.points) record.losses++;
+      else record.ties++;
+      record.winPct = ((record.wins + record.ties * 0.5) / record.games) * 100;
+      records[own.ownerId][opponent.ownerId] = record;
+    });
+  });
+
+  return { ownerIds, records };
+};
@@ -0,0 +1,133 @@
+/**
+ * URL helpers. Every league page carries its league ID and season in the
+ * path, so links pasted elsewhere open the same league and season.
+ */
+
+export const LEAGUE_ROUTE = '/league/:leagueId/:season';
+
+/**
+ * Build the dashboard path for a league season
+ * @param {string} leagueId - The Sleeper league ID
+ * @param {string} season - Season year
+ * @returns {string} - Path, e.g. "/league/123/2024"
+ */
+export const getLeaguePath = (leagueId, season) => `/league/${leagueId}/${season}`;
+
+/**
+ * Build the path of a team page
+ * @param {string} leagueId - The Sleeper league ID
+ * @param {string} season - Season year
+ * @param {number} rosterId - Roster ID
+ * @returns {string} - Path, e.g. "/league/123/2024/team/3"
+ */
+export const getTeamPath = (leagueId, season, rosterId) => `${getLeaguePath(leagueId, season)}/team/${rosterId}`;
+
+/**
+ * Build the dashboard path with a week selected
+ * @param {string} leagueId - The Sleeper league ID
+ * @param {string} season - Season year
+ * @param {number} week - Week number
+ * @returns {string} - Path, e.g. "/league/123/2024/week/5"
+ */
+export const getWeekPath = (leagueId, season, week) => `${getLeaguePath(leagueId, season)}/week/${week}`;
+
+/**
+ * Build the path of the power rankings page
+ * @param {string} leagueId - The Sleeper league ID
+ * @param {string} season - Season year
+ * @returns {string} - Path, e.g. "/league/123/2024/power-rankings"
+ */
+export const getPowerRankingsPath = (leagueId, season) => `${getLeaguePath(leagueId, season)}/power-rankings`;
+
+/**
+ * Build the path of the schedule-swap page
+ * @param {string} leagueId - The Sleeper league ID
+ * @param {string} season - Season year
+ * @returns {string} - Path, e.g. "/league/123/2024/schedule-swap"
+ */
+export const getScheduleSwapPath = (leagueId, season) => `${getLeaguePath(leagueId, season)}/schedule-swap`;
+
+/**
+ * Build the path of the all-time head-to-head page
+ * @param {string} leagueId - The Sleeper league ID
+ * @param {string} season - Season year
+ * @returns {string} - Path, e.g. "/league/123/2024/rivalries"
+ */
+export const getRivalriesPath = (leagueId, season) => `${getLeaguePath(leagueId, season)}/rivalries`;
+
+/**
+ * Build the path of an owner's rivalries page
+ * @param {string} leagueId - The Sleeper league ID
+ * @param {string} season - Season year
+ * @param {string} ownerId - Sleeper user ID of the owner
+ * @param {string} opponentId - Optional opposing owner to open
+ * @returns {string} - Path, e.g. "/league/123/2024/rivalries/456?vs=789"
+ */
+export const getOwnerRivalriesPath = (leagueId, season, ownerId, opponentId = null) => (
+  `${getRivalriesPath(leagueId, season)}/${ownerId}${opponentId ? `?vs=${opponentId}` : ''}`
+);
+
+/**
+ * Build the path of a season's playoff bracket page
+ * @param {string} leagueId - The Sleeper league ID
+ * @param {string} season - Season year
+ * @returns {string} - Path, e.g. "/league/123/2024/playoffs"
+ */
+export const getPlayoffsPath = (leagueId, season) => `${getLeaguePath(leagueId, season)}/playoffs`;
+
+/**
+ * Build the path of the champions history page
+ * @param {string} leagueId - The Sleeper league ID
+ * @param {string} season - Season year
+ * @returns {string} - Path, e.g. "/league/123/2024/champions"
+ */
+export const getChampionsPath = (leagueId, season) => `${getLeaguePath(leagueId, season)}/champions`;
+
+/**
+ * Build the path of the league record book
+ * @param {string} leagueId - The Sleeper league ID
+ * @param {string} season - Season year
+ * @returns {string} - Path, e.g. "/league/123/2024/records"
+ */
+export const getRecordBookPath = (leagueId, season) => `${getLeaguePath(leagueId, season)}/records`;
+
+/**
+ * Build the path of a franchise's history page
+ * @param {string} leagueId - The Sleeper league ID
+ * @param {string} season - Season year
+ * @param {number} rosterId - Roster ID of the franchise
+ * @returns {string} - Path, e.g. "/league/123/2024/franchise/3"
+ */
+export const getFranchisePath = (leagueId, season, rosterId) => `${getLeaguePath(leagueId, season)}/franchise/${rosterId}`;
+
+/**
+ * Build the path of the all-time standings page
+ * @param {string} leagueId - The Sleeper league ID
+ * @param {string} season - Season year
+ * @returns {string} - Path, e.g. "/league/123/2024/all-time"
+ */
+export const getAllTimeStandingsPath = (leagueId, season) => `${getLeaguePath(leagueId, season)}/all-time`;
+
+/**
+ * Build the path of the draft boards page
+ * @param {string} leagueId - The Sleeper league ID
+ * @param {string} season - Season year
+ * @returns {string} - Path, e.g. "/league/123/2024/drafts"
+ */
+export const getDraftsPath = (leagueId, season) => `${getLeaguePath(leagueId, season)}/drafts`;
+
+/**
+ * Build the path of the draft retrospective page
+ * @param {string} leagueId - The Sleeper league ID
+ * @param {string} season - Season year
+ * @returns {string} - Path, e.g. "/league/123/2024/drafts/retrospective"
+ */
+export const getDraftRetrospectivePath = (leagueId, season) => `${getDraftsPath(leagueId, season)}/retrospective`;
+
+/**
+ * Build the path of the future draft pick ledger
+ * @param {string} leagueId - The Sleeper league ID
+ * @param {string} season - Season year
+ * @returns {string} - Path, e.g. "/league/123/2024/picks"
+ */
+export const getPickLedgerPath = (leagueId, season) => `${getLeaguePath(leagueId, season)}/picks`;
@@ -0,0 +1,58 @@
+/**
+ * Schedule-swap simulation: every team's record had it played every other
+ * team's schedule
+ */
+
+import { getOpponentsByWeek } from './strengthOfSchedule';
+
+/**
+ * Build the schedule-swap matrix
+ *
+ * Team A playing team B's schedule faces B's opponent each week. In the week
+ * B played A, A faces B instead. Each game compares A's actual score that week
+ * against the opponent's actual score.
+ *
+ * @param {Array} matchups - Scored regular season matchups
+ * @returns {Object} - { rosterIds, records } where records[a][b] is
+ * { wins, losses, ties, winPct } for team a on team b's schedule; records[a][a]
+ * is team a's actual record
+ */
+export const calculateScheduleSwapMatrix = (matchups) => {
+  if (!matchups || !matchups.length) return { rosterIds: [], records: {} };
+
+  const opponentsByWeek = getOpponentsByWeek(matchups);
+  const pointsByWeek = {};
+  matchups.forEach(matchup => {
+    if (!pointsByWeek[matchup.week]) pointsByWeek[matchup.week] = {};
+    pointsByWeek[matchup.week][matchup.roster_id] = matchup.points || 0;
+  });
+
+  const rosterIds = [...new Set(matchups.map(m => m.roster_id))].sort((a, b) => a - b);
+  const records = {};
+
+  rosterIds.forEach(teamId => {
+    records[teamId] = {};
+    rosterIds.forEach(scheduleId => {
+      const record = { wins: 0, losses: 0, ties: 0, winPct: 0 };
+
+      Object.entries(opponentsByWeek).forEach(([week, opponents]) => {
+        const scheduledOpponent = opponents[scheduleId];
+        const teamPoints = pointsByWeek[week]?.[teamId];
+        if (!scheduledOpponent || teamPoints === undefined) return;
+
+        const opponentId = scheduledOpponent.roster_id === teamId ? scheduleId : scheduledOpponent.roster_id;
+        const opponentPoints = pointsByWeek[week][opponentId] ?? 0;
+
+        if (teamPoints > opponentPoints) record.wins++;
+        else if (teamPoints < opponentPoints) record.losses++;
+        else record.ties++;
+      });
+
+      const games = record.wins + record.losses + record.ties;
+      record.winPct = games > 0 ? ((record.wins + record.ties * 0.5) / games) * 100 : 0;
+      records[teamId][scheduleId] = record;
+    });
+  });
+
+  return { rosterIds, records };
+};
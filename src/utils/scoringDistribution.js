@@ -0,0 +1,117 @@
+/**
+ * Scoring distribution and trend statistics
+ *
+ * The floor and ceiling are the 10th and 90th percentiles of a team's weekly
+ * scores. Trends are least-squares slopes over recent weeks, so one outlier
+ * week moves them far less than a last-week-versus-average difference.
+ */
+
+const FLOOR_PERCENTILE = 10;
+const CEILING_PERCENTILE = 90;
+
+/**
+ * Percentile of a list of values, interpolating between ranks
+ * @param {Array<number>} sortedValues - Values in ascending order
+ * @param {number} percentile - Percentile from 0 to 100
+ * @returns {number} - Value at that percentile
+ */
+export const getPercentile = (sortedValues, percentile) => {
+  if (!sortedValues.length) return 0;
+  const rank = (percentile / 100) * (sortedValues.length - 1);
+  const lower = Math.floor(rank);
+  const upper = Math.ceil(rank);
+  return sortedValues[lower] + (sortedValues[upper] - sortedValues[lower]) * (rank - lower);
+};
+
+/**
+ * Describe the distribution of a team's weekly scores
+ * @param {Array<number>} scores - Weekly scores
+ * @returns {Object|null} - { games, mean, stdDev, coefficientOfVariation, median, floor,
+ * ceiling, lowerQuartile, upperQuartile, min, max }, or null without scores
+ */
+export const calculateScoringDistribution = (scores) => {
+  if (!scores || !scores.length) return null;
+
+  const sorted = [...scores].sort((a, b) => a - b);
+  const mean = sorted.reduce((sum, score) => sum + score, 0) / sorted.length;
+  const variance = sorted.reduce((sum, score) => sum + (score - mean) ** 2, 0) / sorted.length;
+  const stdDev = Math.sqrt(variance);
+
+  return {
+    games: sorted.length,
+    mean,
+    stdDev,
+    // Spread relative to the mean, in percent; comparable across scoring levels
+    coefficientOfVariation: mean > 0 ? (stdDev / mean) * 100 : 0,
+    median: getPercentile(sorted, 50),
+    floor: getPercentile(sorted, FLOOR_PERCENTILE),
+    ceiling: getPercentile(sorted, CEILING_PERCENTILE),
+    lowerQuartile: getPercentile(sorted, 25),
+    upperQuartile: getPercentile(sorted, 75),
+    min: sorted[0],
+    max: sorted[sorted.length - 1],
+  };
+};
+
+/**
+ * Scoring distribution of every team, with how often each beat the league median
+ * @param {Array} matchups - Scored matchups
+ * @returns {Object} - Roster ID -> distribution from calculateScoringDistribution plus
+ * { weeksAboveMedian, aboveMedianPct }
+ */
+export const calculateTeamDistributions = (matchups) => {
+  if (!matchups || !matchups.length) return {};
+
+  const scoresByWeek = {};
+  const scoresByTeam = {};
+  matchups.forEach(matchup => {
+    const points = matchup.points || 0;
+    if (!scoresByWeek[matchup.week]) scoresByWeek[matchup.week] = [];
+    scoresByWeek[matchup.week].push(points);
+    if (!scoresByTeam[matchup.roster_id]) scoresByTeam[matchup.roster_id] = [];
+    scoresByTeam[matchup.roster_id].push(points);
+  });
+
+  const weeklyMedians = {};
+  Object.entries(scoresByWeek).forEach(([week, scores]) => {
+    weeklyMedians[week] = getPercentile([...scores].sort((a, b) => a - b), 50);
+  });
+
+  const weeksAboveMedian = {};
+  matchups.forEach(matchup => {
+    if ((matchup.points || 0) > weeklyMedians[matchup.week]) {
+      weeksAboveMedian[matchup.roster_id] = (weeksAboveMedian[matchup.roster_id] || 0) + 1;
+    }
+  });
+
+  const distributions = {};
+  Object.entries(scoresByTeam).forEach(([rosterId, scores]) => {
+    const above = weeksAboveMedian[rosterId] || 0;
+    distributions[rosterId] = {
+      ...calculateScoringDistribution(scores),
+      weeksAboveMedian: above,
+      aboveMedianPct: (above / scores.length) * 100,
+    };
+  });
+  return distributions;
+};
+
+/**
+ * Least-squares slope of scores over consecutive weeks
+ * @param {Array<number>} scores - Scores in week order
+ * @returns {number} - Points gained (or lost) per week
+ */
+export const calculateTrendSlope = (scores) => {
+  const n = scores.length;
+  if (n < 2) return 0;
+
+  const meanX = (n - 1) / 2;
+  const meanY = scores.reduce((sum, score) => sum + score, 0) / n;
+  let numerator = 0;
+  let denominator = 0;
+  scores.forEach((score, x) => {
+    numerator += (x - meanX) * (score - meanY);
+    denominator += (x - meanX) ** 2;
+  });
+  return numerator / denominator;
+};
@@ -0,0 +1,126 @@
+/**
+ * Season calendar derived from league settings
+ *
+ * Sleeper leagues choose when playoffs start, how many teams qualify and how
+ * long each round lasts, so the week ranges differ from league to league.
+ */
+
+const DEFAULT_PLAYOFF_WEEK_START = 15;
+const DEFAULT_PLAYOFF_TEAMS = 6;
+const MAX_NFL_WEEK = 18;
+
+// settings.playoff_round_type values
+const ONE_WEEK_PER_ROUND = 0;
+const TWO_WEEK_CHAMPIONSHIP = 1;
+const TWO_WEEKS_PER_ROUND = 2;
+
+/**
+ * Build an inclusive range of week numbers
+ * @param {number} start - First week
+ * @param {number} end - Last week
+ * @returns {Array<number>} - Weeks from start to end
+ */
+const weekRange = (start, end) => {
+  if (end < start) return [];
+  return Array.from({ length: end - start + 1 }, (_, i) => start + i);
+};
+
+/**
+ * Count the weeks the playoffs span
+ * @param {Object} settings - League settings
+ * @returns {number} - Number of playoff weeks
+ */
+const getPlayoffWeekCount = (settings) => {
+  const playoffTeams = settings.playoff_teams || DEFAULT_PLAYOFF_TEAMS;
+  const rounds = Math.max(1, Math.ceil(Math.log2(playoffTeams)));
+
+  switch (settings.playoff_round_type) {
+    case TWO_WEEK_CHAMPIONSHIP: return rounds + 1;
+    case TWO_WEEKS_PER_ROUND: return rounds * 2;
+    case ONE_WEEK_PER_ROUND:
+    default: return rounds;
+  }
+};
+
+/**
+ * Compute the week calendar for a league season
+ * @param {Object} league - League data
+ * @param {Object} nflState - NFL state (season, week, season_type)
+ * @returns {Object|null} - {
+ *   playoffWeekStart, regularSeasonWeeks, playoffWeeks, allWeeks,
+ *   finalWeek, lastScoredWeek, currentWeek
+ * } or null without league data
+ */
+export const getSeasonCalendar = (league, nflState) => {
+  if (!league) return null;
+
+  const settings = league.settings || {};
+  const playoffWeekStart = settings.playoff_week_start || DEFAULT_PLAYOFF_WEEK_START;
+  const finalWeek = Math.min(MAX_NFL_WEEK, playoffWeekStart + getPlayoffWeekCount(settings) - 1);
+
+  const leagueSeason = parseInt(league.season);
+  const nflSeason = parseInt(nflState?.season);
+  const isCurrentSeason = leagueSeason === nflSeason;
+  const isInSeason = isCurrentSeason &&
+    (nflState.season_type === 'regular' || nflState.season_type === 'post');
+
+  // The live week, when this season is being played right now
+  const currentWeek = isInSeason ? Math.min(nflState.week, finalWeek) : null;
+
+  // The last week whose scores are final
+  let lastScoredWeek;
+  if (league.status === 'complete' || (nflSeason && leagueSeason < nflSeason)) {
+    lastScoredWeek = finalWeek;
+  } else if (settings.last_scored_leg) {
+    lastScoredWeek = Math.min(settings.last_scored_leg, finalWeek);
+  } else if (isInSeason) {
+    lastScoredWeek = Math.max(0, currentWeek - 1);
+  } else {
+    lastScoredWeek = 0;
+  }
+
+  return {
+    playoffWeekStart,
+    regularSeasonWeeks: weekRange(1, Math.min(playoffWeekStart - 1, finalWeek)),
+    playoffWeeks: weekRange(playoffWeekStart, finalWeek),
+    allWeeks: weekRange(1, finalWeek),
+    finalWeek,
+    lastScoredWeek,
+    currentWeek,
+  };
+};
+
+/**
+ * Check whether a week is part of the playoffs
+ * @param {Object} calendar - Calendar from getSeasonCalendar
+ * @param {number} week - Week number
+ * @returns {boolean} - Whether the week is a playoff week
+ */
+export const isPlayoffWeek = (calendar, week) => {
+  if (!calendar) return false;
+  return week >= calendar.playoffWeekStart;
+};
+
+/**
+ * Keep only matchups from weeks with final scores, so future weeks (which
+ * Sleeper returns with 0 points) and the live week do not skew stats
+ * @param {Array} matchups - Array of matchup data for all weeks
+ * @param {Object} calendar - Calendar from getSeasonCalendar
+ * @returns {Array} - Matchups from scored weeks
+ */
+export const filterScoredMatchups = (matchups, calendar) => {
+  if (!matchups || !calendar) return matchups || [];
+  return matchups.filter(m => m.week <= calendar.lastScoredWeek);
+};
+
+/**
+ * Keep only regular season matchups with final scores, the games that count
+ * towards the win-loss record
+ * @param {Array} matchups - Array of matchup data for all weeks
+ * @param {Object} calendar - Calendar from getSeasonCalendar
+ * @returns {Array} - Scored regular season matchups
+ */
+export const filterRegularSeasonMatchups = (matchups, calendar) => {
+  return filterScoredMatchups(matchups, calendar)
+    .filter(m => !calendar || !isPlayoffWeek(calendar, m.week));
+};
@@ -0,0 +1,144 @@
+/**
+ * Strength of schedule
+ *
+ * Opponents come from matchup_id pairings. Opponent strength is measured by
+ * their average points and win percentage over the regular season weeks played
+ * so far, both for games already played and for the pairings still to come.
+ */
+
+import { filterRegularSeasonMatchups } from './seasonCalendar';
+
+/**
+ * Pair every team with its opponent, week by week
+ * @param {Array} matchups - Array of matchup data
+ * @returns {Object} - Week -> { rosterId -> opponent matchup entry }
+ */
+export const getOpponentsByWeek = (matchups) => {
+  const groups = {};
+  (matchups || []).forEach(matchup => {
+    if (matchup.matchup_id === null || matchup.matchup_id === undefined) return;
+    const key = `${matchup.week}:${matchup.matchup_id}`;
+    if (!groups[key]) groups[key] = [];
+    groups[key].push(matchup);
+  });
+
+  const byWeek = {};
+  Object.values(groups).forEach(group => {
+    if (group.length !== 2) return;
+    const [a, b] = group;
+    if (!byWeek[a.week]) byWeek[a.week] = {};
+    byWeek[a.week][a.roster_id] = b;
+    byWeek[a.week][b.roster_id] = a;
+  });
+  return byWeek;
+};
+
+/**
+ * Average of an array of numbers
+ * @param {Array<number>} values - Values
+ * @returns {number|null} - Mean, or null for an empty array
+ */
+const mean = (values) => (values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : null);
+
+/**
+ * Rank teams by a value, 1 being the toughest schedule
+ * @param {Array} teams - Teams with the value at teams[i][section][field]
+ * @param {string} section - 'played' or 'remaining'
+ */
+const assignRanks = (teams, section) => {
+  teams
+    .filter(team => team[section] && team[section].opponentAvgPoints !== null)
+    .sort((a, b) => b[section].opponentAvgPoints - a[section].opponentAvgPoints)
+    .forEach((team, index) => { team[section].rank = index + 1; });
+};
+
+/**
+ * Calculate every team's strength of schedule
+ * @param {Array} matchups - Matchups for all weeks of the season, including
+ * future weeks, whose pairings are already known
+ * @param {Object} calendar - Calendar from getSeasonCalendar
+ * @returns {Array} - Per team: {
+ *   rosterId, avgPoints, winPct,
+ *   played: { games, opponentAvgPoints, opponentWinPct, pointsAgainstAvg, rank, schedule },
+ *   remaining: { games, opponentAvgPoints, opponentWinPct, rank, schedule }
+ * } where schedule lists { week, opponentRosterId, points, opponentPoints }
+ */
+export const calculateStrengthOfSchedule = (matchups, calendar) => {
+  if (!matchups || !matchups.length || !calendar) return [];
+
+  const playedMatchups = filterRegularSeasonMatchups(matchups, calendar);
+  const playedOpponents = getOpponentsByWeek(playedMatchups);
+  const remainingOpponents = getOpponentsByWeek(matchups.filter(m =>
+    m.week > calendar.lastScoredWeek && m.week < calendar.playoffWeekStart
+  ));
+
+  // Each team's strength over the weeks played so far
+  const teamStrength = {};
+  playedMatchups.forEach(matchup => {
+    if (!teamStrength[matchup.roster_id]) {
+      teamStrength[matchup.roster_id] = { points: [], wins: 0, games: 0 };
+    }
+    const strength = teamStrength[matchup.roster_id];
+    strength.points.push(matchup.points || 0);
+
+    const opponent = playedOpponents[matchup.week]?.[matchup.roster_id];
+    if (opponent) {
+      strength.games++;
+      if ((matchup.points || 0) > (opponent.points || 0)) strength.wins++;
+      else if ((matchup.points || 0) === (opponent.points || 0)) strength.wins += 0.5;
+    }
+  });
+
+  const getStrength = (rosterId) => {
+    const strength = teamStrength[rosterId];
+    if (!strength) return { avgPoints: null, winPct: null };
+    return {
+      avgPoints: mean(strength.points),
+      winPct: strength.games > 0 ? (strength.wins / strength.games) * 100 : null,
+    };
+  };
+
+  const summarize = (opponentsByWeek, rosterId) => {
+    const schedule = Object.keys(opponentsByWeek)
+      .map(Number)
+      .sort((a, b) => a - b)
+      .filter(week => opponentsByWeek[week][rosterId])
+      .map(week => {
+        const opponent = opponentsByWeek[week][rosterId];
+        const own = opponentsByWeek[week][opponent.roster_id];
+        return {
+          week,
+          opponentRosterId: opponent.roster_id,
+          points: own.points || 0,
+          opponentPoints: opponent.points || 0,
+          ...getStrength(opponent.roster_id),
+        };
+      });
+
+    return {
+      games: schedule.length,
+      opponentAvgPoints: mean(schedule.map(game => game.avgPoints).filter(value => value !== null)),
+      opponentWinPct: mean(schedule.map(game => game.winPct).filter(value => value !== null)),
+      rank: null,
+      schedule,
+    };
+  };
+
+  const rosterIds = [...new Set(matchups.map(m => m.roster_id))];
+  const teams = rosterIds.map(rosterId => {
+    const played = summarize(playedOpponents, rosterId);
+    played.pointsAgainstAvg = mean(played.schedule.map(game => game.opponentPoints));
+    const remaining = summarize(remainingOpponents, rosterId);
+
+    return {
+      rosterId,
+      ...getStrength(rosterId),
+      played,
+      remaining: remaining.games > 0 ? remaining : null,
+    };
+  });
+
+  assignRanks(teams, 'played');
+  assignRanks(teams, 'remaining');
+  return teams;
+};
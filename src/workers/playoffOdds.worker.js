@@ -0,0 +1,14 @@
+/* eslint-disable no-restricted-globals */
+import { simulatePlayoffOdds } from '../utils/playoffOdds';
+
+/**
+ * Runs playoff simulations off the main thread. Receives the
+ * simulatePlayoffOdds parameters and posts back its result.
+ */
+self.onmessage = (event) => {
+  try {
+    self.postMessage({ result: simulatePlayoffOdds(event.data) });
+  } catch (error) {
+    self.postMessage({ error: error.message });
+  }
+};